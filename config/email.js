@@ -142,9 +142,116 @@ const sendEmailVerificationOtp = async ({ to, otp }) => {
     });
 };
 
+const escapeHtml = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+// Plain-text and HTML rows for products: name (SKU) - quantity left / threshold
+const formatStockRows = (products) => ({
+    text: products.map(
+        (p) => `- ${p.name}${p.sku ? ` (${p.sku})` : ""}: ${p.quantity} left (threshold ${p.lowStockThreshold ?? "-"})`
+    ),
+    html: products
+        .map(
+            (p) =>
+                `<tr><td>${escapeHtml(p.name)}</td><td>${escapeHtml(p.sku || "")}</td>` +
+                `<td style="text-align:right">${escapeHtml(p.quantity)}</td>` +
+                `<td style="text-align:right">${escapeHtml(p.lowStockThreshold ?? "-")}</td></tr>`
+        )
+        .join(""),
+});
+
+const stockTable = (rowsHtml) =>
+    `<table cellpadding="4" style="border-collapse: collapse;">` +
+    `<tr><th align="left">Product</th><th align="left">SKU</th><th>Qty</th><th>Threshold</th></tr>${rowsHtml}</table>`;
+
+const sendLowStockAlertEmail = async ({ to, storeName, products }) => {
+    ensureEmailConfigured();
+
+    const from = (process.env.EMAIL_FROM || "").trim() || process.env.SMTP_USER;
+    const appName = (process.env.APP_NAME || "StoreTrack").trim();
+
+    const transporter = getTransporter();
+
+    const subject =
+        products.length === 1
+            ? `${appName}: ${products[0].name} is low on stock`
+            : `${appName}: ${products.length} products are low on stock`;
+
+    const rows = formatStockRows(products);
+
+    const text = [
+        `These products at ${storeName} have dropped to or below their low-stock threshold:`,
+        "",
+        ...rows.text,
+        "",
+        "You will not be alerted again for these products until they are restocked.",
+    ].join("\n");
+
+    const html = `
+    <p>These products at <strong>${escapeHtml(storeName)}</strong> have dropped to or below their
+    low-stock threshold:</p>
+    ${stockTable(rows.html)}
+    <p>You will not be alerted again for these products until they are restocked.</p>
+  `.trim();
+
+    await transporter.sendMail({
+        from,
+        to,
+        subject,
+        text,
+        html,
+    });
+};
+
+const sendLowStockDigestEmail = async ({ to, storeName, frequency, outOfStock, lowStock }) => {
+    ensureEmailConfigured();
+
+    const from = (process.env.EMAIL_FROM || "").trim() || process.env.SMTP_USER;
+    const appName = (process.env.APP_NAME || "StoreTrack").trim();
+
+    const transporter = getTransporter();
+
+    const subject = `${appName} ${frequency} stock digest: ${outOfStock.length} out of stock, ${lowStock.length} low`;
+
+    const outRows = formatStockRows(outOfStock);
+    const lowRows = formatStockRows(lowStock);
+
+    const text = [
+        `Stock digest for ${storeName}.`,
+        "",
+        `Out of stock (${outOfStock.length}):`,
+        ...(outOfStock.length ? outRows.text : ["- none"]),
+        "",
+        `Low on stock (${lowStock.length}):`,
+        ...(lowStock.length ? lowRows.text : ["- none"]),
+    ].join("\n");
+
+    const html = `
+    <p>Stock digest for <strong>${escapeHtml(storeName)}</strong>.</p>
+    <h3>Out of stock (${outOfStock.length})</h3>
+    ${outOfStock.length ? stockTable(outRows.html) : "<p>None</p>"}
+    <h3>Low on stock (${lowStock.length})</h3>
+    ${lowStock.length ? stockTable(lowRows.html) : "<p>None</p>"}
+  `.trim();
+
+    await transporter.sendMail({
+        from,
+        to,
+        subject,
+        text,
+        html,
+    });
+};
+
 module.exports = {
     ensureEmailConfigured,
     buildResetUrl,
     sendPasswordResetEmail,
     sendEmailVerificationOtp,
+    sendLowStockAlertEmail,
+    sendLowStockDigestEmail,
 };
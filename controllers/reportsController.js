@@ -1,6 +1,95 @@
 const Sale = require("../models/Sale");
 const Product = require("../models/Product");
 const Staff = require("../models/Staff");
+const Return = require("../models/Return");
+const Transaction = require("../models/Transaction");
+const StockMovement = require("../models/StockMovement");
+const LowStockEvent = require("../models/LowStockEvent");
+const { LOW_STOCK_EVENT_TYPES } = require("../models/LowStockEvent");
+const StoreSettings = require("../models/StoreSettings");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Category = require("../models/Category");
+const { OPEN_PURCHASE_ORDER_STATUSES } = require("../models/PurchaseOrder");
+const { roundMoney } = require("../utils/pricing");
+const { listStockMovements, summarizeStockMovements } = require("../utils/stock");
+const { buildPurchaseOrderView } = require("../utils/purchasing");
+const { buildReorderSuggestions } = require("../utils/reorder");
+const { rollUpCategoryTotals } = require("../utils/categories");
+const { LOW_STOCK_EXPR } = require("../utils/lowStock");
+const mongoose = require("mongoose");
+
+/**
+ * Per sale line: its product (cost fallback, category), grossRevenue, discountAmount,
+ * netRevenue (what was charged less discounts and tax), unitCostPrice and profit. Lines of deleted
+ * products are kept (`product` missing, `productId` still set), as refunds on them are in getRefundTotals.
+ */
+const saleProfitStages = [
+  { $addFields: { productId: "$product" } },
+  {
+    $lookup: {
+      from: "products",
+      localField: "product",
+      foreignField: "_id",
+      as: "product",
+    },
+  },
+  { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+
+  // Net revenue is what was charged less promotions, manual discounts and tax
+  {
+    $addFields: {
+      grossRevenue: { $ifNull: ["$grossPrice", "$totalPrice"] },
+      discountAmount: { $ifNull: ["$discountAmount", 0] },
+      netRevenue: { $subtract: ["$totalPrice", { $ifNull: ["$taxAmount", 0] }] },
+      unitCostPrice: { $ifNull: ["$unitCostPrice", "$product.costPrice", 0] },
+    },
+  },
+  {
+    $addFields: {
+      profit: { $subtract: ["$netRevenue", { $multiply: ["$unitCostPrice", "$quantity"] }] },
+    },
+  },
+];
+
+/**
+ * Sum refunds (with their tax portion and the cost of returned goods) recorded for a store
+ */
+const getRefundTotals = async (storeId) => {
+  const result = await Return.aggregate([
+    { $match: { store: storeId } },
+    { $unwind: "$items" },
+
+    // Use product lookup for returned lines without a cost snapshot
+    {
+      $lookup: {
+        from: "products",
+        localField: "items.product",
+        foreignField: "_id",
+        as: "product",
+      },
+    },
+    { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+
+    {
+      $group: {
+        _id: null,
+        refunds: { $sum: "$items.refundAmount" },
+        tax: { $sum: { $ifNull: ["$items.taxAmount", 0] } },
+        cost: {
+          $sum: {
+            $multiply: [{ $ifNull: ["$items.unitCostPrice", "$product.costPrice", 0] }, "$items.quantity"],
+          },
+        },
+      },
+    },
+  ]);
+
+  return {
+    refunds: result[0]?.refunds || 0,
+    tax: result[0]?.tax || 0,
+    cost: result[0]?.cost || 0,
+  };
+};
 
 /**
  * Get total sales grouped by staff
@@ -8,7 +97,7 @@ const Staff = require("../models/Staff");
 exports.getSalesByStaff = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const match = { store: req.storeId };
+    const match = { store: req.storeId, voidedAt: null };
 
     if (startDate || endDate) {
       match.createdAt = {};
@@ -57,7 +146,7 @@ exports.getSalesByStaff = async (req, res) => {
 exports.getTotalSales = async (req, res) => {
   try {
     const result = await Sale.aggregate([
-      { $match: { store: req.storeId } },
+      { $match: { store: req.storeId, voidedAt: null } },
       {
         $group: {
           _id: null,
@@ -68,9 +157,12 @@ exports.getTotalSales = async (req, res) => {
       },
     ]);
 
+    const { refunds } = await getRefundTotals(req.storeId);
+
     res.json({
-      totalSales: result[0]?.totalSales || 0,
-      totalRevenue: result[0]?.totalRevenue || 0,
+      totalSales: (result[0]?.totalSales || 0) - refunds,
+      totalRevenue: (result[0]?.totalRevenue || 0) - refunds,
+      totalRefunds: refunds,
       totalTransactions: result[0]?.totalTransactions || 0,
     });
   } catch (err) {
@@ -83,10 +175,8 @@ exports.getTotalSales = async (req, res) => {
  */
 exports.getLowStock = async (req, res) => {
   try {
-    const products = await Product.find({
-      store: req.storeId,
-      $expr: { $lte: ["$quantity", "$lowStockThreshold"] },
-    }).sort({ quantity: 1 });
+    // Compared directly rather than by isLowStock, which older products only get from scripts/repair_low_stock.js
+    const products = await Product.find({ store: req.storeId, $expr: LOW_STOCK_EXPR }).sort({ quantity: 1 });
 
     res.json(products);
   } catch (err) {
@@ -95,101 +185,98 @@ exports.getLowStock = async (req, res) => {
 };
 
 /**
- * Get total revenue, profit, and margin
+ * Get total revenue (net of discounts, tax and refunds), profit, and margin
  */
 exports.getProfit = async (req, res) => {
   try {
     const result = await Sale.aggregate([
-      { $match: { store: req.storeId } },
-
-      {
-        $lookup: {
-          from: "products",
-          localField: "product",
-          foreignField: "_id",
-          as: "product",
-        },
-      },
-      { $unwind: "$product" },
-
-      {
-        $addFields: {
-          unitCostPrice: { $ifNull: ["$unitCostPrice", "$product.costPrice"] },
-          profit: {
-            $subtract: [
-              "$totalPrice",
-              { $multiply: [{ $ifNull: ["$unitCostPrice", "$product.costPrice"] }, "$quantity"] },
-            ],
-          },
-        },
-      },
+      { $match: { store: req.storeId, voidedAt: null } },
+      ...saleProfitStages,
 
       {
         $group: {
           _id: null,
-          revenue: { $sum: "$totalPrice" },
+          grossRevenue: { $sum: "$grossRevenue" },
+          discounts: { $sum: "$discountAmount" },
+          revenue: { $sum: "$netRevenue" },
           cost: { $sum: { $multiply: ["$unitCostPrice", "$quantity"] } },
           profit: { $sum: "$profit" },
         },
       },
     ]);
 
-    const revenue = result[0]?.revenue || 0;
-    const cost = result[0]?.cost || 0;
-    const profit = result[0]?.profit || 0;
+    // Net out refunded revenue (excluding its tax) and the cost of goods that came back into stock
+    const returned = await getRefundTotals(req.storeId);
+
+    const revenue = (result[0]?.revenue || 0) - (returned.refunds - returned.tax);
+    const cost = (result[0]?.cost || 0) - returned.cost;
+    const profit = revenue - cost;
     const margin = revenue > 0 ? ((profit / revenue) * 100).toFixed(2) : "0.00";
 
-    res.json({ revenue, cost, profit, margin });
+    res.json({
+      grossRevenue: result[0]?.grossRevenue || 0,
+      discounts: result[0]?.discounts || 0,
+      revenue,
+      cost,
+      profit,
+      margin,
+      refunds: returned.refunds,
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 };
 
 /**
- * Get profit per product
+ * Get profit per product (net of discounts and tax).
+ * `groupBy=variant` (default) lists every product and variant sold; `groupBy=parent` folds variants
+ * into their parent product.
  */
 exports.getProfitByProduct = async (req, res) => {
   try {
+    const groupBy = String(req.query.groupBy || "variant");
+    if (!["variant", "parent"].includes(groupBy)) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: "groupBy must be one of: variant, parent", path: "groupBy" }],
+      });
+    }
+    const byParent = groupBy === "parent";
+
     const report = await Sale.aggregate([
-      { $match: { store: req.storeId } },
+      { $match: { store: req.storeId, voidedAt: null } },
 
       // Use product lookup for legacy sales without snapshots
-      {
-        $lookup: {
-          from: "products",
-          localField: "product",
-          foreignField: "_id",
-          as: "product",
-        },
-      },
-      { $unwind: "$product" },
-
-      {
-        $addFields: {
-          unitCostPrice: { $ifNull: ["$unitCostPrice", "$product.costPrice"] },
-          profit: {
-            $subtract: [
-              "$totalPrice",
-              { $multiply: [{ $ifNull: ["$unitCostPrice", "$product.costPrice"] }, "$quantity"] },
-            ],
-          },
-        },
-      },
+      ...saleProfitStages,
 
       {
         $group: {
-          _id: "$product._id",
-          productName: { $first: "$product.name" },
-          revenue: { $sum: "$totalPrice" },
+          _id: byParent ? { $ifNull: ["$product.parent", "$productId"] } : "$productId",
+          productName: { $first: { $ifNull: ["$product.name", "$productNameSnapshot"] } },
+          parentId: { $first: "$product.parent" },
+          grossRevenue: { $sum: "$grossRevenue" },
+          discounts: { $sum: "$discountAmount" },
+          revenue: { $sum: "$netRevenue" },
           profit: { $sum: "$profit" },
         },
       },
 
+      // Parent rows are named after the parent product
+      ...(byParent
+        ? [
+            { $lookup: { from: "products", localField: "_id", foreignField: "_id", as: "group" } },
+            { $addFields: { productName: { $ifNull: [{ $first: "$group.name" }, "$productName"] } } },
+          ]
+        : []),
+
       {
         $project: {
           _id: 0,
           productId: "$_id",
           productName: 1,
+          ...(byParent ? {} : { parentId: { $ifNull: ["$parentId", null] } }),
+          grossRevenue: 1,
+          discounts: 1,
           revenue: 1,
           profit: 1,
         },
@@ -203,40 +290,19 @@ exports.getProfitByProduct = async (req, res) => {
 };
 
 /**
- * Get profit per staff
+ * Get profit per staff (revenue net of discounts and tax, as in profit-by-product)
  */
 exports.getProfitByStaff = async (req, res) => {
   try {
     const data = await Sale.aggregate([
-      { $match: { store: req.storeId } },
-
-      {
-        $lookup: {
-          from: "products",
-          localField: "product",
-          foreignField: "_id",
-          as: "product",
-        },
-      },
-      { $unwind: "$product" },
-
-      {
-        $addFields: {
-          unitCostPrice: { $ifNull: ["$unitCostPrice", "$product.costPrice"] },
-          profit: {
-            $subtract: [
-              "$totalPrice",
-              { $multiply: [{ $ifNull: ["$unitCostPrice", "$product.costPrice"] }, "$quantity"] },
-            ],
-          },
-        },
-      },
+      { $match: { store: req.storeId, voidedAt: null } },
+      ...saleProfitStages,
 
       {
         $group: {
           _id: "$staff",
           totalProfit: { $sum: "$profit" },
-          totalSalesAmount: { $sum: "$totalPrice" },
+          totalSalesAmount: { $sum: "$netRevenue" },
           totalItemsSold: { $sum: "$quantity" },
         },
       },
@@ -267,4 +333,526 @@ exports.getProfitByStaff = async (req, res) => {
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get payments grouped by tender type
+ */
+exports.getPayments = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const match = { store: req.storeId, voidedAt: null };
+
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const report = await Transaction.aggregate([
+      { $match: match },
+      { $unwind: "$payments" },
+      {
+        $group: {
+          _id: "$payments.type",
+          count: { $sum: 1 },
+          tendered: { $sum: "$payments.amount" },
+          change: { $sum: { $ifNull: ["$payments.change", 0] } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          type: "$_id",
+          count: 1,
+          tendered: 1,
+          change: 1,
+          collected: { $subtract: ["$tendered", "$change"] },
+        },
+      },
+      { $sort: { collected: -1 } },
+    ]);
+
+    const totalCollected = report.reduce((sum, row) => sum + Number(row.collected || 0), 0);
+
+    res.json({ data: report, totalCollected });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Get tax collected per tax class and rate (net of refunds), for filing
+ */
+exports.getTax = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const dateRange = {};
+    if (startDate) dateRange.$gte = new Date(startDate);
+    if (endDate) dateRange.$lte = new Date(endDate);
+    const hasRange = Object.keys(dateRange).length > 0;
+
+    const saleMatch = { store: req.storeId, voidedAt: null, taxClass: { $nin: [null, ""] } };
+    const returnMatch = { store: req.storeId };
+    if (hasRange) {
+      saleMatch.createdAt = dateRange;
+      returnMatch.createdAt = dateRange;
+    }
+
+    const [collected, refunded, settings] = await Promise.all([
+      Sale.aggregate([
+        { $match: saleMatch },
+        {
+          $group: {
+            _id: { taxClass: "$taxClass", rate: "$taxRate" },
+            taxableAmount: { $sum: { $subtract: ["$totalPrice", { $ifNull: ["$taxAmount", 0] }] } },
+            taxCollected: { $sum: { $ifNull: ["$taxAmount", 0] } },
+          },
+        },
+      ]),
+      // Refunds are counted in the period the goods came back
+      Return.aggregate([
+        { $match: returnMatch },
+        { $unwind: "$items" },
+        { $match: { "items.taxClass": { $nin: [null, ""] } } },
+        {
+          $group: {
+            _id: { taxClass: "$items.taxClass", rate: "$items.taxRate" },
+            taxableRefunded: {
+              $sum: { $subtract: ["$items.refundAmount", { $ifNull: ["$items.taxAmount", 0] }] },
+            },
+            taxRefunded: { $sum: { $ifNull: ["$items.taxAmount", 0] } },
+          },
+        },
+      ]),
+      StoreSettings.getForStore(req.storeId),
+    ]);
+
+    const names = new Map((settings.tax?.rates || []).map((r) => [r.code, r.name]));
+    const rows = new Map();
+    const rowFor = ({ taxClass, rate }) => {
+      const key = `${taxClass}|${rate}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          taxClass,
+          name: names.get(taxClass) || taxClass,
+          rate,
+          taxableAmount: 0,
+          taxCollected: 0,
+          taxRefunded: 0,
+          netTax: 0,
+        });
+      }
+      return rows.get(key);
+    };
+
+    for (const c of collected) {
+      const row = rowFor(c._id);
+      row.taxableAmount = roundMoney(row.taxableAmount + c.taxableAmount);
+      row.taxCollected = roundMoney(row.taxCollected + c.taxCollected);
+    }
+    for (const r of refunded) {
+      const row = rowFor(r._id);
+      row.taxableAmount = roundMoney(row.taxableAmount - r.taxableRefunded);
+      row.taxRefunded = roundMoney(row.taxRefunded + r.taxRefunded);
+    }
+
+    const data = [...rows.values()]
+      .map((row) => ({ ...row, netTax: roundMoney(row.taxCollected - row.taxRefunded) }))
+      .sort((a, b) => String(a.taxClass).localeCompare(String(b.taxClass)) || a.rate - b.rate);
+
+    res.json({
+      startDate: startDate || null,
+      endDate: endDate || null,
+      data,
+      totalTax: roundMoney(data.reduce((sum, row) => sum + row.netTax, 0)),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Stock movements across the store (paginated) with units in/out per movement type
+ */
+exports.getStockMovements = async (req, res) => {
+  try {
+    const { startDate, endDate, type, product } = req.query;
+
+    const baseQuery = {};
+    if (product) {
+      if (!mongoose.isValidObjectId(String(product))) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: [{ msg: "product must be a valid id", path: "product" }],
+        });
+      }
+      baseQuery.product = String(product);
+    }
+
+    const [list, totals] = await Promise.all([
+      listStockMovements(req, baseQuery),
+      summarizeStockMovements(req, baseQuery),
+    ]);
+
+    res.json({
+      startDate: startDate || null,
+      endDate: endDate || null,
+      type: type || null,
+      totals,
+      ...list,
+    });
+  } catch (err) {
+    if (err.errors) {
+      return res.status(400).json({ message: err.message, errors: err.errors });
+    }
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Cost value of stock written off through negative adjustments, per reason code
+ */
+exports.getShrinkage = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const match = { store: req.storeId, type: "adjustment", quantityChange: { $lt: 0 } };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const rows = await StockMovement.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$reasonCode",
+          adjustments: { $sum: 1 },
+          quantity: { $sum: { $abs: "$quantityChange" } },
+          costValue: {
+            $sum: { $multiply: [{ $abs: "$quantityChange" }, { $ifNull: ["$unitCostSnapshot", 0] }] },
+          },
+        },
+      },
+      { $sort: { costValue: -1 } },
+    ]);
+
+    // Adjustments made before reason codes existed (product edits) have no code
+    const data = rows.map((r) => ({
+      reason: r._id || "unspecified",
+      adjustments: r.adjustments,
+      quantity: r.quantity,
+      costValue: roundMoney(r.costValue),
+    }));
+
+    res.json({
+      startDate: startDate || null,
+      endDate: endDate || null,
+      data,
+      totalQuantity: data.reduce((sum, row) => sum + row.quantity, 0),
+      totalCostValue: roundMoney(data.reduce((sum, row) => sum + row.costValue, 0)),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Purchase orders still awaiting goods, and the stock expected per product once they arrive
+ */
+exports.getOpenPurchaseOrders = async (req, res) => {
+  try {
+    const query = { store: req.storeId, status: { $in: OPEN_PURCHASE_ORDER_STATUSES } };
+    if (req.query.supplier) {
+      if (!mongoose.isValidObjectId(String(req.query.supplier))) {
+        return res.status(400).json({
+          message: "Validation error",
+          errors: [{ msg: "supplier must be a valid id", path: "supplier" }],
+        });
+      }
+      query.supplier = String(req.query.supplier);
+    }
+
+    const purchaseOrders = (await PurchaseOrder.find(query).sort({ expectedAt: 1, createdAt: 1 })).map(
+      buildPurchaseOrderView
+    );
+
+    const incoming = new Map();
+    for (const po of purchaseOrders) {
+      for (const line of po.lines) {
+        if (line.quantityOutstanding <= 0) continue;
+        const key = String(line.product);
+        const entry = incoming.get(key) || {
+          product: key,
+          productName: line.productNameSnapshot || null,
+          incoming: 0,
+          incomingValue: 0,
+          purchaseOrders: 0,
+          nextExpectedAt: null,
+        };
+        entry.incoming += line.quantityOutstanding;
+        entry.incomingValue += line.quantityOutstanding * line.unitCost;
+        entry.purchaseOrders += 1;
+        if (po.expectedAt && (!entry.nextExpectedAt || po.expectedAt < entry.nextExpectedAt)) {
+          entry.nextExpectedAt = po.expectedAt;
+        }
+        incoming.set(key, entry);
+      }
+    }
+
+    const products = await Product.find({ _id: { $in: [...incoming.keys()] }, store: req.storeId }).select(
+      "name quantity"
+    );
+    const byId = new Map(products.map((p) => [String(p._id), p]));
+
+    const expectedStock = [...incoming.values()]
+      .map((entry) => {
+        const product = byId.get(entry.product);
+        const onHand = product ? product.quantity : 0;
+        return {
+          ...entry,
+          productName: product?.name || entry.productName,
+          onHand,
+          incomingValue: roundMoney(entry.incomingValue),
+          projected: onHand + entry.incoming,
+        };
+      })
+      .sort((a, b) => String(a.productName).localeCompare(String(b.productName)));
+
+    const now = new Date();
+    res.json({
+      purchaseOrders: purchaseOrders.map((po) => ({
+        id: String(po._id),
+        poNumber: po.poNumber,
+        supplier: String(po.supplier),
+        supplierName: po.supplierNameSnapshot || null,
+        status: po.status,
+        sentAt: po.sentAt,
+        expectedAt: po.expectedAt,
+        overdue: Boolean(po.expectedAt && po.expectedAt < now),
+        outstandingQuantity: po.outstandingQuantity,
+        outstandingValue: po.outstandingValue,
+      })),
+      expectedStock,
+      totalOutstandingQuantity: purchaseOrders.reduce((sum, po) => sum + po.outstandingQuantity, 0),
+      totalOutstandingValue: roundMoney(purchaseOrders.reduce((sum, po) => sum + po.outstandingValue, 0)),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Reorder suggestions from sales velocity, grouped by preferred supplier
+ */
+exports.getReorderSuggestions = async (req, res) => {
+  try {
+    if (req.query.supplier && !mongoose.isValidObjectId(String(req.query.supplier))) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: "supplier must be a valid id", path: "supplier" }],
+      });
+    }
+
+    const report = await buildReorderSuggestions(req, {
+      lookbackDays: req.query.lookbackDays,
+      targetDaysOfCover: req.query.targetDaysOfCover,
+      supplier: req.query.supplier,
+    });
+    res.json(report);
+  } catch (err) {
+    if (err.errors) return res.status(400).json({ message: err.message, errors: err.errors });
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Products crossing into or out of low stock (newest first)
+ */
+exports.getLowStockEvents = async (req, res) => {
+  try {
+    const { type, product, startDate, endDate } = req.query;
+    const query = { store: req.storeId };
+    const queryErrors = [];
+
+    if (type) {
+      if (!LOW_STOCK_EVENT_TYPES.includes(String(type))) {
+        queryErrors.push({ msg: `type must be one of: ${LOW_STOCK_EVENT_TYPES.join(", ")}`, path: "type" });
+      }
+      query.type = String(type);
+    }
+    if (product) {
+      if (!mongoose.isValidObjectId(String(product))) {
+        queryErrors.push({ msg: "product must be a valid id", path: "product" });
+      }
+      query.product = String(product);
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      for (const [key, op] of [
+        ["startDate", "$gte"],
+        ["endDate", "$lte"],
+      ]) {
+        if (!req.query[key]) continue;
+        const date = new Date(String(req.query[key]));
+        if (Number.isNaN(date.getTime())) queryErrors.push({ msg: `${key} must be a valid date`, path: key });
+        else query.createdAt[op] = date;
+      }
+    }
+    if (queryErrors.length) {
+      return res.status(400).json({ message: "Validation error", errors: queryErrors });
+    }
+
+    const parsedLimit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10) || 50, 1), 200);
+    const parsedPage = Math.max(parseInt(req.query.page ?? "1", 10) || 1, 1);
+
+    const [total, events] = await Promise.all([
+      LowStockEvent.countDocuments(query),
+      LowStockEvent.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((parsedPage - 1) * parsedLimit)
+        .limit(parsedLimit),
+    ]);
+
+    res.json({
+      data: events.map((e) => ({
+        id: String(e._id),
+        createdAt: e.createdAt,
+        product: String(e.product),
+        productName: e.productNameSnapshot || null,
+        type: e.type,
+        quantity: e.quantity,
+        threshold: e.threshold ?? null,
+        trigger: e.trigger || null,
+        movement: e.movement ? String(e.movement) : null,
+        actorName: e.createdByNameSnapshot || null,
+      })),
+      meta: {
+        total,
+        limit: parsedLimit,
+        page: parsedPage,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Sale-line totals per product category (voided sales excluded), within optional startDate/endDate,
+ * rolled up the category tree. `fields` maps each output field to its $sum expression over
+ * saleProfitStages; `format` shapes every totals object. Returns { errors } for an invalid date.
+ */
+const buildCategoryReport = async (req, fields, format) => {
+  const match = { store: req.storeId, voidedAt: null };
+  const errors = [];
+  for (const [key, op] of [
+    ["startDate", "$gte"],
+    ["endDate", "$lte"],
+  ]) {
+    if (!req.query[key]) continue;
+    const date = new Date(String(req.query[key]));
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ msg: `${key} must be a valid date`, path: key });
+    } else {
+      match.createdAt = { ...match.createdAt, [op]: date };
+    }
+  }
+  if (errors.length) return { errors };
+
+  const [rows, categories] = await Promise.all([
+    Sale.aggregate([
+      { $match: match },
+      ...saleProfitStages,
+      {
+        $group: {
+          _id: "$product.category",
+          ...Object.fromEntries(Object.entries(fields).map(([field, expr]) => [field, { $sum: expr }])),
+        },
+      },
+    ]),
+    Category.find({ store: req.storeId }),
+  ]);
+
+  // Uncategorized products have no category (null); rollUpCategoryTotals also counts deleted ones there
+  const byCategory = new Map(rows.map(({ _id, ...totals }) => [_id ? String(_id) : "", totals]));
+  const { data, uncategorized, totals } = rollUpCategoryTotals(categories, byCategory, Object.keys(fields));
+
+  return {
+    report: {
+      startDate: req.query.startDate || null,
+      endDate: req.query.endDate || null,
+      data: data.map(({ categoryId, name, parentId, depth, path, direct, ...rolled }) => ({
+        categoryId,
+        name,
+        parentId,
+        depth,
+        path,
+        ...format(rolled),
+        direct: format(direct),
+      })),
+      uncategorized: format(uncategorized),
+      totals: format(totals),
+    },
+  };
+};
+
+// Money fields to cents; quantities as they are
+const roundTotals = (totals) =>
+  Object.fromEntries(
+    Object.entries(totals).map(([key, value]) => [key, key === "quantity" ? value : roundMoney(value)])
+  );
+
+/**
+ * Sales per category; each category's totals include its subcategories (its own sales under `direct`)
+ */
+exports.getSalesByCategory = async (req, res) => {
+  try {
+    const { errors, report } = await buildCategoryReport(
+      req,
+      {
+        quantity: "$quantity",
+        grossSales: "$grossRevenue",
+        discounts: "$discountAmount",
+        totalSales: "$totalPrice",
+      },
+      roundTotals
+    );
+    if (errors) return res.status(400).json({ message: "Validation error", errors });
+
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Profit per category (net of discounts and tax, like profit-by-product); each category's totals
+ * include its subcategories (its own sales under `direct`)
+ */
+exports.getProfitByCategory = async (req, res) => {
+  try {
+    const { errors, report } = await buildCategoryReport(
+      req,
+      {
+        quantity: "$quantity",
+        grossRevenue: "$grossRevenue",
+        discounts: "$discountAmount",
+        revenue: "$netRevenue",
+        cost: { $multiply: ["$unitCostPrice", "$quantity"] },
+        profit: "$profit",
+      },
+      (totals) => {
+        const rounded = roundTotals(totals);
+        const margin = rounded.revenue > 0 ? ((rounded.profit / rounded.revenue) * 100).toFixed(2) : "0.00";
+        return { ...rounded, margin };
+      }
+    );
+    if (errors) return res.status(400).json({ message: "Validation error", errors });
+
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * idempotency.js
+ * Honour an optional Idempotency-Key header on write endpoints so client retries
+ * (e.g. after a dropped connection) do not record the same sale twice.
+ *
+ * - First request with a key claims it and runs normally; a 2xx response is stored.
+ * - Retry with the same key and body replays the stored response (`Idempotent-Replayed: true`).
+ * - Same key with a different body, or while the first request is still running: 409.
+ * - Non-2xx responses release the key so the client can fix the request and retry with it.
+ *
+ * A claim is only released by a non-2xx response, never by the client disconnecting: the handler
+ * keeps running, and a retry must not start a second sale alongside it. A claim whose response was
+ * never stored (server restart, or the completion write kept failing) stays blocked until it expires,
+ * since the sale may have been recorded; the client is told to check before using a new key.
+ *
+ * Keys are per store and expire after IDEMPOTENCY_TTL_HOURS (default 24).
+ */
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+const MAX_KEY_LENGTH = 255;
+// A claim older than this is no longer expected to finish (e.g. the server restarted mid-request)
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+// Attempts at storing a 2xx response, and the pause before each retry
+const COMPLETION_ATTEMPTS = 3;
+const COMPLETION_RETRY_MS = 200;
+
+const getTtlMs = () => {
+  const hours = Number(process.env.IDEMPOTENCY_TTL_HOURS ?? 24);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+};
+
+// JSON with sorted object keys so property order does not change the hash
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, k) => {
+        acc[k] = canonicalize(value[k]);
+        return acc;
+      }, {});
+  }
+  return value;
+};
+
+const hashRequest = (scope, body) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ scope, body: canonicalize(body ?? {}) }))
+    .digest("hex");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Store the response for replay, retrying briefly; false if it could not be written
+const storeResponse = async (id, status, payload) => {
+  const responseBody = JSON.parse(JSON.stringify(payload ?? null));
+  for (let attempt = 1; attempt <= COMPLETION_ATTEMPTS; attempt++) {
+    try {
+      await IdempotencyKey.updateOne(
+        { _id: id },
+        { $set: { status: "completed", responseStatus: status, responseBody } }
+      );
+      return true;
+    } catch {
+      if (attempt < COMPLETION_ATTEMPTS) await wait(COMPLETION_RETRY_MS * attempt);
+    }
+  }
+  return false;
+};
+
+const idempotency = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, path: "Idempotency-Key" }],
+      });
+    }
+
+    const requestHash = hashRequest(scope, req.body);
+    let record;
+
+    try {
+      try {
+        record = await IdempotencyKey.create({
+          store: req.storeId,
+          key,
+          scope,
+          requestHash,
+          expiresAt: new Date(Date.now() + getTtlMs()),
+        });
+      } catch (err) {
+        if (err?.code !== 11000) throw err;
+
+        const existing = await IdempotencyKey.findOne({ store: req.storeId, key });
+        if (!existing) {
+          // Expired between the insert and the lookup
+          return res.status(409).json({ message: "Idempotency-Key is being reset, retry the request" });
+        }
+
+        if (existing.scope !== scope || existing.requestHash !== requestHash) {
+          return res.status(409).json({
+            message: "Idempotency-Key was already used with a different request",
+            details: { scope: existing.scope },
+          });
+        }
+
+        if (existing.status === "completed") {
+          res.set("Idempotent-Replayed", "true");
+          return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Never reclaimed: the first request may have recorded the sale without storing its response
+        if (existing.updatedAt < new Date(Date.now() - STALE_CLAIM_MS)) {
+          return res.status(409).json({
+            message: "The request with this Idempotency-Key did not finish; check recent sales before using a new key",
+          });
+        }
+        return res.status(409).json({ message: "A request with this Idempotency-Key is still being processed" });
+      }
+    } catch (err) {
+      return res.status(500).json({ message: err.message });
+    }
+
+    const json = res.json.bind(res);
+
+    res.json = (payload) => {
+      const status = res.statusCode;
+      // A 2xx keeps the key claimed even if it cannot be stored, so a retry cannot repeat the sale
+      const write =
+        status >= 200 && status < 300
+          ? storeResponse(record._id, status, payload)
+          : IdempotencyKey.deleteOne({ _id: record._id, status: "in_progress" }).catch(() => {});
+
+      write.then(() => json(payload));
+      return res;
+    };
+
+    next();
+  };
+};
+
+module.exports = idempotency;
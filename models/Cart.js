@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+
+// open: being rung up; parked: set aside to serve someone else; completed: checked out; cancelled: discarded
+const CART_STATUSES = ["open", "parked", "completed", "cancelled"];
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    discountPercent: {
+      type: Number,
+    },
+    discountAmount: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Server-side basket. Holds no stock: quantities are only deducted when the cart
+ * is completed through checkout.
+ */
+const cartSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: CART_STATUSES,
+      default: "open",
+    },
+    // Free text to recognise a parked cart at the till (e.g. "Blue jacket, fetching size M")
+    label: {
+      type: String,
+      trim: true,
+    },
+    items: {
+      type: [cartItemSchema],
+      default: [],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    parkedAt: {
+      type: Date,
+      default: null,
+    },
+    resumedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Transaction created when the cart was completed
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    createdByType: {
+      type: String,
+      enum: ["staff", "user"],
+      required: true,
+    },
+    createdByStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    createdByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdByNameSnapshot: {
+      type: String,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+cartSchema.index({ store: 1, status: 1, parkedAt: -1 });
+
+module.exports = mongoose.model("Cart", cartSchema);
+module.exports.CART_STATUSES = CART_STATUSES;
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+/**
+ * Product category. Categories nest: `parent` is the direct parent and `ancestors` the full path
+ * from the root (kept in sync by utils/categories.js), so a subtree is one indexed query.
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Root first, direct parent last
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    // Display order among siblings
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Sibling names are unique
+categorySchema.index(
+  { store: 1, parent: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+categorySchema.index({ store: 1, ancestors: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+/**
+ * Keep digits and a leading "+" so "0801 234-5678" and "08012345678" match
+ */
+const normalizePhone = (phone) => {
+  const raw = String(phone ?? "").trim();
+  if (!raw) return null;
+  const digits = raw.replace(/\D/g, "");
+  if (!digits) return null;
+  return raw.startsWith("+") ? `+${digits}` : digits;
+};
+
+// Short code printed on loyalty cards; avoids look-alike characters (0/O, 1/I)
+const MEMBER_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const generateMemberCode = () =>
+  Array.from(crypto.randomBytes(8), (b) => MEMBER_CODE_ALPHABET[b % MEMBER_CODE_ALPHABET.length]).join("");
+
+const customerSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    phone: { type: String, trim: true, set: normalizePhone },
+    email: { type: String, lowercase: true, trim: true },
+    notes: { type: String, trim: true },
+    memberCode: { type: String, uppercase: true, trim: true },
+    // Cached sum of the customer's LoyaltyEntry points (updated with every entry)
+    pointsBalance: { type: Number, default: 0 },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Store owner
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One customer per phone number within a store
+customerSchema.index(
+  { store: 1, phone: 1 },
+  { unique: true, partialFilterExpression: { phone: { $type: "string" } } }
+);
+customerSchema.index(
+  { store: 1, memberCode: 1 },
+  { unique: true, partialFilterExpression: { memberCode: { $type: "string" } } }
+);
+customerSchema.index({ store: 1, name: 1 });
+
+/**
+ * Give new customers a member code (upserts at checkout set it themselves)
+ */
+customerSchema.pre("validate", function () {
+  if (this.isNew && !this.memberCode) this.memberCode = generateMemberCode();
+});
+
+module.exports = mongoose.model("Customer", customerSchema);
+module.exports.normalizePhone = normalizePhone;
+module.exports.generateMemberCode = generateMemberCode;
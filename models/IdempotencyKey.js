@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// in_progress: the original request is still running; completed: response stored for replay
+const IDEMPOTENCY_STATUSES = ["in_progress", "completed"];
+
+/**
+ * Client-supplied Idempotency-Key for a write endpoint, scoped to a store.
+ * Documents are removed by the TTL index once `expiresAt` passes.
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Endpoint the key was first used on, e.g. "sales.checkout"
+    scope: {
+      type: String,
+      required: true,
+    },
+    // sha256 of the canonical request body; a retry must match it
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: IDEMPOTENCY_STATUSES,
+      default: "in_progress",
+    },
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+idempotencyKeySchema.index({ store: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+module.exports.IDEMPOTENCY_STATUSES = IDEMPOTENCY_STATUSES;
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// entered: quantity fell to or below lowStockThreshold; cleared: it rose above it again
+const LOW_STOCK_EVENT_TYPES = ["entered", "cleared"];
+
+// Alert email for an `entered` event: pending -> processing -> sent, or suppressed (already alerted and
+// not restocked since, or no longer low), skipped (alerts off / no recipients) or failed (gave up retrying)
+const ALERT_STATUSES = ["pending", "processing", "sent", "suppressed", "skipped", "failed"];
+
+/**
+ * A product crossing into or out of low stock. Written in the same session as the change
+ * that caused it, so consumers (alerts, reports) only ever see committed crossings.
+ */
+const lowStockEventSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    productNameSnapshot: {
+      type: String,
+    },
+    type: {
+      type: String,
+      enum: LOW_STOCK_EVENT_TYPES,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    threshold: {
+      type: Number,
+    },
+    // StockMovement type behind the crossing, or "threshold" / "created" for product edits
+    trigger: {
+      type: String,
+    },
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockMovement",
+    },
+    alertStatus: {
+      type: String,
+      enum: ALERT_STATUSES,
+    },
+    alertAttempts: {
+      type: Number,
+      default: 0,
+    },
+    alertedAt: {
+      type: Date,
+      default: null,
+    },
+    alertError: {
+      type: String,
+    },
+    createdByType: {
+      type: String,
+      enum: ["staff", "user"],
+    },
+    createdByStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    createdByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdByNameSnapshot: {
+      type: String,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+lowStockEventSchema.index({ store: 1, createdAt: -1 });
+lowStockEventSchema.index({ store: 1, product: 1, createdAt: -1 });
+// Alert outbox
+lowStockEventSchema.index({ alertStatus: 1, createdAt: 1 }, { sparse: true });
+
+module.exports = mongoose.model("LowStockEvent", lowStockEventSchema);
+module.exports.LOW_STOCK_EVENT_TYPES = LOW_STOCK_EVENT_TYPES;
+module.exports.ALERT_STATUSES = ALERT_STATUSES;
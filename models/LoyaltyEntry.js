@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+// earn: points from a checkout; redeem: points spent at checkout; expire: earned points that ran out;
+// adjust: manual corrections and clawbacks from returns/voids; redeem_reversal: redeemed points given
+// back by a return or void, expiring like the points the redemption used
+const LOYALTY_ENTRY_TYPES = ["earn", "redeem", "expire", "adjust", "redeem_reversal"];
+
+/**
+ * Loyalty points ledger (one document per movement). `points` is signed.
+ */
+const loyaltyEntrySchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: LOYALTY_ENTRY_TYPES,
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    // Positive entries only: points not yet redeemed, clawed back or expired (consumed oldest first)
+    remaining: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Redemptions only: the positive entries the points came from, so a reversal can restore them with
+    // their expiry
+    consumed: {
+      type: [
+        {
+          _id: false,
+          entry: { type: mongoose.Schema.Types.ObjectId, ref: "LoyaltyEntry" },
+          points: { type: Number },
+          expiresAt: { type: Date, default: null },
+        },
+      ],
+      default: undefined,
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    createdByType: {
+      type: String,
+      enum: ["staff", "user"],
+    },
+    createdByStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    createdByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdByNameSnapshot: {
+      type: String,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loyaltyEntrySchema.index({ store: 1, customer: 1, createdAt: -1 });
+loyaltyEntrySchema.index({ customer: 1, remaining: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("LoyaltyEntry", loyaltyEntrySchema);
+module.exports.LOYALTY_ENTRY_TYPES = LOYALTY_ENTRY_TYPES;
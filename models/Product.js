@@ -20,11 +20,44 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 5, // sensible default
   },
+  // quantity <= lowStockThreshold; maintained by utils/stock.js and utils/lowStock.js, never set directly
   isLowStock: {
     type: Boolean,
     default: false,
   },
+  // Last low-stock alert email; cleared when the product is restocked so the next drop alerts again
+  lowStockAlertedAt: {
+    type: Date,
+    default: null,
+  },
   description: { type: String },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+  // StoreSettings tax rate code; empty uses the store default class
+  taxClass: { type: String, trim: true },
+  // Variants (utils/variants.js): a parent lists its option axes and holds no stock; each variant is a
+  // product of its own with `parent` set, one value per axis and its own sku, barcode, price and stock
+  hasVariants: { type: Boolean, default: false },
+  options: [
+    {
+      _id: false,
+      name: { type: String, trim: true },
+      values: [{ type: String, trim: true }],
+    },
+  ],
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+  optionValues: [
+    {
+      _id: false,
+      name: { type: String, trim: true },
+      value: { type: String, trim: true },
+    },
+  ],
+  // Variant price set explicitly; otherwise it follows the parent's price
+  priceOverride: { type: Boolean, default: false },
+  // Supplier reorder suggestions are grouped under
+  preferredSupplier: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier", default: null },
+  // Days from ordering to delivery; falls back to the supplier's, then the store's default
+  leadTimeDays: { type: Number, min: 0, default: null },
   store: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // <-- store owner
   createdAt: { type: Date, default: Date.now },
 });
@@ -50,6 +83,19 @@ productSchema.index(
   }
 );
 
+// Category filters and reports
+productSchema.index({ store: 1, category: 1 });
+
+// Variants of a parent
+productSchema.index({ store: 1, parent: 1 });
+
+// Low-stock report and alerts
+productSchema.index({ store: 1, isLowStock: 1 });
+
+// Product list sorting and cursor pagination
+productSchema.index({ store: 1, name: 1, _id: 1 });
+productSchema.index({ store: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model("Product", productSchema);
 
 
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// percentage: `value`% off each in-scope line
+// basket_amount: `value` off the in-scope part of the basket (split across its lines)
+// buy_x_get_y: for every buyQuantity + getQuantity units of a product, getQuantity units get `value`% off
+const PROMOTION_TYPES = ["percentage", "basket_amount", "buy_x_get_y"];
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    type: {
+      type: String,
+      enum: PROMOTION_TYPES,
+      required: true,
+    },
+    value: { type: Number, required: true },
+    buyQuantity: { type: Number },
+    getQuantity: { type: Number },
+    // basket_amount only: in-scope subtotal required before the discount applies
+    minSubtotal: { type: Number, default: 0 },
+    // Scope: empty products and categories means store-wide; a category covers its subcategories
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+    // Non-stackable promotions never combine with another promotion on the same line
+    stackable: { type: Boolean, default: false },
+    // Higher priority promotions are evaluated first
+    priority: { type: Number, default: 0 },
+    store: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ store: 1, isActive: 1, startsAt: 1, endsAt: 1 });
+
+/**
+ * Active promotions for a store at a point in time, in evaluation order
+ */
+promotionSchema.statics.findActive = function (storeId, at = new Date()) {
+  return this.find({
+    store: storeId,
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: at } }] },
+    ],
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+module.exports = mongoose.model("Promotion", promotionSchema);
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES;
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// draft: being prepared; sent: ordered from the supplier; partially_received: some goods arrived;
+// received: every line arrived in full; cancelled: closed without (further) receiving
+const PURCHASE_ORDER_STATUSES = ["draft", "sent", "partially_received", "received", "cancelled"];
+
+// Still expecting goods
+const OPEN_PURCHASE_ORDER_STATUSES = ["sent", "partially_received"];
+
+const PO_NUMBER_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// PO-YYYYMMDD-XXXX (date the order was created, random suffix)
+const generatePoNumber = (date = new Date()) => {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const suffix = Array.from(crypto.randomBytes(4), (b) => PO_NUMBER_ALPHABET[b % PO_NUMBER_ALPHABET.length]).join("");
+  return `PO-${day}-${suffix}`;
+};
+
+const purchaseOrderLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    productNameSnapshot: {
+      type: String,
+    },
+    quantityOrdered: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    quantityReceived: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      trim: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    supplierNameSnapshot: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: PURCHASE_ORDER_STATUSES,
+      default: "draft",
+    },
+    lines: {
+      type: [purchaseOrderLineSchema],
+      default: [],
+    },
+    expectedAt: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    // Last time goods were received against the order
+    lastReceivedAt: {
+      type: Date,
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+    },
+    createdByType: {
+      type: String,
+      enum: ["staff", "user"],
+    },
+    createdByStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    createdByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdByNameSnapshot: {
+      type: String,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+purchaseOrderSchema.index(
+  { store: 1, poNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      poNumber: { $type: "string" },
+    },
+  }
+);
+purchaseOrderSchema.index({ store: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ store: 1, supplier: 1, createdAt: -1 });
+
+purchaseOrderSchema.pre("validate", function () {
+  if (this.isNew && !this.poNumber) this.poNumber = generatePoNumber();
+});
+
+module.exports = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+module.exports.PURCHASE_ORDER_STATUSES = PURCHASE_ORDER_STATUSES;
+module.exports.OPEN_PURCHASE_ORDER_STATUSES = OPEN_PURCHASE_ORDER_STATUSES;
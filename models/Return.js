@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    productNameSnapshot: {
+      type: String,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+    },
+    unitCostPrice: {
+      type: Number,
+    },
+    refundAmount: {
+      type: Number,
+      required: true,
+    },
+    taxClass: {
+      type: String,
+    },
+    taxRate: {
+      type: Number,
+    },
+    // Tax portion of refundAmount
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    restocked: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+const returnSchema = new mongoose.Schema(
+  {
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      default: [],
+    },
+    totalRefund: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    processedByType: {
+      type: String,
+      enum: ["staff", "user"],
+      required: true,
+    },
+    processedByStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    processedByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    processedByNameSnapshot: {
+      type: String,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+returnSchema.index({ store: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Return", returnSchema);
@@ -41,10 +41,73 @@ const saleSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // unitPrice * quantity, before discounts
+    grossPrice: {
+      type: Number,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    discounts: {
+      type: [
+        {
+          _id: false,
+          type: { type: String, enum: ["promotion", "manual", "loyalty"], required: true },
+          promotion: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+          name: { type: String },
+          amount: { type: Number, required: true },
+        },
+      ],
+      default: [],
+    },
+    // Tax class/rate applied to the line (null when untaxed)
+    taxClass: {
+      type: String,
+    },
+    taxRate: {
+      type: Number,
+    },
+    taxInclusive: {
+      type: Boolean,
+    },
+    // Tax portion of totalPrice
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Amount charged for the line (net of discounts, including tax)
     totalPrice: {
       type: Number,
       required: true,
     },
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedByType: {
+      type: String,
+      enum: ["staff", "user"],
+    },
+    voidedByStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    voidedByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    voidedByNameSnapshot: {
+      type: String,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+    },
     store: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
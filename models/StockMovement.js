@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+
+// sale: sold at checkout; return: customer return restocked; void: voided sale restocked;
+// receipt: goods received; adjustment: manual correction; transfer: moved between locations; count: stock take
+const STOCK_MOVEMENT_TYPES = ["sale", "return", "void", "receipt", "adjustment", "transfer", "count"];
+
+// Reason codes for manual adjustments and the direction each allows (-1 remove, 1 add, 0 either)
+const ADJUSTMENT_REASONS = {
+  damaged: -1,
+  expired: -1,
+  theft: -1,
+  found: 1,
+  correction: 0,
+};
+
+/**
+ * Stock ledger (one document per change to Product.quantity). `quantityChange` is signed.
+ */
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    productNameSnapshot: {
+      type: String,
+    },
+    type: {
+      type: String,
+      enum: STOCK_MOVEMENT_TYPES,
+      required: true,
+    },
+    quantityChange: {
+      type: Number,
+      required: true,
+    },
+    quantityBefore: {
+      type: Number,
+      required: true,
+    },
+    quantityAfter: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Manual adjustments only (see ADJUSTMENT_REASONS)
+    reasonCode: {
+      type: String,
+      enum: Object.keys(ADJUSTMENT_REASONS),
+    },
+    // Product costPrice at the time, to value the movement
+    unitCostSnapshot: {
+      type: Number,
+    },
+    // Document that caused the change (Transaction, Return, Product, ...)
+    sourceModel: {
+      type: String,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceModel",
+    },
+    createdByType: {
+      type: String,
+      enum: ["staff", "user"],
+    },
+    createdByStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    createdByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdByNameSnapshot: {
+      type: String,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+stockMovementSchema.index({ store: 1, product: 1, createdAt: -1 });
+stockMovementSchema.index({ store: 1, type: 1, createdAt: -1 });
+stockMovementSchema.index({ store: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
+module.exports.STOCK_MOVEMENT_TYPES = STOCK_MOVEMENT_TYPES;
+module.exports.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+// reject: short offline sales are refused; allow_and_flag: stock may go negative, transaction needs review
+const NEGATIVE_STOCK_POLICIES = ["reject", "allow_and_flag"];
+
+// How receiving goods updates Product.costPrice: the latest unit cost, or the average weighted by units on hand
+const COST_POLICIES = ["last_cost", "weighted_average"];
+
+// Low-stock digest email: never, every day, or every Monday (at alerts.digestHourUtc)
+const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+
+const taxRateSchema = new mongoose.Schema(
+  {
+    // Tax class code referenced by Product.taxClass (e.g. "standard", "reduced", "exempt")
+    code: { type: String, required: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    // Percent, e.g. 7.5
+    rate: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Per-store configuration (one document per store owner)
+ */
+const storeSettingsSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    tax: {
+      // true: shelf prices already include tax; false: tax is added on top at checkout
+      pricesIncludeTax: { type: Boolean, default: false },
+      // Used for products without a taxClass (null = untaxed)
+      defaultClass: { type: String, trim: true, default: null },
+      rates: { type: [taxRateSchema], default: [] },
+    },
+    loyalty: {
+      enabled: { type: Boolean, default: false },
+      // Points earned per currency unit of the grand total
+      earnRate: { type: Number, default: 0.01, min: 0 },
+      // Currency value of one point when redeemed
+      redeemValue: { type: Number, default: 1, min: 0 },
+      // Smallest redemption allowed at checkout
+      minRedeemPoints: { type: Number, default: 0, min: 0 },
+      // Earned points expire this many days later (null = never)
+      expiryDays: { type: Number, default: null, min: 1 },
+    },
+    offline: {
+      // What /api/sales/sync does when a queued sale needs more stock than is on hand:
+      // reject it, or accept it (stock goes negative) and flag the transaction for review
+      negativeStockPolicy: { type: String, enum: NEGATIVE_STOCK_POLICIES, default: "reject" },
+    },
+    inventory: {
+      costPolicy: { type: String, enum: COST_POLICIES, default: "last_cost" },
+      // Reorder suggestions: days of sales used for the daily average, stock to hold after a
+      // delivery (in days of sales) and lead time for products/suppliers without one
+      reorderLookbackDays: { type: Number, min: 1, default: 30 },
+      targetDaysOfCover: { type: Number, min: 1, default: 14 },
+      defaultLeadTimeDays: { type: Number, min: 0, default: 7 },
+    },
+    alerts: {
+      // Email when a product drops to/below its lowStockThreshold (repeats wait for a restock)
+      lowStockEmails: { type: Boolean, default: true },
+      // Empty: the store owner and admin staff
+      recipients: { type: [String], default: [] },
+      digestFrequency: { type: String, enum: DIGEST_FREQUENCIES, default: "off" },
+      digestHourUtc: { type: Number, min: 0, max: 23, default: 7 },
+      digestLastSentAt: { type: Date, default: null },
+    },
+    receipt: {
+      // Printed receipt header; null falls back to the store name the owner signed up with
+      storeName: { type: String, trim: true, default: null },
+      // Printed under the name as written (line breaks kept)
+      address: { type: String, trim: true, default: null },
+      footer: { type: String, trim: true, default: null },
+      // PNG or JPEG Cloudinary upload (utils/images.js); thermal printers can only print PNGs
+      logoUrl: { type: String, trim: true, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Settings for a store, falling back to defaults (unsaved) when none were configured
+ */
+storeSettingsSchema.statics.getForStore = async function (storeId, session = null) {
+  const existing = await this.findOne({ store: storeId }).session(session);
+  return existing || new this({ store: storeId });
+};
+
+module.exports = mongoose.model("StoreSettings", storeSettingsSchema);
+module.exports.NEGATIVE_STOCK_POLICIES = NEGATIVE_STOCK_POLICIES;
+module.exports.COST_POLICIES = COST_POLICIES;
+module.exports.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
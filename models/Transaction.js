@@ -0,0 +1,222 @@
+const mongoose = require("mongoose");
+
+const PAYMENT_TYPES = ["cash", "card", "mobile_money", "store_credit"];
+
+const paymentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: PAYMENT_TYPES,
+      required: true,
+    },
+    // Amount handed over for this tender (cash may exceed what is owed)
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // Change given back from this tender (cash only)
+    change: {
+      type: Number,
+      default: 0,
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One document per checkout. `_id` is the `transactionId` shared by its Sale lines
+ * (legacy single sales use the Sale `_id`).
+ */
+const transactionSchema = new mongoose.Schema(
+  {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    cashierType: {
+      type: String,
+      enum: ["staff", "user"],
+      default: "staff",
+    },
+    cashierUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cashierNameSnapshot: {
+      type: String,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null,
+    },
+    customerNameSnapshot: {
+      type: String,
+    },
+    itemsCount: {
+      type: Number,
+      required: true,
+    },
+    totalQuantity: {
+      type: Number,
+      required: true,
+    },
+    // Before discounts
+    subtotal: {
+      type: Number,
+    },
+    discountTotal: {
+      type: Number,
+      default: 0,
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    // Tax breakdown by class
+    taxes: {
+      type: [
+        {
+          _id: false,
+          code: { type: String },
+          name: { type: String },
+          rate: { type: Number },
+          taxable: { type: Number },
+          tax: { type: Number },
+        },
+      ],
+      default: [],
+    },
+    // Grand total charged
+    total: {
+      type: Number,
+      required: true,
+    },
+    payments: {
+      type: [paymentSchema],
+      default: [],
+    },
+    amountTendered: {
+      type: Number,
+      default: null,
+    },
+    changeDue: {
+      type: Number,
+      default: null,
+    },
+    refundedTotal: {
+      type: Number,
+      default: 0,
+    },
+    loyalty: {
+      pointsEarned: { type: Number, default: 0 },
+      pointsRedeemed: { type: Number, default: 0 },
+      // Discount the redeemed points bought
+      redeemedAmount: { type: Number, default: 0 },
+      // Earned points taken back by returns or a void
+      pointsClawedBack: { type: Number, default: 0 },
+      // Redeemed points given back by returns or a void
+      pointsRestored: { type: Number, default: 0 },
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    // Client-generated UUID of a sale recorded offline and uploaded through /api/sales/sync
+    clientId: {
+      type: String,
+      trim: true,
+    },
+    // When an offline sale reached the server (createdAt keeps the till's timestamp)
+    syncedAt: {
+      type: Date,
+      default: null,
+    },
+    // Offline sales accepted on short stock (negative stock policy) until a manager reviews them
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    stockShortages: {
+      type: [
+        {
+          _id: false,
+          product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+          productName: { type: String },
+          requested: { type: Number },
+          // On hand when the sale was applied
+          available: { type: Number },
+        },
+      ],
+      default: [],
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedByNameSnapshot: {
+      type: String,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+    },
+    // Latest line timestamp (only differs from createdAt for back-filled legacy groups)
+    lastSaleAt: {
+      type: Date,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedByType: {
+      type: String,
+      enum: ["staff", "user"],
+    },
+    voidedByStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    voidedByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    voidedByNameSnapshot: {
+      type: String,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+transactionSchema.index({ store: 1, createdAt: -1 });
+transactionSchema.index({ store: 1, staff: 1, createdAt: -1 });
+transactionSchema.index({ store: 1, customer: 1, createdAt: -1 });
+transactionSchema.index(
+  { store: 1, clientId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      clientId: { $type: "string" },
+    },
+  }
+);
+
+module.exports = mongoose.model("Transaction", transactionSchema);
+module.exports.PAYMENT_TYPES = PAYMENT_TYPES;
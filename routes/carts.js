@@ -0,0 +1,857 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const Cart = require("../models/Cart");
+const { CART_STATUSES } = require("../models/Cart");
+const Product = require("../models/Product");
+const Customer = require("../models/Customer");
+const Promotion = require("../models/Promotion");
+const StoreSettings = require("../models/StoreSettings");
+const { authMiddleware } = require("../middleware/auth");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { priceLines, applyTax } = require("../utils/pricing");
+const { attachCategoryPaths } = require("../utils/categories");
+const { chooseVariantError } = require("../utils/variants");
+const { checkoutValidators, getManualDiscountLimitPercent, runCheckout } = require("../utils/checkout");
+
+const normalizeValidationErrors = (errorsResult) =>
+  errorsResult.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
+
+const ALL_ROLES = ["admin", "manager", "staff"];
+
+const lineDiscountValidators = [
+  body("discountPercent")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("discountPercent must be between 0 and 100"),
+  body("discountAmount")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("discountAmount must be non-negative"),
+];
+
+const cartError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Load a store cart, optionally requiring one of `statuses`
+ */
+const loadCart = async (req, statuses = null) => {
+  if (!mongoose.isValidObjectId(req.params.id)) throw cartError("Cart not found", 404);
+
+  const cart = await Cart.findOne({ _id: req.params.id, store: req.storeId });
+  if (!cart) throw cartError("Cart not found", 404);
+
+  if (statuses && !statuses.includes(cart.status)) {
+    throw cartError(`Cart is ${cart.status}`, 409, { status: cart.status, expected: statuses });
+  }
+  return cart;
+};
+
+const sendCartError = (res, err) => {
+  if (err.errors) {
+    return res.status(400).json({ message: err.message, errors: err.errors });
+  }
+  const status = err.status || 500;
+  if ([400, 404, 409].includes(status)) {
+    return res.status(status).json({ message: err.message, details: err.details });
+  }
+  res.status(500).json({ message: err.message });
+};
+
+/**
+ * Cart with live availability from Product.quantity and a price estimate
+ * (promotions and tax as they stand now; nothing is reserved)
+ */
+const buildCartView = async (req, cart) => {
+  const productIds = cart.items.map((item) => item.product);
+  const [products, promotions, settings] = await Promise.all([
+    Product.find({ _id: { $in: productIds }, store: req.storeId }).select(
+      "name sku barcode price quantity category taxClass"
+    ),
+    Promotion.findActive(req.storeId),
+    StoreSettings.getForStore(req.storeId),
+  ]);
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const items = cart.items.map((item) => {
+    const product = byId.get(String(item.product));
+    const available = product ? Number(product.quantity) : 0;
+    return {
+      product: String(item.product),
+      name: product?.name ?? null,
+      sku: product?.sku ?? null,
+      barcode: product?.barcode ?? null,
+      unitPrice: product ? Number(product.price) : null,
+      quantity: item.quantity,
+      discountPercent: item.discountPercent ?? null,
+      discountAmount: item.discountAmount ?? null,
+      available,
+      inStock: Boolean(product) && available >= item.quantity,
+      removed: !product,
+    };
+  });
+
+  let estimate = null;
+  let estimateError = null;
+  try {
+    const lines = items
+      .filter((item) => !item.removed)
+      .map((item) => ({
+        productId: item.product,
+        category: byId.get(item.product).category,
+        taxClass: byId.get(item.product).taxClass,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        manualDiscount:
+          item.discountPercent != null
+            ? { percent: item.discountPercent }
+            : item.discountAmount != null
+              ? { amount: item.discountAmount }
+              : null,
+      }));
+    await attachCategoryPaths(req.storeId, lines);
+    const pricing = applyTax(
+      priceLines(lines, promotions, { manualDiscountLimitPercent: getManualDiscountLimitPercent(req.user.role) }),
+      settings.tax
+    );
+    estimate = {
+      subtotal: pricing.subtotal,
+      discountTotal: pricing.discountTotal,
+      taxTotal: pricing.taxTotal,
+      total: pricing.total,
+    };
+  } catch (err) {
+    // Typically a manual discount above the current cashier's limit
+    estimateError = { message: err.message, details: err.details };
+  }
+
+  return {
+    id: String(cart._id),
+    status: cart.status,
+    label: cart.label ?? null,
+    customer: cart.customer ? String(cart.customer) : null,
+    notes: cart.notes ?? null,
+    items,
+    canComplete: items.length > 0 && items.every((item) => item.inStock),
+    estimate,
+    estimateError,
+    parkedAt: cart.parkedAt,
+    resumedAt: cart.resumedAt,
+    completedAt: cart.completedAt,
+    transactionId: cart.transactionId ? String(cart.transactionId) : null,
+    createdByName: cart.createdByNameSnapshot ?? null,
+    createdAt: cart.createdAt,
+    updatedAt: cart.updatedAt,
+  };
+};
+
+const checkCustomer = async (req, customerId) => {
+  if (!customerId) return null;
+  const exists = await Customer.exists({ _id: customerId, store: req.storeId });
+  if (!exists) throw cartError("Customer not found", 404, { customer: String(customerId) });
+  return customerId;
+};
+
+const checkProduct = async (req, productId) => {
+  const product = await Product.findOne({ _id: productId, store: req.storeId }).select("name hasVariants");
+  if (!product) throw cartError("Product not found in this store", 404, { productId: String(productId) });
+  if (product.hasVariants) throw chooseVariantError(product);
+};
+
+const pickLineDiscount = (input) => {
+  if (input.discountPercent != null) return { discountPercent: Number(input.discountPercent), discountAmount: null };
+  if (input.discountAmount != null) return { discountPercent: null, discountAmount: Number(input.discountAmount) };
+  return {};
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Carts
+ *   description: Server-side baskets that can be parked and resumed. Stock is only deducted on completion.
+ */
+
+/**
+ * @swagger
+ * /api/carts:
+ *   post:
+ *     summary: Start a cart
+ *     tags: [Carts]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               customer:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CartItemInput'
+ *     responses:
+ *       201:
+ *         description: Cart created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.post(
+  "/",
+  authMiddleware,
+  roleMiddleware(ALL_ROLES),
+  [
+    body("label").optional().isString().withMessage("label must be a string"),
+    body("customer").optional({ values: "null" }).isMongoId().withMessage("customer must be a valid id"),
+    body("notes").optional().isString().withMessage("notes must be a string"),
+    body("items").optional().isArray().withMessage("items must be an array"),
+    body("items.*.product").isMongoId().withMessage("Each item product must be a valid id"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Each item quantity must be at least 1"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const customer = await checkCustomer(req, req.body.customer);
+
+      // Merge duplicate products, like checkout does
+      const merged = new Map();
+      for (const item of req.body.items || []) {
+        const key = String(item.product);
+        const entry = merged.get(key) || { product: item.product, quantity: 0 };
+        entry.quantity += Number(item.quantity);
+        Object.assign(entry, pickLineDiscount(item));
+        merged.set(key, entry);
+      }
+      for (const productId of merged.keys()) await checkProduct(req, productId);
+
+      const isStaff = req.userType === "staff";
+      const cart = await Cart.create({
+        label: req.body.label,
+        customer,
+        notes: req.body.notes,
+        items: [...merged.values()],
+        createdByType: isStaff ? "staff" : "user",
+        createdByStaff: isStaff ? req.user._id : null,
+        createdByUser: isStaff ? null : req.user._id,
+        createdByNameSnapshot: req.user?.name || null,
+        store: req.storeId,
+      });
+
+      res.status(201).json(await buildCartView(req, cart));
+    } catch (err) {
+      sendCartError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/carts:
+ *   get:
+ *     summary: List carts (parked by default)
+ *     tags: [Carts]
+ *     description: Parked carts are shared by the store, so any cashier can resume them.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, parked, completed, cancelled]
+ *           default: parked
+ *     responses:
+ *       200:
+ *         description: Cart summaries, most recently parked/updated first (at most 100)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CartSummary'
+ */
+router.get("/", authMiddleware, roleMiddleware(ALL_ROLES), async (req, res) => {
+  try {
+    const status = String(req.query.status ?? "parked");
+    if (!CART_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: `status must be one of: ${CART_STATUSES.join(", ")}`, path: "status" }],
+      });
+    }
+
+    const carts = await Cart.find({ store: req.storeId, status })
+      .sort({ parkedAt: -1, updatedAt: -1 })
+      .limit(100)
+      .populate("customer", "name phone");
+
+    res.json(
+      carts.map((cart) => ({
+        id: String(cart._id),
+        status: cart.status,
+        label: cart.label ?? null,
+        customer: cart.customer?._id ? String(cart.customer._id) : null,
+        customerName: cart.customer ? cart.customer.name || cart.customer.phone || null : null,
+        itemsCount: cart.items.length,
+        totalQuantity: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+        parkedAt: cart.parkedAt,
+        createdByName: cart.createdByNameSnapshot ?? null,
+        updatedAt: cart.updatedAt,
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/carts/{id}:
+ *   get:
+ *     summary: Get a cart with live stock availability
+ *     tags: [Carts]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Not found
+ */
+router.get("/:id", authMiddleware, roleMiddleware(ALL_ROLES), async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    res.json(await buildCartView(req, cart));
+  } catch (err) {
+    sendCartError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/carts/{id}:
+ *   put:
+ *     summary: Update an open cart's label, customer or notes
+ *     tags: [Carts]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               customer:
+ *                 type: string
+ *                 nullable: true
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cart
+ *       409:
+ *         description: Cart is not open
+ */
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(ALL_ROLES),
+  [
+    body("label").optional().isString().withMessage("label must be a string"),
+    body("customer").optional({ values: "null" }).isMongoId().withMessage("customer must be a valid id"),
+    body("notes").optional().isString().withMessage("notes must be a string"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const cart = await loadCart(req, ["open"]);
+      if (req.body.label !== undefined) cart.label = req.body.label;
+      if (req.body.notes !== undefined) cart.notes = req.body.notes;
+      if (req.body.customer !== undefined) cart.customer = await checkCustomer(req, req.body.customer);
+      await cart.save();
+
+      res.json(await buildCartView(req, cart));
+    } catch (err) {
+      sendCartError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/carts/{id}/items:
+ *   post:
+ *     summary: Add a product to an open cart (adds to the quantity if already there)
+ *     tags: [Carts]
+ *     description: Stock is not reserved; availability is only checked on completion.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartItemInput'
+ *     responses:
+ *       200:
+ *         description: Cart
+ *       404:
+ *         description: Cart or product not found
+ *       409:
+ *         description: Cart is not open
+ */
+router.post(
+  "/:id/items",
+  authMiddleware,
+  roleMiddleware(ALL_ROLES),
+  [
+    body("product").isMongoId().withMessage("product must be a valid id"),
+    body("quantity").isInt({ min: 1 }).withMessage("quantity must be at least 1"),
+    ...lineDiscountValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const cart = await loadCart(req, ["open"]);
+      await checkProduct(req, req.body.product);
+
+      const productId = new mongoose.Types.ObjectId(String(req.body.product));
+      const qty = Number(req.body.quantity);
+      const discount = pickLineDiscount(req.body);
+
+      // Bump an existing line, else append one (both only while the cart is still open)
+      const bump = { $inc: { "items.$.quantity": qty } };
+      if (Object.keys(discount).length) {
+        bump.$set = Object.fromEntries(Object.entries(discount).map(([key, value]) => [`items.$.${key}`, value]));
+      }
+      let updated = await Cart.findOneAndUpdate(
+        { _id: cart._id, status: "open", "items.product": productId },
+        bump,
+        { new: true }
+      );
+      if (!updated) {
+        updated = await Cart.findOneAndUpdate(
+          { _id: cart._id, status: "open", "items.product": { $ne: productId } },
+          { $push: { items: { product: productId, quantity: qty, ...discount } } },
+          { new: true }
+        );
+      }
+      if (!updated) throw cartError("Cart changed, try again", 409);
+
+      res.json(await buildCartView(req, updated));
+    } catch (err) {
+      sendCartError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/carts/{id}/items/{productId}:
+ *   put:
+ *     summary: Set a cart line's quantity and/or manual discount
+ *     tags: [Carts]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               discountPercent:
+ *                 type: number
+ *                 nullable: true
+ *               discountAmount:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Cart
+ *       404:
+ *         description: Cart or line not found
+ *       409:
+ *         description: Cart is not open
+ */
+router.put(
+  "/:id/items/:productId",
+  authMiddleware,
+  roleMiddleware(ALL_ROLES),
+  [body("quantity").optional().isInt({ min: 1 }).withMessage("quantity must be at least 1"), ...lineDiscountValidators],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const cart = await loadCart(req, ["open"]);
+      const line = cart.items.find((item) => String(item.product) === String(req.params.productId));
+      if (!line) throw cartError("Line not found in this cart", 404, { productId: req.params.productId });
+
+      if (req.body.quantity !== undefined) line.quantity = Number(req.body.quantity);
+      // Either discount may be cleared with null; setting one replaces the other
+      if (req.body.discountPercent !== undefined || req.body.discountAmount !== undefined) {
+        line.discountPercent = req.body.discountPercent ?? null;
+        line.discountAmount = req.body.discountPercent != null ? null : (req.body.discountAmount ?? null);
+      }
+      await cart.save();
+
+      res.json(await buildCartView(req, cart));
+    } catch (err) {
+      sendCartError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/carts/{id}/items/{productId}:
+ *   delete:
+ *     summary: Remove a line from an open cart
+ *     tags: [Carts]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart
+ *       409:
+ *         description: Cart is not open
+ */
+router.delete("/:id/items/:productId", authMiddleware, roleMiddleware(ALL_ROLES), async (req, res) => {
+  try {
+    const cart = await loadCart(req, ["open"]);
+    const before = cart.items.length;
+    cart.items = cart.items.filter((item) => String(item.product) !== String(req.params.productId));
+    if (cart.items.length === before) {
+      throw cartError("Line not found in this cart", 404, { productId: req.params.productId });
+    }
+    await cart.save();
+
+    res.json(await buildCartView(req, cart));
+  } catch (err) {
+    sendCartError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/carts/{id}/park:
+ *   post:
+ *     summary: Park an open cart so the till can serve someone else
+ *     tags: [Carts]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 description: Optional label to find the cart again
+ *     responses:
+ *       200:
+ *         description: Cart parked
+ *       409:
+ *         description: Cart is not open
+ */
+router.post(
+  "/:id/park",
+  authMiddleware,
+  roleMiddleware(ALL_ROLES),
+  [body("label").optional().isString().withMessage("label must be a string")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      await loadCart(req, ["open"]);
+
+      const update = { status: "parked", parkedAt: new Date() };
+      if (req.body.label !== undefined) update.label = req.body.label;
+
+      const cart = await Cart.findOneAndUpdate(
+        { _id: req.params.id, store: req.storeId, status: "open" },
+        { $set: update },
+        { new: true }
+      );
+      if (!cart) throw cartError("Cart changed, try again", 409);
+
+      res.json(await buildCartView(req, cart));
+    } catch (err) {
+      sendCartError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/carts/{id}/resume:
+ *   post:
+ *     summary: Resume a parked cart
+ *     tags: [Carts]
+ *     description: Returns the cart with current prices and live availability from product stock.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart reopened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       409:
+ *         description: Cart is not parked (e.g. another till resumed it)
+ */
+router.post("/:id/resume", authMiddleware, roleMiddleware(ALL_ROLES), async (req, res) => {
+  try {
+    await loadCart(req, ["parked"]);
+
+    // Only one till can pick up a parked cart
+    const cart = await Cart.findOneAndUpdate(
+      { _id: req.params.id, store: req.storeId, status: "parked" },
+      { $set: { status: "open", resumedAt: new Date() } },
+      { new: true }
+    );
+    if (!cart) throw cartError("Cart was resumed elsewhere", 409);
+
+    res.json(await buildCartView(req, cart));
+  } catch (err) {
+    sendCartError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/carts/{id}/complete:
+ *   post:
+ *     summary: Check out a cart
+ *     tags: [Carts]
+ *     description: |
+ *       Runs the cart's items through `/api/sales/checkout` (same body minus `items`, same response plus `cartId`).
+ *       Stock is deducted here; the cart's customer is used unless the body identifies one.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               payments:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ReceiptPayment'
+ *               notes:
+ *                 type: string
+ *               memberCode:
+ *                 type: string
+ *               redeemPoints:
+ *                 type: integer
+ *               client:
+ *                 type: object
+ *                 properties:
+ *                   expectedTotal:
+ *                     type: number
+ *     responses:
+ *       201:
+ *         description: Transaction created and cart completed
+ *       400:
+ *         description: Validation error, insufficient stock, or payments do not cover the total
+ *       409:
+ *         description: Cart is empty, already completed or cancelled
+ */
+router.post(
+  "/:id/complete",
+  authMiddleware,
+  roleMiddleware(ALL_ROLES),
+  checkoutValidators({ withItems: false }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const cart = await loadCart(req, ["open", "parked"]);
+      if (cart.items.length === 0) throw cartError("Cart is empty", 409);
+
+      const identifiesCustomer = ["customer", "memberCode", "customerPhone"].some((key) => req.body[key]);
+      const input = {
+        ...req.body,
+        items: cart.items.map((item) => ({
+          product: item.product,
+          quantity: item.quantity,
+          discountPercent: item.discountPercent ?? undefined,
+          discountAmount: item.discountAmount ?? undefined,
+        })),
+        customer: identifiesCustomer ? req.body.customer : cart.customer ?? undefined,
+        notes: req.body.notes ?? cart.notes,
+      };
+
+      const result = await runCheckout(req, input, {
+        // Close the cart in the checkout's transaction so it can only be completed once
+        onCommit: async (session, { transactionId }) => {
+          const closed = await Cart.updateOne(
+            { _id: cart._id, status: { $in: ["open", "parked"] } },
+            { $set: { status: "completed", completedAt: new Date(), transactionId } },
+            { session }
+          );
+          if (closed.modifiedCount === 0) throw cartError("Cart was already completed", 409);
+        },
+      });
+
+      res.status(201).json({ cartId: String(cart._id), ...result });
+    } catch (err) {
+      sendCartError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/carts/{id}:
+ *   delete:
+ *     summary: Discard an open or parked cart
+ *     tags: [Carts]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart cancelled
+ *       409:
+ *         description: Cart already completed or cancelled
+ */
+router.delete("/:id", authMiddleware, roleMiddleware(ALL_ROLES), async (req, res) => {
+  try {
+    await loadCart(req, ["open", "parked"]);
+
+    const cart = await Cart.findOneAndUpdate(
+      { _id: req.params.id, store: req.storeId, status: { $in: ["open", "parked"] } },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
+    if (!cart) throw cartError("Cart changed, try again", 409);
+
+    res.json({ message: "Cart cancelled" });
+  } catch (err) {
+    sendCartError(res, err);
+  }
+});
+
+module.exports = router;
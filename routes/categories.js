@@ -0,0 +1,332 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Promotion = require("../models/Promotion");
+const { authMiddleware } = require("../middleware/auth");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { resolveCategoryParent, rebaseSubcategories, sortCategoryTree } = require("../utils/categories");
+
+const normalizeValidationErrors = (errorsResult) =>
+  errorsResult.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
+
+const EDITABLE_FIELDS = ["name", "description", "sortOrder"];
+
+const pickEditable = (input) =>
+  Object.fromEntries(Object.entries(input || {}).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+// Rules shared by create/update; `optional` relaxes required fields for partial updates
+const categoryValidators = ({ optional = false } = {}) => {
+  const maybe = (chain) => (optional ? chain.optional() : chain);
+  return [
+    maybe(body("name")).isString().trim().notEmpty().withMessage("name is required"),
+    body("description").optional().isString().withMessage("description must be a string"),
+    body("parent").optional({ values: "null" }).isMongoId().withMessage("parent must be a valid id"),
+    body("sortOrder").optional().isInt().withMessage("sortOrder must be an integer"),
+  ];
+};
+
+const sendCategoryError = (res, err) => {
+  if (err.errors) {
+    return res.status(400).json({ message: err.message, errors: err.errors });
+  }
+  // Sibling names are unique (case-insensitive)
+  if (err.code === 11000) {
+    return res.status(409).json({ message: "A category with this name already exists here" });
+  }
+  const status = err.status || 500;
+  if ([400, 404, 409].includes(status)) {
+    return res.status(status).json({ message: err.message, details: err.details });
+  }
+  res.status(500).json({ message: err.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Product categories (nested)
+ */
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Add a category
+ *     tags: [Categories]
+ *     description: Omit `parent` for a top-level category. Names are unique among siblings (409).
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Name already used under this parent
+ */
+router.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), categoryValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+  }
+
+  try {
+    const placement = await resolveCategoryParent(req.storeId, req.body.parent);
+    const category = await Category.create({ ...pickEditable(req.body), ...placement, store: req.storeId });
+    res.status(201).json(category);
+  } catch (err) {
+    sendCategoryError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: List categories
+ *     tags: [Categories]
+ *     description: |
+ *       All categories in tree order (parents first; siblings by `sortOrder`, then name) with their
+ *       `depth`, `path` (e.g. "Food / Dairy") and the number of products directly in each.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryListItem'
+ */
+router.get("/", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({ store: req.storeId }),
+      Product.aggregate([
+        { $match: { store: req.storeId, category: { $ne: null } } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const productCounts = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    res.json(
+      sortCategoryTree(categories).map(({ category, depth, path }) => ({
+        ...category.toObject(),
+        depth,
+        path,
+        productCount: productCounts.get(String(category._id)) || 0,
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   get:
+ *     summary: Get a category with its path and direct subcategories
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category
+ *       404:
+ *         description: Not found
+ */
+router.get("/:id", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const category = await Category.findOne({ _id: req.params.id, store: req.storeId });
+    if (!category) return res.status(404).json({ message: "Category not found" });
+
+    const [ancestors, children] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors }, store: req.storeId }).select("name"),
+      Category.find({ store: req.storeId, parent: category._id }).sort({ sortOrder: 1, name: 1 }),
+    ]);
+    const names = new Map(ancestors.map((a) => [String(a._id), a.name]));
+
+    res.json({
+      ...category.toObject(),
+      path: [...category.ancestors.map((id) => names.get(String(id))), category.name].join(" / "),
+      children,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update or move a category
+ *     tags: [Categories]
+ *     description: |
+ *       Setting `parent` moves the category with all of its subcategories (null makes it top-level).
+ *       A category cannot be moved under itself or one of its subcategories.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       200:
+ *         description: Updated category
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Name already used under this parent
+ */
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  categoryValidators({ optional: true }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let category = null;
+
+      await session.withTransaction(async () => {
+        const existing = await Category.findOne({ _id: req.params.id, store: req.storeId }).session(session);
+        if (!existing) return;
+
+        const updates = pickEditable(req.body);
+        const moving =
+          req.body.parent !== undefined && String(req.body.parent ?? "") !== String(existing.parent ?? "");
+        if (moving) {
+          Object.assign(updates, await resolveCategoryParent(req.storeId, req.body.parent, existing._id));
+        }
+
+        category = await Category.findOneAndUpdate(
+          { _id: existing._id, store: req.storeId },
+          { $set: updates },
+          { new: true, runValidators: true, session }
+        );
+        if (moving) {
+          await rebaseSubcategories(req.storeId, category._id, category.ancestors, session);
+        }
+      });
+
+      if (!category) return res.status(404).json({ message: "Category not found" });
+      res.json(category);
+    } catch (err) {
+      sendCategoryError(res, err);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     tags: [Categories]
+ *     description: |
+ *       Categories with subcategories or used by a promotion cannot be deleted (409); move or delete the
+ *       subcategories and take the category out of the promotions first. Products in it become uncategorized.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Category has subcategories or is used by a promotion
+ */
+router.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const category = await Category.findOne({ _id: req.params.id, store: req.storeId });
+    if (!category) return res.status(404).json({ message: "Category not found" });
+
+    const subcategories = await Category.countDocuments({ store: req.storeId, parent: category._id });
+    if (subcategories > 0) {
+      return res.status(409).json({
+        message: "Category has subcategories; move or delete them first",
+        details: { subcategories },
+      });
+    }
+
+    // Dropping it from a promotion's scope could leave the promotion store-wide
+    const promotions = await Promotion.countDocuments({ store: req.storeId, categories: category._id });
+    if (promotions > 0) {
+      return res.status(409).json({
+        message: "Category is used by promotions; remove it from them first",
+        details: { promotions },
+      });
+    }
+
+    await category.deleteOne();
+    await Product.updateMany({ store: req.storeId, category: category._id }, { $set: { category: null } });
+    res.json({ message: "Category deleted" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const { dispatchLowStockAlerts, sendDueDigests } = require("../utils/stockAlerts");
+
+// Scheduled jobs authenticate with `Authorization: Bearer <CRON_SECRET>` (what Vercel Cron sends)
+const cronAuth = (req, res, next) => {
+  const secret = (process.env.CRON_SECRET || "").trim();
+  if (!secret) {
+    return res.status(503).json({ message: "Cron is not configured (missing CRON_SECRET)" });
+  }
+
+  const header = String(req.get("authorization") || "");
+  const provided = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  const a = Buffer.from(provided);
+  const b = Buffer.from(secret);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cron
+ *   description: Scheduled jobs (called by a scheduler, not by users)
+ */
+
+/**
+ * @swagger
+ * /api/cron/stock-alerts:
+ *   get:
+ *     summary: Send pending low-stock alerts and due stock digests
+ *     tags: [Cron]
+ *     description: |
+ *       For a scheduler such as Vercel Cron (see `vercel.json`, daily at 07:00 UTC); run it hourly so digests go
+ *       out at each store's `digestHourUtc`. Authenticate with `Authorization: Bearer <CRON_SECRET>`. Sends
+ *       every store's pending low-stock alerts (normally sent right after the sale; this catches any that did
+ *       not go out) and every daily/weekly digest that is due.
+ *       Safe to call repeatedly: alerts and digest slots are claimed before sending. `POST` works the same.
+ *     responses:
+ *       200:
+ *         description: What was sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 alerts:
+ *                   type: object
+ *                   properties:
+ *                     emailConfigured:
+ *                       type: boolean
+ *                     events:
+ *                       type: integer
+ *                     emails:
+ *                       type: integer
+ *                     sent:
+ *                       type: integer
+ *                     suppressed:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     retrying:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                 digests:
+ *                   type: object
+ *                   properties:
+ *                     emailConfigured:
+ *                       type: boolean
+ *                     due:
+ *                       type: integer
+ *                     emails:
+ *                       type: integer
+ *                     empty:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *       401:
+ *         description: Missing or wrong cron secret
+ *       503:
+ *         description: CRON_SECRET is not set
+ */
+const runStockAlerts = async (req, res) => {
+  try {
+    const now = new Date();
+    const alerts = await dispatchLowStockAlerts({ now });
+    const digests = await sendDueDigests({ now });
+    res.json({ alerts, digests });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+router.get("/stock-alerts", cronAuth, runStockAlerts);
+router.post("/stock-alerts", cronAuth, runStockAlerts);
+
+module.exports = router;
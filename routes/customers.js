@@ -0,0 +1,610 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const { normalizePhone } = require("../models/Customer");
+const { authMiddleware } = require("../middleware/auth");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const LoyaltyEntry = require("../models/LoyaltyEntry");
+const { LOYALTY_ENTRY_TYPES } = require("../models/LoyaltyEntry");
+const StoreSettings = require("../models/StoreSettings");
+const { listTransactionSummaries } = require("../utils/transactions");
+const { postEntry, expirePoints } = require("../utils/loyalty");
+const { roundMoney } = require("../utils/pricing");
+
+const EDITABLE_FIELDS = ["name", "phone", "email", "notes"];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Validate customer input; `partial` skips the "name or phone" requirement for updates
+ */
+const validateCustomerInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const { name, phone, email, notes } = input;
+
+  if (!partial && !name && !phone) {
+    errors.push({ msg: "name or phone is required", path: "name" });
+  }
+  if (name != null && typeof name !== "string") errors.push({ msg: "name must be a string", path: "name" });
+  if (phone != null && phone !== "" && !normalizePhone(phone)) {
+    errors.push({ msg: "phone must contain digits", path: "phone" });
+  }
+  if (email && !String(email).includes("@")) errors.push({ msg: "email must be valid", path: "email" });
+  if (notes != null && typeof notes !== "string") errors.push({ msg: "notes must be a string", path: "notes" });
+
+  return errors;
+};
+
+const pickEditable = (input) =>
+  Object.fromEntries(Object.entries(input || {}).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const phoneTakenError = () => ({
+  message: "Validation error",
+  errors: [{ msg: "Customer with this phone already exists", path: "phone" }],
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Customers
+ *   description: Store customers and their purchase history
+ */
+
+/**
+ * @swagger
+ * /api/customers:
+ *   post:
+ *     summary: Add a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerInput'
+ *     responses:
+ *       201:
+ *         description: Customer added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Validation error (including a phone number already in use)
+ */
+router.post("/", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    const input = pickEditable(req.body);
+    const errors = validateCustomerInput(input);
+    if (errors.length) {
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+
+    const phone = normalizePhone(input.phone);
+    if (phone) {
+      const existing = await Customer.findOne({ phone, store: req.storeId });
+      if (existing) return res.status(400).json(phoneTakenError());
+    }
+
+    const customer = await Customer.create({ ...input, phone, store: req.storeId });
+    res.status(201).json(customer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers:
+ *   get:
+ *     summary: Get customers for the logged-in store
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Optional search on name, phone or email
+ *     responses:
+ *       200:
+ *         description: List of customers (at most 200)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Customer'
+ */
+router.get("/", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    const query = { store: req.storeId };
+    const q = String(req.query.q ?? "").trim();
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      const or = [{ name: pattern }, { email: pattern }];
+      const phone = normalizePhone(q);
+      if (phone) or.push({ phone: new RegExp(escapeRegex(phone)) });
+      query.$or = or;
+    }
+
+    const customers = await Customer.find(query).sort({ name: 1, createdAt: -1 }).limit(200);
+    res.json(customers);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   get:
+ *     summary: Get a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     responses:
+ *       200:
+ *         description: Customer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Customer'
+ *       404:
+ *         description: Not found
+ */
+router.get("/:id", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const customer = await Customer.findOne({ _id: req.params.id, store: req.storeId });
+    if (!customer) return res.status(404).json({ message: "Customer not found" });
+    res.json(customer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/transactions:
+ *   get:
+ *     summary: List a customer's transactions
+ *     tags: [Customers]
+ *     description: Same shape and filters as `/api/sales/transactions` (staff only see transactions they rang up).
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Transaction list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionListResponse'
+ *       404:
+ *         description: Customer not found
+ */
+router.get("/:id/transactions", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const customer = await Customer.findOne({ _id: req.params.id, store: req.storeId }).select("_id");
+    if (!customer) return res.status(404).json({ message: "Customer not found" });
+
+    res.json(await listTransactionSummaries(req, { customer: customer._id }));
+  } catch (err) {
+    if (err.errors) {
+      return res.status(400).json({ message: err.message, errors: err.errors });
+    }
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/loyalty:
+ *   get:
+ *     summary: Get a customer's loyalty balance
+ *     tags: [Customers]
+ *     description: Expired points are settled before the balance is returned.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     responses:
+ *       200:
+ *         description: Loyalty balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoyaltyBalance'
+ *       404:
+ *         description: Not found
+ */
+router.get("/:id/loyalty", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let customer = null;
+
+    await session.withTransaction(async () => {
+      customer = await Customer.findOne({ _id: req.params.id, store: req.storeId }).session(session);
+      if (!customer) return;
+
+      const expired = await expirePoints(customer._id, req.storeId, session);
+      if (expired > 0) {
+        customer = await Customer.findById(customer._id).session(session);
+      }
+    });
+
+    if (!customer) return res.status(404).json({ message: "Customer not found" });
+
+    const [settings, nextExpiring] = await Promise.all([
+      StoreSettings.getForStore(req.storeId),
+      LoyaltyEntry.findOne({ customer: customer._id, remaining: { $gt: 0 }, expiresAt: { $ne: null } })
+        .sort({ expiresAt: 1 })
+        .select("remaining expiresAt"),
+    ]);
+
+    res.json({
+      customer: String(customer._id),
+      memberCode: customer.memberCode ?? null,
+      pointsBalance: customer.pointsBalance || 0,
+      pointsValue: roundMoney(Math.max(customer.pointsBalance || 0, 0) * Number(settings.loyalty?.redeemValue || 0)),
+      nextExpiry: nextExpiring ? { points: nextExpiring.remaining, expiresAt: nextExpiring.expiresAt } : null,
+      enabled: Boolean(settings.loyalty?.enabled),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/loyalty/history:
+ *   get:
+ *     summary: List a customer's loyalty ledger entries (newest first)
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [earn, redeem, expire, adjust, redeem_reversal]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Ledger entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoyaltyEntry'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     page:
+ *                       type: number
+ *       404:
+ *         description: Customer not found
+ */
+router.get("/:id/loyalty/history", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const { type, page, limit } = req.query;
+    if (type && !LOYALTY_ENTRY_TYPES.includes(String(type))) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: `type must be one of: ${LOYALTY_ENTRY_TYPES.join(", ")}`, path: "type" }],
+      });
+    }
+
+    const customer = await Customer.findOne({ _id: req.params.id, store: req.storeId }).select("_id");
+    if (!customer) return res.status(404).json({ message: "Customer not found" });
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit ?? "50", 10) || 50, 1), 200);
+    const parsedPage = Math.max(parseInt(page ?? "1", 10) || 1, 1);
+
+    const query = { store: req.storeId, customer: customer._id };
+    if (type) query.type = String(type);
+
+    const [total, entries] = await Promise.all([
+      LoyaltyEntry.countDocuments(query),
+      LoyaltyEntry.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((parsedPage - 1) * parsedLimit)
+        .limit(parsedLimit),
+    ]);
+
+    res.json({
+      data: entries,
+      meta: {
+        total,
+        limit: parsedLimit,
+        page: parsedPage,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/loyalty/adjust:
+ *   post:
+ *     summary: Manually add or remove loyalty points
+ *     tags: [Customers]
+ *     description: Negative adjustments cannot take the balance below zero. Added points do not expire.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [points, reason]
+ *             properties:
+ *               points:
+ *                 type: integer
+ *                 example: -50
+ *               reason:
+ *                 type: string
+ *                 example: Goodwill gesture
+ *     responses:
+ *       201:
+ *         description: Ledger entry created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoyaltyEntry'
+ *       400:
+ *         description: Validation error or insufficient points
+ *       404:
+ *         description: Customer not found
+ */
+router.post("/:id/loyalty/adjust", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  const points = Number(req.body?.points);
+  const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+  const errors = [];
+  if (!Number.isInteger(points) || points === 0) errors.push({ msg: "points must be a non-zero integer", path: "points" });
+  if (!reason) errors.push({ msg: "reason is required", path: "reason" });
+  if (errors.length) {
+    return res.status(400).json({ message: "Validation error", errors });
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let created = null;
+
+    await session.withTransaction(async () => {
+      await expirePoints(req.params.id, req.storeId, session);
+      ({ entry: created } = await postEntry({
+        customerId: req.params.id,
+        storeId: req.storeId,
+        type: "adjust",
+        points,
+        session,
+        req,
+        reason,
+        requireBalance: true,
+      }));
+    });
+
+    res.status(201).json(created);
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 400 || status === 404) {
+      return res.status(status).json({ message: err.message, details: err.details });
+    }
+    res.status(500).json({ message: err.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   put:
+ *     summary: Update a customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerInput'
+ *     responses:
+ *       200:
+ *         description: Customer updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ */
+router.put("/:id", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const input = pickEditable(req.body);
+    const errors = validateCustomerInput(input, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+
+    const customer = await Customer.findOne({ _id: req.params.id, store: req.storeId });
+    if (!customer) return res.status(404).json({ message: "Customer not found" });
+
+    if ("phone" in input) {
+      input.phone = normalizePhone(input.phone);
+      if (input.phone) {
+        const existing = await Customer.findOne({ phone: input.phone, store: req.storeId, _id: { $ne: customer._id } });
+        if (existing) return res.status(400).json(phoneTakenError());
+      }
+    }
+
+    customer.set(input);
+    if (!customer.name && !customer.phone) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: "name or phone is required", path: "name" }],
+      });
+    }
+
+    await customer.save();
+    res.json(customer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   delete:
+ *     summary: Delete a customer
+ *     tags: [Customers]
+ *     description: Past transactions keep the customer's name snapshot.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     responses:
+ *       200:
+ *         description: Customer deleted
+ */
+router.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+
+    const customer = await Customer.findOneAndDelete({ _id: req.params.id, store: req.storeId });
+    if (!customer) return res.status(404).json({ message: "Customer not found" });
+    res.json({ message: "Customer deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
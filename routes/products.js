@@ -1,13 +1,206 @@
 const express = require("express");
 const router = express.Router();
-const { body, validationResult } = require("express-validator");
+const { body, param, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const multer = require("multer");
 const Product = require("../models/Product");
+const Supplier = require("../models/Supplier");
+const Category = require("../models/Category");
 const { authMiddleware } = require("../middleware/auth");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { ADJUSTMENT_REASONS } = require("../models/StockMovement");
+const { changeStock, buildMovementSummary, listStockMovements } = require("../utils/stock");
+const { isLowStockLevel, recordLowStockEvent, syncLowStockFlag } = require("../utils/lowStock");
+const { categorySubtreeIds } = require("../utils/categories");
+const {
+  normalizeOptions,
+  normalizeOptionValues,
+  chooseVariantError,
+  assertUniqueVariant,
+  optionUpdates,
+  buildVariantFields,
+  variantUpdates,
+  syncVariantsFromParent,
+} = require("../utils/variants");
+const { parseExportColumns, streamProductExport } = require("../utils/productExport");
+const { buildProductListQuery, parseProductSort, parseProductFields, listProducts } = require("../utils/productList");
+const { searchProducts, invalidateSearchIndex } = require("../utils/productSearch");
+const { readProductCsv, resolveImportReferences, matchImportRows } = require("../utils/productImport");
+const { barcodeFor, assignInternalBarcodes } = require("../utils/barcodes");
+const { MAX_LABELS, LABEL_LAYOUTS, renderLabelSheet } = require("../utils/labels");
 
 const normalizeValidationErrors = (errorsResult) =>
   errorsResult.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
 
+// Category and reorder fields shared by create/update; returns validation errors (empty when fine)
+const checkProductReferences = async (req, input) => {
+  const errors = [];
+  if (input.leadTimeDays != null) {
+    const days = Number(input.leadTimeDays);
+    if (!Number.isInteger(days) || days < 0) {
+      errors.push({ msg: "leadTimeDays must be a non-negative integer", path: "leadTimeDays" });
+    }
+  }
+  if (input.preferredSupplier != null) {
+    const exists =
+      mongoose.isValidObjectId(input.preferredSupplier) &&
+      (await Supplier.exists({ _id: input.preferredSupplier, store: req.storeId }));
+    if (!exists) errors.push({ msg: "preferredSupplier must be a supplier of this store", path: "preferredSupplier" });
+  }
+  if (input.category != null) {
+    const exists =
+      mongoose.isValidObjectId(input.category) && (await Category.exists({ _id: input.category, store: req.storeId }));
+    if (!exists) errors.push({ msg: "category must be a category of this store", path: "category" });
+  }
+  return errors;
+};
+
+/**
+ * Product filter for `?category=`: the category and its subcategories, or `none` for uncategorized products.
+ * Returns { filter } or { errors }.
+ */
+const categoryFilter = async (req) => {
+  const category = String(req.query.category ?? "").trim();
+  if (!category) return { filter: {} };
+  if (category === "none") return { filter: { category: null } };
+
+  const ids = await categorySubtreeIds(req.storeId, category);
+  if (!ids) return { errors: [{ msg: "category must be a category of this store", path: "category" }] };
+  return { filter: { category: { $in: ids } } };
+};
+
+// Fields a client may set on create/update; stock, flags and variant links have their own routes
+const EDITABLE_FIELDS = [
+  "name",
+  "sku",
+  "barcode",
+  "price",
+  "costPrice",
+  "lowStockThreshold",
+  "description",
+  "category",
+  "taxClass",
+  "preferredSupplier",
+  "leadTimeDays",
+  "options",
+  "optionValues",
+];
+
+const pickEditable = (input) =>
+  Object.fromEntries(Object.entries(input || {}).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+// Keys MongoDB would read as update operators or nested paths
+const operatorKeyErrors = (input) =>
+  Object.keys(input || {})
+    .filter((key) => key.startsWith("$") || key.includes("."))
+    .map((key) => ({ msg: `${key} is not a product field`, path: key }));
+
+// Rules of the create route; `optional` relaxes required fields for rows updating an existing product (CSV import)
+const productValidators = ({ optional = false } = {}) => {
+  const maybe = (chain) => (optional ? chain.optional() : chain);
+  return [
+    maybe(body("name")).notEmpty().withMessage("Name is required"),
+    maybe(body("price")).isNumeric().withMessage("Price must be a number"),
+    maybe(body("costPrice")).isNumeric().withMessage("Cost price must be a number"),
+    maybe(body("quantity")).isInt({ min: 0 }).withMessage("Quantity must be non-negative"),
+    body("sku").optional().isString().withMessage("sku must be a string"),
+    body("barcode").optional().isString().withMessage("barcode must be a string"),
+    body("lowStockThreshold").optional().isInt({ min: 0 }).withMessage("lowStockThreshold must be non-negative"),
+    body("category").optional({ values: "null" }).isMongoId().withMessage("category must be a valid id"),
+    body("taxClass").optional({ values: "null" }).isString().withMessage("taxClass must be a string"),
+  ];
+};
+
+/**
+ * Filters of `/export`: optional `q` (substring of name, sku or barcode), `category`, and no variant
+ * parents, since their variants are what is sold. Returns { filter } or { errors }.
+ */
+const searchFilter = async (req) => {
+  const { filter, errors } = await categoryFilter(req);
+  if (errors) return { errors };
+
+  const q = String(req.query.q ?? "").trim();
+  if (q) {
+    const rx = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    filter.$or = [{ name: rx }, { sku: rx }, { barcode: rx }];
+  }
+  return { filter: { ...filter, hasVariants: { $ne: true } } };
+};
+
+// Validation errors (err.errors) and 400/404/409 errors keep their status; duplicate sku/barcode is 409
+const sendProductError = (res, err) => {
+  if (err.errors && err.status === 400) {
+    return res.status(400).json({ message: err.message, errors: err.errors });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ message: "sku or barcode already in use", details: err.keyValue });
+  }
+  const status = err.status || 500;
+  if ([400, 404, 409].includes(status)) {
+    return res.status(status).json({ message: err.message, details: err.details });
+  }
+  res.status(500).json({ message: err.message });
+};
+
+/**
+ * Create a product with its opening stock logged as an `adjustment` movement. A product that
+ * starts out low gets an "entered" low-stock event like any later crossing.
+ */
+const createProductWithStock = async (req, fields, quantity, session) => {
+  let [product] = await Product.create([{ ...fields, quantity: 0, isLowStock: false, store: req.storeId }], {
+    session,
+  });
+
+  if (quantity > 0) {
+    ({ product } = await changeStock({
+      productId: product._id,
+      storeId: req.storeId,
+      change: quantity,
+      type: "adjustment",
+      session,
+      req,
+      reason: "Opening stock",
+      source: { model: "Product", id: product._id },
+      lowStockEvents: false,
+    }));
+  }
+
+  if (isLowStockLevel(product.quantity, product.lowStockThreshold)) {
+    if (!product.isLowStock) {
+      product = await Product.findByIdAndUpdate(product._id, { $set: { isLowStock: true } }, { new: true, session });
+    }
+    await recordLowStockEvent({ product, storeId: req.storeId, low: true, trigger: "created", session, req });
+  }
+  return product;
+};
+
+/**
+ * Apply a product update (PUT or a CSV import row) to `existing`. Variants take their name and shared
+ * fields from the parent; parents hold no stock, and their changes are copied to their variants.
+ */
+const updateProduct = async (req, existing, input, session) => {
+  let updates = { ...input };
+  if (existing.parent) {
+    updates = await variantUpdates(existing, updates, session);
+  } else {
+    delete updates.optionValues;
+    if (updates.options !== undefined) {
+      Object.assign(updates, await optionUpdates(existing, updates.options, session));
+    } else if (existing.hasVariants) {
+      delete updates.lowStockThreshold;
+    }
+  }
+
+  let product = await Product.findOneAndUpdate({ _id: existing._id, store: req.storeId }, updates, {
+    new: true,
+    session,
+  });
+  if (product.hasVariants) await syncVariantsFromParent(product, session);
+
+  product = await syncLowStockFlag({ product, storeId: req.storeId, trigger: "threshold", session, req });
+  return product;
+};
+
 /**
  * @swagger
  * tags:
@@ -60,6 +253,31 @@ const normalizeValidationErrors = (errorsResult) =>
  *               description:
  *                 type: string
  *                 example: Fresh milk from local farm
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Category id (see /api/categories)
+ *               taxClass:
+ *                 type: string
+ *                 description: Tax class code from the store tax settings (default class when omitted)
+ *                 example: standard
+ *               preferredSupplier:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Supplier id used to group reorder suggestions
+ *               leadTimeDays:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Days from ordering to delivery (supplier's or store default when empty)
+ *               options:
+ *                 type: array
+ *                 description: Option axes; makes this a parent product whose variants are sold instead
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductOption'
+ *     description: |
+ *       The opening `quantity` is logged as an `adjustment` stock movement. With `options` the product
+ *       is a variant parent: `quantity` must be 0 and variants are added with `POST /api/products/{id}/variants`
+ *       (`optionValues` here is rejected with 400).
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -69,36 +287,300 @@ router.post(
   "/",
   authMiddleware,
   roleMiddleware(["admin", "manager"]),
-  [
-    body("name").notEmpty().withMessage("Name is required"),
-    body("price").isNumeric().withMessage("Price must be a number"),
-    body("costPrice").isNumeric().withMessage("Cost price must be a number"),
-    body("quantity").isInt({ min: 0 }).withMessage("Quantity must be non-negative"),
-    body("sku").optional().isString().withMessage("sku must be a string"),
-    body("barcode").optional().isString().withMessage("barcode must be a string"),
-    body("lowStockThreshold").optional().isInt({ min: 0 }).withMessage("lowStockThreshold must be non-negative"),
-  ],
+  productValidators(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
     }
 
+    // Variants are created under their parent, which checks their options
+    if (req.body.optionValues !== undefined) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: "optionValues belong to variants; use POST /api/products/:id/variants", path: "optionValues" }],
+      });
+    }
+
+    const referenceErrors = await checkProductReferences(req, req.body);
+    if (referenceErrors.length) {
+      return res.status(400).json({ message: "Validation error", errors: referenceErrors });
+    }
+
+    const session = await mongoose.startSession();
     try {
-      const product = await Product.create({ ...req.body, store: req.storeId });
+      // isLowStock is derived from quantity and lowStockThreshold; variant links are set by the variant routes
+      const { quantity } = req.body;
+      const { options, ...fields } = pickEditable(req.body);
+
+      // A product with options is a variant parent: no stock of its own, never low
+      if (options !== undefined) {
+        Object.assign(fields, { options: normalizeOptions(options), hasVariants: true, lowStockThreshold: null });
+        if (Number(quantity) !== 0) {
+          return res.status(400).json({
+            message: "Validation error",
+            errors: [{ msg: "Products with options hold no stock; add quantity to their variants", path: "quantity" }],
+          });
+        }
+      }
+
+      let product = null;
+      await session.withTransaction(async () => {
+        product = await createProductWithStock(req, fields, Number(quantity), session);
+      });
+
+      invalidateSearchIndex(req.storeId);
       res.status(201).json(product);
     } catch (err) {
-      res.status(500).json({ message: err.message });
+      sendProductError(res, err);
+    } finally {
+      session.endSession();
     }
   }
 );
 
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      /\.csv$/i.test(file?.originalname || "") || ["text/csv", "application/vnd.ms-excel"].includes(file?.mimetype);
+    if (!isCsv) return cb(new Error("Only CSV uploads are allowed"));
+    cb(null, true);
+  },
+});
+
+// Upload problems (type, size) are validation errors on `file`
+const uploadCsv = (req, res, next) =>
+  csvUpload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    res.status(400).json({ message: "Validation error", errors: [{ msg: err.message, path: "file" }] });
+  });
+
+const createRowValidators = productValidators();
+const updateRowValidators = productValidators({ optional: true });
+
+// Same rules as POST /api/products (PUT-style partial rows for products that already exist)
+const validateImportRow = async (req, row) => {
+  const context = { body: row.input };
+  const chains = row.existing ? updateRowValidators : createRowValidators;
+  await Promise.all(chains.map((chain) => chain.run(context)));
+
+  const result = validationResult(context);
+  if (!result.isEmpty()) row.errors.push(...normalizeValidationErrors(result));
+  row.errors.push(...(await checkProductReferences(req, row.input)));
+
+  if (row.existing?.hasVariants && row.input.quantity != null && Number(row.input.quantity) !== 0) {
+    row.errors.push({
+      msg: "Products with variants hold no stock; import quantities for their variants",
+      path: "quantity",
+    });
+  }
+};
+
+/**
+ * Save one import row. New products get their opening stock like POST; for existing ones the
+ * `quantity` column is a stock count and the difference is logged as a `correction` adjustment.
+ */
+const importRow = async (req, row, session) => {
+  const { quantity, ...fields } = row.input;
+  if (!row.existing) {
+    await createProductWithStock(req, fields, Number(quantity), session);
+    return "created";
+  }
+
+  const existing = await Product.findOne({ _id: row.existing._id, store: req.storeId }).session(session);
+  if (!existing) {
+    const err = new Error("Product was deleted during the import");
+    err.status = 409;
+    throw err;
+  }
+  await updateProduct(req, existing, fields, session);
+
+  const delta = quantity != null ? Number(quantity) - existing.quantity : 0;
+  if (delta !== 0) {
+    await changeStock({
+      productId: existing._id,
+      storeId: req.storeId,
+      change: delta,
+      type: "adjustment",
+      session,
+      req,
+      reason: "CSV import",
+      reasonCode: "correction",
+    });
+  }
+  return "updated";
+};
+
+// Row errors from a failed write; anything else is a server error
+const importRowErrors = (err) => {
+  if (err.errors && err.status === 400) return err.errors;
+  if (err.code === 11000) {
+    const path = Object.keys(err.keyValue || {}).find((key) => key !== "store");
+    return [{ msg: "sku or barcode already in use", path }];
+  }
+  if ([400, 404, 409].includes(err.status)) return [{ msg: err.message }];
+  throw err;
+};
+
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Import products from a CSV file
+ *     tags: [Products]
+ *     description: |
+ *       Admin/manager only. The header row maps columns to product fields (case and spacing ignored):
+ *       name, sku, barcode, price, costPrice (or cost), quantity (or qty/stock), lowStockThreshold,
+ *       description, category (id, path like "Food / Dairy" or a unique name), taxClass,
+ *       supplier (id or unique name) and leadTimeDays. Other columns are ignored and listed in the report.
+ *
+ *       Rows whose sku or barcode matches a product of the store update it (empty cells leave fields
+ *       unchanged; a `quantity` is a stock count logged as a `correction` adjustment); other rows create
+ *       products with the same validation as `POST /api/products`.
+ *
+ *       By default the import is all-or-nothing: any row error saves nothing (400 with the report).
+ *       `partial=true` saves the valid rows and reports the others; `dryRun=true` only validates.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and count creates/updates without saving
+ *       - in: query
+ *         name: partial
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Save valid rows even when other rows have errors
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               dryRun:
+ *                 type: boolean
+ *               partial:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Import report (dry run, complete, or partial with failed rows)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductImportReport'
+ *       400:
+ *         description: Invalid file, or row errors in an all-or-nothing import (nothing saved)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductImportReport'
+ */
+router.post("/import", authMiddleware, roleMiddleware(["admin", "manager"]), uploadCsv, async (req, res) => {
+  if (!req.file?.buffer) {
+    return res.status(400).json({ message: "Validation error", errors: [{ msg: "file is required", path: "file" }] });
+  }
+
+  const flag = (name) => String(req.query[name] ?? req.body?.[name] ?? "").toLowerCase() === "true";
+  const dryRun = flag("dryRun");
+  const partial = flag("partial");
+
+  try {
+    const { rows, ignoredColumns } = readProductCsv(req.file.buffer);
+    await resolveImportReferences(req.storeId, rows);
+    await matchImportRows(req.storeId, rows);
+    for (const row of rows) await validateImportRow(req, row);
+
+    const valid = rows.filter((row) => row.errors.length === 0);
+    if (dryRun) {
+      for (const row of valid) row.outcome = row.existing ? "updated" : "created";
+    } else if (partial) {
+      // Each row on its own, so one failure does not undo the others
+      for (const row of valid) {
+        const session = await mongoose.startSession();
+        try {
+          await session.withTransaction(async () => {
+            row.outcome = await importRow(req, row, session);
+          });
+        } catch (err) {
+          row.outcome = null;
+          row.errors.push(...importRowErrors(err));
+        } finally {
+          session.endSession();
+        }
+      }
+    } else if (valid.length === rows.length) {
+      const session = await mongoose.startSession();
+      let current = null;
+      try {
+        await session.withTransaction(async () => {
+          for (const row of rows) {
+            current = row;
+            row.outcome = await importRow(req, row, session);
+          }
+        });
+      } catch (err) {
+        if (!current) throw err;
+        for (const row of rows) row.outcome = null;
+        current.errors.push(...importRowErrors(err));
+      } finally {
+        session.endSession();
+      }
+    }
+
+    if (rows.some((row) => row.outcome) && !dryRun) invalidateSearchIndex(req.storeId);
+
+    const failed = rows.filter((row) => row.errors.length);
+    const count = (outcome) => rows.filter((row) => row.outcome === outcome).length;
+    const rejected = !dryRun && !partial && failed.length > 0;
+
+    let message = "Import complete";
+    if (dryRun) message = "Dry run; nothing was saved";
+    else if (rejected) message = "Import has errors; nothing was saved";
+    else if (failed.length) message = "Import finished with errors";
+
+    res.status(rejected ? 400 : 200).json({
+      message,
+      dryRun,
+      partial,
+      summary: { rows: rows.length, created: count("created"), updated: count("updated"), failed: failed.length },
+      errors: failed.map((row) => ({
+        row: row.number,
+        sku: row.input.sku,
+        barcode: row.input.barcode,
+        name: row.input.name,
+        errors: row.errors,
+      })),
+      ignoredColumns,
+    });
+  } catch (err) {
+    sendProductError(res, err);
+  }
+});
+
 /**
  * @swagger
  * /api/products/search:
  *   get:
- *     summary: Search products by name/SKU/barcode
+ *     summary: Ranked product search by name, SKU or barcode
  *     tags: [Products]
+ *     description: |
+ *       Best matches first: exact barcode/sku (score 100), exact name, name prefix, barcode/sku prefix,
+ *       every word found in the name (by word prefix), every word found allowing typos, then substrings.
+ *       Each result carries `score` (0-100), `matchedField` and `matchType`. Variants are returned,
+ *       never their parents. The ranking index is kept in memory per store and refreshed within a minute
+ *       of changes made elsewhere; prices and stock in the results are always current.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -108,16 +590,29 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
- *         description: Search query (matches name, sku, barcode)
+ *         description: Search text, sku or barcode
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 20
  *         description: Max results (1-100)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category id (includes its subcategories), or `none` for uncategorized products
  *     responses:
  *       200:
- *         description: Lightweight product list
+ *         description: Products, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProductSearchResult'
+ *       400:
+ *         description: Missing q or unknown category
  */
 router.get("/search", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
   try {
@@ -126,14 +621,17 @@ router.get("/search", authMiddleware, roleMiddleware(["admin", "manager", "staff
 
     if (!q) return res.status(400).json({ message: "q is required" });
 
-    const rx = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    // Variants are sold, not their parents (a variant's name includes the parent's)
+    const { filter, errors } = await categoryFilter(req);
+    if (errors) return res.status(400).json({ message: "Validation error", errors });
 
-    const products = await Product.find({
-      store: req.storeId,
-      $or: [{ name: rx }, { sku: rx }, { barcode: rx }],
-    })
-      .select("name price quantity sku barcode")
-      .limit(limit);
+    const products = await searchProducts({
+      storeId: req.storeId,
+      query: q,
+      filter: { ...filter, hasVariants: { $ne: true } },
+      select: "name price quantity sku barcode category parent optionValues",
+      limit,
+    });
 
     res.json(products);
   } catch (err) {
@@ -141,6 +639,312 @@ router.get("/search", authMiddleware, roleMiddleware(["admin", "manager", "staff
   }
 });
 
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Export products as CSV or XLSX
+ *     tags: [Products]
+ *     description: |
+ *       Admin/manager only. Streams the store's products (sorted by name) as a file download, filtered like
+ *       `/search` (optional `q` matching part of the name, sku or barcode, and `category`; variant parents
+ *       are left out, their variants are exported). Column names match the CSV import, so an export can
+ *       be edited and imported back.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *           example: name,sku,barcode,price,quantity
+ *         description: |
+ *           Comma-separated columns in output order. Default: name, sku, barcode, price, costPrice,
+ *           quantity, lowStockThreshold, category, taxClass, supplier, leadTimeDays, description.
+ *           Also available: id, isLowStock, options (a variant's option values), createdAt.
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches name, sku or barcode
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category id (includes its subcategories), or `none` for uncategorized products
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown format, column or category
+ */
+router.get("/export", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  const format = String(req.query.format ?? "csv").toLowerCase();
+  if (!["csv", "xlsx"].includes(format)) {
+    return res.status(400).json({
+      message: "Validation error",
+      errors: [{ msg: "format must be csv or xlsx", path: "format" }],
+    });
+  }
+
+  const { columns, errors: columnErrors } = parseExportColumns(req.query.columns);
+  if (columnErrors) return res.status(400).json({ message: "Validation error", errors: columnErrors });
+
+  try {
+    const { filter, errors } = await searchFilter(req);
+    if (errors) return res.status(400).json({ message: "Validation error", errors });
+
+    await streamProductExport({ res, storeId: req.storeId, filter, columns, format });
+  } catch (err) {
+    // Once the download has started there is no status left to send
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/labels:
+ *   post:
+ *     summary: Print barcode labels or shelf tags as a PDF
+ *     tags: [Products]
+ *     description: |
+ *       Renders an A4 sheet with `quantity` labels per product: name, variant options, price and a
+ *       barcode. A valid EAN-13 `barcode` prints as EAN-13; any other barcode, or the sku when there
+ *       is no barcode, prints as Code 128.
+ *
+ *       Layouts: `labels` (3 x 8, 70 x 37 mm, e.g. Avery 3474) and `shelf-tags` (2 x 5, 95 x 55 mm with
+ *       cut lines). `skip` leaves the first positions of the sheet empty to reuse a partly used sheet.
+ *
+ *       Products with neither barcode nor sku are refused unless `assignBarcodes` is true, which first
+ *       gives them internal EAN-13 codes (see `POST /api/products/barcodes/assign`). The number of codes
+ *       assigned is returned in the `X-Barcodes-Assigned` header.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 200
+ *                 items:
+ *                   type: object
+ *                   required: [productId]
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 500
+ *                       default: 1
+ *               layout:
+ *                 type: string
+ *                 enum: [labels, shelf-tags]
+ *                 default: labels
+ *               skip:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *                 description: Empty positions before the first label (less than one sheet)
+ *               showPrice:
+ *                 type: boolean
+ *                 default: true
+ *               assignBarcodes:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Give internal EAN-13 codes to listed products without a barcode first
+ *     responses:
+ *       200:
+ *         description: PDF label sheet
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error, variant parent, or product without barcode or sku
+ *       404:
+ *         description: Some products were not found in this store
+ */
+router.post(
+  "/labels",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("items").isArray({ min: 1, max: 200 }).withMessage("items must hold 1-200 entries"),
+    body("items.*.productId").isMongoId().withMessage("Each item needs a valid productId"),
+    body("items.*.quantity").optional().isInt({ min: 1, max: 500 }).withMessage("Each item quantity must be 1-500"),
+    body("layout")
+      .optional()
+      .isIn(Object.keys(LABEL_LAYOUTS))
+      .withMessage(`layout must be one of: ${Object.keys(LABEL_LAYOUTS).join(", ")}`),
+    body("skip").optional().isInt({ min: 0 }).withMessage("skip must be a non-negative integer"),
+    body("showPrice").optional().isBoolean().withMessage("showPrice must be a boolean").toBoolean(),
+    body("assignBarcodes").optional().isBoolean().withMessage("assignBarcodes must be a boolean").toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    const layout = req.body.layout || "labels";
+    const perSheet = LABEL_LAYOUTS[layout].columns * LABEL_LAYOUTS[layout].rows;
+    const skip = Number(req.body.skip ?? 0);
+    const items = req.body.items.map((item) => ({
+      productId: String(item.productId),
+      quantity: Number(item.quantity ?? 1),
+    }));
+    const total = items.reduce((sum, item) => sum + item.quantity, 0);
+    const limitErrors = [];
+    if (skip >= perSheet) limitErrors.push({ msg: `skip must be less than ${perSheet} for ${layout}`, path: "skip" });
+    if (total > MAX_LABELS) limitErrors.push({ msg: `At most ${MAX_LABELS} labels per request`, path: "items" });
+    if (limitErrors.length) return res.status(400).json({ message: "Validation error", errors: limitErrors });
+
+    try {
+      const ids = [...new Set(items.map((item) => item.productId))];
+      const fields = "name price sku barcode hasVariants optionValues";
+      let products = await Product.find({ store: req.storeId, _id: { $in: ids } }).select(fields);
+
+      const missing = ids.filter((id) => !products.some((p) => String(p._id) === id));
+      if (missing.length) {
+        return res.status(404).json({ message: "Product not found", details: { productIds: missing } });
+      }
+      // Parents carry no barcode of their own; their variants are what goes on the shelf
+      const parent = products.find((p) => p.hasVariants);
+      if (parent) throw chooseVariantError(parent);
+
+      let assigned = [];
+      if (req.body.assignBarcodes) {
+        const withoutBarcode = products.filter((p) => !p.barcode).map((p) => p._id);
+        if (withoutBarcode.length) {
+          assigned = await assignInternalBarcodes(req.storeId, withoutBarcode);
+          invalidateSearchIndex(req.storeId);
+          products = await Product.find({ store: req.storeId, _id: { $in: ids } }).select(fields);
+        }
+      }
+
+      const uncoded = products.filter((p) => !p.barcode && !p.sku);
+      if (uncoded.length) {
+        return res.status(400).json({
+          message: "Products without a barcode or sku cannot be labelled; set assignBarcodes to give them one",
+          details: { products: uncoded.map((p) => ({ productId: p._id, name: p.name })) },
+        });
+      }
+
+      const byId = new Map(products.map((p) => [String(p._id), p]));
+      const labels = [];
+      for (const item of items) {
+        const product = byId.get(item.productId);
+        let code = null;
+        try {
+          code = barcodeFor(product);
+        } catch (err) {
+          err.details = { productId: product._id, name: product.name };
+          throw err;
+        }
+        const label = {
+          name: product.name,
+          options: (product.optionValues || []).map((o) => o.value).join(" / "),
+          price: req.body.showPrice === false ? null : product.price,
+          code,
+        };
+        for (let i = 0; i < item.quantity; i++) labels.push(label);
+      }
+
+      const pdf = renderLabelSheet({ labels, layout, skip });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${layout}-${new Date().toISOString().slice(0, 10)}.pdf"`);
+      res.setHeader("X-Barcodes-Assigned", String(assigned.length));
+      res.send(pdf);
+    } catch (err) {
+      sendProductError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/products/barcodes/assign:
+ *   post:
+ *     summary: Assign internal EAN-13 barcodes to products without one
+ *     tags: [Products]
+ *     description: |
+ *       Gives each product without a barcode an internal EAN-13: prefix 200 (reserved by GS1 for
+ *       in-store use), a 9-digit sequence continuing after the store's highest internal code, and the
+ *       check digit. Codes stay unique per store; products that got a barcode meanwhile are left alone.
+ *       Variant parents are skipped. Without `productIds`, every product of the store without a barcode
+ *       is numbered.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Products that received a barcode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BarcodeAssignmentResult'
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+  "/barcodes/assign",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("productIds").optional().isArray({ min: 1 }).withMessage("productIds must be a non-empty array"),
+    body("productIds.*").isMongoId().withMessage("Each product id must be a valid id"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const products = await assignInternalBarcodes(req.storeId, req.body?.productIds || null);
+      if (products.length) invalidateSearchIndex(req.storeId);
+      res.json({ message: `${products.length} barcode(s) assigned`, assigned: products.length, products });
+    } catch (err) {
+      sendProductError(res, err);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/products/lookup:
@@ -161,6 +965,9 @@ router.get("/search", authMiddleware, roleMiddleware(["admin", "manager", "staff
  *         schema:
  *           type: string
  *         description: Barcode value
+ *     description: |
+ *       A variant's own sku/barcode resolves to that variant (with `parent` and `optionValues`).
+ *       A parent product's code returns it with its `variants` to choose from; parents cannot be sold.
  *     responses:
  *       200:
  *         description: Product
@@ -183,9 +990,18 @@ router.get("/lookup", authMiddleware, roleMiddleware(["admin", "manager", "staff
     if (sku) filter.sku = sku;
     if (barcode) filter.barcode = barcode;
 
-    const product = await Product.findOne(filter).select("name price quantity sku barcode");
+    const product = await Product.findOne(filter).select(
+      "name price quantity sku barcode parent optionValues hasVariants"
+    );
     if (!product) return res.status(404).json({ message: "Product not found" });
 
+    // A parent's code lists its variants to choose from
+    if (product.hasVariants) {
+      const variants = await Product.find({ store: req.storeId, parent: product._id })
+        .select("name price quantity sku barcode parent optionValues")
+        .sort({ name: 1 });
+      return res.json({ ...product.toObject(), variants });
+    }
     res.json(product);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -196,21 +1012,133 @@ router.get("/lookup", authMiddleware, roleMiddleware(["admin", "manager", "staff
  * @swagger
  * /api/products:
  *   get:
- *     summary: Get all products for the logged-in store
+ *     summary: List the store's products (paginated)
  *     tags: [Products]
+ *     description: |
+ *       With `page`, `limit` or `cursor` it returns `{ data, meta }` like `GET /api/sales`; pass
+ *       `meta.nextCursor` back as `cursor` to walk large catalogues without skipping (same `sort` required).
+ *
+ *       Without any of them it returns the old unpaginated array of every matching product, so existing
+ *       clients keep working. `legacy=false` asks for the paginated shape anyway, and `legacy=true` the
+ *       array; once every client paginates, set `PRODUCTS_LEGACY_LIST=false` to make the paginated shape
+ *       the default.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number (ignored with cursor)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Page size (1-200)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: meta.nextCursor of the previous page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: name
+ *           example: -createdAt
+ *         description: name, price, quantity or createdAt; prefix with - for descending
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *           example: name,sku,price,quantity
+ *         description: Comma-separated fields to return (`_id` and the sort field are always included)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category id (includes its subcategories), or `none` for uncategorized products
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: outOfStock
+ *         schema:
+ *           type: boolean
+ *         description: true for quantity 0 (variant parents excluded), false for products in stock
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or before
+ *       - in: query
+ *         name: hasSku
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: hasBarcode
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: legacy
+ *         schema:
+ *           type: boolean
+ *         description: |
+ *           true returns a plain array of all matching products, false the paginated shape. Defaults to
+ *           true when no page, limit or cursor is given (see PRODUCTS_LEGACY_LIST).
  *     responses:
  *       200:
- *         description: List of products
+ *         description: Products with pagination metadata, or a plain array in legacy mode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductListResponse'
+ *       400:
+ *         description: Validation error (filters, sort, fields, cursor or unknown category)
  */
 router.get("/", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
   try {
-    const products = await Product.find({ store: req.storeId });
-    res.json(products);
+    const { filter, errors } = await categoryFilter(req);
+    if (errors) return res.status(400).json({ message: "Validation error", errors });
+
+    // Unpaginated array for clients written before pagination
+    const paging = ["page", "limit", "cursor"].some((key) => req.query[key] !== undefined);
+    const legacyDefault = !paging && String(process.env.PRODUCTS_LEGACY_LIST || "").toLowerCase() !== "false";
+    const legacy = req.query.legacy !== undefined ? String(req.query.legacy).toLowerCase() === "true" : legacyDefault;
+
+    if (legacy) {
+      let find = Product.find(buildProductListQuery(req, filter));
+      if (req.query.sort) {
+        const sort = parseProductSort(req);
+        find = find.sort({ [sort.field]: sort.dir, _id: sort.dir });
+      }
+      const projection = parseProductFields(req, "_id");
+      if (projection) find = find.select(projection);
+      return res.json(await find);
+    }
+
+    res.json(await listProducts(req, filter));
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    sendProductError(res, err);
   }
 });
 
@@ -252,39 +1180,479 @@ router.get("/", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), a
  *               costPrice:
  *                 type: number
  *                 example: 350
- *               quantity:
- *                 type: integer
- *                 example: 15
  *               lowStockThreshold:
  *                 type: integer
  *                 example: 5
  *               description:
  *                 type: string
  *                 example: Updated description
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Category id (see /api/categories)
+ *               taxClass:
+ *                 type: string
+ *                 description: Tax class code from the store tax settings (default class when omitted)
+ *                 example: standard
+ *               preferredSupplier:
+ *                 type: string
+ *                 nullable: true
+ *               leadTimeDays:
+ *                 type: integer
+ *                 nullable: true
+ *               options:
+ *                 type: array
+ *                 description: Option axes; makes this a parent product whose variants are sold instead
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductOption'
+ *               optionValues:
+ *                 type: object
+ *                 description: Variants only, e.g. {"Size":"L","Colour":"Red"}
+ *     description: |
+ *       `quantity` cannot be changed here (400); use `POST /api/products/{id}/adjustments` so every
+ *       stock change is logged with a reason. `isLowStock` is derived and ignored; changing
+ *       `lowStockThreshold` recomputes it. Only the fields listed here are applied, other keys are
+ *       ignored, and keys starting with `$` or containing `.` are rejected (400).
+ *
+ *       Variants: setting `options` makes a product a variant parent (only before it has any stock
+ *       history, 409) or changes its axes (existing variants must still fit). Name, category, tax class,
+ *       description and price changes on a parent are copied to its variants (price only to variants
+ *       without their own). On a variant those shared fields are ignored; `price: null` makes it follow
+ *       the parent's price again.
  *     responses:
  *       200:
  *         description: Product updated
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Duplicate sku/barcode or variant, or the product cannot take options
  */
 router.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  // Stock levels only change through the ledger (adjustments, sales, returns, ...)
+  if (req.body.quantity !== undefined) {
+    return res.status(400).json({
+      message: "Validation error",
+      errors: [{ msg: "quantity cannot be updated here; use POST /api/products/:id/adjustments", path: "quantity" }],
+    });
+  }
+
   try {
-    const product = await Product.findOneAndUpdate(
-      { _id: req.params.id, store: req.storeId },
-      req.body,
-      { new: true }
-    );
+    const keyErrors = operatorKeyErrors(req.body);
+    if (keyErrors.length) {
+      return res.status(400).json({ message: "Validation error", errors: keyErrors });
+    }
+
+    const referenceErrors = await checkProductReferences(req, req.body);
+    if (referenceErrors.length) {
+      return res.status(400).json({ message: "Validation error", errors: referenceErrors });
+    }
+
+    // Other keys (isLowStock, store, variant links, ...) are ignored; a new lowStockThreshold may flip isLowStock
+    const input = pickEditable(req.body);
+
+    let product = null;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const existing = await Product.findOne({ _id: req.params.id, store: req.storeId }).session(session);
+        if (!existing) return;
+
+        product = await updateProduct(req, existing, input, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
     if (!product) return res.status(404).json({ message: "Product not found or access denied" });
+    invalidateSearchIndex(req.storeId);
     res.json(product);
   } catch (err) {
+    sendProductError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/adjustments:
+ *   post:
+ *     summary: Adjust a product's stock with a reason code
+ *     tags: [Products]
+ *     description: |
+ *       Admin/manager only. Applies a signed `delta` to the product's quantity and logs it as an `adjustment`
+ *       stock movement. `damaged`, `expired` and `theft` must remove stock, `found` must add stock and
+ *       `correction` may go either way. Stock cannot go below zero.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [delta, reason]
+ *             properties:
+ *               delta:
+ *                 type: integer
+ *                 example: -2
+ *                 description: Signed change (non-zero)
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, expired, theft, found, correction]
+ *               note:
+ *                 type: string
+ *                 example: Dropped while shelving
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 product:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                 movement:
+ *                   $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         description: Validation error or not enough stock to remove
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  "/:id/adjustments",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    param("id").isMongoId().withMessage("id must be a valid id"),
+    body("delta")
+      .isInt()
+      .withMessage("delta must be an integer")
+      .bail()
+      .custom((value) => Number(value) !== 0)
+      .withMessage("delta cannot be zero"),
+    body("reason")
+      .isIn(Object.keys(ADJUSTMENT_REASONS))
+      .withMessage(`reason must be one of: ${Object.keys(ADJUSTMENT_REASONS).join(", ")}`),
+    body("note").optional().isString().trim().withMessage("note must be a string"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    const delta = Number(req.body.delta);
+    const { reason, note } = req.body;
+    const direction = ADJUSTMENT_REASONS[reason];
+    if (direction !== 0 && Math.sign(delta) !== direction) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: `${reason} adjustments must ${direction < 0 ? "remove" : "add"} stock`, path: "delta" }],
+      });
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let result = null;
+
+      await session.withTransaction(async () => {
+        result = await changeStock({
+          productId: req.params.id,
+          storeId: req.storeId,
+          change: delta,
+          type: "adjustment",
+          session,
+          req,
+          reason: note || undefined,
+          reasonCode: reason,
+          requireStock: true,
+        });
+
+        if (!result) {
+          const existing = await Product.findOne({ _id: req.params.id, store: req.storeId })
+            .select("name quantity hasVariants")
+            .session(session);
+          if (!existing) {
+            const err = new Error("Product not found or access denied");
+            err.status = 404;
+            throw err;
+          }
+          if (existing.hasVariants) throw chooseVariantError(existing);
+          const err = new Error("Cannot remove more stock than is on hand");
+          err.status = 400;
+          err.details = { productId: req.params.id, available: existing.quantity, requested: -delta };
+          throw err;
+        }
+      });
+
+      const { product, movement } = result;
+      res.status(201).json({
+        product: { id: String(product._id), name: product.name, quantity: product.quantity },
+        movement: buildMovementSummary(movement),
+      });
+    } catch (err) {
+      const status = err.status || 500;
+      if (status === 400 || status === 404) {
+        return res.status(status).json({ message: err.message, details: err.details });
+      }
+      res.status(500).json({ message: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/movements:
+ *   get:
+ *     summary: Stock movement history of a product
+ *     tags: [Products]
+ *     description: Admin/manager only. Every change to the product's quantity, newest first.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated movement types (sale, return, void, receipt, adjustment, transfer, count)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockMovementListResponse'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ */
+router.get("/:id/movements", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({
+      message: "Validation error",
+      errors: [{ msg: "id must be a valid id", path: "id" }],
+    });
+  }
+
+  try {
+    const product = await Product.findOne({ _id: req.params.id, store: req.storeId }).select("name quantity");
+    if (!product) return res.status(404).json({ message: "Product not found or access denied" });
+
+    const result = await listStockMovements(req, { product: product._id });
+    res.json({ product: { id: String(product._id), name: product.name, quantity: product.quantity }, ...result });
+  } catch (err) {
+    if (err.errors) {
+      return res.status(400).json({ message: err.message, errors: err.errors });
+    }
     res.status(500).json({ message: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   get:
+ *     summary: List a product's variants
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent product ID
+ *     responses:
+ *       200:
+ *         description: The parent product and its variants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 product:
+ *                   $ref: '#/components/schemas/Product'
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
+ */
+router.get("/:id/variants", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Product not found or access denied" });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, store: req.storeId });
+    if (!product) return res.status(404).json({ message: "Product not found or access denied" });
+
+    const variants = await Product.find({ store: req.storeId, parent: product._id }).sort({ name: 1 });
+    res.json({ product, variants });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   post:
+ *     summary: Add a variant to a product with options
+ *     tags: [Products]
+ *     description: |
+ *       Admin/manager only. The product must have `options` (set on create or with PUT). The variant gets
+ *       one value per option, its own sku/barcode/stock, and the parent's name (e.g. "T-Shirt (M / Red)"),
+ *       category, tax class and description. `price` and `costPrice` default to the parent's; a variant
+ *       without its own `price` follows later parent price changes. The opening `quantity` is logged as
+ *       an `adjustment` stock movement.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VariantInput'
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Validation error or the product has no options
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: A variant with these options, sku or barcode already exists
+ */
+router.post(
+  "/:id/variants",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    param("id").isMongoId().withMessage("Invalid product id"),
+    body("optionValues").exists().withMessage("optionValues is required"),
+    body("sku").optional().isString().withMessage("sku must be a string"),
+    body("barcode").optional().isString().withMessage("barcode must be a string"),
+    body("price").optional({ values: "null" }).isFloat({ min: 0 }).withMessage("price must be non-negative"),
+    body("costPrice").optional({ values: "null" }).isFloat({ min: 0 }).withMessage("costPrice must be non-negative"),
+    body("quantity").optional().isInt({ min: 0 }).withMessage("quantity must be non-negative"),
+    body("lowStockThreshold").optional().isInt({ min: 0 }).withMessage("lowStockThreshold must be non-negative"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    const referenceErrors = await checkProductReferences(req, req.body);
+    if (referenceErrors.length) {
+      return res.status(400).json({ message: "Validation error", errors: referenceErrors });
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let variant = null;
+
+      await session.withTransaction(async () => {
+        const parent = await Product.findOne({ _id: req.params.id, store: req.storeId }).session(session);
+        if (!parent) {
+          const err = new Error("Product not found or access denied");
+          err.status = 404;
+          throw err;
+        }
+        if (!parent.hasVariants) {
+          const err = new Error("Add options to the product before adding variants");
+          err.status = 400;
+          err.details = { productId: String(parent._id) };
+          throw err;
+        }
+
+        const optionValues = normalizeOptionValues(parent, req.body.optionValues);
+        await assertUniqueVariant(parent, optionValues, { session });
+
+        variant = await createProductWithStock(
+          req,
+          buildVariantFields(parent, req.body, optionValues),
+          Number(req.body.quantity || 0),
+          session
+        );
+      });
+
+      invalidateSearchIndex(req.storeId);
+      res.status(201).json(variant);
+    } catch (err) {
+      sendProductError(res, err);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/products/{id}:
  *   delete:
  *     summary: Delete a product
  *     tags: [Products]
+ *     description: A product with variants cannot be deleted (409); delete its variants first.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -301,8 +1669,16 @@ router.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (
  */
 router.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
+    const variants = mongoose.isValidObjectId(req.params.id)
+      ? await Product.countDocuments({ store: req.storeId, parent: req.params.id })
+      : 0;
+    if (variants > 0) {
+      return res.status(409).json({ message: "Delete the product's variants first", details: { variants } });
+    }
+
     const product = await Product.findOneAndDelete({ _id: req.params.id, store: req.storeId });
     if (!product) return res.status(404).json({ message: "Product not found or access denied" });
+    invalidateSearchIndex(req.storeId);
     res.json({ message: "Product deleted" });
   } catch (err) {
     res.status(500).json({ message: err.message });
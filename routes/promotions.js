@@ -0,0 +1,267 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const Promotion = require("../models/Promotion");
+const { PROMOTION_TYPES } = require("../models/Promotion");
+const { authMiddleware } = require("../middleware/auth");
+const roleMiddleware = require("../middleware/roleMiddleware");
+
+const normalizeValidationErrors = (errorsResult) =>
+  errorsResult.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "value",
+  "buyQuantity",
+  "getQuantity",
+  "minSubtotal",
+  "products",
+  "categories",
+  "startsAt",
+  "endsAt",
+  "isActive",
+  "stackable",
+  "priority",
+];
+
+const pickEditable = (input) =>
+  Object.fromEntries(Object.entries(input || {}).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+// Rules shared by create/update; `optional` relaxes required fields for partial updates
+const promotionValidators = ({ optional = false } = {}) => {
+  const maybe = (chain) => (optional ? chain.optional() : chain);
+  return [
+    maybe(body("name")).isString().trim().notEmpty().withMessage("name is required"),
+    maybe(body("type")).isIn(PROMOTION_TYPES).withMessage(`type must be one of: ${PROMOTION_TYPES.join(", ")}`),
+    maybe(body("value")).isFloat({ gt: 0 }).withMessage("value must be greater than 0"),
+    body("buyQuantity").optional().isInt({ min: 1 }).withMessage("buyQuantity must be at least 1"),
+    body("getQuantity").optional().isInt({ min: 1 }).withMessage("getQuantity must be at least 1"),
+    body("minSubtotal").optional().isFloat({ min: 0 }).withMessage("minSubtotal must be non-negative"),
+    body("products").optional().isArray().withMessage("products must be an array"),
+    body("products.*").isMongoId().withMessage("Each product must be a valid id"),
+    body("categories").optional().isArray().withMessage("categories must be an array"),
+    body("categories.*").isMongoId().withMessage("Each category must be a valid id"),
+    body("startsAt").optional({ values: "null" }).isISO8601().withMessage("startsAt must be an ISO date"),
+    body("endsAt").optional({ values: "null" }).isISO8601().withMessage("endsAt must be an ISO date"),
+    body("isActive").optional().isBoolean().withMessage("isActive must be a boolean"),
+    body("stackable").optional().isBoolean().withMessage("stackable must be a boolean"),
+    body("priority").optional().isInt().withMessage("priority must be an integer"),
+  ];
+};
+
+/**
+ * Cross-field checks that depend on the resulting promotion (after applying an update)
+ */
+const validatePromotionShape = (promo) => {
+  const errors = [];
+
+  if (promo.type === "percentage" && Number(promo.value) > 100) {
+    errors.push({ msg: "value must be at most 100 for percentage promotions", path: "value" });
+  }
+
+  if (promo.type === "buy_x_get_y") {
+    if (!promo.buyQuantity) errors.push({ msg: "buyQuantity is required for buy_x_get_y", path: "buyQuantity" });
+    if (!promo.getQuantity) errors.push({ msg: "getQuantity is required for buy_x_get_y", path: "getQuantity" });
+    if (Number(promo.value) > 100) {
+      errors.push({ msg: "value (percent off the free items) must be at most 100", path: "value" });
+    }
+  }
+
+  if (promo.startsAt && promo.endsAt && new Date(promo.endsAt) < new Date(promo.startsAt)) {
+    errors.push({ msg: "endsAt must be after startsAt", path: "endsAt" });
+  }
+
+  return errors;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Promotions evaluated automatically at checkout
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promotion
+ *     tags: [Promotions]
+ *     description: |
+ *       Types:
+ *       - `percentage`: `value`% off each in-scope line.
+ *       - `basket_amount`: `value` off the in-scope part of the basket (optionally once it reaches `minSubtotal`).
+ *       - `buy_x_get_y`: for every `buyQuantity` + `getQuantity` units of a product, `getQuantity` units get `value`% off (100 = free).
+ *
+ *       Scope: `products` and/or `categories` (category ids; a category covers its subcategories);
+ *       leave both empty for store-wide.
+ *       Stacking: a non-stackable promotion never combines with another promotion on the same line.
+ *       Higher `priority` is evaluated first.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ */
+router.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), promotionValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+  }
+
+  try {
+    const input = pickEditable(req.body);
+    const shapeErrors = validatePromotionShape(input);
+    if (shapeErrors.length) {
+      return res.status(400).json({ message: "Validation error", errors: shapeErrors });
+    }
+
+    const promotion = await Promotion.create({ ...input, store: req.storeId });
+    res.status(201).json(promotion);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promotions for the logged-in store
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: When true, only promotions that are active right now
+ *     responses:
+ *       200:
+ *         description: List of promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Promotion'
+ */
+router.get("/", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    const activeOnly = String(req.query.active ?? "").toLowerCase() === "true";
+    const promotions = activeOnly
+      ? await Promotion.findActive(req.storeId)
+      : await Promotion.find({ store: req.storeId }).sort({ createdAt: -1 });
+
+    res.json(promotions);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   put:
+ *     summary: Update a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       404:
+ *         description: Not found
+ */
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  promotionValidators({ optional: true }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const promotion = await Promotion.findOne({ _id: req.params.id, store: req.storeId });
+      if (!promotion) return res.status(404).json({ message: "Promotion not found" });
+
+      promotion.set(pickEditable(req.body));
+
+      const shapeErrors = validatePromotionShape(promotion);
+      if (shapeErrors.length) {
+        return res.status(400).json({ message: "Validation error", errors: shapeErrors });
+      }
+
+      await promotion.save();
+      res.json(promotion);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   delete:
+ *     summary: Delete a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     responses:
+ *       200:
+ *         description: Promotion deleted
+ */
+router.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const promotion = await Promotion.findOneAndDelete({ _id: req.params.id, store: req.storeId });
+    if (!promotion) return res.status(404).json({ message: "Promotion not found" });
+    res.json({ message: "Promotion deleted" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
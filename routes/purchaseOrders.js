@@ -0,0 +1,659 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const { PURCHASE_ORDER_STATUSES } = require("../models/PurchaseOrder");
+const Supplier = require("../models/Supplier");
+const { authMiddleware } = require("../middleware/auth");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { actorFields } = require("../utils/actor");
+const {
+  purchasingError,
+  buildPurchaseOrderLines,
+  buildPurchaseOrderView,
+  receivePurchaseOrder,
+} = require("../utils/purchasing");
+const { buildReorderSuggestions } = require("../utils/reorder");
+
+const normalizeValidationErrors = (errorsResult) =>
+  errorsResult.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
+
+const ALL_ROLES = ["admin", "manager", "staff"];
+
+// Statuses an order can still be cancelled from
+const CANCELLABLE_STATUSES = ["draft", "sent", "partially_received"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rules shared by create/update; `optional` relaxes required fields for partial updates
+const purchaseOrderValidators = ({ optional = false } = {}) => {
+  const maybe = (chain) => (optional ? chain.optional() : chain);
+  return [
+    maybe(body("supplier")).isMongoId().withMessage("supplier must be a valid id"),
+    maybe(body("lines")).isArray({ min: 1 }).withMessage("lines must be a non-empty array"),
+    body("lines.*.product").isMongoId().withMessage("Each line needs a valid product id"),
+    body("lines.*.quantity").isInt({ min: 1 }).withMessage("Each line quantity must be at least 1"),
+    body("lines.*.unitCost")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Each line unitCost must be non-negative"),
+    body("expectedAt").optional({ values: "null" }).isISO8601().withMessage("expectedAt must be an ISO date"),
+    body("notes").optional().isString().withMessage("notes must be a string"),
+  ];
+};
+
+const sendPurchasingError = (res, err) => {
+  if (err.errors) {
+    return res.status(400).json({ message: err.message, errors: err.errors });
+  }
+  const status = err.status || 500;
+  if ([400, 404, 409].includes(status)) {
+    return res.status(status).json({ message: err.message, details: err.details });
+  }
+  res.status(500).json({ message: err.message });
+};
+
+/**
+ * Load a store purchase order, optionally requiring one of `statuses`
+ */
+const loadPurchaseOrder = async (req, statuses = null) => {
+  if (!mongoose.isValidObjectId(req.params.id)) throw purchasingError("Purchase order not found", 404);
+
+  const purchaseOrder = await PurchaseOrder.findOne({ _id: req.params.id, store: req.storeId });
+  if (!purchaseOrder) throw purchasingError("Purchase order not found", 404);
+
+  if (statuses && !statuses.includes(purchaseOrder.status)) {
+    throw purchasingError(`Purchase order is ${purchaseOrder.status}`, 409, {
+      status: purchaseOrder.status,
+      expected: statuses,
+    });
+  }
+  return purchaseOrder;
+};
+
+// Active supplier of the store (new orders and edits)
+const loadSupplier = async (req, supplierId) => {
+  const supplier = await Supplier.findOne({ _id: supplierId, store: req.storeId });
+  if (!supplier) throw purchasingError("Supplier not found", 404, { supplierId: String(supplierId) });
+  if (!supplier.isActive) throw purchasingError("Supplier is inactive", 400, { supplierId: String(supplierId) });
+  return supplier;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Purchase Orders
+ *   description: Ordering stock from suppliers and receiving it
+ */
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Create a draft purchase order
+ *     tags: [Purchase Orders]
+ *     description: Line `unitCost` defaults to the product's current costPrice. Repeated products are merged.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchaseOrderInput'
+ *     responses:
+ *       201:
+ *         description: Draft purchase order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PurchaseOrder'
+ *       400:
+ *         description: Validation error or inactive supplier
+ *       404:
+ *         description: Supplier or product not found
+ */
+router.post(
+  "/",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  purchaseOrderValidators(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const supplier = await loadSupplier(req, req.body.supplier);
+      const lines = await buildPurchaseOrderLines(req, req.body.lines);
+
+      const purchaseOrder = await PurchaseOrder.create({
+        supplier: supplier._id,
+        supplierNameSnapshot: supplier.name,
+        lines,
+        expectedAt: req.body.expectedAt ? new Date(req.body.expectedAt) : null,
+        notes: req.body.notes,
+        ...actorFields(req),
+        store: req.storeId,
+      });
+
+      res.status(201).json(buildPurchaseOrderView(purchaseOrder));
+    } catch (err) {
+      sendPurchasingError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/from-suggestions:
+ *   post:
+ *     summary: Create a draft purchase order from reorder suggestions
+ *     tags: [Purchase Orders]
+ *     description: |
+ *       Recomputes `/api/reports/reorder-suggestions` and drafts an order for the supplier with the suggested
+ *       quantities at each product's current cost price. By default it takes the supplier's group; pass
+ *       `products` to pick suggested products instead (e.g. ones without a preferred supplier).
+ *       Review and `send` the draft as usual.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [supplier]
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               lookbackDays:
+ *                 type: integer
+ *               targetDaysOfCover:
+ *                 type: integer
+ *               expectedAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Draft purchase order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PurchaseOrder'
+ *       400:
+ *         description: Validation error, inactive supplier, or nothing to reorder
+ *       404:
+ *         description: Supplier not found
+ */
+router.post(
+  "/from-suggestions",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("supplier").isMongoId().withMessage("supplier must be a valid id"),
+    body("products").optional().isArray({ min: 1 }).withMessage("products must be a non-empty array"),
+    body("products.*").isMongoId().withMessage("Each product must be a valid id"),
+    body("lookbackDays").optional().isInt({ min: 1, max: 365 }).withMessage("lookbackDays must be 1-365"),
+    body("targetDaysOfCover").optional().isInt({ min: 1, max: 365 }).withMessage("targetDaysOfCover must be 1-365"),
+    body("expectedAt").optional({ values: "null" }).isISO8601().withMessage("expectedAt must be an ISO date"),
+    body("notes").optional().isString().withMessage("notes must be a string"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const supplier = await loadSupplier(req, req.body.supplier);
+      const products = req.body.products;
+
+      const suggestions = await buildReorderSuggestions(req, {
+        lookbackDays: req.body.lookbackDays,
+        targetDaysOfCover: req.body.targetDaysOfCover,
+        supplier: products ? undefined : supplier._id,
+        products,
+      });
+      const suggested = suggestions.groups.flatMap((group) => group.lines);
+      if (suggested.length === 0) {
+        throw purchasingError("Nothing to reorder", 400, {
+          supplierId: String(supplier._id),
+          lookbackDays: suggestions.lookbackDays,
+          targetDaysOfCover: suggestions.targetDaysOfCover,
+        });
+      }
+
+      const lines = await buildPurchaseOrderLines(
+        req,
+        suggested.map((line) => ({ product: line.product, quantity: line.suggestedQuantity }))
+      );
+
+      const purchaseOrder = await PurchaseOrder.create({
+        supplier: supplier._id,
+        supplierNameSnapshot: supplier.name,
+        lines,
+        expectedAt: req.body.expectedAt ? new Date(req.body.expectedAt) : null,
+        notes:
+          req.body.notes ??
+          `Reorder suggestion (${suggestions.lookbackDays}-day sales, ${suggestions.targetDaysOfCover} days of cover)`,
+        ...actorFields(req),
+        store: req.storeId,
+      });
+
+      res.status(201).json(buildPurchaseOrderView(purchaseOrder));
+    } catch (err) {
+      sendPurchasingError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     summary: List purchase orders
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses (draft, sent, partially_received, received, cancelled)
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Purchase orders, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PurchaseOrder'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *       400:
+ *         description: Validation error
+ */
+router.get("/", authMiddleware, roleMiddleware(ALL_ROLES), async (req, res) => {
+  try {
+    const query = { store: req.storeId };
+    const queryErrors = [];
+
+    if (req.query.status) {
+      const statuses = String(req.query.status)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+      if (statuses.some((s) => !PURCHASE_ORDER_STATUSES.includes(s))) {
+        queryErrors.push({ msg: `status must be one of: ${PURCHASE_ORDER_STATUSES.join(", ")}`, path: "status" });
+      }
+      query.status = { $in: statuses };
+    }
+    if (req.query.supplier) {
+      if (!mongoose.isValidObjectId(String(req.query.supplier))) {
+        queryErrors.push({ msg: "supplier must be a valid id", path: "supplier" });
+      }
+      query.supplier = String(req.query.supplier);
+    }
+    if (queryErrors.length) {
+      return res.status(400).json({ message: "Validation error", errors: queryErrors });
+    }
+
+    const parsedLimit = Math.min(Math.max(parseInt(req.query.limit ?? "20", 10) || 20, 1), 100);
+    const parsedPage = Math.max(parseInt(req.query.page ?? "1", 10) || 1, 1);
+
+    const [total, purchaseOrders] = await Promise.all([
+      PurchaseOrder.countDocuments(query),
+      PurchaseOrder.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((parsedPage - 1) * parsedLimit)
+        .limit(parsedLimit),
+    ]);
+
+    res.json({
+      data: purchaseOrders.map(buildPurchaseOrderView),
+      meta: {
+        total,
+        limit: parsedLimit,
+        page: parsedPage,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order with outstanding quantities
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PurchaseOrder'
+ *       404:
+ *         description: Not found
+ */
+router.get("/:id", authMiddleware, roleMiddleware(ALL_ROLES), async (req, res) => {
+  try {
+    const purchaseOrder = await loadPurchaseOrder(req);
+    res.json(buildPurchaseOrderView(purchaseOrder));
+  } catch (err) {
+    sendPurchasingError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   put:
+ *     summary: Update a draft purchase order
+ *     tags: [Purchase Orders]
+ *     description: Sent orders are fixed; `lines`, when given, replaces every line.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchaseOrderInput'
+ *     responses:
+ *       200:
+ *         description: Updated purchase order
+ *       400:
+ *         description: Validation error or inactive supplier
+ *       404:
+ *         description: Purchase order, supplier or product not found
+ *       409:
+ *         description: Purchase order is not a draft
+ */
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  purchaseOrderValidators({ optional: true }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const purchaseOrder = await loadPurchaseOrder(req, ["draft"]);
+
+      const update = {};
+      if (req.body.supplier !== undefined) {
+        const supplier = await loadSupplier(req, req.body.supplier);
+        update.supplier = supplier._id;
+        update.supplierNameSnapshot = supplier.name;
+      }
+      if (req.body.lines !== undefined) update.lines = await buildPurchaseOrderLines(req, req.body.lines);
+      if (req.body.expectedAt !== undefined) {
+        update.expectedAt = req.body.expectedAt ? new Date(req.body.expectedAt) : null;
+      }
+      if (req.body.notes !== undefined) update.notes = req.body.notes;
+
+      // Only while it is still a draft (it may have been sent meanwhile)
+      const updated = await PurchaseOrder.findOneAndUpdate(
+        { _id: purchaseOrder._id, status: "draft" },
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+      if (!updated) throw purchasingError("Purchase order changed, try again", 409);
+
+      res.json(buildPurchaseOrderView(updated));
+    } catch (err) {
+      sendPurchasingError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/send:
+ *   post:
+ *     summary: Mark a draft purchase order as sent to the supplier
+ *     tags: [Purchase Orders]
+ *     description: |
+ *       Without an `expectedAt` on the order, it is set from the supplier's `leadTimeDays`.
+ *       Only sent orders count as incoming stock and can be received.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sent purchase order
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Purchase order is not a draft
+ */
+router.post("/:id/send", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const purchaseOrder = await loadPurchaseOrder(req, ["draft"]);
+    const now = new Date();
+
+    const update = { status: "sent", sentAt: now };
+    if (!purchaseOrder.expectedAt) {
+      const supplier = await Supplier.findOne({ _id: purchaseOrder.supplier, store: req.storeId }).select(
+        "leadTimeDays"
+      );
+      if (supplier?.leadTimeDays != null) {
+        update.expectedAt = new Date(now.getTime() + supplier.leadTimeDays * DAY_MS);
+      }
+    }
+
+    const updated = await PurchaseOrder.findOneAndUpdate(
+      { _id: purchaseOrder._id, status: "draft" },
+      { $set: update },
+      { new: true }
+    );
+    if (!updated) throw purchasingError("Purchase order changed, try again", 409);
+
+    res.json(buildPurchaseOrderView(updated));
+  } catch (err) {
+    sendPurchasingError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Receive goods against a sent purchase order
+ *     tags: [Purchase Orders]
+ *     description: |
+ *       Adds the received quantities to `Product.quantity` (recorded as `receipt` stock movements) and
+ *       updates `Product.costPrice` per the store's cost policy (`/api/settings/inventory`).
+ *       Omit `lines` to receive everything outstanding. Receiving less than ordered leaves the order
+ *       `partially_received`; it becomes `received` once every line has arrived in full.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReceiveInput'
+ *     responses:
+ *       200:
+ *         description: Updated purchase order and what was received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReceiveResult'
+ *       400:
+ *         description: Validation error, product not on the order, or more than outstanding
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Purchase order is not open (draft, received or cancelled)
+ */
+router.post(
+  "/:id/receive",
+  authMiddleware,
+  roleMiddleware(ALL_ROLES),
+  [
+    body("lines").optional().isArray().withMessage("lines must be an array"),
+    body("lines.*.product").isMongoId().withMessage("Each line needs a valid product id"),
+    body("lines.*.quantity").isInt({ min: 1 }).withMessage("Each line quantity must be at least 1"),
+    body("lines.*.unitCost")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Each line unitCost must be non-negative"),
+    body("note").optional().isString().trim().isLength({ max: 200 }).withMessage("note must be at most 200 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) throw purchasingError("Purchase order not found", 404);
+
+      const result = await receivePurchaseOrder(req, req.params.id, {
+        lines: req.body?.lines,
+        note: req.body?.note || undefined,
+      });
+      res.json(result);
+    } catch (err) {
+      sendPurchasingError(res, err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel a purchase order
+ *     tags: [Purchase Orders]
+ *     description: Goods already received stay in stock; nothing further can be received.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled purchase order
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Purchase order is already received or cancelled
+ */
+router.post(
+  "/:id/cancel",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [body("reason").optional().isString().trim().isLength({ max: 200 }).withMessage("reason must be at most 200 characters")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const purchaseOrder = await loadPurchaseOrder(req, CANCELLABLE_STATUSES);
+
+      const updated = await PurchaseOrder.findOneAndUpdate(
+        { _id: purchaseOrder._id, status: purchaseOrder.status },
+        { $set: { status: "cancelled", cancelledAt: new Date(), cancelReason: req.body?.reason || undefined } },
+        { new: true }
+      );
+      if (!updated) throw purchasingError("Purchase order changed, try again", 409);
+
+      res.json(buildPurchaseOrderView(updated));
+    } catch (err) {
+      sendPurchasingError(res, err);
+    }
+  }
+);
+
+module.exports = router;
@@ -12,6 +12,15 @@ const {
   getProfit,
   getProfitByProduct,
   getProfitByStaff,
+  getPayments,
+  getTax,
+  getStockMovements,
+  getShrinkage,
+  getOpenPurchaseOrders,
+  getReorderSuggestions,
+  getLowStockEvents,
+  getSalesByCategory,
+  getProfitByCategory,
 } = require("../controllers/reportsController");
 
 /**
@@ -74,7 +83,7 @@ const {
  *   get:
  *     summary: Total sales summary
  *     tags: [Reports]
- *     description: Admin/manager only.
+ *     description: Admin/manager only. Totals are net of refunds from returns.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -90,6 +99,8 @@ const {
  *                   type: number
  *                 totalRevenue:
  *                   type: number
+ *                 totalRefunds:
+ *                   type: number
  *                 totalTransactions:
  *                   type: number
  *       401:
@@ -104,7 +115,9 @@ const {
  *   get:
  *     summary: List low-stock products
  *     tags: [Reports]
- *     description: Admin/manager only.
+ *     description: |
+ *       Admin/manager only. Products with quantity at or below `lowStockThreshold`, lowest quantity first.
+ *       Compared directly, so the report does not depend on `isLowStock` having been repaired.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -129,7 +142,7 @@ const {
  *   get:
  *     summary: Revenue, cost, profit, and margin
  *     tags: [Reports]
- *     description: Admin/manager only.
+ *     description: Admin/manager only. Revenue is net of discounts and tax; revenue and cost are net of returned items.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -141,6 +154,11 @@ const {
  *             schema:
  *               type: object
  *               properties:
+ *                 grossRevenue:
+ *                   type: number
+ *                   description: Before discounts
+ *                 discounts:
+ *                   type: number
  *                 revenue:
  *                   type: number
  *                 cost:
@@ -149,6 +167,8 @@ const {
  *                   type: number
  *                 margin:
  *                   type: string
+ *                 refunds:
+ *                   type: number
  *       401:
  *         description: Unauthorized
  *       403:
@@ -161,10 +181,19 @@ const {
  *   get:
  *     summary: Profit grouped by product
  *     tags: [Reports]
- *     description: Admin/manager only.
+ *     description: |
+ *       Admin/manager only. Revenue is net of discounts and tax. By default every product and variant
+ *       sold is its own row (variants carry `parentId`); `groupBy=parent` folds variants into their parent.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [variant, parent]
+ *           default: variant
  *     responses:
  *       200:
  *         description: Report rows
@@ -179,6 +208,14 @@ const {
  *                     type: string
  *                   productName:
  *                     type: string
+ *                   parentId:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Parent product of a variant (groupBy=variant only)
+ *                   grossRevenue:
+ *                     type: number
+ *                   discounts:
+ *                     type: number
  *                   revenue:
  *                     type: number
  *                   profit:
@@ -195,7 +232,7 @@ const {
  *   get:
  *     summary: Profit grouped by staff
  *     tags: [Reports]
- *     description: Admin/manager only.
+ *     description: Admin/manager only. Sales amounts are net of discounts and tax, as in profit-by-product.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -217,6 +254,7 @@ const {
  *                     type: number
  *                   totalSalesAmount:
  *                     type: number
+ *                     description: Revenue net of discounts and tax
  *                   totalItemsSold:
  *                     type: number
  *       401:
@@ -225,6 +263,607 @@ const {
  *         description: Forbidden
  */
 
+/**
+ * @swagger
+ * /api/reports/payments:
+ *   get:
+ *     summary: Payments grouped by tender type
+ *     tags: [Reports]
+ *     description: Admin/manager only. Voided transactions are excluded. Optionally filter by date range.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Optional start date (inclusive)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Optional end date (inclusive)
+ *     responses:
+ *       200:
+ *         description: Tender breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [cash, card, mobile_money, store_credit]
+ *                       count:
+ *                         type: number
+ *                       tendered:
+ *                         type: number
+ *                       change:
+ *                         type: number
+ *                       collected:
+ *                         type: number
+ *                         description: tendered minus change given
+ *                 totalCollected:
+ *                   type: number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/reports/tax:
+ *   get:
+ *     summary: Tax collected per tax class and rate
+ *     tags: [Reports]
+ *     description: |
+ *       Admin/manager only. Sums tax on non-voided sales over the date range, less the tax portion of
+ *       refunds processed in the same range. Sales made at different rates of one class are listed separately.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Optional start date (inclusive)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Optional end date (inclusive)
+ *     responses:
+ *       200:
+ *         description: Tax breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 startDate:
+ *                   type: string
+ *                   nullable: true
+ *                 endDate:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       taxClass:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       rate:
+ *                         type: number
+ *                       taxableAmount:
+ *                         type: number
+ *                         description: Net sales the tax applies to (after refunds)
+ *                       taxCollected:
+ *                         type: number
+ *                       taxRefunded:
+ *                         type: number
+ *                       netTax:
+ *                         type: number
+ *                 totalTax:
+ *                   type: number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/reports/stock-movements:
+ *   get:
+ *     summary: Store-wide stock movements
+ *     tags: [Reports]
+ *     description: |
+ *       Admin/manager only. Every change to product quantities (sales, returns, voids, receipts,
+ *       adjustments, transfers, counts), newest first, plus units in/out per type for the same filters.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Optional start date (inclusive)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Optional end date (inclusive)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated movement types, e.g. `sale,return`
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Optional product id
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Movements and per-type totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/StockMovementListResponse'
+ *                 - type: object
+ *                   properties:
+ *                     totals:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                           movements:
+ *                             type: integer
+ *                           quantityIn:
+ *                             type: number
+ *                           quantityOut:
+ *                             type: number
+ *                           net:
+ *                             type: number
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/reports/shrinkage:
+ *   get:
+ *     summary: Stock written off per adjustment reason
+ *     tags: [Reports]
+ *     description: |
+ *       Admin/manager only. Totals negative stock adjustments (damaged, expired, theft, correction, ...) over the
+ *       date range, valued at the product cost price when each adjustment was made.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Optional start date (inclusive)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Optional end date (inclusive)
+ *     responses:
+ *       200:
+ *         description: Shrinkage by reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 startDate:
+ *                   type: string
+ *                   nullable: true
+ *                 endDate:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       reason:
+ *                         type: string
+ *                         example: damaged
+ *                       adjustments:
+ *                         type: integer
+ *                       quantity:
+ *                         type: number
+ *                         description: Units written off
+ *                       costValue:
+ *                         type: number
+ *                 totalQuantity:
+ *                   type: number
+ *                 totalCostValue:
+ *                   type: number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/reports/open-purchase-orders:
+ *   get:
+ *     summary: Open purchase orders and expected stock
+ *     tags: [Reports]
+ *     description: |
+ *       Admin/manager only. Lists sent and partially received purchase orders with what is still
+ *       outstanding, and per product the units on hand, incoming and projected once everything arrives.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *         description: Optional supplier id
+ *     responses:
+ *       200:
+ *         description: Open purchase orders (earliest expected first) and expected stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purchaseOrders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       poNumber:
+ *                         type: string
+ *                       supplier:
+ *                         type: string
+ *                       supplierName:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [sent, partially_received]
+ *                       sentAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expectedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       overdue:
+ *                         type: boolean
+ *                       outstandingQuantity:
+ *                         type: number
+ *                       outstandingValue:
+ *                         type: number
+ *                 expectedStock:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       product:
+ *                         type: string
+ *                       productName:
+ *                         type: string
+ *                       onHand:
+ *                         type: number
+ *                       incoming:
+ *                         type: number
+ *                       incomingValue:
+ *                         type: number
+ *                       projected:
+ *                         type: number
+ *                         description: onHand + incoming
+ *                       purchaseOrders:
+ *                         type: integer
+ *                       nextExpectedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                 totalOutstandingQuantity:
+ *                   type: number
+ *                 totalOutstandingValue:
+ *                   type: number
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/reports/reorder-suggestions:
+ *   get:
+ *     summary: Reorder suggestions from sales velocity
+ *     tags: [Reports]
+ *     description: |
+ *       Admin/manager only. Average daily sales come from sales over the lookback window (voids and returns
+ *       excluded). A product is suggested when on hand + incoming (open purchase orders) is at or below its
+ *       reorder point: expected sales over the lead time plus `lowStockThreshold` as safety stock. The
+ *       suggested quantity tops it up to cover the lead time plus `targetDaysOfCover`. Lead time is the
+ *       product's `leadTimeDays`, else its preferred supplier's, else the store default
+ *       (`/api/settings/inventory`). Products are grouped by preferred supplier (`supplier: null` when none).
+ *       Turn a group into a draft with `POST /api/purchase-orders/from-suggestions`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lookbackDays
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *         description: Days of sales to average (store setting by default)
+ *       - in: query
+ *         name: targetDaysOfCover
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *         description: Days of sales to hold after a delivery (store setting by default)
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *         description: Only this preferred supplier's group
+ *     responses:
+ *       200:
+ *         description: Suggestions grouped by supplier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReorderSuggestions'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/reports/low-stock-events:
+ *   get:
+ *     summary: Products crossing into or out of low stock
+ *     tags: [Reports]
+ *     description: |
+ *       Admin/manager only. An `entered` event is recorded when a product's quantity falls to or below its
+ *       `lowStockThreshold` (sale, void, adjustment, new threshold, ...) and `cleared` when it rises above it again.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [entered, cleared]
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Low-stock events, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LowStockEvent'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/reports/sales-by-category:
+ *   get:
+ *     summary: Sales grouped by category
+ *     tags: [Reports]
+ *     description: |
+ *       Admin/manager only. Quantity and sales (gross, discounts and the charged total including tax) per category.
+ *       Every category is listed in tree order (with `depth` and `path`); its totals include all of its
+ *       subcategories and `direct` holds its own products' sales only. Sales of uncategorized products
+ *       are under `uncategorized`. Voided sales are excluded.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Category report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 startDate:
+ *                   type: string
+ *                   nullable: true
+ *                 endDate:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/CategoryReportRow'
+ *                       - $ref: '#/components/schemas/CategorySalesTotals'
+ *                       - type: object
+ *                         properties:
+ *                           direct:
+ *                             $ref: '#/components/schemas/CategorySalesTotals'
+ *                 uncategorized:
+ *                   $ref: '#/components/schemas/CategorySalesTotals'
+ *                 totals:
+ *                   $ref: '#/components/schemas/CategorySalesTotals'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+/**
+ * @swagger
+ * /api/reports/profit-by-category:
+ *   get:
+ *     summary: Profit grouped by category
+ *     tags: [Reports]
+ *     description: |
+ *       Admin/manager only. Revenue is net of discounts and tax and cost uses each sale's cost snapshot, as in profit-by-product.
+ *       Every category is listed in tree order (with `depth` and `path`); its totals include all of its
+ *       subcategories and `direct` holds its own products' sales only. Sales of uncategorized products
+ *       are under `uncategorized`. Voided sales are excluded.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Category report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 startDate:
+ *                   type: string
+ *                   nullable: true
+ *                 endDate:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/CategoryReportRow'
+ *                       - $ref: '#/components/schemas/CategoryProfitTotals'
+ *                       - type: object
+ *                         properties:
+ *                           direct:
+ *                             $ref: '#/components/schemas/CategoryProfitTotals'
+ *                 uncategorized:
+ *                   $ref: '#/components/schemas/CategoryProfitTotals'
+ *                 totals:
+ *                   $ref: '#/components/schemas/CategoryProfitTotals'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
 // Routes using controller methods
 router.get("/sales-by-staff", authMiddleware, roleMiddleware(["admin", "manager"]), getSalesByStaff);
 router.get("/total-sales", authMiddleware, roleMiddleware(["admin", "manager"]), getTotalSales);
@@ -232,5 +871,14 @@ router.get("/low-stock", authMiddleware, roleMiddleware(["admin", "manager"]), g
 router.get("/profit", authMiddleware, roleMiddleware(["admin", "manager"]), getProfit);
 router.get("/profit-by-product", authMiddleware, roleMiddleware(["admin", "manager"]), getProfitByProduct);
 router.get("/profit-by-staff", authMiddleware, roleMiddleware(["admin", "manager"]), getProfitByStaff);
+router.get("/payments", authMiddleware, roleMiddleware(["admin", "manager"]), getPayments);
+router.get("/tax", authMiddleware, roleMiddleware(["admin", "manager"]), getTax);
+router.get("/stock-movements", authMiddleware, roleMiddleware(["admin", "manager"]), getStockMovements);
+router.get("/shrinkage", authMiddleware, roleMiddleware(["admin", "manager"]), getShrinkage);
+router.get("/open-purchase-orders", authMiddleware, roleMiddleware(["admin", "manager"]), getOpenPurchaseOrders);
+router.get("/reorder-suggestions", authMiddleware, roleMiddleware(["admin", "manager"]), getReorderSuggestions);
+router.get("/low-stock-events", authMiddleware, roleMiddleware(["admin", "manager"]), getLowStockEvents);
+router.get("/sales-by-category", authMiddleware, roleMiddleware(["admin", "manager"]), getSalesByCategory);
+router.get("/profit-by-category", authMiddleware, roleMiddleware(["admin", "manager"]), getProfitByCategory);
 
 module.exports = router;
\ No newline at end of file
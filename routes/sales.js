@@ -4,13 +4,63 @@ const { body, validationResult } = require("express-validator");
 const Sale = require("../models/Sale");
 const { authMiddleware } = require("../middleware/auth");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const idempotency = require("../middleware/idempotency");
 const Product = require("../models/Product");
-const Staff = require("../models/Staff");
+const Return = require("../models/Return");
+const Transaction = require("../models/Transaction");
+const StoreSettings = require("../models/StoreSettings");
+const { roundMoney, priceLines, applyTax } = require("../utils/pricing");
+const { clawBackPoints, restoreRedeemedPoints } = require("../utils/loyalty");
+const { checkoutValidators, runCheckout } = require("../utils/checkout");
+const { MAX_SYNC_BATCH, syncOfflineTransactions } = require("../utils/offlineSync");
+const { changeStock } = require("../utils/stock");
+const { chooseVariantError } = require("../utils/variants");
+const { scheduleLowStockAlerts } = require("../utils/stockAlerts");
+const { buildTransactionSummary, listTransactionSummaries } = require("../utils/transactions");
+const {
+  RECEIPT_FORMATS,
+  RECEIPT_PAPERS,
+  buildReceipt,
+  loadReceiptBranding,
+  renderReceiptPdf,
+  renderReceiptEscPos,
+} = require("../utils/receipts");
+const { loadLogo } = require("../utils/images");
 const mongoose = require("mongoose");
 
 const normalizeValidationErrors = (errorsResult) =>
   errorsResult.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
 
+const getVoidWindowMs = () => {
+  const minutes = Number(process.env.VOID_WINDOW_MINUTES || 15);
+  if (!Number.isFinite(minutes) || minutes <= 0) return 15 * 60 * 1000;
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Load a store transaction and its sale lines inside a session (staff only see their own)
+ */
+const loadTransactionLines = async (req, transactionId, session) => {
+  const query = { _id: transactionId, store: req.storeId };
+
+  if (req.userType === "staff") {
+    query.staff = req.user._id;
+  }
+
+  const transaction = await Transaction.findOne(query).session(session);
+  if (!transaction) {
+    const err = new Error("Transaction not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const sales = await Sale.find({ store: req.storeId, transactionId: transaction._id })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  return { transaction, sales };
+};
+
 /**
  * @swagger
  * tags:
@@ -31,6 +81,8 @@ const normalizeValidationErrors = (errorsResult) =>
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -58,6 +110,8 @@ const normalizeValidationErrors = (errorsResult) =>
  *         description: Insufficient stock or validation error
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: Idempotency-Key reused with a different body, or the original request is still running
  *       500:
  *         description: Server error
  */
@@ -71,12 +125,22 @@ const normalizeValidationErrors = (errorsResult) =>
  *     description: |
  *       Creates one transaction with multiple line items. Stock deductions and sale creation are atomic.
  *
+ *       Pricing is computed server-side: active promotions are applied first, then any manual line
+ *       discounts (capped at `MANUAL_DISCOUNT_LIMIT_<ROLE>` percent of the line; defaults admin 100, manager 50, staff 10).
+ *       Redeemed loyalty points (`redeemPoints`) come off the basket next, then tax is added.
+ *       Each line's `totalPrice` is net of its discounts.
+ *
+ *       Loyalty: when the store's program is enabled and a customer is identified, the customer earns
+ *       points on the grand total. Points are written in the same database transaction as the stock.
+ *
  *       Cashier attribution rules:
  *       - Staff tokens: checkout is tied to the logged-in staff (request body `staff` is ignored).
  *       - Admin/manager user tokens: checkout is tied to the logged-in user (do NOT send `staff`).
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -97,10 +161,53 @@ const normalizeValidationErrors = (errorsResult) =>
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
+ *                     discountPercent:
+ *                       type: number
+ *                       description: Optional manual discount (% of the line after promotions). Capped per role.
+ *                     discountAmount:
+ *                       type: number
+ *                       description: Optional manual discount amount (use instead of discountPercent). Capped per role.
  *               staff:
  *                 type: string
  *                 deprecated: true
  *                 description: Deprecated. Do not send. Checkout is attributed automatically based on the authenticated account.
+ *               notes:
+ *                 type: string
+ *                 description: Optional free-text note stored on the transaction
+ *               customer:
+ *                 type: string
+ *                 description: Optional customer id to attribute the sale to
+ *               customerPhone:
+ *                 type: string
+ *                 description: Optional customer phone (use instead of `customer`); unknown numbers create a customer
+ *               customerName:
+ *                 type: string
+ *                 description: Name for a customer created from `customerPhone`
+ *               memberCode:
+ *                 type: string
+ *                 description: Optional loyalty member code (use instead of `customer` or `customerPhone`)
+ *               redeemPoints:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Loyalty points to redeem against the basket (requires an identified customer)
+ *               payments:
+ *                 type: array
+ *                 description: |
+ *                   Optional tenders. When provided they must cover the server-computed total.
+ *                   Only cash can exceed what is owed; the difference is returned as `changeDue`.
+ *                 items:
+ *                   type: object
+ *                   required: [type, amount]
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [cash, card, mobile_money, store_credit]
+ *                     amount:
+ *                       type: number
+ *                       example: 1500
+ *                     reference:
+ *                       type: string
+ *                       description: Card approval code, mobile money reference, etc.
  *               client:
  *                 type: object
  *                 properties:
@@ -110,21 +217,121 @@ const normalizeValidationErrors = (errorsResult) =>
  *       201:
  *         description: Transaction created
  *       400:
- *         description: Validation error or insufficient stock
+ *         description: Validation error, insufficient stock or loyalty points, or payments do not cover the total
  *       404:
- *         description: Product not found
+ *         description: Product or customer not found
+ *       409:
+ *         description: Idempotency-Key reused with a different body, or the original request is still running
  */
 
 router.post(
   "/checkout",
   authMiddleware,
   roleMiddleware(["admin", "manager", "staff"]),
+  idempotency("sales.checkout"),
+  checkoutValidators(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      res.status(201).json(await runCheckout(req, req.body));
+    } catch (err) {
+      if (err.errors) {
+        return res.status(400).json({ message: err.message, errors: err.errors });
+      }
+      const status = err.status || 500;
+      if (status === 400 || status === 404) {
+        return res.status(status).json({ message: err.message, details: err.details });
+      }
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/sales/sync:
+ *   post:
+ *     summary: Upload sales a till queued while offline
+ *     tags: [Sales]
+ *     description: |
+ *       Applies up to 100 queued transactions in the order given. Each one runs through the normal checkout
+ *       (stock, promotions active at its `createdAt`, tax, loyalty) and keeps its original `createdAt`.
+ *
+ *       Every transaction gets its own result:
+ *       - `accepted`: recorded; `transaction` is the new summary.
+ *       - `duplicate`: a transaction with this `clientId` was already synced (`transactionId` is the existing one).
+ *       - `rejected`: not recorded; `reason` is `insufficient_stock`, `validation`, `not_found`, `invalid` or
+ *         `error` (`retryable: true`, keep it queued).
+ *
+ *       When stock is short, the store's `offline.negativeStockPolicy` setting decides: `reject` (default) rejects the
+ *       transaction, `allow_and_flag` accepts it, lets stock go negative and flags the transaction for review
+ *       (`flagged: true`, `needsReview` and `stockShortages` on the transaction).
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [transactions]
+ *             properties:
+ *               transactions:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 description: Same fields as `/api/sales/checkout`, plus `clientId` and `createdAt`
+ *                 items:
+ *                   type: object
+ *                   required: [clientId, createdAt, items]
+ *                   properties:
+ *                     clientId:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Generated by the till when the sale was rung up
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the sale happened on the till
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CartItemInput'
+ *                     payments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     customer:
+ *                       type: string
+ *                     customerPhone:
+ *                       type: string
+ *                     memberCode:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Per-transaction results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncResponse'
+ *       400:
+ *         description: Validation error (batch shape)
+ */
+router.post(
+  "/sync",
+  authMiddleware,
+  roleMiddleware(["admin", "manager", "staff"]),
   [
-    body("items").isArray({ min: 1 }).withMessage("items must be a non-empty array"),
-    body("items.*.product").isMongoId().withMessage("Each item product must be a valid id"),
-    body("items.*.quantity").isInt({ min: 1 }).withMessage("Each item quantity must be at least 1"),
-    body("staff").optional().isString(),
-    body("client.expectedTotal").optional().isNumeric(),
+    body("transactions")
+      .isArray({ min: 1, max: MAX_SYNC_BATCH })
+      .withMessage(`transactions must be an array of 1-${MAX_SYNC_BATCH} items`),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -132,32 +339,38 @@ router.post(
       return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
     }
 
-    const session = await mongoose.startSession();
     try {
-      const items = Array.isArray(req.body.items) ? req.body.items : [];
-
-      // Merge duplicate products (industry POS behavior)
-      const merged = new Map();
-      for (const item of items) {
-        const productId = String(item.product);
-        const qty = Number(item.quantity);
-        if (!productId || !Number.isFinite(qty) || qty < 1) continue;
-        merged.set(productId, (merged.get(productId) || 0) + qty);
-      }
+      res.json(await syncOfflineTransactions(req, req.body.transactions));
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
 
-      if (merged.size === 0) {
-        return res.status(400).json({
-          message: "Validation error",
-          errors: [{ msg: "items must include at least one valid product", path: "items" }],
-        });
-      }
+router.post(
+  "/",
+  authMiddleware,
+  roleMiddleware(["admin", "manager", "staff"]),
+  idempotency("sales.create"),
+  [
+    body("product").isMongoId().withMessage("Product must be a valid id"),
+    body("quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("staff").optional().isString(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
 
+    try {
+      const { product, quantity } = req.body;
       let staffId = null;
       let cashierType = "user";
       let cashierUser = null;
       let cashierNameSnapshot = null;
 
-      // Staff users: always auto-assign
+      // Auto-assign staff if logged-in user is staff
       if (req.userType === "staff") {
         staffId = req.user._id;
         cashierType = "staff";
@@ -171,47 +384,45 @@ router.post(
             errors: [{ msg: "Do not provide staff when recording sales as admin/manager", path: "staff" }],
           });
         }
-
         cashierType = "user";
         cashierUser = req.user?._id || null;
         cashierNameSnapshot = req.user?.name || null;
       }
 
       const transactionId = new mongoose.Types.ObjectId();
+      const settings = await StoreSettings.getForStore(req.storeId);
+      let sale = null;
 
-      let serverTotal = 0;
-      const saleInputs = [];
-      let createdSales = [];
-
-      await session.withTransaction(async () => {
-        for (const [productId, qty] of merged.entries()) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
           // Atomically decrement stock if enough quantity exists
-          const productDoc = await Product.findOneAndUpdate(
-            { _id: productId, store: req.storeId, quantity: { $gte: qty } },
-            { $inc: { quantity: -qty } },
-            { new: true, session }
-          );
+          const { product: productDoc } = (await changeStock({
+            productId: product,
+            storeId: req.storeId,
+            change: -Number(quantity),
+            type: "sale",
+            session,
+            req,
+            reason: "Sale",
+            source: { model: "Transaction", id: transactionId },
+            requireStock: true,
+          })) || {};
 
           if (!productDoc) {
-            const existing = await Product.findOne({ _id: productId, store: req.storeId })
-              .select("name quantity")
+            const existing = await Product.findOne({ _id: product, store: req.storeId })
+              .select("name quantity hasVariants")
               .session(session);
-
             if (!existing) {
               const err = new Error("Product not found in this store");
               err.status = 404;
-              err.details = { productId, storeId: String(req.storeId) };
+              err.details = { productId: product, storeId: String(req.storeId) };
               throw err;
             }
-
+            if (existing.hasVariants) throw chooseVariantError(existing);
             const err = new Error("Insufficient stock");
             err.status = 400;
-            err.details = {
-              productId,
-              productName: existing.name,
-              available: existing.quantity,
-              requested: qty,
-            };
+            err.details = { productId: product, productName: existing.name, available: existing.quantity, requested: quantity };
             throw err;
           }
 
@@ -220,7 +431,7 @@ router.post(
             const err = new Error("Invalid product pricing");
             err.status = 400;
             err.details = {
-              productId,
+              productId: product,
               field: "price",
               value: productDoc.price,
               message: "Product price must be a valid number",
@@ -230,161 +441,72 @@ router.post(
 
           const unitCostCandidate = Number(productDoc.costPrice);
           const unitCostPrice = Number.isFinite(unitCostCandidate) ? unitCostCandidate : null;
-          const totalPrice = unitPrice * qty;
-          serverTotal += totalPrice;
 
-          saleInputs.push({
-            transactionId,
-            product: productDoc._id,
-            productNameSnapshot: productDoc.name,
-            unitPrice,
-            unitCostPrice,
-            staff: staffId,
-            cashierType,
-            cashierUser,
-            cashierNameSnapshot,
-            quantity: qty,
-            totalPrice,
-            store: req.storeId,
-          });
-        }
+          const pricing = applyTax(
+            priceLines([{ productId: productDoc._id, taxClass: productDoc.taxClass, unitPrice, quantity: Number(quantity) }]),
+            settings.tax
+          );
+          const [line] = pricing.lines;
+
+          [sale] = await Sale.create(
+            [
+              {
+                transactionId,
+                product,
+                productNameSnapshot: productDoc.name,
+                unitPrice,
+                unitCostPrice,
+                staff: staffId,
+                cashierType,
+                cashierUser,
+                cashierNameSnapshot,
+                quantity,
+                grossPrice: line.gross,
+                taxClass: line.taxClass,
+                taxRate: line.taxRate,
+                taxInclusive: line.taxInclusive,
+                taxAmount: line.taxAmount,
+                totalPrice: line.total,
+                store: req.storeId,
+              },
+            ],
+            { session }
+          );
 
-        createdSales = await Sale.insertMany(saleInputs, { session });
-      });
+          await Transaction.create(
+            [
+              {
+                _id: transactionId,
+                staff: staffId,
+                cashierType,
+                cashierUser,
+                cashierNameSnapshot,
+                itemsCount: 1,
+                totalQuantity: Number(quantity),
+                subtotal: pricing.subtotal,
+                taxInclusive: pricing.taxInclusive,
+                taxTotal: pricing.taxTotal,
+                taxes: pricing.taxes,
+                total: pricing.total,
+                lastSaleAt: sale.createdAt,
+                store: req.storeId,
+              },
+            ],
+            { session }
+          );
+        });
+      } finally {
+        session.endSession();
+      }
+      scheduleLowStockAlerts(req.storeId);
 
-      const clientExpectedTotal = req.body?.client?.expectedTotal;
-      const clientExpectedNumber = Number(clientExpectedTotal);
-      const hasClientExpected = Number.isFinite(clientExpectedNumber);
-
-      res.status(201).json({
-        transaction: {
-          id: transactionId,
-          staff: staffId,
-          staffName: cashierNameSnapshot,
-          cashierType,
-          cashierUser,
-          cashierName: cashierNameSnapshot,
-          itemsCount: merged.size,
-          total: serverTotal,
-          createdAt: createdSales[0]?.createdAt || new Date(),
-        },
-        sales: createdSales,
-        validation: {
-          clientExpectedTotal: hasClientExpected ? clientExpectedNumber : null,
-          serverTotal,
-          matches: hasClientExpected ? clientExpectedNumber === serverTotal : null,
-        },
-      });
+      res.status(201).json(sale);
     } catch (err) {
       const status = err.status || 500;
       if (status === 400 || status === 404) {
         return res.status(status).json({ message: err.message, details: err.details });
       }
       res.status(500).json({ message: err.message });
-    } finally {
-      session.endSession();
-    }
-  }
-);
-
-router.post(
-  "/",
-  authMiddleware,
-  roleMiddleware(["admin", "manager", "staff"]),
-  [
-    body("product").isMongoId().withMessage("Product must be a valid id"),
-    body("quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
-    body("staff").optional().isString(),
-  ],
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
-    }
-
-    try {
-      const { product, quantity } = req.body;
-      let staffId = null;
-      let cashierType = "user";
-      let cashierUser = null;
-      let cashierNameSnapshot = null;
-
-      // Auto-assign staff if logged-in user is staff
-      if (req.userType === "staff") {
-        staffId = req.user._id;
-        cashierType = "staff";
-        cashierUser = null;
-        cashierNameSnapshot = req.user?.name || null;
-      } else {
-        // Admin/manager: record as the logged-in user (no staff attribution)
-        if (req.body.staff) {
-          return res.status(400).json({
-            message: "Validation error",
-            errors: [{ msg: "Do not provide staff when recording sales as admin/manager", path: "staff" }],
-          });
-        }
-        cashierType = "user";
-        cashierUser = req.user?._id || null;
-        cashierNameSnapshot = req.user?.name || null;
-      }
-
-      // Atomically decrement stock if enough quantity exists
-      const productDoc = await Product.findOneAndUpdate(
-        { _id: product, store: req.storeId, quantity: { $gte: quantity } },
-        { $inc: { quantity: -quantity } },
-        { new: true }
-      );
-
-      if (!productDoc) {
-        const existing = await Product.findOne({ _id: product, store: req.storeId }).select("name quantity");
-        if (!existing) {
-          return res.status(404).json({
-            message: "Product not found in this store",
-            details: { productId: product, storeId: String(req.storeId) },
-          });
-        }
-        return res.status(400).json({
-          message: "Insufficient stock",
-          details: { productId: product, productName: existing.name, available: existing.quantity, requested: quantity },
-        });
-      }
-
-      const unitPrice = Number(productDoc.price);
-      if (!Number.isFinite(unitPrice)) {
-        return res.status(400).json({
-          message: "Invalid product pricing",
-          details: {
-            productId: product,
-            field: "price",
-            value: productDoc.price,
-            message: "Product price must be a valid number",
-          },
-        });
-      }
-
-      const unitCostCandidate = Number(productDoc.costPrice);
-      const unitCostPrice = Number.isFinite(unitCostCandidate) ? unitCostCandidate : null;
-      const totalPrice = unitPrice * Number(quantity);
-      const transactionId = new mongoose.Types.ObjectId();
-
-      const sale = await Sale.create({
-        transactionId,
-        product,
-        productNameSnapshot: productDoc.name,
-        unitPrice,
-        unitCostPrice,
-        staff: staffId,
-        cashierType,
-        cashierUser,
-        cashierNameSnapshot,
-        quantity,
-        totalPrice,
-        store: req.storeId,
-      });
-
-      res.status(201).json(sale);
-    } catch (err) {
-      res.status(500).json({ message: err.message });
     }
   }
 );
@@ -395,7 +517,9 @@ router.post(
  *   get:
  *     summary: List transaction summaries for the logged-in store
  *     tags: [Sales]
- *     description: Returns one row per transactionId (legacy single sales are treated as a 1-line transaction).
+ *     description: |
+ *       Returns one row per Transaction document (legacy single sales are back-filled as 1-line transactions
+ *       by `scripts/migrate_transactions.js`). Voided transactions are listed with `voided: true` and zero totals.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -416,6 +540,11 @@ router.post(
  *           type: string
  *           format: date-time
  *       - in: query
+ *         name: needsReview
+ *         schema:
+ *           type: boolean
+ *         description: Only offline sales flagged for review (true) or only unflagged ones (false)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -435,106 +564,11 @@ router.post(
  */
 router.get("/transactions", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
   try {
-    const { staff, startDate, endDate, page, limit } = req.query;
-
-    const parsedLimit = Math.min(Math.max(parseInt(limit ?? "50", 10) || 50, 1), 200);
-    const parsedPage = Math.max(parseInt(page ?? "1", 10) || 1, 1);
-
-    const match = { store: req.storeId };
-
-    if (req.userType === "staff") {
-      match.staff = req.user._id;
-    } else if (["admin", "manager"].includes(req.user.role) && staff) {
-      if (!mongoose.isValidObjectId(String(staff))) {
-        return res.status(400).json({
-          message: "Validation error",
-          errors: [{ msg: "staff must be a valid id", path: "staff" }],
-        });
-      }
-      match.staff = new mongoose.Types.ObjectId(String(staff));
-    }
-
-    if (startDate || endDate) {
-      match.createdAt = {};
-      if (startDate) match.createdAt.$gte = new Date(String(startDate));
-      if (endDate) match.createdAt.$lte = new Date(String(endDate));
-    }
-
-    const staffCollection = Staff.collection?.name || "staffs";
-
-    const pipeline = [
-      { $match: match },
-      { $addFields: { txId: { $ifNull: ["$transactionId", "$_id"] } } },
-      {
-        $group: {
-          _id: "$txId",
-          staff: { $first: "$staff" },
-          cashierType: { $first: "$cashierType" },
-          cashierUser: { $first: "$cashierUser" },
-          cashierNameSnapshot: { $first: "$cashierNameSnapshot" },
-          createdAt: { $min: "$createdAt" },
-          lastCreatedAt: { $max: "$createdAt" },
-          total: { $sum: "$totalPrice" },
-          itemsCount: { $sum: 1 },
-          totalQuantity: { $sum: "$quantity" },
-        },
-      },
-      { $sort: { lastCreatedAt: -1, _id: -1 } },
-      {
-        $facet: {
-          data: [
-            { $skip: (parsedPage - 1) * parsedLimit },
-            { $limit: parsedLimit },
-            {
-              $lookup: {
-                from: staffCollection,
-                localField: "staff",
-                foreignField: "_id",
-                as: "staffDoc",
-              },
-            },
-            {
-              $addFields: {
-                staffName: {
-                  $ifNull: ["$cashierNameSnapshot", { $arrayElemAt: ["$staffDoc.name", 0] }],
-                },
-              },
-            },
-            {
-              $project: {
-                _id: 0,
-                id: { $toString: "$_id" },
-                staff: { $toString: "$staff" },
-                staffName: 1,
-                cashierType: { $ifNull: ["$cashierType", "staff"] },
-                cashierUser: { $toString: "$cashierUser" },
-                cashierName: { $ifNull: ["$cashierNameSnapshot", "$staffName"] },
-                createdAt: 1,
-                lastCreatedAt: 1,
-                total: 1,
-                itemsCount: 1,
-                totalQuantity: 1,
-              },
-            },
-          ],
-          meta: [{ $count: "total" }],
-        },
-      },
-    ];
-
-    const agg = await Sale.aggregate(pipeline);
-    const data = agg?.[0]?.data ?? [];
-    const total = agg?.[0]?.meta?.[0]?.total ?? 0;
-
-    res.json({
-      data,
-      meta: {
-        total,
-        limit: parsedLimit,
-        page: parsedPage,
-      },
-    });
+    res.json(await listTransactionSummaries(req));
   } catch (err) {
+    if (err.errors) {
+      return res.status(400).json({ message: err.message, errors: err.errors });
+    }
     res.status(500).json({ message: err.message });
   }
 });
@@ -578,45 +612,21 @@ router.get(
         });
       }
 
-      const oid = new mongoose.Types.ObjectId(rawId);
-      const query = {
-        store: req.storeId,
-        $or: [{ transactionId: oid }, { _id: oid }],
-      };
+      const query = { _id: rawId, store: req.storeId };
 
       if (req.userType === "staff") {
         query.staff = req.user._id;
       }
 
-      const sales = await Sale.find(query).sort({ createdAt: 1 }).populate("product staff");
-      if (!sales || sales.length === 0) return res.status(404).json({ message: "Transaction not found" });
-
-      const txKey = sales[0].transactionId || sales[0]._id;
-      const total = sales.reduce((sum, s) => sum + Number(s.totalPrice || 0), 0);
-      const totalQuantity = sales.reduce((sum, s) => sum + Number(s.quantity || 0), 0);
+      const transaction = await Transaction.findOne(query).populate("staff", "name");
+      if (!transaction) return res.status(404).json({ message: "Transaction not found" });
 
-      const createdAt = sales[0].createdAt;
-      const lastCreatedAt = sales[sales.length - 1].createdAt;
-
-      const firstStaff = sales[0].staff;
-      const firstCashierType = sales[0].cashierType || (firstStaff ? "staff" : "user");
-      const firstCashierUser = sales[0].cashierUser || null;
-      const firstCashierName = sales[0].cashierNameSnapshot || firstStaff?.name || null;
+      const sales = await Sale.find({ store: req.storeId, transactionId: transaction._id })
+        .sort({ createdAt: 1 })
+        .populate("product staff");
 
       res.json({
-        transaction: {
-          id: String(txKey),
-          staff: firstStaff?._id ? String(firstStaff._id) : String(firstStaff),
-          staffName: firstCashierName,
-          cashierType: firstCashierType,
-          cashierUser: firstCashierUser ? String(firstCashierUser) : null,
-          cashierName: firstCashierName,
-          itemsCount: sales.length,
-          totalQuantity,
-          total,
-          createdAt,
-          lastCreatedAt,
-        },
+        transaction: buildTransactionSummary(transaction),
         sales,
       });
     } catch (err) {
@@ -629,9 +639,15 @@ router.get(
  * @swagger
  * /api/sales/transactions/{transactionId}/receipt:
  *   get:
- *     summary: Fetch a POS-friendly transaction receipt payload
+ *     summary: Fetch a POS-friendly transaction receipt payload, or print it as PDF / ESC/POS
  *     tags: [Sales]
- *     description: Returns a flattened transaction summary and simplified line items, suitable for receipt/transaction views.
+ *     description: |
+ *       Returns a flattened transaction summary and simplified line items, suitable for receipt/transaction views.
+ *
+ *       `format=pdf` renders the same payload as a PDF receipt (`paper` 80mm or 58mm roll, or A4);
+ *       `format=escpos` returns raw ESC/POS bytes to send to an 80mm or 58mm thermal printer as they are.
+ *       Store name, address, footer and logo come from the store's receipt settings (`PUT /api/settings/receipt`).
+ *       A logo that cannot be fetched is left out rather than failing the receipt.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -641,13 +657,36 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf, escpos]
+ *           default: json
+ *       - in: query
+ *         name: paper
+ *         schema:
+ *           type: string
+ *           enum: [80mm, 58mm, a4]
+ *           default: 80mm
+ *         description: Paper for pdf and escpos (a4 is pdf only)
  *     responses:
  *       200:
- *         description: Receipt payload
+ *         description: Receipt payload, PDF or ESC/POS bytes
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/TransactionReceiptResponse'
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error (id, format or paper)
  *       404:
  *         description: Not found
  */
@@ -658,75 +697,565 @@ router.get(
   async (req, res) => {
     try {
       const rawId = String(req.params.transactionId ?? "").trim();
+      const format = String(req.query.format ?? "json").toLowerCase();
+      const paper = String(req.query.paper ?? "80mm").toLowerCase();
+
+      const errors = [];
       if (!mongoose.isValidObjectId(rawId)) {
-        return res.status(400).json({
-          message: "Validation error",
-          errors: [{ msg: "transactionId must be a valid id", path: "transactionId" }],
-        });
+        errors.push({ msg: "transactionId must be a valid id", path: "transactionId" });
+      }
+      if (!RECEIPT_FORMATS.includes(format)) {
+        errors.push({ msg: `format must be one of: ${RECEIPT_FORMATS.join(", ")}`, path: "format" });
+      }
+      if (!RECEIPT_PAPERS.includes(paper) || (format === "escpos" && paper === "a4")) {
+        const papers = format === "escpos" ? RECEIPT_PAPERS.filter((p) => p !== "a4") : RECEIPT_PAPERS;
+        errors.push({ msg: `paper must be one of: ${papers.join(", ")}`, path: "paper" });
       }
+      if (errors.length) return res.status(400).json({ message: "Validation error", errors });
 
-      const oid = new mongoose.Types.ObjectId(rawId);
-      const query = {
-        store: req.storeId,
-        $or: [{ transactionId: oid }, { _id: oid }],
-      };
+      const query = { _id: rawId, store: req.storeId };
 
       if (req.userType === "staff") {
         query.staff = req.user._id;
       }
 
-      const sales = await Sale.find(query).sort({ createdAt: 1 }).populate("product staff");
-      if (!sales || sales.length === 0) return res.status(404).json({ message: "Transaction not found" });
-
-      const txKey = sales[0].transactionId || sales[0]._id;
-      const createdAt = sales[0].createdAt;
-      const lastCreatedAt = sales[sales.length - 1].createdAt;
-
-      const firstStaff = sales[0].staff;
-      const firstCashierType = sales[0].cashierType || (firstStaff ? "staff" : "user");
-      const firstCashierUser = sales[0].cashierUser || null;
-      const firstCashierName = sales[0].cashierNameSnapshot || firstStaff?.name || null;
-
-      const lineItems = sales.map((s) => {
-        const product = s.product;
-        const productId = product?._id ? String(product._id) : String(s.product);
-        const name = s.productNameSnapshot || product?.name;
-
-        const unitPrice = Number(s.unitPrice ?? product?.price ?? 0);
-        const qty = Number(s.quantity ?? 0);
-        const total = Number(s.totalPrice ?? unitPrice * qty);
-
-        return {
-          saleId: String(s._id),
-          productId,
-          name,
-          sku: product?.sku ?? null,
-          barcode: product?.barcode ?? null,
-          unitPrice,
-          quantity: qty,
-          total,
-        };
+      const transaction = await Transaction.findOne(query).populate("staff", "name");
+      if (!transaction) return res.status(404).json({ message: "Transaction not found" });
+
+      const receipt = await buildReceipt(req.storeId, transaction);
+      if (format === "json") return res.json(receipt);
+
+      const branding = await loadReceiptBranding(req.storeId);
+      const logo = await loadLogo(branding.logoUrl);
+      const filename = `receipt-${receipt.transaction.id}`;
+
+      if (format === "pdf") {
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `inline; filename="${filename}.pdf"`);
+        return res.send(renderReceiptPdf(receipt, branding, { paper, logo }));
+      }
+      res.setHeader("Content-Type", "application/octet-stream");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.bin"`);
+      res.send(renderReceiptEscPos(receipt, branding, { paper, logo }));
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/sales/transactions/{transactionId}/returns:
+ *   post:
+ *     summary: Return items from an existing transaction (restock + refund)
+ *     tags: [Sales]
+ *     description: |
+ *       Accepts a partial or full list of the transaction's line items. Returned quantities are put back
+ *       into stock and a Return document is recorded against the original sale lines. Restocking and the
+ *       Return record are written atomically.
+ *
+ *       Each item identifies a line by `sale` (the `saleId` from the receipt) or by `product`.
+ *       A line cannot be returned beyond the quantity originally sold.
+ *
+ *       Staff tokens can only return items from their own transactions.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [quantity]
+ *                   properties:
+ *                     sale:
+ *                       type: string
+ *                       description: Sale line id (preferred)
+ *                     product:
+ *                       type: string
+ *                       description: Product id (used when sale is not provided)
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *                 example: Damaged packaging
+ *     responses:
+ *       201:
+ *         description: Return recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Return'
+ *       400:
+ *         description: Validation error or return quantity exceeds what was sold
+ *       404:
+ *         description: Transaction or line item not found
+ */
+router.post(
+  "/transactions/:transactionId/returns",
+  authMiddleware,
+  roleMiddleware(["admin", "manager", "staff"]),
+  [
+    body("items").isArray({ min: 1 }).withMessage("items must be a non-empty array"),
+    body("items.*.sale").optional().isMongoId().withMessage("Each item sale must be a valid id"),
+    body("items.*.product").optional().isMongoId().withMessage("Each item product must be a valid id"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Each item quantity must be at least 1"),
+    body("reason").optional().isString().withMessage("reason must be a string"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    const rawId = String(req.params.transactionId ?? "").trim();
+    if (!mongoose.isValidObjectId(rawId)) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: "transactionId must be a valid id", path: "transactionId" }],
       });
+    }
+
+    const items = Array.isArray(req.body.items) ? req.body.items : [];
+    const missingRef = items.findIndex((item) => !item?.sale && !item?.product);
+    if (missingRef !== -1) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: "Each item must include sale or product", path: `items[${missingRef}]` }],
+      });
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let createdReturn = null;
+
+      await session.withTransaction(async () => {
+        const { transaction, sales } = await loadTransactionLines(req, rawId, session);
+
+        if (transaction.voidedAt) {
+          const err = new Error("Transaction has been voided");
+          err.status = 400;
+          throw err;
+        }
+
+        // Resolve each requested item to a sale line and merge duplicates
+        const merged = new Map();
+        for (const item of items) {
+          const line = item.sale
+            ? sales.find((s) => String(s._id) === String(item.sale))
+            : sales.find((s) => String(s.product) === String(item.product));
+
+          if (!line) {
+            const err = new Error("Line item not found in this transaction");
+            err.status = 404;
+            err.details = { sale: item.sale ?? null, product: item.product ?? null };
+            throw err;
+          }
+
+          const key = String(line._id);
+          const entry = merged.get(key) || { line, qty: 0 };
+          entry.qty += Number(item.quantity);
+          merged.set(key, entry);
+        }
+
+        const returnId = new mongoose.Types.ObjectId();
+        const returnItems = [];
+        let totalRefund = 0;
+
+        for (const { line, qty } of merged.values()) {
+          // Atomically claim the returned quantity so concurrent returns cannot exceed what was sold
+          const updatedLine = await Sale.findOneAndUpdate(
+            {
+              _id: line._id,
+              $expr: { $lte: [{ $add: [{ $ifNull: ["$returnedQuantity", 0] }, qty] }, "$quantity"] },
+            },
+            { $inc: { returnedQuantity: qty } },
+            { new: true, session }
+          );
+
+          if (!updatedLine) {
+            const err = new Error("Return quantity exceeds quantity sold");
+            err.status = 400;
+            err.details = {
+              saleId: String(line._id),
+              productId: String(line.product),
+              sold: line.quantity,
+              alreadyReturned: Number(line.returnedQuantity || 0),
+              requested: qty,
+            };
+            throw err;
+          }
+
+          const { product: productDoc } = (await changeStock({
+            productId: line.product,
+            storeId: req.storeId,
+            change: qty,
+            type: "return",
+            session,
+            req,
+            reason: req.body.reason || "Customer return",
+            source: { model: "Return", id: returnId },
+          })) || {};
+
+          // Refund what was actually charged (net of discounts): the line's share for everything returned so
+          // far, less the share already refunded, so a line returned in full refunds exactly its totalPrice
+          const returnedAfter = Number(updatedLine.returnedQuantity);
+          const shareOf = (amount, returned) => roundMoney((Number(amount || 0) * returned) / Number(line.quantity));
+          const refundAmount = roundMoney(
+            shareOf(line.totalPrice, returnedAfter) - shareOf(line.totalPrice, returnedAfter - qty)
+          );
+          const taxAmount = roundMoney(
+            shareOf(line.taxAmount, returnedAfter) - shareOf(line.taxAmount, returnedAfter - qty)
+          );
+          const unitPrice = roundMoney(refundAmount / qty);
+          const unitCostCandidate = Number(line.unitCostPrice ?? productDoc?.costPrice);
+          totalRefund = roundMoney(totalRefund + refundAmount);
+
+          returnItems.push({
+            sale: line._id,
+            product: line.product,
+            productNameSnapshot: line.productNameSnapshot || productDoc?.name,
+            quantity: qty,
+            unitPrice,
+            unitCostPrice: Number.isFinite(unitCostCandidate) ? unitCostCandidate : null,
+            refundAmount,
+            taxClass: line.taxClass,
+            taxRate: line.taxRate,
+            taxAmount,
+            // Product may have been deleted since the sale; the refund still stands
+            restocked: Boolean(productDoc),
+          });
+        }
 
-      const receiptTotal = lineItems.reduce((sum, li) => sum + Number(li.total || 0), 0);
-      const totalQuantity = lineItems.reduce((sum, li) => sum + Number(li.quantity || 0), 0);
+        const isStaff = req.userType === "staff";
+        const [doc] = await Return.create(
+          [
+            {
+              _id: returnId,
+              transactionId: transaction._id,
+              items: returnItems,
+              totalRefund,
+              reason: req.body.reason,
+              processedByType: isStaff ? "staff" : "user",
+              processedByStaff: isStaff ? req.user._id : null,
+              processedByUser: isStaff ? null : req.user._id,
+              processedByNameSnapshot: req.user?.name || null,
+              store: req.storeId,
+            },
+          ],
+          { session }
+        );
+        createdReturn = doc;
+
+        const updatedTransaction = await Transaction.findOneAndUpdate(
+          { _id: transaction._id },
+          { $inc: { refundedTotal: totalRefund } },
+          { new: true, session }
+        );
+
+        // Points follow the money: claw back the share of the earned points that was refunded, and give
+        // back the same share of the redeemed points (their discount was spread over every line)
+        const total = Number(updatedTransaction.total || 0);
+        const refundedShare = total > 0 ? Math.min(updatedTransaction.refundedTotal / total, 1) : 1;
+        await clawBackPoints({
+          transaction: updatedTransaction,
+          targetPoints: Math.round(Number(updatedTransaction.loyalty?.pointsEarned || 0) * refundedShare),
+          reason: "Items returned",
+          session,
+          req,
+        });
+        await restoreRedeemedPoints({
+          transaction: updatedTransaction,
+          targetPoints: Math.round(Number(updatedTransaction.loyalty?.pointsRedeemed || 0) * refundedShare),
+          reason: "Redeemed points restored (items returned)",
+          session,
+          req,
+        });
+      });
+
+      res.status(201).json(createdReturn);
+    } catch (err) {
+      const status = err.status || 500;
+      if (status === 400 || status === 404) {
+        return res.status(status).json({ message: err.message, details: err.details });
+      }
+      res.status(500).json({ message: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/sales/transactions/{transactionId}/void:
+ *   post:
+ *     summary: Void a transaction (restock all lines)
+ *     tags: [Sales]
+ *     description: |
+ *       Marks every sale line of the transaction as voided and restores product quantities atomically.
+ *       Voided sales are excluded from transaction totals and all reports.
+ *
+ *       - Staff tokens can only void their own transactions, within `VOID_WINDOW_MINUTES` (default 15) of checkout.
+ *       - Admin/manager tokens can void any transaction in the store.
+ *       - Transactions with returns cannot be voided; return the remaining items instead.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Wrong item scanned
+ *     responses:
+ *       200:
+ *         description: Transaction voided
+ *       400:
+ *         description: Validation error, already voided, or has returns
+ *       403:
+ *         description: Void window has expired (staff)
+ *       404:
+ *         description: Not found
+ */
+router.post(
+  "/transactions/:transactionId/void",
+  authMiddleware,
+  roleMiddleware(["admin", "manager", "staff"]),
+  [body("reason").isString().trim().notEmpty().withMessage("reason is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    const rawId = String(req.params.transactionId ?? "").trim();
+    if (!mongoose.isValidObjectId(rawId)) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: "transactionId must be a valid id", path: "transactionId" }],
+      });
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      const isStaff = req.userType === "staff";
+      const voidedAt = new Date();
+      let voidedTransaction = null;
+      let voidedSales = [];
+
+      await session.withTransaction(async () => {
+        const { transaction, sales } = await loadTransactionLines(req, rawId, session);
+
+        if (transaction.voidedAt) {
+          const err = new Error("Transaction already voided");
+          err.status = 400;
+          throw err;
+        }
+
+        if (transaction.refundedTotal > 0 || sales.some((s) => Number(s.returnedQuantity || 0) > 0)) {
+          const err = new Error("Transaction has returns and cannot be voided");
+          err.status = 400;
+          err.details = { hint: "Return the remaining items instead" };
+          throw err;
+        }
+
+        if (isStaff) {
+          const windowMs = getVoidWindowMs();
+          // Offline sales count from when they reached the server
+          const ageMs = voidedAt.getTime() - new Date(transaction.syncedAt || transaction.createdAt).getTime();
+          if (ageMs > windowMs) {
+            const err = new Error("Void window has expired");
+            err.status = 403;
+            err.details = { windowMinutes: windowMs / 60000 };
+            throw err;
+          }
+        }
+
+        const voidFields = {
+          voidedAt,
+          voidedByType: isStaff ? "staff" : "user",
+          voidedByStaff: isStaff ? req.user._id : null,
+          voidedByUser: isStaff ? null : req.user._id,
+          voidedByNameSnapshot: req.user?.name || null,
+          voidReason: req.body.reason,
+        };
+
+        voidedTransaction = await Transaction.findOneAndUpdate(
+          { _id: transaction._id, voidedAt: null },
+          { $set: voidFields },
+          { new: true, session }
+        );
+
+        // Another request voided this transaction concurrently
+        if (!voidedTransaction) {
+          const err = new Error("Transaction already voided");
+          err.status = 400;
+          throw err;
+        }
+
+        // Lines carry the void too so line-level reports can exclude them
+        const saleIds = sales.map((s) => s._id);
+        await Sale.updateMany({ _id: { $in: saleIds } }, { $set: voidFields }, { session });
+
+        for (const s of sales) {
+          await changeStock({
+            productId: s.product,
+            storeId: req.storeId,
+            change: Number(s.quantity),
+            type: "void",
+            session,
+            req,
+            reason: req.body.reason,
+            source: { model: "Transaction", id: voidedTransaction._id },
+          });
+        }
+
+        // Take back earned points and give back redeemed ones
+        await clawBackPoints({
+          transaction: voidedTransaction,
+          targetPoints: Number(voidedTransaction.loyalty?.pointsEarned || 0),
+          reason: "Transaction voided",
+          session,
+          req,
+        });
+
+        await restoreRedeemedPoints({
+          transaction: voidedTransaction,
+          targetPoints: Number(voidedTransaction.loyalty?.pointsRedeemed || 0),
+          reason: "Redeemed points restored (transaction voided)",
+          session,
+          req,
+        });
+
+        voidedSales = await Sale.find({ _id: { $in: saleIds } }).sort({ createdAt: 1 }).session(session);
+      });
 
       res.json({
-        transaction: {
-          id: String(txKey),
-          createdAt,
-          lastCreatedAt,
-          staff: firstStaff?._id ? String(firstStaff._id) : String(firstStaff),
-          staffName: firstCashierName,
-          cashierType: firstCashierType,
-          cashierUser: firstCashierUser ? String(firstCashierUser) : null,
-          cashierName: firstCashierName,
-          itemsCount: lineItems.length,
-          totalQuantity,
-          total: receiptTotal,
-        },
-        items: lineItems,
+        transaction: buildTransactionSummary(voidedTransaction),
+        sales: voidedSales,
       });
+    } catch (err) {
+      const status = err.status || 500;
+      if (status === 400 || status === 403 || status === 404) {
+        return res.status(status).json({ message: err.message, details: err.details });
+      }
+      res.status(500).json({ message: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/sales/transactions/{transactionId}/review:
+ *   post:
+ *     summary: Clear the review flag on an offline sale accepted with short stock
+ *     tags: [Sales]
+ *     description: |
+ *       Offline sales synced under the `allow_and_flag` negative stock policy are listed with
+ *       `GET /api/sales/transactions?needsReview=true`. Reviewing records who checked the sale; it does not change stock.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Stock count was out of date; recounted shelf
+ *     responses:
+ *       200:
+ *         description: Transaction reviewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transaction:
+ *                   $ref: '#/components/schemas/TransactionSummary'
+ *       400:
+ *         description: Validation error or transaction is not awaiting review
+ *       404:
+ *         description: Not found
+ */
+router.post(
+  "/transactions/:transactionId/review",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [body("note").optional().isString().withMessage("note must be a string")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    const rawId = String(req.params.transactionId ?? "").trim();
+    if (!mongoose.isValidObjectId(rawId)) {
+      return res.status(400).json({
+        message: "Validation error",
+        errors: [{ msg: "transactionId must be a valid id", path: "transactionId" }],
+      });
+    }
+
+    try {
+      const transaction = await Transaction.findOneAndUpdate(
+        { _id: rawId, store: req.storeId, needsReview: true },
+        {
+          $set: {
+            needsReview: false,
+            reviewedAt: new Date(),
+            reviewedByNameSnapshot: req.user?.name || null,
+            reviewNote: req.body.note,
+          },
+        },
+        { new: true }
+      );
+
+      if (!transaction) {
+        const exists = await Transaction.exists({ _id: rawId, store: req.storeId });
+        if (!exists) return res.status(404).json({ message: "Transaction not found" });
+        return res.status(400).json({ message: "Transaction is not awaiting review" });
+      }
+
+      res.json({ transaction: buildTransactionSummary(transaction) });
     } catch (err) {
       res.status(500).json({ message: err.message });
     }
@@ -0,0 +1,470 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const StoreSettings = require("../models/StoreSettings");
+const { NEGATIVE_STOCK_POLICIES, COST_POLICIES, DIGEST_FREQUENCIES } = require("../models/StoreSettings");
+const { authMiddleware } = require("../middleware/auth");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { isAllowedLogoUrl } = require("../utils/images");
+
+const normalizeValidationErrors = (errorsResult) =>
+  errorsResult.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Settings
+ *   description: Per-store configuration
+ */
+
+/**
+ * @swagger
+ * /api/settings:
+ *   get:
+ *     summary: Get settings for the logged-in store
+ *     tags: [Settings]
+ *     description: Returns defaults when the store has not configured anything yet.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Store settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreSettings'
+ */
+router.get("/", authMiddleware, roleMiddleware(["admin", "manager", "staff"]), async (req, res) => {
+  try {
+    const settings = await StoreSettings.getForStore(req.storeId);
+    res.json(settings);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/tax:
+ *   put:
+ *     summary: Replace the store's tax configuration
+ *     tags: [Settings]
+ *     description: |
+ *       `rates` is the full list of tax classes; products reference them by `code` through `taxClass`.
+ *       Products without a `taxClass` use `defaultClass` (null = untaxed).
+ *       Changes only affect future sales; recorded sales keep the rate they were sold at.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxSettings'
+ *           example:
+ *             pricesIncludeTax: false
+ *             defaultClass: standard
+ *             rates:
+ *               - { code: standard, name: VAT 7.5%, rate: 7.5 }
+ *               - { code: exempt, name: Exempt, rate: 0 }
+ *     responses:
+ *       200:
+ *         description: Updated store settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreSettings'
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  "/tax",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("pricesIncludeTax").optional().isBoolean().withMessage("pricesIncludeTax must be a boolean"),
+    body("defaultClass").optional({ values: "null" }).isString().trim().notEmpty().withMessage("defaultClass must be a tax class code"),
+    body("rates").isArray().withMessage("rates must be an array"),
+    body("rates.*.code").isString().trim().notEmpty().withMessage("Each rate requires a code"),
+    body("rates.*.name").isString().trim().notEmpty().withMessage("Each rate requires a name"),
+    body("rates.*.rate").isFloat({ min: 0, max: 100 }).withMessage("Each rate must be between 0 and 100"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const rates = req.body.rates.map((r) => ({ code: r.code, name: r.name, rate: Number(r.rate) }));
+      const codes = rates.map((r) => r.code);
+      const defaultClass = req.body.defaultClass ?? null;
+
+      const shapeErrors = [];
+      if (new Set(codes).size !== codes.length) {
+        shapeErrors.push({ msg: "Tax class codes must be unique", path: "rates" });
+      }
+      if (defaultClass && !codes.includes(defaultClass)) {
+        shapeErrors.push({ msg: "defaultClass must be one of the configured rates", path: "defaultClass" });
+      }
+      if (shapeErrors.length) {
+        return res.status(400).json({ message: "Validation error", errors: shapeErrors });
+      }
+
+      const settings = await StoreSettings.getForStore(req.storeId);
+      settings.tax = {
+        pricesIncludeTax: req.body.pricesIncludeTax ?? settings.tax.pricesIncludeTax,
+        defaultClass,
+        rates,
+      };
+      await settings.save();
+
+      res.json(settings);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/settings/loyalty:
+ *   put:
+ *     summary: Update the store's loyalty program
+ *     tags: [Settings]
+ *     description: |
+ *       Customers identified at checkout earn `earnRate` points per currency unit of the grand total
+ *       (rounded down) and can redeem points worth `redeemValue` each. Earned points expire after
+ *       `expiryDays` (null = never). Omitted fields keep their current value.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoyaltySettings'
+ *     responses:
+ *       200:
+ *         description: Updated store settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreSettings'
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  "/loyalty",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("enabled").optional().isBoolean().withMessage("enabled must be a boolean"),
+    body("earnRate").optional().isFloat({ min: 0 }).withMessage("earnRate must be non-negative"),
+    body("redeemValue").optional().isFloat({ gt: 0 }).withMessage("redeemValue must be greater than 0"),
+    body("minRedeemPoints").optional().isInt({ min: 0 }).withMessage("minRedeemPoints must be a non-negative integer"),
+    body("expiryDays").optional({ values: "null" }).isInt({ min: 1 }).withMessage("expiryDays must be at least 1"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const settings = await StoreSettings.getForStore(req.storeId);
+
+      for (const key of ["enabled", "earnRate", "redeemValue", "minRedeemPoints", "expiryDays"]) {
+        if (req.body[key] !== undefined) settings.set(`loyalty.${key}`, req.body[key]);
+      }
+      await settings.save();
+
+      res.json(settings);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/settings/offline:
+ *   put:
+ *     summary: Update how offline sales are synced
+ *     tags: [Settings]
+ *     description: |
+ *       `negativeStockPolicy` applies to `/api/sales/sync` when a queued sale needs more stock than is on hand:
+ *       `reject` refuses the sale; `allow_and_flag` records it, lets stock go negative and flags the
+ *       transaction for review. Regular checkout always rejects short stock.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OfflineSettings'
+ *     responses:
+ *       200:
+ *         description: Updated store settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreSettings'
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  "/offline",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("negativeStockPolicy")
+      .isIn(NEGATIVE_STOCK_POLICIES)
+      .withMessage(`negativeStockPolicy must be one of: ${NEGATIVE_STOCK_POLICIES.join(", ")}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const settings = await StoreSettings.getForStore(req.storeId);
+      settings.set("offline.negativeStockPolicy", req.body.negativeStockPolicy);
+      await settings.save();
+
+      res.json(settings);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/settings/inventory:
+ *   put:
+ *     summary: Update inventory settings
+ *     tags: [Settings]
+ *     description: |
+ *       `costPolicy` decides how receiving a purchase order updates `Product.costPrice`:
+ *       `last_cost` takes the received unit cost; `weighted_average` averages it with the units
+ *       already on hand at their current cost.
+ *
+ *       The reorder fields drive `/api/reports/reorder-suggestions`: days of sales averaged
+ *       (`reorderLookbackDays`), days of sales to hold after a delivery (`targetDaysOfCover`) and the
+ *       lead time for products and suppliers without one (`defaultLeadTimeDays`). Omitted fields are unchanged.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InventorySettings'
+ *     responses:
+ *       200:
+ *         description: Updated store settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreSettings'
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  "/inventory",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("costPolicy")
+      .optional()
+      .isIn(COST_POLICIES)
+      .withMessage(`costPolicy must be one of: ${COST_POLICIES.join(", ")}`),
+    body("reorderLookbackDays")
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage("reorderLookbackDays must be between 1 and 365"),
+    body("targetDaysOfCover")
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage("targetDaysOfCover must be between 1 and 365"),
+    body("defaultLeadTimeDays")
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage("defaultLeadTimeDays must be between 0 and 365"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const settings = await StoreSettings.getForStore(req.storeId);
+      for (const key of ["costPolicy", "reorderLookbackDays", "targetDaysOfCover", "defaultLeadTimeDays"]) {
+        if (req.body[key] !== undefined) settings.set(`inventory.${key}`, req.body[key]);
+      }
+      await settings.save();
+
+      res.json(settings);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/settings/alerts:
+ *   put:
+ *     summary: Configure low-stock alert emails and the stock digest
+ *     tags: [Settings]
+ *     description: |
+ *       With `lowStockEmails` on, recipients get an email when a sale (or other stock change) takes a product
+ *       to or below its `lowStockThreshold`. A product is not alerted again until it is restocked (received or
+ *       adjusted back above its threshold). `digestFrequency` `daily` / `weekly` (Mondays) emails every low and
+ *       out-of-stock product at `digestHourUtc`; digests are sent by `/api/cron/stock-alerts`.
+ *       `recipients` empty means the store owner and admin staff. Omitted fields are unchanged.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertSettings'
+ *     responses:
+ *       200:
+ *         description: Updated store settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreSettings'
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  "/alerts",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("lowStockEmails").optional().isBoolean().withMessage("lowStockEmails must be a boolean"),
+    body("recipients").optional().isArray({ max: 20 }).withMessage("recipients must be an array of at most 20 emails"),
+    body("recipients.*").isEmail().withMessage("Each recipient must be a valid email"),
+    body("digestFrequency")
+      .optional()
+      .isIn(DIGEST_FREQUENCIES)
+      .withMessage(`digestFrequency must be one of: ${DIGEST_FREQUENCIES.join(", ")}`),
+    body("digestHourUtc").optional().isInt({ min: 0, max: 23 }).withMessage("digestHourUtc must be between 0 and 23"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const settings = await StoreSettings.getForStore(req.storeId);
+      for (const key of ["lowStockEmails", "digestFrequency", "digestHourUtc"]) {
+        if (req.body[key] !== undefined) settings.set(`alerts.${key}`, req.body[key]);
+      }
+      if (req.body.recipients !== undefined) {
+        const recipients = req.body.recipients.map((e) => String(e).trim().toLowerCase());
+        settings.set("alerts.recipients", [...new Set(recipients)]);
+      }
+      await settings.save();
+
+      res.json(settings);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/settings/receipt:
+ *   put:
+ *     summary: Configure the header, footer and logo of printed receipts
+ *     tags: [Settings]
+ *     description: |
+ *       Used by `GET /api/sales/transactions/{transactionId}/receipt?format=pdf|escpos`. `storeName` defaults to
+ *       the store name given at sign-up; `address` and `footer` may span several lines. `logoUrl` must be a PNG or
+ *       JPEG (up to 1 MB) uploaded to Cloudinary (`https://res.cloudinary.com/<cloud>/image/upload/...`, the
+ *       store's own cloud when configured); thermal (ESC/POS) receipts only print PNG logos. Omitted fields are
+ *       unchanged, null clears a field.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReceiptSettings'
+ *     responses:
+ *       200:
+ *         description: Updated store settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreSettings'
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  "/receipt",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  [
+    body("storeName")
+      .optional({ values: "falsy" })
+      .custom((value) => typeof value === "string" && value.length <= 100)
+      .withMessage("storeName must be a string of at most 100 characters"),
+    body("address")
+      .optional({ values: "falsy" })
+      .custom((value) => typeof value === "string" && value.length <= 500)
+      .withMessage("address must be a string of at most 500 characters"),
+    body("footer")
+      .optional({ values: "falsy" })
+      .custom((value) => typeof value === "string" && value.length <= 500)
+      .withMessage("footer must be a string of at most 500 characters"),
+    body("logoUrl")
+      .optional({ values: "falsy" })
+      .custom((value) => typeof value === "string" && isAllowedLogoUrl(value.trim()))
+      .withMessage("logoUrl must be a Cloudinary image upload (https://res.cloudinary.com/<cloud>/image/upload/...)")
+      .isLength({ max: 2000 })
+      .withMessage("logoUrl is too long"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      const settings = await StoreSettings.getForStore(req.storeId);
+      for (const key of ["storeName", "address", "footer", "logoUrl"]) {
+        if (req.body[key] === undefined) continue;
+        // Null or blank clears the field
+        const value = typeof req.body[key] === "string" ? req.body[key].trim() || null : null;
+        settings.set(`receipt.${key}`, value);
+      }
+      await settings.save();
+
+      res.json(settings);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+module.exports = router;
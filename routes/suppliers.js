@@ -0,0 +1,287 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Product = require("../models/Product");
+const { authMiddleware } = require("../middleware/auth");
+const roleMiddleware = require("../middleware/roleMiddleware");
+
+const normalizeValidationErrors = (errorsResult) =>
+  errorsResult.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
+
+const EDITABLE_FIELDS = ["name", "contactName", "phone", "email", "address", "notes", "leadTimeDays", "isActive"];
+
+const pickEditable = (input) =>
+  Object.fromEntries(Object.entries(input || {}).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Rules shared by create/update; `optional` relaxes required fields for partial updates
+const supplierValidators = ({ optional = false } = {}) => {
+  const maybe = (chain) => (optional ? chain.optional() : chain);
+  return [
+    maybe(body("name")).isString().trim().notEmpty().withMessage("name is required"),
+    body("contactName").optional().isString().withMessage("contactName must be a string"),
+    body("phone").optional().isString().withMessage("phone must be a string"),
+    body("email").optional({ values: "falsy" }).isEmail().withMessage("email must be valid"),
+    body("address").optional().isString().withMessage("address must be a string"),
+    body("notes").optional().isString().withMessage("notes must be a string"),
+    body("leadTimeDays")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("leadTimeDays must be a non-negative integer"),
+    body("isActive").optional().isBoolean().withMessage("isActive must be a boolean"),
+  ];
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Suppliers
+ *   description: Vendors the store orders stock from
+ */
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Add a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierInput'
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Supplier'
+ *       400:
+ *         description: Validation error
+ */
+router.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), supplierValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+  }
+
+  try {
+    const supplier = await Supplier.create({ ...pickEditable(req.body), store: req.storeId });
+    res.status(201).json(supplier);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     summary: List suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Optional name/contact search
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active (true) or inactive (false) suppliers
+ *     responses:
+ *       200:
+ *         description: Suppliers sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Supplier'
+ */
+router.get("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const query = { store: req.storeId };
+
+    const q = String(req.query.q ?? "").trim();
+    if (q) {
+      const rx = new RegExp(escapeRegex(q), "i");
+      query.$or = [{ name: rx }, { contactName: rx }, { email: rx }, { phone: rx }];
+    }
+    if (req.query.active !== undefined) {
+      query.isActive = String(req.query.active) === "true";
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+    res.json(suppliers);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Get a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Supplier'
+ *       404:
+ *         description: Not found
+ */
+router.get("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Supplier not found" });
+    }
+
+    const supplier = await Supplier.findOne({ _id: req.params.id, store: req.storeId });
+    if (!supplier) return res.status(404).json({ message: "Supplier not found" });
+    res.json(supplier);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   put:
+ *     summary: Update a supplier
+ *     tags: [Suppliers]
+ *     description: Set `isActive` to false to hide a supplier from new purchase orders without deleting it.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierInput'
+ *     responses:
+ *       200:
+ *         description: Updated supplier
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ */
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  supplierValidators({ optional: true }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: "Validation error", errors: normalizeValidationErrors(errors) });
+    }
+
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Supplier not found" });
+      }
+
+      const supplier = await Supplier.findOneAndUpdate(
+        { _id: req.params.id, store: req.storeId },
+        { $set: pickEditable(req.body) },
+        { new: true, runValidators: true }
+      );
+      if (!supplier) return res.status(404).json({ message: "Supplier not found" });
+      res.json(supplier);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   delete:
+ *     summary: Delete a supplier
+ *     tags: [Suppliers]
+ *     description: |
+ *       Suppliers with purchase orders cannot be deleted (409); deactivate them instead.
+ *       Products preferring the supplier are left without a preferred supplier.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier deleted
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Supplier has purchase orders
+ */
+router.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Supplier not found" });
+    }
+
+    const supplier = await Supplier.findOne({ _id: req.params.id, store: req.storeId });
+    if (!supplier) return res.status(404).json({ message: "Supplier not found" });
+
+    const orders = await PurchaseOrder.countDocuments({ store: req.storeId, supplier: supplier._id });
+    if (orders > 0) {
+      return res.status(409).json({
+        message: "Supplier has purchase orders; deactivate it instead",
+        details: { purchaseOrders: orders },
+      });
+    }
+
+    await supplier.deleteOne();
+    await Product.updateMany(
+      { store: req.storeId, preferredSupplier: supplier._id },
+      { $set: { preferredSupplier: null } }
+    );
+    res.json({ message: "Supplier deleted" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Product = require("../models/Product");
+const Promotion = require("../models/Promotion");
+const Category = require("../models/Category");
+
+/**
+ * Convert free-text categories (Product.category and Promotion.categories used to be strings)
+ * into Category documents.
+ *
+ * - Each distinct name per store becomes a top-level category (names match case-insensitively;
+ *   existing top-level categories are reused). Arrange them into a tree afterwards via the API.
+ * - Products and promotions are pointed at the category ids; empty strings become null/dropped.
+ *   A promotion left with no scope at all is deactivated rather than becoming store-wide.
+ *
+ * Safe to re-run. Set MIGRATE_DRY_RUN=true to only print what would change.
+ */
+
+const dryRun = String(process.env.MIGRATE_DRY_RUN || "false").toLowerCase() === "true";
+
+(async () => {
+  await connectDB();
+
+  const stats = {
+    dryRun,
+    categoriesCreated: 0,
+    productsLinked: 0,
+    productsCleared: 0,
+    promotionsUpdated: 0,
+    promotionsDeactivated: 0,
+  };
+
+  // store id + lowercased name -> category id (null in a dry run for categories not created yet)
+  const resolved = new Map();
+  const resolveCategory = async (store, rawName) => {
+    const name = String(rawName).trim();
+    const key = `${store}:${name.toLowerCase()}`;
+    if (resolved.has(key)) return resolved.get(key);
+
+    let category = await Category.findOne({ store, parent: null, name })
+      .collation({ locale: "en", strength: 2 })
+      .select("_id");
+    if (!category) {
+      stats.categoriesCreated += 1;
+      if (!dryRun) category = await Category.create({ store, name, parent: null, ancestors: [] });
+    }
+    resolved.set(key, category?._id ?? null);
+    return category?._id ?? null;
+  };
+
+  // 1) Products: raw collection access, since the stored strings no longer cast to the schema
+  const products = Product.collection.find(
+    { category: { $type: "string" } },
+    { projection: { store: 1, category: 1 } }
+  );
+  for await (const p of products) {
+    const name = p.category.trim();
+    if (!name) {
+      stats.productsCleared += 1;
+      if (!dryRun) await Product.collection.updateOne({ _id: p._id }, { $set: { category: null } });
+      continue;
+    }
+
+    const categoryId = await resolveCategory(p.store, name);
+    stats.productsLinked += 1;
+    if (!dryRun) await Product.collection.updateOne({ _id: p._id }, { $set: { category: categoryId } });
+  }
+
+  // 2) Promotions scoped to category names
+  const promotions = Promotion.collection.find(
+    { categories: { $elemMatch: { $type: "string" } } },
+    { projection: { store: 1, categories: 1, products: 1 } }
+  );
+  for await (const promo of promotions) {
+    const categories = [];
+    for (const entry of promo.categories) {
+      if (typeof entry !== "string") {
+        categories.push(entry);
+      } else if (entry.trim()) {
+        categories.push(await resolveCategory(promo.store, entry));
+      }
+    }
+
+    const update = { categories };
+    if (categories.length === 0 && !(promo.products || []).length) {
+      update.isActive = false;
+      stats.promotionsDeactivated += 1;
+    }
+
+    stats.promotionsUpdated += 1;
+    if (!dryRun) await Promotion.collection.updateOne({ _id: promo._id }, { $set: update });
+  }
+
+  console.log(JSON.stringify({ ok: true, ...stats }, null, 2));
+  await mongoose.disconnect();
+})().catch(async (err) => {
+  console.error(
+    JSON.stringify(
+      {
+        ok: false,
+        error: {
+          name: err?.name,
+          code: err?.code,
+          message: err?.message,
+        },
+      },
+      null,
+      2
+    )
+  );
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
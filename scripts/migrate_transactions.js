@@ -0,0 +1,165 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Sale = require("../models/Sale");
+const Transaction = require("../models/Transaction");
+
+/**
+ * Back-fill Transaction documents from existing Sale rows.
+ *
+ * - Legacy single sales (no transactionId) get transactionId = their own _id.
+ * - One Transaction is upserted per transactionId group (existing ones are left untouched).
+ * - Refunds from `returns` are folded in. Sales from before the Transaction model have no recorded
+ *   tenders, so their transactions start with an empty `payments` list.
+ *
+ * Safe to re-run. Set MIGRATE_DRY_RUN=true to only print what would change.
+ */
+
+const BATCH_SIZE = 500;
+const dryRun = String(process.env.MIGRATE_DRY_RUN || "false").toLowerCase() === "true";
+
+const collectionExists = async (name) => {
+  const found = await mongoose.connection.db.listCollections({ name }).toArray();
+  return found.length > 0;
+};
+
+(async () => {
+  await connectDB();
+
+  const stats = {
+    dryRun,
+    legacySalesLinked: 0,
+    transactionsCreated: 0,
+    transactionsWithRefunds: 0,
+  };
+
+  // 1) Link legacy single sales to themselves
+  const legacyFilter = { $or: [{ transactionId: { $exists: false } }, { transactionId: null }] };
+  if (dryRun) {
+    stats.legacySalesLinked = await Sale.collection.countDocuments(legacyFilter);
+  } else {
+    const linked = await Sale.collection.updateMany(legacyFilter, [{ $set: { transactionId: "$_id" } }]);
+    stats.legacySalesLinked = linked.modifiedCount;
+  }
+
+  // 2) Upsert one Transaction per Sale group
+  const groups = Sale.aggregate([
+    { $addFields: { txId: { $ifNull: ["$transactionId", "$_id"] } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: "$txId",
+        store: { $first: "$store" },
+        staff: { $first: "$staff" },
+        cashierType: { $first: "$cashierType" },
+        cashierUser: { $first: "$cashierUser" },
+        cashierNameSnapshot: { $first: "$cashierNameSnapshot" },
+        createdAt: { $min: "$createdAt" },
+        lastSaleAt: { $max: "$createdAt" },
+        total: { $sum: "$totalPrice" },
+        itemsCount: { $sum: 1 },
+        totalQuantity: { $sum: "$quantity" },
+        voidedAt: { $max: "$voidedAt" },
+        voidedByType: { $first: "$voidedByType" },
+        voidedByStaff: { $first: "$voidedByStaff" },
+        voidedByUser: { $first: "$voidedByUser" },
+        voidedByNameSnapshot: { $first: "$voidedByNameSnapshot" },
+        voidReason: { $first: "$voidReason" },
+      },
+    },
+  ])
+    .allowDiskUse(true)
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let ops = [];
+  const flush = async () => {
+    if (ops.length === 0) return;
+    if (!dryRun) {
+      const result = await Transaction.collection.bulkWrite(ops, { ordered: false });
+      stats.transactionsCreated += result.upsertedCount;
+    } else {
+      const existing = await Transaction.collection.countDocuments({
+        _id: { $in: ops.map((op) => op.updateOne.filter._id) },
+      });
+      stats.transactionsCreated += ops.length - existing;
+    }
+    ops = [];
+  };
+
+  for await (const g of groups) {
+    ops.push({
+      updateOne: {
+        filter: { _id: g._id },
+        update: {
+          $setOnInsert: {
+            store: g.store,
+            staff: g.staff ?? null,
+            cashierType: g.cashierType || (g.staff ? "staff" : "user"),
+            cashierUser: g.cashierUser ?? null,
+            cashierNameSnapshot: g.cashierNameSnapshot ?? null,
+            itemsCount: g.itemsCount,
+            totalQuantity: g.totalQuantity,
+            total: g.total,
+            payments: [],
+            amountTendered: null,
+            changeDue: null,
+            refundedTotal: 0,
+            lastSaleAt: g.lastSaleAt,
+            voidedAt: g.voidedAt ?? null,
+            voidedByType: g.voidedByType,
+            voidedByStaff: g.voidedByStaff,
+            voidedByUser: g.voidedByUser,
+            voidedByNameSnapshot: g.voidedByNameSnapshot,
+            voidReason: g.voidReason,
+            createdAt: g.createdAt,
+            updatedAt: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    });
+
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  // 3) Recompute refundedTotal from recorded returns
+  if (await collectionExists("returns")) {
+    const refundGroups = mongoose.connection.db.collection("returns").aggregate([
+      { $group: { _id: "$transactionId", refundedTotal: { $sum: "$totalRefund" } } },
+    ]);
+
+    for await (const g of refundGroups) {
+      if (dryRun) {
+        stats.transactionsWithRefunds += 1;
+        continue;
+      }
+      const updated = await Transaction.collection.updateOne(
+        { _id: g._id },
+        { $set: { refundedTotal: g.refundedTotal } }
+      );
+      stats.transactionsWithRefunds += updated.modifiedCount;
+    }
+  }
+
+  console.log(JSON.stringify({ ok: true, ...stats }, null, 2));
+  await mongoose.disconnect();
+})().catch(async (err) => {
+  console.error(
+    JSON.stringify(
+      {
+        ok: false,
+        error: {
+          name: err?.name,
+          code: err?.code,
+          message: err?.message,
+        },
+      },
+      null,
+      2
+    )
+  );
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
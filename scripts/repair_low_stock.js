@@ -0,0 +1,58 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Product = require("../models/Product");
+const { LOW_STOCK_EXPR } = require("../utils/lowStock");
+
+/**
+ * Recompute Product.isLowStock (quantity <= lowStockThreshold) for every product.
+ *
+ * Products whose flag was never maintained are corrected in place; no LowStockEvent is recorded
+ * for them since they did not cross the threshold now. Safe to re-run.
+ * Set MIGRATE_DRY_RUN=true to only count what would change.
+ */
+
+const dryRun = String(process.env.MIGRATE_DRY_RUN || "false").toLowerCase() === "true";
+
+(async () => {
+  await connectDB();
+
+  // Flag missing or different from the computed value
+  const staleFilter = { $expr: { $ne: [{ $ifNull: ["$isLowStock", null] }, LOW_STOCK_EXPR] } };
+
+  const stats = {
+    dryRun,
+    products: await Product.collection.countDocuments({}),
+    stale: await Product.collection.countDocuments(staleFilter),
+    updated: 0,
+    lowStock: 0,
+  };
+
+  if (!dryRun && stats.stale > 0) {
+    const result = await Product.collection.updateMany(staleFilter, [{ $set: { isLowStock: LOW_STOCK_EXPR } }]);
+    stats.updated = result.modifiedCount;
+  }
+
+  stats.lowStock = await Product.collection.countDocuments(dryRun ? { $expr: LOW_STOCK_EXPR } : { isLowStock: true });
+
+  console.log(JSON.stringify({ ok: true, ...stats }, null, 2));
+  await mongoose.disconnect();
+})().catch(async (err) => {
+  console.error(
+    JSON.stringify(
+      {
+        ok: false,
+        error: {
+          name: err?.name,
+          code: err?.code,
+          message: err?.message,
+        },
+      },
+      null,
+      2
+    )
+  );
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
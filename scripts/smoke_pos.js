@@ -1,5 +1,7 @@
 require("dotenv").config();
 
+const crypto = require("crypto");
+
 // Smoke tests run in a controlled dev environment; allow returning OTP so we can auto-verify.
 if (process.env.NODE_ENV !== "production") {
   process.env.RETURN_EMAIL_OTP = process.env.RETURN_EMAIL_OTP || "true";
@@ -14,6 +16,17 @@ if (typeof fetch !== "function") {
   process.exit(1);
 }
 
+// Resolves with the error body when the request fails with `status`; anything else throws
+async function expectStatus(status, request) {
+  try {
+    await request;
+  } catch (e) {
+    if (e.status === status) return e.body;
+    throw e;
+  }
+  throw new Error(`Expected HTTP ${status}`);
+}
+
 async function jsonFetch(url, options = {}) {
   const res = await fetch(url, {
     ...options,
@@ -219,6 +232,654 @@ async function jsonFetch(url, options = {}) {
       }
     }
 
+    // Flows that change sales or stock; they all need MongoDB transactions, like checkout. Each section
+    // creates its own products (SKUs are unique per run) so a failure points at one feature.
+    const runId = Date.now();
+    const flows = {};
+    if (checkout) {
+      const createProduct = (name, fields = {}) =>
+        jsonFetch(`${base}/api/products`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            name,
+            sku: `SKU-${name.toUpperCase().replace(/[^A-Z0-9]+/g, "-")}-${runId}`,
+            price: 250,
+            costPrice: 150,
+            quantity: 20,
+            ...fields,
+          }),
+        });
+      const onHand = async (product) =>
+        (await jsonFetch(`${base}/api/products/lookup?sku=${encodeURIComponent(product.sku)}`, { headers })).quantity;
+      const expectOnHand = async (product, expected, step) => {
+        const quantity = await onHand(product);
+        if (quantity !== expected) {
+          throw new Error(`${step}: expected ${expected} ${product.name} on hand, got ${quantity}`);
+        }
+      };
+      const sell = (items, fields = {}) =>
+        jsonFetch(`${base}/api/sales/checkout`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ items, ...fields }),
+        });
+
+      // Returns (user-001): partial returns restock, and a full return refunds exactly what was charged
+      const eggs = await createProduct("Eggs");
+      const eggsSale = await sell([{ product: eggs._id, quantity: 3 }]);
+      const returnsUrl = `${base}/api/sales/transactions/${eggsSale.transaction.id}/returns`;
+      const partialReturn = await jsonFetch(returnsUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ items: [{ product: eggs._id, quantity: 1 }], reason: "Smoke test" }),
+      });
+      await expectOnHand(eggs, 18, "Partial return");
+      const finalReturn = await jsonFetch(returnsUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ items: [{ product: eggs._id, quantity: 2 }], reason: "Smoke test" }),
+      });
+      const refunded = Math.round((partialReturn.totalRefund + finalReturn.totalRefund) * 100) / 100;
+      if (refunded !== eggsSale.transaction.total) {
+        throw new Error(`Full return refunded ${refunded}, expected ${eggsSale.transaction.total}`);
+      }
+      await expectStatus(
+        400,
+        jsonFetch(returnsUrl, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ items: [{ product: eggs._id, quantity: 1 }] }),
+        })
+      );
+      await expectOnHand(eggs, 20, "Returns");
+      flows.returns = { refundedTotal: refunded, charged: eggsSale.transaction.total };
+
+      // Idempotency-Key (user-010): a retry replays the sale instead of selling again
+      const butter = await createProduct("Butter");
+      const idempotencyKey = `smoke-${runId}`;
+      const keyedCheckout = (quantity) =>
+        fetch(`${base}/api/sales/checkout`, {
+          method: "POST",
+          headers: { ...headers, "Content-Type": "application/json", "Idempotency-Key": idempotencyKey },
+          body: JSON.stringify({ items: [{ product: butter._id, quantity }] }),
+        });
+      const firstResponse = await keyedCheckout(3);
+      const first = await firstResponse.json();
+      if (firstResponse.status !== 201) throw new Error(`Keyed checkout failed with ${firstResponse.status}`);
+      const replayResponse = await keyedCheckout(3);
+      const replay = await replayResponse.json();
+      if (replayResponse.headers.get("Idempotent-Replayed") !== "true") {
+        throw new Error("Expected the retried checkout to be replayed");
+      }
+      if (replay?.transaction?.id !== first?.transaction?.id) {
+        throw new Error("Replayed checkout returned a different transaction");
+      }
+      const conflict = await keyedCheckout(4);
+      if (conflict.status !== 409) throw new Error(`Expected 409 for a reused key, got ${conflict.status}`);
+      await conflict.text();
+      await expectOnHand(butter, 17, "Idempotency");
+      flows.idempotency = { transactionId: first.transaction.id, replayed: true };
+
+      // Offline sync (user-011): queued sales are recorded once per clientId
+      const jam = await createProduct("Jam");
+      const queued = {
+        clientId: crypto.randomUUID(),
+        createdAt: new Date(Date.now() - 60 * 1000).toISOString(),
+        items: [{ product: jam._id, quantity: 2 }],
+      };
+      const sync = () =>
+        jsonFetch(`${base}/api/sales/sync`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ transactions: [queued] }),
+        });
+      const synced = await sync();
+      const resynced = await sync();
+      if (synced?.results?.[0]?.status !== "accepted") {
+        throw new Error(`Offline sale was not accepted: ${JSON.stringify(synced?.results?.[0])}`);
+      }
+      if (resynced?.results?.[0]?.status !== "duplicate") {
+        throw new Error(`Re-synced offline sale was not a duplicate: ${JSON.stringify(resynced?.results?.[0])}`);
+      }
+      await expectOnHand(jam, 18, "Offline sync");
+      flows.offlineSync = [synced.results[0].status, resynced.results[0].status];
+
+      // Stock adjustments (user-013): reason codes set the direction, and stock cannot go below zero
+      const flour = await createProduct("Flour");
+      const adjustment = await jsonFetch(`${base}/api/products/${flour._id}/adjustments`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ delta: -2, reason: "damaged", note: "Smoke test" }),
+      });
+      if (adjustment?.product?.quantity !== 18) {
+        throw new Error(`Adjustment: expected 18 Flour on hand, got ${adjustment?.product?.quantity}`);
+      }
+      await expectStatus(
+        400,
+        jsonFetch(`${base}/api/products/${flour._id}/adjustments`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ delta: -2, reason: "found" }),
+        })
+      );
+      await expectStatus(
+        400,
+        jsonFetch(`${base}/api/products/${flour._id}/adjustments`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ delta: -100, reason: "theft" }),
+        })
+      );
+      await expectOnHand(flour, 18, "Adjustments");
+      flows.adjustments = { quantityAfter: adjustment.product.quantity };
+
+      // Promotions and manual discounts (user-005): promotions apply first, manual discounts are capped per role
+      const coffee = await createProduct("Coffee");
+      const promotion = await jsonFetch(`${base}/api/promotions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ name: `Smoke 20% off ${runId}`, type: "percentage", value: 20, products: [coffee._id] }),
+      });
+      try {
+        const promoSale = await sell([{ product: coffee._id, quantity: 2, discountPercent: 10 }]);
+        // 500 gross, 100 off by the promotion, then 10% of the remaining 400 off by hand
+        if (promoSale.transaction.subtotal !== 500 || promoSale.transaction.discountTotal !== 140) {
+          throw new Error(
+            `Promotion: expected 500 subtotal and 140 discount, got ${JSON.stringify(promoSale.transaction)}`
+          );
+        }
+        const discountTypes = promoSale.sales[0].discounts.map((d) => d.type);
+        if (discountTypes.join(",") !== "promotion,manual") {
+          throw new Error(`Promotion: expected promotion then manual discounts, got ${discountTypes}`);
+        }
+
+        const capStaff = await jsonFetch(`${base}/api/staff`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            name: "Cap Cashier",
+            email: `cap_cashier_${runId}@test.com`,
+            password: "password123",
+            role: "staff",
+          }),
+        });
+        const capLogin = await jsonFetch(`${base}/api/staff-auth/login`, {
+          method: "POST",
+          body: JSON.stringify({ email: capStaff.email, password: "password123" }),
+        });
+        const overLimit = await expectStatus(
+          400,
+          jsonFetch(`${base}/api/sales/checkout`, {
+            method: "POST",
+            headers: { Authorization: `Bearer ${capLogin.tokens.accessToken}` },
+            body: JSON.stringify({ items: [{ product: coffee._id, quantity: 1, discountPercent: 90 }] }),
+          })
+        );
+        if (overLimit?.message !== "Manual discount exceeds your limit") {
+          throw new Error(`Discount cap: unexpected response ${JSON.stringify(overLimit)}`);
+        }
+        await expectOnHand(coffee, 18, "Promotions");
+        flows.promotions = { discountTotal: promoSale.transaction.discountTotal, staffLimit: overLimit.details };
+      } finally {
+        await jsonFetch(`${base}/api/promotions/${promotion._id}`, { method: "DELETE", headers });
+      }
+
+      // Tax (user-006): exclusive rates are added on top, inclusive rates are carved out of the shelf price
+      const { tax: originalTax } = await jsonFetch(`${base}/api/settings`, { headers });
+      const taxClass = `smoke-${runId}`;
+      const putTax = (pricesIncludeTax) =>
+        jsonFetch(`${base}/api/settings/tax`, {
+          method: "PUT",
+          headers,
+          body: JSON.stringify({
+            pricesIncludeTax,
+            defaultClass: originalTax.defaultClass,
+            rates: [...originalTax.rates, { code: taxClass, name: "Smoke 10%", rate: 10 }],
+          }),
+        });
+      try {
+        const tea = await createProduct("Tea", { price: 200, taxClass });
+        await putTax(false);
+        const exclusiveSale = await sell([{ product: tea._id, quantity: 1 }]);
+        if (exclusiveSale.transaction.taxTotal !== 20 || exclusiveSale.transaction.total !== 220) {
+          const { taxTotal, total } = exclusiveSale.transaction;
+          throw new Error(`Exclusive tax: expected 20 tax on a 220 total, got ${taxTotal} tax and ${total} total`);
+        }
+        await putTax(true);
+        const inclusiveSale = await sell([{ product: tea._id, quantity: 1 }]);
+        if (inclusiveSale.transaction.taxTotal !== 18.18 || inclusiveSale.transaction.total !== 200) {
+          const { taxTotal, total } = inclusiveSale.transaction;
+          throw new Error(`Inclusive tax: expected 18.18 tax in a 200 total, got ${taxTotal} tax and ${total} total`);
+        }
+        flows.tax = {
+          exclusive: [exclusiveSale.transaction.taxTotal, exclusiveSale.transaction.total],
+          inclusive: [inclusiveSale.transaction.taxTotal, inclusiveSale.transaction.total],
+        };
+      } finally {
+        await jsonFetch(`${base}/api/settings/tax`, {
+          method: "PUT",
+          headers,
+          body: JSON.stringify({
+            pricesIncludeTax: originalTax.pricesIncludeTax,
+            defaultClass: originalTax.defaultClass,
+            rates: originalTax.rates,
+          }),
+        });
+      }
+
+      // Loyalty (user-008): checkouts earn and redeem points; returns and voids take back what was earned
+      // and give back what was redeemed
+      const { loyalty: originalLoyalty } = await jsonFetch(`${base}/api/settings`, { headers });
+      await jsonFetch(`${base}/api/settings/loyalty`, {
+        method: "PUT",
+        headers,
+        body: JSON.stringify({ enabled: true, earnRate: 0.1, redeemValue: 1, minRedeemPoints: 0, expiryDays: 30 }),
+      });
+      try {
+        const honey = await createProduct("Honey");
+        const member = await jsonFetch(`${base}/api/customers`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ name: `Smoke Member ${runId}` }),
+        });
+        const pointsBalance = async () =>
+          (await jsonFetch(`${base}/api/customers/${member._id}/loyalty`, { headers })).pointsBalance;
+
+        const earnSale = await sell([{ product: honey._id, quantity: 2 }], { customer: member._id });
+        const earned = earnSale.loyalty?.pointsEarned;
+        if (!(earned > 0) || earnSale.loyalty.balance !== earned) {
+          throw new Error(`Loyalty earn: unexpected ${JSON.stringify(earnSale.loyalty)}`);
+        }
+        const redeemSale = await sell([{ product: honey._id, quantity: 1 }], {
+          customer: member._id,
+          redeemPoints: 20,
+        });
+        if (redeemSale.loyalty?.pointsRedeemed !== 20 || redeemSale.loyalty.redeemedAmount !== 20) {
+          throw new Error(`Loyalty redeem: unexpected ${JSON.stringify(redeemSale.loyalty)}`);
+        }
+
+        await jsonFetch(`${base}/api/sales/transactions/${earnSale.transaction.id}/returns`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ items: [{ product: honey._id, quantity: 2 }], reason: "Smoke test" }),
+        });
+        const afterReturn = await pointsBalance();
+        const expectedAfterReturn = redeemSale.loyalty.balance - earned;
+        if (afterReturn !== expectedAfterReturn) {
+          throw new Error(`Loyalty clawback: expected ${expectedAfterReturn} points, got ${afterReturn}`);
+        }
+
+        await jsonFetch(`${base}/api/sales/transactions/${redeemSale.transaction.id}/void`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ reason: "Smoke test" }),
+        });
+        const afterVoid = await pointsBalance();
+        if (afterVoid !== 0) throw new Error(`Loyalty void: expected 0 points left, got ${afterVoid}`);
+        const reversals = await jsonFetch(
+          `${base}/api/customers/${member._id}/loyalty/history?type=redeem_reversal`,
+          { headers }
+        );
+        if (reversals.data.length !== 1 || reversals.data[0].points !== 20) {
+          throw new Error(`Loyalty void: expected one 20-point redeem_reversal, got ${JSON.stringify(reversals.data)}`);
+        }
+        await expectOnHand(honey, 20, "Loyalty");
+        flows.loyalty = { earned, redeemed: 20, balanceAfterReturn: afterReturn, balanceAfterVoid: afterVoid };
+      } finally {
+        await jsonFetch(`${base}/api/settings/loyalty`, {
+          method: "PUT",
+          headers,
+          body: JSON.stringify(originalLoyalty),
+        });
+      }
+
+      // Carts (user-009): a parked cart is resumed by one till only and completes into a single sale
+      const rice = await createProduct("Rice");
+      const cartsUrl = `${base}/api/carts`;
+      const cart = await jsonFetch(cartsUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ label: `Smoke cart ${runId}`, items: [{ product: rice._id, quantity: 1 }] }),
+      });
+      const bumped = await jsonFetch(`${cartsUrl}/${cart.id}/items`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ product: rice._id, quantity: 2 }),
+      });
+      if (bumped.items.length !== 1 || bumped.items[0].quantity !== 3) {
+        throw new Error(`Cart: expected one line of 3, got ${JSON.stringify(bumped.items)}`);
+      }
+      await jsonFetch(`${cartsUrl}/${cart.id}/park`, { method: "POST", headers, body: JSON.stringify({}) });
+      const parked = await jsonFetch(`${cartsUrl}?status=parked`, { headers });
+      if (!parked.some((c) => c.id === cart.id)) throw new Error("Cart: parked cart is not listed");
+      await jsonFetch(`${cartsUrl}/${cart.id}/resume`, { method: "POST", headers });
+      await expectStatus(409, jsonFetch(`${cartsUrl}/${cart.id}/resume`, { method: "POST", headers }));
+      await expectOnHand(rice, 20, "Cart before completion");
+      const completed = await jsonFetch(`${cartsUrl}/${cart.id}/complete`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({}),
+      });
+      if (completed.cartId !== cart.id || completed.transaction.totalQuantity !== 3) {
+        throw new Error(`Cart: unexpected completion ${JSON.stringify(completed.transaction)}`);
+      }
+      await expectStatus(
+        409,
+        jsonFetch(`${cartsUrl}/${cart.id}/complete`, { method: "POST", headers, body: JSON.stringify({}) })
+      );
+      await expectOnHand(rice, 17, "Cart");
+      flows.carts = { cartId: cart.id, transactionId: completed.transaction.id };
+
+      // Purchase orders (user-014): receiving restocks and, under weighted_average, blends the cost price
+      const { inventory: originalInventory } = await jsonFetch(`${base}/api/settings`, { headers });
+      const putInventory = (inventory) =>
+        jsonFetch(`${base}/api/settings/inventory`, { method: "PUT", headers, body: JSON.stringify(inventory) });
+      await putInventory({ costPolicy: "weighted_average" });
+      try {
+        const oats = await createProduct("Oats");
+        const supplier = await jsonFetch(`${base}/api/suppliers`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ name: `Smoke Supplier ${runId}`, leadTimeDays: 3 }),
+        });
+        const poUrl = `${base}/api/purchase-orders`;
+        const purchaseOrder = await jsonFetch(poUrl, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ supplier: supplier._id, lines: [{ product: oats._id, quantity: 20, unitCost: 250 }] }),
+        });
+        await jsonFetch(`${poUrl}/${purchaseOrder._id}/send`, { method: "POST", headers });
+
+        // 20 on hand at 150 plus 10 at 250 averages to 183.33; the last 10 at 250 bring it to 200
+        const partial = await jsonFetch(`${poUrl}/${purchaseOrder._id}/receive`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ lines: [{ product: oats._id, quantity: 10 }] }),
+        });
+        if (partial.purchaseOrder.status !== "partially_received" || partial.received[0].costPriceAfter !== 183.33) {
+          throw new Error(`PO partial receipt: unexpected ${JSON.stringify(partial.received)}`);
+        }
+        const rest = await jsonFetch(`${poUrl}/${purchaseOrder._id}/receive`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({}),
+        });
+        if (rest.purchaseOrder.status !== "received" || rest.received[0].costPriceAfter !== 200) {
+          throw new Error(`PO final receipt: unexpected ${JSON.stringify(rest.received)}`);
+        }
+        await expectStatus(
+          409,
+          jsonFetch(`${poUrl}/${purchaseOrder._id}/receive`, { method: "POST", headers, body: JSON.stringify({}) })
+        );
+        await expectOnHand(oats, 40, "Purchase order");
+        flows.purchaseOrders = {
+          costPrices: [partial.received[0].costPriceAfter, rest.received[0].costPriceAfter],
+          status: rest.purchaseOrder.status,
+        };
+      } finally {
+        await putInventory(originalInventory);
+      }
+
+      // Reorder suggestions (user-015): sales velocity over the lead time sets the reorder point, and
+      // quantities already on open purchase orders count towards the stock position
+      const reorderSupplier = await jsonFetch(`${base}/api/suppliers`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ name: `Smoke Reorder Supplier ${runId}`, leadTimeDays: 7 }),
+      });
+      const salt = await createProduct("Salt", {
+        lowStockThreshold: 2,
+        preferredSupplier: reorderSupplier._id,
+        leadTimeDays: 10,
+      });
+      await sell([{ product: salt._id, quantity: 15 }]);
+      const reorderUrl =
+        `${base}/api/reports/reorder-suggestions?lookbackDays=30&targetDaysOfCover=20&supplier=${reorderSupplier._id}`;
+      const suggestedLine = async () =>
+        (await jsonFetch(reorderUrl, { headers })).groups.flatMap((g) => g.lines).find((l) => l.product === salt._id);
+
+      // 15 sold in 30 days is 0.5 a day: reorder at 0.5 * 10 + 2 = 7, top up to 0.5 * (10 + 20) + 2 = 17
+      const saltLine = await suggestedLine();
+      if (saltLine?.reorderPoint !== 7 || saltLine.suggestedQuantity !== 12) {
+        throw new Error(`Reorder: expected 12 to reach 17, got ${JSON.stringify(saltLine)}`);
+      }
+      const reorderPo = await jsonFetch(`${base}/api/purchase-orders/from-suggestions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          supplier: reorderSupplier._id,
+          products: [salt._id],
+          lookbackDays: 30,
+          targetDaysOfCover: 20,
+        }),
+      });
+      if (reorderPo.lines[0]?.quantityOrdered !== 12) {
+        throw new Error(`Reorder PO: expected 12 ordered, got ${JSON.stringify(reorderPo.lines)}`);
+      }
+      await jsonFetch(`${base}/api/purchase-orders/${reorderPo._id}/send`, { method: "POST", headers });
+      if (await suggestedLine()) throw new Error("Reorder: product is still suggested with its order outstanding");
+      flows.reorder = { suggestedQuantity: saltLine.suggestedQuantity, purchaseOrder: reorderPo.poNumber };
+
+      // Variants (user-019): a product with options holds no stock; its variants are sold and stocked instead
+      const shirt = await createProduct("Shirt", { quantity: 0, options: [{ name: "Size", values: ["S", "M"] }] });
+      const variantsUrl = `${base}/api/products/${shirt._id}/variants`;
+      const medium = await jsonFetch(variantsUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ optionValues: { Size: "M" }, sku: `SKU-SHIRT-M-${runId}`, quantity: 5 }),
+      });
+      if (medium.name !== "Shirt (M)" || medium.price !== shirt.price) {
+        throw new Error(`Variant: expected "Shirt (M)" at the parent's price, got ${medium.name} at ${medium.price}`);
+      }
+      await expectStatus(
+        409,
+        jsonFetch(variantsUrl, { method: "POST", headers, body: JSON.stringify({ optionValues: { Size: "m" } }) })
+      );
+      const parentSale = await expectStatus(400, sell([{ product: shirt._id, quantity: 1 }]));
+      if (parentSale?.details?.reason !== "variant_required") {
+        throw new Error(`Variant: selling the parent should ask for a variant, got ${JSON.stringify(parentSale)}`);
+      }
+      await sell([{ product: medium._id, quantity: 2 }]);
+      await expectOnHand(medium, 3, "Variants");
+      const { variants } = await jsonFetch(variantsUrl, { headers });
+      if (variants.length !== 1 || variants[0]._id !== medium._id) {
+        throw new Error(`Variant: expected only the M variant, got ${JSON.stringify(variants)}`);
+      }
+      flows.variants = { parent: shirt.sku, variants: variants.map((v) => v.name) };
+
+      // CSV import (user-020): dry runs save nothing, bad rows reject the whole file unless partial=true
+      const rye = await createProduct("Rye");
+      const importSku = `SKU-IMPORTED-${runId}`;
+      const csv = [
+        "name,sku,price,costPrice,quantity",
+        `Imported Loaf,${importSku},120,80,5`,
+        `,${rye.sku},260,,`,
+        `Broken Row,SKU-BROKEN-${runId},not-a-price,80,5`,
+      ].join("\n");
+      const importCsv = async (query) => {
+        const form = new FormData();
+        form.append("file", new Blob([csv], { type: "text/csv" }), "products.csv");
+        const response = await fetch(`${base}/api/products/import${query}`, { method: "POST", headers, body: form });
+        return { status: response.status, report: await response.json() };
+      };
+      const importedOnHand = () =>
+        jsonFetch(`${base}/api/products/lookup?sku=${importSku}`, { headers }).then((p) => p.quantity, (e) => e.status);
+      const expectSummary = ({ status, report }, expectedStatus, step) => {
+        const { created, updated, failed } = report.summary || {};
+        if (status !== expectedStatus || created !== 1 || updated !== 1 || failed !== 1) {
+          throw new Error(`${step}: unexpected ${status} ${JSON.stringify(report.summary)}`);
+        }
+      };
+
+      const dryRun = await importCsv("?dryRun=true");
+      expectSummary(dryRun, 200, "Import dry run");
+      if (dryRun.report.errors[0]?.row !== 4) {
+        throw new Error(`Import dry run: expected row 4 to fail, got ${JSON.stringify(dryRun.report.errors)}`);
+      }
+      if ((await importedOnHand()) !== 404) throw new Error("Import dry run saved a product");
+
+      const rejected = await importCsv("");
+      if (rejected.status !== 400 || rejected.report.summary.created !== 0) {
+        throw new Error(`Import: expected an all-or-nothing rejection, got ${JSON.stringify(rejected.report.summary)}`);
+      }
+      if ((await importedOnHand()) !== 404) throw new Error("Rejected import saved a product");
+
+      const partialImport = await importCsv("?partial=true");
+      expectSummary(partialImport, 200, "Partial import");
+      if ((await importedOnHand()) !== 5) throw new Error("Partial import did not create the valid row");
+      const ryeAfter = await jsonFetch(`${base}/api/products/lookup?sku=${encodeURIComponent(rye.sku)}`, { headers });
+      if (ryeAfter.price !== 260 || ryeAfter.quantity !== 20) {
+        throw new Error(`Partial import: expected Rye at 260 with 20 on hand, got ${JSON.stringify(ryeAfter)}`);
+      }
+      flows.import = { dryRun: dryRun.report.summary, partial: partialImport.report.summary };
+
+      // Export (user-021): the chosen columns in order, filtered like search, in the import's format
+      const kale = await createProduct("Kale", { price: 310 });
+      const exportUrl = `${base}/api/products/export`;
+      const exported = await fetch(`${exportUrl}?format=csv&columns=sku,name,price&q=${encodeURIComponent(kale.sku)}`, {
+        headers,
+      });
+      if (exported.status !== 200) throw new Error(`Export failed with ${exported.status}`);
+      const exportedLines = (await exported.text()).replace(/^\uFEFF/, "").trim().split("\r\n");
+      if (exportedLines.join("|") !== `sku,name,price|${kale.sku},Kale,310`) {
+        throw new Error(`Export: unexpected CSV ${JSON.stringify(exportedLines)}`);
+      }
+      const workbook = await fetch(`${exportUrl}?format=xlsx&q=${encodeURIComponent(kale.sku)}`, { headers });
+      const workbookBytes = Buffer.from(await workbook.arrayBuffer());
+      const isXlsx = workbook.headers.get("content-type")?.includes("spreadsheetml");
+      if (!isXlsx || workbookBytes.toString("latin1", 0, 2) !== "PK") {
+        throw new Error("Export: expected an XLSX (zip) download");
+      }
+      await expectStatus(400, jsonFetch(`${exportUrl}?columns=name,secretField`, { headers }));
+      flows.export = { csv: exportedLines, xlsxBytes: workbookBytes.length };
+
+      // Product list (user-022): filtered, sorted pages walked with a cursor; no paging keeps the old array
+      const listedSince = new Date(Date.now() - 1000).toISOString();
+      for (const [name, price] of [["Page Apple", 7771], ["Page Berry", 7772], ["Page Cherry", 7773]]) {
+        await createProduct(name, { price });
+      }
+      const listFilters = `minPrice=7771&maxPrice=7773&startDate=${encodeURIComponent(listedSince)}`;
+      const listUrl = `${base}/api/products?${listFilters}&sort=-price&fields=name,price`;
+      const firstPage = await jsonFetch(`${listUrl}&limit=2`, { headers });
+      const firstPrices = firstPage.data.map((p) => p.price).join(",");
+      if (firstPrices !== "7773,7772" || firstPage.meta.total !== 3 || !firstPage.meta.nextCursor) {
+        throw new Error(`Product list: unexpected first page ${JSON.stringify(firstPage)}`);
+      }
+      if (firstPage.data[0].sku !== undefined) throw new Error("Product list: fields did not trim the products");
+      const lastPage = await jsonFetch(`${listUrl}&limit=2&cursor=${encodeURIComponent(firstPage.meta.nextCursor)}`, {
+        headers,
+      });
+      if (lastPage.data.map((p) => p.price).join(",") !== "7771" || lastPage.meta.nextCursor !== null) {
+        throw new Error(`Product list: unexpected last page ${JSON.stringify(lastPage)}`);
+      }
+      const unpaged = await jsonFetch(`${base}/api/products?${listFilters}`, { headers });
+      const legacyList = String(process.env.PRODUCTS_LEGACY_LIST || "").toLowerCase() !== "false";
+      if (legacyList ? !Array.isArray(unpaged) || unpaged.length !== 3 : unpaged?.meta?.total !== 3) {
+        throw new Error(`Product list: unexpected response without paging ${JSON.stringify(unpaged)}`);
+      }
+      flows.productList = { pages: [firstPrices, "7771"], legacyList };
+
+      // Search (user-023): exact codes rank first, names match with typos, and filters apply to the ranking
+      const cheeseCategory = await jsonFetch(`${base}/api/categories`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ name: `Smoke Cheese ${runId}` }),
+      });
+      const gouda = await createProduct(`Smoked Gouda T${runId}`, { category: cheeseCategory._id });
+      const goudaSoap = await createProduct(`Gouda Soap T${runId}`);
+      const searchUrl = `${base}/api/products/search`;
+
+      const [bySku] = await jsonFetch(`${searchUrl}?q=${encodeURIComponent(gouda.sku)}`, { headers });
+      if (bySku?._id !== gouda._id || bySku.score !== 100 || bySku.matchedField !== "sku") {
+        throw new Error(`Search: expected an exact sku match first, got ${JSON.stringify(bySku)}`);
+      }
+      const typoQuery = encodeURIComponent(`goudda t${runId}`);
+      const typoResults = await jsonFetch(`${searchUrl}?q=${typoQuery}`, { headers });
+      const typoIds = typoResults.map((p) => p._id);
+      if (!typoIds.includes(gouda._id) || !typoIds.includes(goudaSoap._id)) {
+        throw new Error(`Search: typo query missed products, got ${JSON.stringify(typoResults)}`);
+      }
+      if (typoResults.find((p) => p._id === gouda._id).matchType !== "fuzzy") {
+        throw new Error("Search: expected a fuzzy match for a misspelt name");
+      }
+      const inCategory = await jsonFetch(`${searchUrl}?q=${typoQuery}&category=${cheeseCategory._id}`, { headers });
+      if (inCategory.length !== 1 || inCategory[0]._id !== gouda._id) {
+        throw new Error(`Search: category filter kept ${JSON.stringify(inCategory.map((p) => p.name))}`);
+      }
+      flows.search = { exact: bySku.matchType, typo: typoResults.length, inCategory: inCategory.length };
+
+      // Labels (user-024): printing can assign internal EAN-13 codes (prefix 200) to products without one
+      const pepper = await createProduct("Pepper");
+      const labels = await fetch(`${base}/api/products/labels`, {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          items: [{ productId: pepper._id, quantity: 3 }],
+          layout: "shelf-tags",
+          assignBarcodes: true,
+        }),
+      });
+      const labelPdf = Buffer.from(await labels.arrayBuffer());
+      if (labels.status !== 200 || labelPdf.toString("latin1", 0, 5) !== "%PDF-") {
+        throw new Error(`Labels: expected a PDF, got ${labels.status}`);
+      }
+      if (labels.headers.get("X-Barcodes-Assigned") !== "1") {
+        throw new Error(`Labels: expected 1 barcode assigned, got ${labels.headers.get("X-Barcodes-Assigned")}`);
+      }
+      const { barcode } = await jsonFetch(`${base}/api/products/lookup?sku=${encodeURIComponent(pepper.sku)}`, {
+        headers,
+      });
+      const digits = String(barcode).split("").map(Number);
+      const weighted = digits.slice(0, 12).reduce((sum, d, i) => sum + d * (i % 2 ? 3 : 1), 0);
+      if (!/^200\d{10}$/.test(barcode) || (10 - (weighted % 10)) % 10 !== digits[12]) {
+        throw new Error(`Labels: ${barcode} is not an internal EAN-13`);
+      }
+      const reassigned = await jsonFetch(`${base}/api/products/barcodes/assign`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ productIds: [pepper._id] }),
+      });
+      if (reassigned.assigned !== 0) throw new Error("Labels: a product with a barcode was given another one");
+      flows.labels = { barcode, pdfBytes: labelPdf.length };
+
+      // Receipts (user-025): the same receipt as JSON, a PDF or ESC/POS bytes with the store's footer
+      const { receipt: originalReceipt } = await jsonFetch(`${base}/api/settings`, { headers });
+      const footer = `Thanks T${runId}`;
+      await jsonFetch(`${base}/api/settings/receipt`, { method: "PUT", headers, body: JSON.stringify({ footer }) });
+      try {
+        const biscuits = await createProduct("Biscuits");
+        const biscuitSale = await sell([{ product: biscuits._id, quantity: 2 }]);
+        const receiptUrl = `${base}/api/sales/transactions/${biscuitSale.transaction.id}/receipt`;
+        const printed = async (query) => {
+          const response = await fetch(`${receiptUrl}?${query}`, { headers });
+          if (response.status !== 200) throw new Error(`Receipt ${query} failed with ${response.status}`);
+          return Buffer.from(await response.arrayBuffer());
+        };
+
+        const receiptJson = await jsonFetch(receiptUrl, { headers });
+        if (receiptJson.items[0]?.quantity !== 2 || receiptJson.transaction.total !== biscuitSale.transaction.total) {
+          throw new Error(`Receipt: unexpected payload ${JSON.stringify(receiptJson)}`);
+        }
+        const receiptPdf = await printed("format=pdf&paper=58mm");
+        if (receiptPdf.toString("latin1", 0, 5) !== "%PDF-") throw new Error("Receipt: expected a PDF");
+        const escpos = await printed("format=escpos&paper=58mm");
+        const cut = Buffer.from([0x1d, 0x56, 66, 3]);
+        if (escpos[0] !== 0x1b || escpos[1] !== 0x40 || !escpos.subarray(-4).equals(cut)) {
+          throw new Error("Receipt: ESC/POS output should initialize the printer and end with a cut");
+        }
+        if (!escpos.includes(footer, 0, "latin1")) throw new Error("Receipt: ESC/POS output is missing the footer");
+        await expectStatus(400, jsonFetch(`${receiptUrl}?format=escpos&paper=a4`, { headers }));
+        flows.receipts = { pdfBytes: receiptPdf.length, escposBytes: escpos.length };
+      } finally {
+        await jsonFetch(`${base}/api/settings/receipt`, {
+          method: "PUT",
+          headers,
+          body: JSON.stringify({ footer: originalReceipt.footer }),
+        });
+      }
+    }
+
     console.log(JSON.stringify({
       ok: true,
       productLookupSku: lookup.sku,
@@ -234,6 +895,7 @@ async function jsonFetch(url, options = {}) {
       firstTransactionTotal: transactionDetails?.transaction?.total ?? null,
       receiptTotal: receipt?.transaction?.total ?? null,
       staffLogoutMessage: staffLogout?.message ?? null,
+      flows,
     }, null, 2));
   } finally {
     server.close();
@@ -57,7 +57,8 @@ const corsOptions = {
     return callback(null, false);
   },
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed"],
   credentials: true,
   optionsSuccessStatus: 204,
 };
@@ -107,10 +108,18 @@ for (const basePath of apiBasePaths) {
   app.use(joinBasePath(basePath, "/auth"), require("./routes/auth"));
   app.use(joinBasePath(basePath, "/uploads"), require("./routes/uploads"));
   app.use(joinBasePath(basePath, "/products"), require("./routes/products"));
+  app.use(joinBasePath(basePath, "/categories"), require("./routes/categories"));
   app.use(joinBasePath(basePath, "/staff"), require("./routes/staff"));
   app.use(joinBasePath(basePath, "/staff-auth"), require("./routes/staffAuth")); // Added staff auth route
   app.use(joinBasePath(basePath, "/sales"), require("./routes/sales"));
   app.use(joinBasePath(basePath, "/reports"), require("./routes/reports"));
+  app.use(joinBasePath(basePath, "/promotions"), require("./routes/promotions"));
+  app.use(joinBasePath(basePath, "/settings"), require("./routes/settings"));
+  app.use(joinBasePath(basePath, "/customers"), require("./routes/customers"));
+  app.use(joinBasePath(basePath, "/carts"), require("./routes/carts"));
+  app.use(joinBasePath(basePath, "/suppliers"), require("./routes/suppliers"));
+  app.use(joinBasePath(basePath, "/purchase-orders"), require("./routes/purchaseOrders"));
+  app.use(joinBasePath(basePath, "/cron"), require("./routes/cron"));
 }
 
 // Swagger setup
@@ -139,6 +148,16 @@ const swaggerOptions = {
             "HttpOnly cookie-based auth. Sent automatically by the browser when using credentials (axios withCredentials / fetch credentials: include).",
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          in: "header",
+          name: "Idempotency-Key",
+          required: false,
+          schema: { type: "string", maxLength: 255 },
+          description:
+            "Optional client-generated key (e.g. a UUID) that makes retries safe. A retry with the same key and body returns the original response with `Idempotent-Replayed: true`; the same key with a different body is rejected with 409. Keys are per store and expire after IDEMPOTENCY_TTL_HOURS (default 24).",
+        },
+      },
       schemas: {
         TransactionSummary: {
           type: "object",
@@ -168,9 +187,57 @@ const swaggerOptions = {
               nullable: true,
               description: "Cashier name snapshot",
             },
+            customer: { type: "string", nullable: true, description: "Customer id when the sale was attributed" },
+            customerName: { type: "string", nullable: true, description: "Customer name (or phone) snapshot" },
             itemsCount: { type: "number", example: 2 },
             totalQuantity: { type: "number", example: 3 },
-            total: { type: "number", example: 1300 },
+            subtotal: { type: "number", example: 1400, description: "Before discounts" },
+            discountTotal: { type: "number", example: 100 },
+            taxInclusive: { type: "boolean", example: false, description: "Whether shelf prices already included tax" },
+            taxTotal: { type: "number", example: 97.5 },
+            total: { type: "number", example: 1397.5, description: "Grand total charged (net of discounts, including tax)" },
+            amountTendered: { type: "number", nullable: true, description: "Sum of tenders (null when none recorded)" },
+            changeDue: { type: "number", nullable: true, description: "Change given back in cash" },
+            refundedTotal: { type: "number", example: 0, description: "Sum of refunds from returns" },
+            loyalty: {
+              type: "object",
+              properties: {
+                pointsEarned: { type: "number", example: 13 },
+                pointsRedeemed: { type: "number", example: 0 },
+                redeemedAmount: { type: "number", example: 0, description: "Discount bought with the redeemed points" },
+                pointsClawedBack: { type: "number", example: 0, description: "Earned points taken back by returns/void" },
+                pointsRestored: { type: "number", example: 0, description: "Redeemed points given back by returns/void" },
+              },
+            },
+            notes: { type: "string", nullable: true },
+            clientId: { type: "string", nullable: true, description: "Till-generated UUID for sales synced from offline" },
+            syncedAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When an offline sale reached the server (createdAt is the till's time)",
+            },
+            needsReview: { type: "boolean", example: false, description: "Offline sale accepted on short stock" },
+            stockShortages: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  product: { type: "string" },
+                  productName: { type: "string" },
+                  requested: { type: "number", example: 3 },
+                  available: { type: "number", example: 1, description: "On hand when the sale was applied" },
+                },
+              },
+            },
+            reviewedAt: { type: "string", format: "date-time", nullable: true },
+            reviewedByName: { type: "string", nullable: true },
+            reviewNote: { type: "string", nullable: true },
+            voided: { type: "boolean", example: false },
+            voidedAt: { type: "string", format: "date-time", nullable: true },
+            voidedByType: { type: "string", enum: ["staff", "user"], nullable: true },
+            voidedByName: { type: "string", nullable: true },
+            voidReason: { type: "string", nullable: true },
           },
         },
         TransactionListResponse: {
@@ -210,7 +277,132 @@ const swaggerOptions = {
             barcode: { type: "string", nullable: true },
             unitPrice: { type: "number" },
             quantity: { type: "number" },
-            total: { type: "number" },
+            grossTotal: { type: "number", description: "unitPrice * quantity" },
+            discountAmount: { type: "number" },
+            discounts: {
+              type: "array",
+              items: { $ref: "#/components/schemas/SaleDiscount" },
+            },
+            taxClass: { type: "string", nullable: true, example: "standard" },
+            taxRate: { type: "number", nullable: true, example: 7.5 },
+            taxAmount: { type: "number", example: 37.5 },
+            total: { type: "number", description: "Net of discounts, including tax" },
+          },
+        },
+        TaxLine: {
+          type: "object",
+          properties: {
+            code: { type: "string", example: "standard" },
+            name: { type: "string", example: "VAT 7.5%" },
+            rate: { type: "number", example: 7.5 },
+            taxable: { type: "number", example: 1300, description: "Amount the tax was charged on" },
+            tax: { type: "number", example: 97.5 },
+          },
+        },
+        TaxRate: {
+          type: "object",
+          properties: {
+            code: { type: "string", example: "standard" },
+            name: { type: "string", example: "VAT 7.5%" },
+            rate: { type: "number", example: 7.5, description: "Percent" },
+          },
+        },
+        TaxSettings: {
+          type: "object",
+          properties: {
+            pricesIncludeTax: { type: "boolean", example: false },
+            defaultClass: { type: "string", nullable: true, example: "standard" },
+            rates: { type: "array", items: { $ref: "#/components/schemas/TaxRate" } },
+          },
+        },
+        LoyaltySettings: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean", example: true },
+            earnRate: { type: "number", example: 0.01, description: "Points per currency unit of the grand total" },
+            redeemValue: { type: "number", example: 1, description: "Currency value of one point" },
+            minRedeemPoints: { type: "integer", example: 0 },
+            expiryDays: { type: "integer", nullable: true, example: 365, description: "null = points never expire" },
+          },
+        },
+        OfflineSettings: {
+          type: "object",
+          properties: {
+            negativeStockPolicy: {
+              type: "string",
+              enum: ["reject", "allow_and_flag"],
+              example: "reject",
+              description: "What offline sync does with queued sales that exceed stock on hand",
+            },
+          },
+        },
+        InventorySettings: {
+          type: "object",
+          properties: {
+            costPolicy: {
+              type: "string",
+              enum: ["last_cost", "weighted_average"],
+              example: "last_cost",
+              description: "How receiving goods updates Product.costPrice",
+            },
+            reorderLookbackDays: { type: "integer", example: 30, description: "Days of sales averaged for reorder suggestions" },
+            targetDaysOfCover: { type: "integer", example: 14, description: "Days of sales to hold after a delivery" },
+            defaultLeadTimeDays: { type: "integer", example: 7, description: "Lead time when product and supplier have none" },
+          },
+        },
+        AlertSettings: {
+          type: "object",
+          properties: {
+            lowStockEmails: {
+              type: "boolean",
+              example: true,
+              description: "Email when a product drops to its low-stock threshold (once until restocked)",
+            },
+            recipients: {
+              type: "array",
+              items: { type: "string", format: "email" },
+              description: "Empty: the store owner and admin staff",
+            },
+            digestFrequency: { type: "string", enum: ["off", "daily", "weekly"], example: "daily" },
+            digestHourUtc: { type: "integer", minimum: 0, maximum: 23, example: 7, description: "Weekly digests go out on Mondays" },
+            digestLastSentAt: { type: "string", format: "date-time", nullable: true, readOnly: true },
+          },
+        },
+        ReceiptSettings: {
+          type: "object",
+          properties: {
+            storeName: { type: "string", nullable: true, example: "Corner Shop", description: "Null: the store name given at sign-up" },
+            address: { type: "string", nullable: true, example: "12 Market Road\nLagos\nTel 0800 000 0000" },
+            footer: { type: "string", nullable: true, example: "Thank you for shopping with us!" },
+            logoUrl: {
+              type: "string",
+              nullable: true,
+              example: "https://res.cloudinary.com/demo/image/upload/logo.png",
+              description:
+                "Cloudinary image upload (res.cloudinary.com/<cloud>/image/upload), PNG or JPEG up to 1 MB; thermal receipts only print PNG logos",
+            },
+          },
+        },
+        StoreSettings: {
+          type: "object",
+          properties: {
+            store: { type: "string", description: "Store owner (User) id" },
+            tax: { $ref: "#/components/schemas/TaxSettings" },
+            loyalty: { $ref: "#/components/schemas/LoyaltySettings" },
+            offline: { $ref: "#/components/schemas/OfflineSettings" },
+            inventory: { $ref: "#/components/schemas/InventorySettings" },
+            alerts: { $ref: "#/components/schemas/AlertSettings" },
+            receipt: { $ref: "#/components/schemas/ReceiptSettings" },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
+        ReceiptPayment: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["cash", "card", "mobile_money", "store_credit"] },
+            amount: { type: "number", example: 1500 },
+            change: { type: "number", example: 200 },
+            reference: { type: "string", nullable: true },
           },
         },
         TransactionReceiptResponse: {
@@ -221,6 +413,15 @@ const swaggerOptions = {
               type: "array",
               items: { $ref: "#/components/schemas/ReceiptLineItem" },
             },
+            taxes: {
+              type: "array",
+              description: "Tax by rate",
+              items: { $ref: "#/components/schemas/TaxLine" },
+            },
+            payments: {
+              type: "array",
+              items: { $ref: "#/components/schemas/ReceiptPayment" },
+            },
           },
         },
         User: {
@@ -268,12 +469,148 @@ const swaggerOptions = {
             costPrice: { type: "number", example: 350 },
             quantity: { type: "number", example: 10 },
             lowStockThreshold: { type: "number", example: 5 },
-            isLowStock: { type: "boolean", example: false },
+            isLowStock: { type: "boolean", example: false, description: "quantity <= lowStockThreshold (kept in sync)" },
             description: { type: "string", nullable: true },
+            category: { type: "string", nullable: true, description: "Category id" },
+            taxClass: { type: "string", nullable: true, example: "standard", description: "Store tax class code" },
+            preferredSupplier: { type: "string", nullable: true, description: "Supplier id for reorder suggestions" },
+            leadTimeDays: { type: "integer", nullable: true, example: 5 },
+            hasVariants: { type: "boolean", description: "Variant parent: not stocked or sold itself" },
+            options: { type: "array", items: { $ref: "#/components/schemas/ProductOption" } },
+            parent: { type: "string", nullable: true, description: "Parent product id (variants only)" },
+            optionValues: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: { name: { type: "string", example: "Size" }, value: { type: "string", example: "M" } },
+              },
+            },
+            priceOverride: { type: "boolean", description: "Variant has its own price (otherwise follows the parent)" },
             store: { type: "string", description: "Store owner (User) id" },
             createdAt: { type: "string", format: "date-time" },
           },
         },
+        ProductSearchResult: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            name: { type: "string", example: "Milk 1L" },
+            price: { type: "number", example: 500 },
+            quantity: { type: "number", example: 24 },
+            sku: { type: "string", nullable: true },
+            barcode: { type: "string", nullable: true },
+            category: { type: "string", nullable: true },
+            parent: { type: "string", nullable: true },
+            optionValues: { type: "array", items: { type: "object" } },
+            score: { type: "integer", minimum: 0, maximum: 100, example: 83 },
+            matchedField: { type: "string", enum: ["name", "sku", "barcode"] },
+            matchType: { type: "string", enum: ["exact", "prefix", "token", "fuzzy", "partial"] },
+          },
+        },
+        ProductListResponse: {
+          type: "object",
+          properties: {
+            data: { type: "array", items: { $ref: "#/components/schemas/Product" } },
+            meta: {
+              type: "object",
+              properties: {
+                total: { type: "integer", example: 1240 },
+                limit: { type: "integer", example: 50 },
+                page: { type: "integer", nullable: true, description: "Null when paging by cursor" },
+                nextCursor: {
+                  type: "string",
+                  nullable: true,
+                  description: "Pass as `cursor` (with the same sort) for the next page; null on the last page",
+                },
+              },
+            },
+          },
+        },
+        ProductOption: {
+          type: "object",
+          properties: {
+            name: { type: "string", example: "Size" },
+            values: { type: "array", items: { type: "string" }, example: ["S", "M", "L"] },
+          },
+        },
+        VariantInput: {
+          type: "object",
+          required: ["optionValues"],
+          properties: {
+            optionValues: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              example: { Size: "M", Colour: "Red" },
+              description: "One value per parent option (an array of { name, value } also works)",
+            },
+            sku: { type: "string", example: "TSHIRT-M-RED" },
+            barcode: { type: "string", example: "5901234123457" },
+            price: { type: "number", nullable: true, description: "Defaults to (and then follows) the parent's price" },
+            costPrice: { type: "number", nullable: true, description: "Defaults to the parent's cost price" },
+            quantity: { type: "integer", minimum: 0, default: 0, description: "Opening stock" },
+            lowStockThreshold: { type: "integer", minimum: 0 },
+            preferredSupplier: { type: "string", nullable: true },
+            leadTimeDays: { type: "integer", nullable: true },
+          },
+        },
+        ProductImportReport: {
+          type: "object",
+          properties: {
+            message: { type: "string", example: "Import complete" },
+            dryRun: { type: "boolean" },
+            partial: { type: "boolean" },
+            summary: {
+              type: "object",
+              properties: {
+                rows: { type: "integer", example: 120 },
+                created: { type: "integer", example: 100, description: "Products created (or to be, in a dry run)" },
+                updated: { type: "integer", example: 18, description: "Products updated (or to be, in a dry run)" },
+                failed: { type: "integer", example: 2 },
+              },
+            },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  row: { type: "integer", example: 7, description: "Spreadsheet row (the header is row 1)" },
+                  sku: { type: "string", nullable: true },
+                  barcode: { type: "string", nullable: true },
+                  name: { type: "string", nullable: true },
+                  errors: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        msg: { type: "string", example: "Price must be a number" },
+                        path: { type: "string", example: "price" },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            ignoredColumns: { type: "array", items: { type: "string" }, example: ["Colour"] },
+          },
+        },
+        BarcodeAssignmentResult: {
+          type: "object",
+          properties: {
+            message: { type: "string", example: "2 barcode(s) assigned" },
+            assigned: { type: "integer", example: 2 },
+            products: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  productId: { type: "string" },
+                  name: { type: "string", example: "House blend coffee 250g" },
+                  barcode: { type: "string", example: "2000000000015", description: "Internal EAN-13 (prefix 200)" },
+                },
+              },
+            },
+          },
+        },
         Sale: {
           type: "object",
           properties: {
@@ -296,12 +633,581 @@ const swaggerOptions = {
             },
             cashierNameSnapshot: { type: "string", nullable: true },
             quantity: { type: "number", example: 2 },
-            totalPrice: { type: "number", example: 1000 },
+            grossPrice: { type: "number", example: 1000, description: "unitPrice * quantity" },
+            discountAmount: { type: "number", example: 0 },
+            discounts: {
+              type: "array",
+              items: { $ref: "#/components/schemas/SaleDiscount" },
+            },
+            taxClass: { type: "string", nullable: true },
+            taxRate: { type: "number", nullable: true },
+            taxInclusive: { type: "boolean", example: false },
+            taxAmount: { type: "number", example: 0 },
+            totalPrice: { type: "number", example: 1000, description: "Amount charged (net of discounts, including tax)" },
+            returnedQuantity: { type: "number", example: 0, description: "Quantity already returned from this line" },
+            voidedAt: { type: "string", format: "date-time", nullable: true },
+            voidedByType: { type: "string", enum: ["staff", "user"], nullable: true },
+            voidedByStaff: { type: "string", nullable: true },
+            voidedByUser: { type: "string", nullable: true },
+            voidedByNameSnapshot: { type: "string", nullable: true },
+            voidReason: { type: "string", nullable: true },
             store: { type: "string", description: "Store owner (User) id" },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
         },
+        SaleDiscount: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["promotion", "manual", "loyalty"] },
+            promotion: { type: "string", nullable: true },
+            name: { type: "string", example: "Weekend 10% off" },
+            amount: { type: "number", example: 50 },
+          },
+        },
+        PromotionInput: {
+          type: "object",
+          properties: {
+            name: { type: "string", example: "Weekend 10% off" },
+            description: { type: "string" },
+            type: { type: "string", enum: ["percentage", "basket_amount", "buy_x_get_y"] },
+            value: { type: "number", example: 10 },
+            buyQuantity: { type: "integer", example: 2 },
+            getQuantity: { type: "integer", example: 1 },
+            minSubtotal: { type: "number", example: 0 },
+            products: { type: "array", items: { type: "string" } },
+            categories: {
+              type: "array",
+              items: { type: "string" },
+              description: "Category ids; a category covers its subcategories",
+            },
+            startsAt: { type: "string", format: "date-time", nullable: true },
+            endsAt: { type: "string", format: "date-time", nullable: true },
+            isActive: { type: "boolean", example: true },
+            stackable: { type: "boolean", example: false },
+            priority: { type: "integer", example: 0 },
+          },
+        },
+        Promotion: {
+          allOf: [
+            { $ref: "#/components/schemas/PromotionInput" },
+            {
+              type: "object",
+              properties: {
+                _id: { type: "string", example: "65fae1c9d4..." },
+                store: { type: "string", description: "Store owner (User) id" },
+                createdAt: { type: "string", format: "date-time" },
+                updatedAt: { type: "string", format: "date-time" },
+              },
+            },
+          ],
+        },
+        ReturnLineItem: {
+          type: "object",
+          properties: {
+            sale: { type: "string", description: "Original Sale line id" },
+            product: { type: "string" },
+            productNameSnapshot: { type: "string", nullable: true },
+            quantity: { type: "number", example: 1 },
+            unitPrice: { type: "number", example: 500 },
+            unitCostPrice: { type: "number", nullable: true, example: 350 },
+            refundAmount: { type: "number", example: 500 },
+            taxAmount: { type: "number", example: 0, description: "Tax portion of refundAmount" },
+            restocked: { type: "boolean", description: "False when the product no longer exists" },
+          },
+        },
+        Return: {
+          type: "object",
+          properties: {
+            _id: { type: "string", example: "65fae1c9d4..." },
+            transactionId: { type: "string" },
+            items: {
+              type: "array",
+              items: { $ref: "#/components/schemas/ReturnLineItem" },
+            },
+            totalRefund: { type: "number", example: 500 },
+            reason: { type: "string", nullable: true },
+            processedByType: { type: "string", enum: ["staff", "user"] },
+            processedByStaff: { type: "string", nullable: true },
+            processedByUser: { type: "string", nullable: true },
+            processedByNameSnapshot: { type: "string", nullable: true },
+            store: { type: "string", description: "Store owner (User) id" },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        CustomerInput: {
+          type: "object",
+          description: "At least one of name or phone is required",
+          properties: {
+            name: { type: "string", example: "Ada Obi" },
+            phone: { type: "string", example: "+2348012345678", description: "Unique per store; stored digits-only" },
+            email: { type: "string", example: "ada@example.com" },
+            notes: { type: "string", example: "Prefers SMS receipts" },
+          },
+        },
+        Customer: {
+          allOf: [
+            { $ref: "#/components/schemas/CustomerInput" },
+            {
+              type: "object",
+              properties: {
+                _id: { type: "string", example: "65fae1c9d4..." },
+                memberCode: { type: "string", example: "K7QX2M9P", description: "Loyalty member code" },
+                pointsBalance: { type: "number", example: 120 },
+                store: { type: "string", description: "Store owner (User) id" },
+                createdAt: { type: "string", format: "date-time" },
+                updatedAt: { type: "string", format: "date-time" },
+              },
+            },
+          ],
+        },
+        LoyaltyBalance: {
+          type: "object",
+          properties: {
+            customer: { type: "string" },
+            memberCode: { type: "string", nullable: true },
+            pointsBalance: { type: "number", example: 120 },
+            pointsValue: { type: "number", example: 120, description: "Balance at the current redeemValue" },
+            nextExpiry: {
+              type: "object",
+              nullable: true,
+              properties: {
+                points: { type: "number" },
+                expiresAt: { type: "string", format: "date-time" },
+              },
+            },
+            enabled: { type: "boolean", description: "Whether the store's loyalty program is on" },
+          },
+        },
+        LoyaltyEntry: {
+          type: "object",
+          properties: {
+            _id: { type: "string", example: "65fae1c9d4..." },
+            customer: { type: "string" },
+            type: { type: "string", enum: ["earn", "redeem", "expire", "adjust", "redeem_reversal"] },
+            points: { type: "number", example: 13, description: "Signed change to the balance" },
+            balanceAfter: { type: "number", example: 133 },
+            remaining: { type: "number", description: "Unspent part of a positive entry" },
+            expiresAt: { type: "string", format: "date-time", nullable: true },
+            transactionId: { type: "string", nullable: true },
+            reason: { type: "string", nullable: true },
+            createdByType: { type: "string", enum: ["staff", "user"], nullable: true },
+            createdByNameSnapshot: { type: "string", nullable: true },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        SyncResult: {
+          type: "object",
+          properties: {
+            clientId: { type: "string", format: "uuid" },
+            status: { type: "string", enum: ["accepted", "duplicate", "rejected"] },
+            flagged: { type: "boolean", description: "accepted: stock went negative and the sale needs review" },
+            transaction: { $ref: "#/components/schemas/TransactionSummary" },
+            transactionId: { type: "string", description: "duplicate: the transaction already recorded" },
+            reason: {
+              type: "string",
+              enum: ["insufficient_stock", "validation", "not_found", "invalid", "error"],
+              description: "rejected: why the sale was not recorded",
+            },
+            message: { type: "string" },
+            details: { type: "object" },
+            errors: { type: "array", items: { type: "object" } },
+            retryable: { type: "boolean", description: "rejected with reason=error: keep the sale queued" },
+          },
+        },
+        SyncResponse: {
+          type: "object",
+          properties: {
+            negativeStockPolicy: { type: "string", enum: ["reject", "allow_and_flag"] },
+            results: { type: "array", items: { $ref: "#/components/schemas/SyncResult" } },
+            summary: {
+              type: "object",
+              properties: {
+                received: { type: "integer", example: 3 },
+                accepted: { type: "integer", example: 2 },
+                duplicate: { type: "integer", example: 0 },
+                rejected: { type: "integer", example: 1 },
+                flagged: { type: "integer", example: 0 },
+              },
+            },
+          },
+        },
+        StockMovement: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            createdAt: { type: "string", format: "date-time" },
+            product: { type: "string" },
+            productName: { type: "string", nullable: true },
+            type: {
+              type: "string",
+              enum: ["sale", "return", "void", "receipt", "adjustment", "transfer", "count"],
+            },
+            quantityChange: { type: "number", example: -2, description: "Signed change" },
+            quantityBefore: { type: "number", example: 10 },
+            quantityAfter: { type: "number", example: 8 },
+            reason: { type: "string", nullable: true, example: "Checkout", description: "Free text (adjustment note)" },
+            reasonCode: {
+              type: "string",
+              nullable: true,
+              enum: ["damaged", "expired", "theft", "found", "correction", null],
+              description: "Manual adjustments only",
+            },
+            unitCost: { type: "number", nullable: true, description: "Product cost price when the movement happened" },
+            source: {
+              type: "object",
+              nullable: true,
+              description: "Document behind the change",
+              properties: {
+                model: { type: "string", example: "Transaction" },
+                id: { type: "string" },
+              },
+            },
+            actorType: { type: "string", enum: ["staff", "user"], nullable: true },
+            actorName: { type: "string", nullable: true },
+          },
+        },
+        StockMovementListResponse: {
+          type: "object",
+          properties: {
+            data: { type: "array", items: { $ref: "#/components/schemas/StockMovement" } },
+            meta: {
+              type: "object",
+              properties: {
+                total: { type: "integer" },
+                limit: { type: "integer" },
+                page: { type: "integer" },
+              },
+            },
+          },
+        },
+        SupplierInput: {
+          type: "object",
+          properties: {
+            name: { type: "string", example: "Acme Wholesale" },
+            contactName: { type: "string", example: "Jane Doe" },
+            phone: { type: "string", example: "+254700000000" },
+            email: { type: "string", format: "email" },
+            address: { type: "string" },
+            notes: { type: "string" },
+            leadTimeDays: { type: "integer", minimum: 0, example: 5, description: "Typical days from order to delivery" },
+            isActive: { type: "boolean", default: true },
+          },
+        },
+        Supplier: {
+          allOf: [
+            { $ref: "#/components/schemas/SupplierInput" },
+            {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                store: { type: "string" },
+                createdAt: { type: "string", format: "date-time" },
+                updatedAt: { type: "string", format: "date-time" },
+              },
+            },
+          ],
+        },
+        PurchaseOrderLineInput: {
+          type: "object",
+          required: ["product", "quantity"],
+          properties: {
+            product: { type: "string" },
+            quantity: { type: "integer", minimum: 1, example: 24 },
+            unitCost: { type: "number", minimum: 0, example: 80, description: "Defaults to the product's costPrice" },
+          },
+        },
+        PurchaseOrderInput: {
+          type: "object",
+          properties: {
+            supplier: { type: "string" },
+            lines: { type: "array", items: { $ref: "#/components/schemas/PurchaseOrderLineInput" } },
+            expectedAt: { type: "string", format: "date-time", nullable: true },
+            notes: { type: "string" },
+          },
+        },
+        PurchaseOrder: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            poNumber: { type: "string", example: "PO-20260115-7KQ2" },
+            supplier: { type: "string" },
+            supplierNameSnapshot: { type: "string" },
+            status: { type: "string", enum: ["draft", "sent", "partially_received", "received", "cancelled"] },
+            lines: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  product: { type: "string" },
+                  productNameSnapshot: { type: "string" },
+                  quantityOrdered: { type: "number", example: 24 },
+                  quantityReceived: { type: "number", example: 12 },
+                  quantityOutstanding: { type: "number", example: 12 },
+                  unitCost: { type: "number", example: 80 },
+                },
+              },
+            },
+            expectedAt: { type: "string", format: "date-time", nullable: true },
+            notes: { type: "string" },
+            sentAt: { type: "string", format: "date-time", nullable: true },
+            lastReceivedAt: { type: "string", format: "date-time", nullable: true },
+            receivedAt: { type: "string", format: "date-time", nullable: true },
+            cancelledAt: { type: "string", format: "date-time", nullable: true },
+            cancelReason: { type: "string" },
+            orderedValue: { type: "number" },
+            receivedValue: { type: "number" },
+            outstandingQuantity: { type: "number" },
+            outstandingValue: { type: "number" },
+            createdByNameSnapshot: { type: "string" },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        ReceiveInput: {
+          type: "object",
+          properties: {
+            lines: {
+              type: "array",
+              description: "What arrived; omit to receive everything outstanding",
+              items: { $ref: "#/components/schemas/PurchaseOrderLineInput" },
+            },
+            note: { type: "string", maxLength: 200, example: "Delivery note 5521" },
+          },
+        },
+        ReceiveResult: {
+          type: "object",
+          properties: {
+            purchaseOrder: { $ref: "#/components/schemas/PurchaseOrder" },
+            received: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  product: { type: "string" },
+                  productName: { type: "string" },
+                  quantity: { type: "number" },
+                  unitCost: { type: "number" },
+                  quantityAfter: { type: "number", description: "Product.quantity after receiving" },
+                  costPriceBefore: { type: "number", nullable: true },
+                  costPriceAfter: { type: "number" },
+                },
+              },
+            },
+            costPolicy: { type: "string", enum: ["last_cost", "weighted_average"] },
+          },
+        },
+        CategoryInput: {
+          type: "object",
+          properties: {
+            name: { type: "string", example: "Dairy" },
+            description: { type: "string" },
+            parent: { type: "string", nullable: true, description: "Parent category id (null/omitted for top level)" },
+            sortOrder: { type: "integer", default: 0, description: "Order among siblings" },
+          },
+        },
+        Category: {
+          allOf: [
+            { $ref: "#/components/schemas/CategoryInput" },
+            {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                ancestors: { type: "array", items: { type: "string" }, description: "Root first, parent last" },
+                store: { type: "string" },
+                createdAt: { type: "string", format: "date-time" },
+                updatedAt: { type: "string", format: "date-time" },
+              },
+            },
+          ],
+        },
+        CategoryListItem: {
+          allOf: [
+            { $ref: "#/components/schemas/Category" },
+            {
+              type: "object",
+              properties: {
+                depth: { type: "integer", example: 1, description: "0 for top-level categories" },
+                path: { type: "string", example: "Food / Dairy" },
+                productCount: { type: "integer", description: "Products directly in this category" },
+              },
+            },
+          ],
+        },
+        CategoryReportRow: {
+          type: "object",
+          properties: {
+            categoryId: { type: "string" },
+            name: { type: "string" },
+            parentId: { type: "string", nullable: true },
+            depth: { type: "integer" },
+            path: { type: "string", example: "Food / Dairy" },
+          },
+        },
+        CategorySalesTotals: {
+          type: "object",
+          properties: {
+            quantity: { type: "number" },
+            grossSales: { type: "number" },
+            discounts: { type: "number" },
+            totalSales: { type: "number", description: "Charged, including tax" },
+          },
+        },
+        CategoryProfitTotals: {
+          type: "object",
+          properties: {
+            quantity: { type: "number" },
+            grossRevenue: { type: "number" },
+            discounts: { type: "number" },
+            revenue: { type: "number", description: "Net of discounts and tax" },
+            cost: { type: "number" },
+            profit: { type: "number" },
+            margin: { type: "string", example: "32.50" },
+          },
+        },
+        LowStockEvent: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            createdAt: { type: "string", format: "date-time" },
+            product: { type: "string" },
+            productName: { type: "string", nullable: true },
+            type: { type: "string", enum: ["entered", "cleared"] },
+            quantity: { type: "number", example: 4, description: "Quantity after the change" },
+            threshold: { type: "number", nullable: true, example: 5 },
+            trigger: {
+              type: "string",
+              nullable: true,
+              example: "sale",
+              description: "Stock movement type behind the crossing, or threshold/created for product edits",
+            },
+            movement: { type: "string", nullable: true, description: "StockMovement id" },
+            actorName: { type: "string", nullable: true },
+          },
+        },
+        ReorderSuggestions: {
+          type: "object",
+          properties: {
+            lookbackDays: { type: "integer", example: 30 },
+            targetDaysOfCover: { type: "integer", example: 14 },
+            since: { type: "string", format: "date-time", description: "Start of the sales window" },
+            groups: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  supplier: {
+                    type: "object",
+                    nullable: true,
+                    description: "Preferred supplier (null for products without one)",
+                    properties: {
+                      id: { type: "string" },
+                      name: { type: "string" },
+                      isActive: { type: "boolean" },
+                    },
+                  },
+                  lines: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        product: { type: "string" },
+                        productName: { type: "string" },
+                        sku: { type: "string", nullable: true },
+                        onHand: { type: "number", example: 4 },
+                        incoming: { type: "number", example: 0, description: "Outstanding on open purchase orders" },
+                        unitsSold: { type: "number", example: 60 },
+                        averageDailySales: { type: "number", example: 2 },
+                        daysOfCover: { type: "integer", nullable: true, example: 2 },
+                        leadTimeDays: { type: "integer", example: 5 },
+                        reorderPoint: { type: "number", example: 15 },
+                        targetStock: { type: "number", example: 43 },
+                        suggestedQuantity: { type: "number", example: 39 },
+                        unitCost: { type: "number", example: 80 },
+                        estimatedCost: { type: "number", example: 3120 },
+                      },
+                    },
+                  },
+                  totalQuantity: { type: "number" },
+                  estimatedCost: { type: "number" },
+                },
+              },
+            },
+            totalQuantity: { type: "number" },
+            estimatedCost: { type: "number" },
+          },
+        },
+        CartItemInput: {
+          type: "object",
+          required: ["product", "quantity"],
+          properties: {
+            product: { type: "string" },
+            quantity: { type: "integer", minimum: 1, example: 1 },
+            discountPercent: { type: "number", description: "Optional manual discount, capped per role at completion" },
+            discountAmount: { type: "number", description: "Optional manual discount amount (instead of discountPercent)" },
+          },
+        },
+        CartLine: {
+          type: "object",
+          properties: {
+            product: { type: "string" },
+            name: { type: "string", nullable: true },
+            sku: { type: "string", nullable: true },
+            barcode: { type: "string", nullable: true },
+            unitPrice: { type: "number", nullable: true, description: "Current product price" },
+            quantity: { type: "number" },
+            discountPercent: { type: "number", nullable: true },
+            discountAmount: { type: "number", nullable: true },
+            available: { type: "number", description: "Live Product.quantity" },
+            inStock: { type: "boolean", description: "Whether available covers quantity" },
+            removed: { type: "boolean", description: "Product was deleted since it was added" },
+          },
+        },
+        Cart: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            status: { type: "string", enum: ["open", "parked", "completed", "cancelled"] },
+            label: { type: "string", nullable: true },
+            customer: { type: "string", nullable: true },
+            notes: { type: "string", nullable: true },
+            items: { type: "array", items: { $ref: "#/components/schemas/CartLine" } },
+            canComplete: { type: "boolean" },
+            estimate: {
+              type: "object",
+              nullable: true,
+              description: "Price at current promotions and tax (not reserved)",
+              properties: {
+                subtotal: { type: "number" },
+                discountTotal: { type: "number" },
+                taxTotal: { type: "number" },
+                total: { type: "number" },
+              },
+            },
+            estimateError: { type: "object", nullable: true },
+            parkedAt: { type: "string", format: "date-time", nullable: true },
+            resumedAt: { type: "string", format: "date-time", nullable: true },
+            completedAt: { type: "string", format: "date-time", nullable: true },
+            transactionId: { type: "string", nullable: true },
+            createdByName: { type: "string", nullable: true },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
+        CartSummary: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            status: { type: "string" },
+            label: { type: "string", nullable: true },
+            customer: { type: "string", nullable: true },
+            customerName: { type: "string", nullable: true },
+            itemsCount: { type: "number" },
+            totalQuantity: { type: "number" },
+            parkedAt: { type: "string", format: "date-time", nullable: true },
+            createdByName: { type: "string", nullable: true },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
         Tokens: {
           type: "object",
           properties: {
@@ -367,16 +1273,33 @@ app.get("/", (req, res) => {
       { method: "POST", path: "/api/auth/reset-password/:token", auth: false },
 
       { method: "POST", path: "/api/products", auth: true },
+      { method: "POST", path: "/api/products/import", auth: true },
+      { method: "GET", path: "/api/products/export", auth: true },
+      { method: "POST", path: "/api/products/labels", auth: true },
+      { method: "POST", path: "/api/products/barcodes/assign", auth: true },
       { method: "GET", path: "/api/products", auth: true },
       { method: "PUT", path: "/api/products/:id", auth: true },
       { method: "DELETE", path: "/api/products/:id", auth: true },
+      { method: "GET", path: "/api/products/:id/movements", auth: true },
+      { method: "GET", path: "/api/products/:id/variants", auth: true },
+      { method: "POST", path: "/api/products/:id/variants", auth: true },
+      { method: "POST", path: "/api/categories", auth: true },
+      { method: "GET", path: "/api/categories", auth: true },
+      { method: "GET", path: "/api/categories/:id", auth: true },
+      { method: "PUT", path: "/api/categories/:id", auth: true },
+      { method: "DELETE", path: "/api/categories/:id", auth: true },
+      { method: "POST", path: "/api/products/:id/adjustments", auth: true },
 
       { method: "POST", path: "/api/staff", auth: true },
       { method: "GET", path: "/api/staff", auth: true },
       { method: "DELETE", path: "/api/staff/:id", auth: true },
 
       { method: "POST", path: "/api/sales", auth: true },
+      { method: "POST", path: "/api/sales/sync", auth: true },
       { method: "GET", path: "/api/sales", auth: true },
+      { method: "POST", path: "/api/sales/transactions/:transactionId/returns", auth: true },
+      { method: "POST", path: "/api/sales/transactions/:transactionId/void", auth: true },
+      { method: "POST", path: "/api/sales/transactions/:transactionId/review", auth: true },
 
       { method: "GET", path: "/api/reports/sales-by-staff", auth: true },
       { method: "GET", path: "/api/reports/total-sales", auth: true },
@@ -384,6 +1307,61 @@ app.get("/", (req, res) => {
       { method: "GET", path: "/api/reports/profit", auth: true },
       { method: "GET", path: "/api/reports/profit-by-product", auth: true },
       { method: "GET", path: "/api/reports/profit-by-staff", auth: true },
+      { method: "GET", path: "/api/reports/payments", auth: true },
+      { method: "GET", path: "/api/reports/tax", auth: true },
+      { method: "GET", path: "/api/reports/stock-movements", auth: true },
+      { method: "GET", path: "/api/reports/shrinkage", auth: true },
+      { method: "GET", path: "/api/reports/open-purchase-orders", auth: true },
+      { method: "GET", path: "/api/reports/reorder-suggestions", auth: true },
+      { method: "GET", path: "/api/reports/low-stock-events", auth: true },
+      { method: "GET", path: "/api/reports/sales-by-category", auth: true },
+      { method: "GET", path: "/api/reports/profit-by-category", auth: true },
+
+      { method: "POST", path: "/api/promotions", auth: true },
+      { method: "GET", path: "/api/promotions", auth: true },
+      { method: "PUT", path: "/api/promotions/:id", auth: true },
+      { method: "DELETE", path: "/api/promotions/:id", auth: true },
+      { method: "POST", path: "/api/carts", auth: true },
+      { method: "GET", path: "/api/carts", auth: true },
+      { method: "GET", path: "/api/carts/:id", auth: true },
+      { method: "PUT", path: "/api/carts/:id", auth: true },
+      { method: "POST", path: "/api/carts/:id/items", auth: true },
+      { method: "PUT", path: "/api/carts/:id/items/:productId", auth: true },
+      { method: "DELETE", path: "/api/carts/:id/items/:productId", auth: true },
+      { method: "POST", path: "/api/carts/:id/park", auth: true },
+      { method: "POST", path: "/api/carts/:id/resume", auth: true },
+      { method: "POST", path: "/api/carts/:id/complete", auth: true },
+      { method: "DELETE", path: "/api/carts/:id", auth: true },
+      { method: "GET", path: "/api/settings", auth: true },
+      { method: "POST", path: "/api/customers", auth: true },
+      { method: "GET", path: "/api/customers", auth: true },
+      { method: "GET", path: "/api/customers/:id", auth: true },
+      { method: "GET", path: "/api/customers/:id/transactions", auth: true },
+      { method: "GET", path: "/api/customers/:id/loyalty", auth: true },
+      { method: "GET", path: "/api/customers/:id/loyalty/history", auth: true },
+      { method: "POST", path: "/api/customers/:id/loyalty/adjust", auth: true },
+      { method: "PUT", path: "/api/customers/:id", auth: true },
+      { method: "DELETE", path: "/api/customers/:id", auth: true },
+      { method: "PUT", path: "/api/settings/tax", auth: true },
+      { method: "PUT", path: "/api/settings/loyalty", auth: true },
+      { method: "PUT", path: "/api/settings/offline", auth: true },
+      { method: "PUT", path: "/api/settings/inventory", auth: true },
+      { method: "PUT", path: "/api/settings/alerts", auth: true },
+      { method: "PUT", path: "/api/settings/receipt", auth: true },
+      { method: "GET", path: "/api/cron/stock-alerts", auth: true },
+      { method: "POST", path: "/api/suppliers", auth: true },
+      { method: "GET", path: "/api/suppliers", auth: true },
+      { method: "GET", path: "/api/suppliers/:id", auth: true },
+      { method: "PUT", path: "/api/suppliers/:id", auth: true },
+      { method: "DELETE", path: "/api/suppliers/:id", auth: true },
+      { method: "POST", path: "/api/purchase-orders", auth: true },
+      { method: "POST", path: "/api/purchase-orders/from-suggestions", auth: true },
+      { method: "GET", path: "/api/purchase-orders", auth: true },
+      { method: "GET", path: "/api/purchase-orders/:id", auth: true },
+      { method: "PUT", path: "/api/purchase-orders/:id", auth: true },
+      { method: "POST", path: "/api/purchase-orders/:id/send", auth: true },
+      { method: "POST", path: "/api/purchase-orders/:id/receive", auth: true },
+      { method: "POST", path: "/api/purchase-orders/:id/cancel", auth: true },
     ],
   });
 });
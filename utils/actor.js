@@ -0,0 +1,17 @@
+/**
+ * `createdBy*` snapshot of the authenticated account, for ledger-style documents.
+ */
+const actorFields = (req) => {
+  if (!req?.user) return {};
+  const isStaff = req.userType === "staff";
+  return {
+    createdByType: isStaff ? "staff" : "user",
+    createdByStaff: isStaff ? req.user._id : null,
+    createdByUser: isStaff ? null : req.user._id,
+    createdByNameSnapshot: req.user.name || null,
+  };
+};
+
+module.exports = {
+  actorFields,
+};
@@ -0,0 +1,182 @@
+/**
+ * Barcode symbols for printed labels (EAN-13 and Code 128 as bar/space modules) and internal
+ * EAN-13 numbering for products without a barcode.
+ *
+ * Internal codes use the GS1 prefix 200, reserved for in-store numbering, followed by a 9-digit
+ * sequence and the check digit, so they never clash with manufacturer barcodes.
+ */
+const Product = require("../models/Product");
+
+const INTERNAL_EAN_PREFIX = "200";
+const INTERNAL_EAN_PATTERN = /^200\d{10}$/;
+const MAX_INTERNAL_SEQUENCE = 999999999;
+
+// EAN-13 left-hand "odd" (L) digit patterns; R is their complement and G the reverse of R
+const EAN_L = [
+  "0001101", "0011001", "0010011", "0111101", "0100011", "0110001", "0101111", "0111011", "0110111", "0001011",
+];
+const EAN_R = EAN_L.map((p) => p.replace(/./g, (bit) => (bit === "1" ? "0" : "1")));
+const EAN_G = EAN_R.map((p) => [...p].reverse().join(""));
+// Which of the left six digits use G, by the first digit (which is not drawn as bars)
+const EAN_PARITY = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLG", "LGLGLG", "LGLGGL", "LGGLGL"];
+
+// Code 128 bar/space widths for values 0-106 (103-105 start A/B/C, 106 stop)
+const CODE128_WIDTHS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232", "2331112",
+];
+const CODE128 = { codeC: 99, codeB: 100, startB: 104, startC: 105, stop: 106 };
+
+/**
+ * Check digit for the first 12 digits of an EAN-13 (weights 1 and 3 from the left)
+ */
+const ean13CheckDigit = (digits12) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(digits12[i]) * (i % 2 === 0 ? 1 : 3);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidEan13 = (value) =>
+  /^\d{13}$/.test(String(value ?? "")) && ean13CheckDigit(value) === String(value)[12];
+
+/**
+ * 95 modules ("1" bar, "0" space): guards, six left digits in L/G by the first digit, six right in R
+ */
+const encodeEan13 = (value) => {
+  const digits = [...String(value)].map(Number);
+  const parity = EAN_PARITY[digits[0]];
+  let modules = "101";
+  for (let i = 1; i <= 6; i++) modules += (parity[i - 1] === "G" ? EAN_G : EAN_L)[digits[i]];
+  modules += "01010";
+  for (let i = 7; i <= 12; i++) modules += EAN_R[digits[i]];
+  return `${modules}101`;
+};
+
+/**
+ * Code 128 modules for printable ASCII text: code set C for runs of 4+ digits, B otherwise
+ */
+const encodeCode128 = (text) => {
+  const value = String(text);
+  if (!/^[\x20-\x7E]+$/.test(value)) {
+    const err = new Error("Code 128 labels support printable ASCII characters only");
+    err.status = 400;
+    throw err;
+  }
+
+  const codes = [];
+  let set = null;
+  const use = (next) => {
+    if (set === next) return;
+    if (set === null) codes.push(next === "C" ? CODE128.startC : CODE128.startB);
+    else codes.push(next === "C" ? CODE128.codeC : CODE128.codeB);
+    set = next;
+  };
+
+  let i = 0;
+  while (i < value.length) {
+    const run = /^\d*/.exec(value.slice(i))[0].length;
+    if (run >= 4) {
+      // An odd run leaves its first digit to set B
+      if (run % 2 === 1) {
+        use("B");
+        codes.push(value.charCodeAt(i) - 32);
+        i += 1;
+      }
+      use("C");
+      for (const end = i + run - (run % 2); i < end; i += 2) codes.push(Number(value.slice(i, i + 2)));
+    } else {
+      use("B");
+      codes.push(value.charCodeAt(i) - 32);
+      i += 1;
+    }
+  }
+
+  const checksum = codes.reduce((sum, code, index) => sum + code * (index || 1), 0) % 103;
+  let modules = "";
+  for (const code of [...codes, checksum, CODE128.stop]) {
+    [...CODE128_WIDTHS[code]].forEach((width, index) => {
+      modules += (index % 2 === 0 ? "1" : "0").repeat(Number(width));
+    });
+  }
+  return modules;
+};
+
+/**
+ * The symbol printed for a product: EAN-13 when its barcode is a valid EAN-13, otherwise Code 128
+ * of the barcode, or of the sku when it has no barcode. Null when it has neither.
+ */
+const barcodeFor = (product) => {
+  const barcode = String(product.barcode ?? "").trim();
+  const sku = String(product.sku ?? "").trim();
+  if (isValidEan13(barcode)) return { symbology: "ean13", value: barcode, modules: encodeEan13(barcode) };
+  const value = barcode || sku;
+  if (!value) return null;
+  return { symbology: "code128", value, modules: encodeCode128(value) };
+};
+
+const internalEan13 = (sequence) => {
+  const digits12 = `${INTERNAL_EAN_PREFIX}${String(sequence).padStart(9, "0")}`;
+  return `${digits12}${ean13CheckDigit(digits12)}`;
+};
+
+/**
+ * Give internal EAN-13 codes to the store's products that have no barcode (variant parents are
+ * skipped), optionally only those in `productIds`. Numbering continues after the highest internal
+ * code in the store; a code taken meanwhile by another request moves on to the next number.
+ * Returns [{ productId, name, barcode }] for the products that were updated.
+ */
+const assignInternalBarcodes = async (storeId, productIds = null) => {
+  const filter = { store: storeId, barcode: { $in: [null, ""] }, hasVariants: { $ne: true } };
+  if (productIds) filter._id = { $in: productIds };
+  const products = await Product.find(filter).select("name").sort({ createdAt: 1, _id: 1 });
+  if (products.length === 0) return [];
+
+  const last = await Product.findOne({ store: storeId, barcode: INTERNAL_EAN_PATTERN })
+    .sort({ barcode: -1 })
+    .select("barcode");
+  let sequence = last ? Number(last.barcode.slice(INTERNAL_EAN_PREFIX.length, 12)) + 1 : 1;
+
+  const assigned = [];
+  for (const product of products) {
+    for (;;) {
+      if (sequence > MAX_INTERNAL_SEQUENCE) {
+        const err = new Error("Internal barcode numbers are exhausted for this store");
+        err.status = 409;
+        throw err;
+      }
+      const barcode = internalEan13(sequence++);
+      try {
+        // Only while still without a barcode: someone may have set one since it was read
+        const updated = await Product.findOneAndUpdate(
+          { _id: product._id, store: storeId, barcode: { $in: [null, ""] } },
+          { $set: { barcode } },
+          { new: true, runValidators: true }
+        ).select("name barcode");
+        if (updated) assigned.push({ productId: updated._id, name: updated.name, barcode: updated.barcode });
+        break;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+  }
+  return assigned;
+};
+
+module.exports = {
+  INTERNAL_EAN_PREFIX,
+  ean13CheckDigit,
+  isValidEan13,
+  encodeEan13,
+  encodeCode128,
+  barcodeFor,
+  assignInternalBarcodes,
+};
@@ -0,0 +1,164 @@
+/**
+ * Category tree: subtree lookups for product filters, placing/moving categories (keeping
+ * `ancestors` in sync) and rolling per-category report totals up to their parents.
+ */
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+
+const validationError = (errors) => {
+  const err = new Error("Validation error");
+  err.status = 400;
+  err.errors = errors;
+  return err;
+};
+
+/**
+ * Ids of a category and all of its subcategories, or null when it is not one of the store's categories
+ */
+const categorySubtreeIds = async (storeId, categoryId) => {
+  if (!mongoose.isValidObjectId(String(categoryId))) return null;
+
+  const root = await Category.findOne({ _id: categoryId, store: storeId }).select("_id");
+  if (!root) return null;
+
+  const descendants = await Category.find({ store: storeId, ancestors: root._id }).select("_id");
+  return [root._id, ...descendants.map((c) => c._id)];
+};
+
+/**
+ * Give pricing lines `categories`: the product's category and its ancestors, so a promotion
+ * scoped to a category also covers its subcategories. Mutates and returns `lines`.
+ */
+const attachCategoryPaths = async (storeId, lines, session = null) => {
+  const ids = [...new Set(lines.map((line) => line.category).filter(Boolean).map(String))];
+  const categories = ids.length
+    ? await Category.find({ _id: { $in: ids }, store: storeId }).select("ancestors").session(session)
+    : [];
+  const paths = new Map(categories.map((c) => [String(c._id), [String(c._id), ...c.ancestors.map(String)]]));
+
+  for (const line of lines) {
+    line.categories = line.category ? paths.get(String(line.category)) || [] : [];
+  }
+  return lines;
+};
+
+/**
+ * `parent` and `ancestors` for a category placed under `parentId` (empty for a top-level category).
+ * When moving `categoryId`, refuses its own subtree. Throws `err.errors` for an invalid parent.
+ */
+const resolveCategoryParent = async (storeId, parentId, categoryId = null) => {
+  if (parentId == null || parentId === "") return { parent: null, ancestors: [] };
+
+  const parent =
+    mongoose.isValidObjectId(String(parentId)) &&
+    (await Category.findOne({ _id: parentId, store: storeId }).select("ancestors"));
+  if (!parent) {
+    throw validationError([{ msg: "parent must be a category of this store", path: "parent" }]);
+  }
+
+  if (categoryId && [parent._id, ...parent.ancestors].some((id) => id.equals(categoryId))) {
+    throw validationError([{ msg: "A category cannot be moved under itself or its subcategories", path: "parent" }]);
+  }
+
+  return { parent: parent._id, ancestors: [...parent.ancestors, parent._id] };
+};
+
+/**
+ * Re-root a moved category's subcategories: their path above the category becomes `ancestors`
+ */
+const rebaseSubcategories = (storeId, categoryId, ancestors, session = null) =>
+  Category.updateMany(
+    { store: storeId, ancestors: categoryId },
+    [
+      {
+        $set: {
+          ancestors: {
+            $concatArrays: [
+              { $literal: ancestors },
+              { $slice: ["$ancestors", { $indexOfArray: ["$ancestors", categoryId] }, { $size: "$ancestors" }] },
+            ],
+          },
+        },
+      },
+    ],
+    { session, updatePipeline: true }
+  );
+
+/**
+ * Categories in tree order (parents before children; siblings by sortOrder, then name),
+ * each with `depth` and `path` (names from the root, e.g. "Food / Dairy").
+ */
+const sortCategoryTree = (categories) => {
+  const children = new Map();
+  for (const category of categories) {
+    const key = category.parent ? String(category.parent) : "";
+    children.set(key, [...(children.get(key) || []), category]);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name));
+  }
+
+  const ordered = [];
+  const visit = (parentKey, depth, path) => {
+    for (const category of children.get(parentKey) || []) {
+      const names = [...path, category.name];
+      ordered.push({ category, depth, path: names.join(" / ") });
+      visit(String(category._id), depth + 1, names);
+    }
+  };
+  visit("", 0, []);
+  return ordered;
+};
+
+/**
+ * Roll per-category totals up the tree.
+ *
+ * `totalsByCategory` maps category id -> { field: number } for rows directly in that category;
+ * ids that are not categories of the store (deleted or never set) count as uncategorized.
+ * Returns { data, uncategorized, totals }: one row per category, in tree order, with totals
+ * including subcategories at the top level and its own rows under `direct`.
+ */
+const rollUpCategoryTotals = (categories, totalsByCategory, fields) => {
+  const zero = () => Object.fromEntries(fields.map((f) => [f, 0]));
+  const add = (target, source) => {
+    for (const f of fields) target[f] += Number(source?.[f] || 0);
+  };
+
+  const byId = new Map(categories.map((c) => [String(c._id), c]));
+  const rolled = new Map(categories.map((c) => [String(c._id), zero()]));
+  const uncategorized = zero();
+  const totals = zero();
+
+  for (const [categoryId, row] of totalsByCategory.entries()) {
+    add(totals, row);
+    const category = byId.get(categoryId);
+    if (!category) {
+      add(uncategorized, row);
+      continue;
+    }
+    for (const id of [categoryId, ...category.ancestors.map(String)]) {
+      if (rolled.has(id)) add(rolled.get(id), row);
+    }
+  }
+
+  const data = sortCategoryTree(categories).map(({ category, depth, path }) => ({
+    categoryId: String(category._id),
+    name: category.name,
+    parentId: category.parent ? String(category.parent) : null,
+    depth,
+    path,
+    ...rolled.get(String(category._id)),
+    direct: { ...zero(), ...totalsByCategory.get(String(category._id)) },
+  }));
+
+  return { data, uncategorized, totals };
+};
+
+module.exports = {
+  categorySubtreeIds,
+  attachCategoryPaths,
+  resolveCategoryParent,
+  rebaseSubcategories,
+  sortCategoryTree,
+  rollUpCategoryTotals,
+};
@@ -0,0 +1,494 @@
+/**
+ * Checkout: turns a basket into Sales + a Transaction in one Mongo session.
+ * Shared by `/api/sales/checkout` and cart completion.
+ */
+const mongoose = require("mongoose");
+const { body } = require("express-validator");
+const Sale = require("../models/Sale");
+const Product = require("../models/Product");
+const Transaction = require("../models/Transaction");
+const { PAYMENT_TYPES } = require("../models/Transaction");
+const Promotion = require("../models/Promotion");
+const StoreSettings = require("../models/StoreSettings");
+const Customer = require("../models/Customer");
+const { normalizePhone, generateMemberCode } = require("../models/Customer");
+const { roundMoney, priceLines, applyBasketDiscount, applyTax } = require("./pricing");
+const { attachCategoryPaths } = require("./categories");
+const { chooseVariantError } = require("./variants");
+const { pointsForAmount, earnExpiryDate, postEntry, expirePoints } = require("./loyalty");
+const { buildTransactionSummary } = require("./transactions");
+const { changeStock } = require("./stock");
+const { scheduleLowStockAlerts } = require("./stockAlerts");
+
+const MANUAL_DISCOUNT_LIMIT_DEFAULTS = { admin: 100, manager: 50, staff: 10 };
+
+/**
+ * Max manual discount (% of a line) for a role, overridable via MANUAL_DISCOUNT_LIMIT_<ROLE>
+ */
+const getManualDiscountLimitPercent = (role) => {
+  const fallback = MANUAL_DISCOUNT_LIMIT_DEFAULTS[role] ?? 0;
+  const n = Number(process.env[`MANUAL_DISCOUNT_LIMIT_${String(role).toUpperCase()}`] ?? fallback);
+  if (!Number.isFinite(n) || n < 0) return fallback;
+  return Math.min(n, 100);
+};
+
+/**
+ * express-validator rules for a checkout body; `withItems: false` when the items come from elsewhere (carts)
+ */
+const checkoutValidators = ({ withItems = true } = {}) => [
+  ...(withItems
+    ? [
+        body("items").isArray({ min: 1 }).withMessage("items must be a non-empty array"),
+        body("items.*.product").isMongoId().withMessage("Each item product must be a valid id"),
+        body("items.*.quantity").isInt({ min: 1 }).withMessage("Each item quantity must be at least 1"),
+        body("items.*.discountPercent")
+          .optional()
+          .isFloat({ min: 0, max: 100 })
+          .withMessage("Each item discountPercent must be between 0 and 100"),
+        body("items.*.discountAmount")
+          .optional()
+          .isFloat({ min: 0 })
+          .withMessage("Each item discountAmount must be non-negative"),
+      ]
+    : []),
+  body("staff").optional().isString(),
+  body("payments").optional().isArray({ min: 1 }).withMessage("payments must be a non-empty array"),
+  body("payments.*.type")
+    .isIn(PAYMENT_TYPES)
+    .withMessage(`Each payment type must be one of: ${PAYMENT_TYPES.join(", ")}`),
+  body("payments.*.amount").isFloat({ gt: 0 }).withMessage("Each payment amount must be greater than 0"),
+  body("payments.*.reference").optional().isString().withMessage("Each payment reference must be a string"),
+  body("notes").optional().isString().withMessage("notes must be a string"),
+  body("customer").optional().isMongoId().withMessage("customer must be a valid id"),
+  body("customerPhone")
+    .optional()
+    .custom((value) => Boolean(normalizePhone(value)))
+    .withMessage("customerPhone must contain digits"),
+  body("customerName").optional().isString().withMessage("customerName must be a string"),
+  body("memberCode").optional().isString().trim().notEmpty().withMessage("memberCode must be a non-empty string"),
+  body("redeemPoints").optional().isInt({ min: 1 }).withMessage("redeemPoints must be a positive integer"),
+  body("client.expectedTotal").optional().isNumeric(),
+];
+
+const validationError = (errors) => {
+  const err = new Error("Validation error");
+  err.status = 400;
+  err.errors = errors;
+  return err;
+};
+
+/**
+ * Merge duplicate products (industry POS behavior) along with their manual discounts
+ */
+const mergeItems = (items) => {
+  const merged = new Map();
+  for (const item of items) {
+    const productId = String(item.product);
+    const qty = Number(item.quantity);
+    if (!productId || !Number.isFinite(qty) || qty < 1) continue;
+
+    const entry = merged.get(productId) || { qty: 0, manualDiscount: null };
+    entry.qty += qty;
+    if (item.discountPercent != null) {
+      entry.manualDiscount = { percent: Number(item.discountPercent) };
+    } else if (item.discountAmount != null) {
+      const previous = entry.manualDiscount?.amount || 0;
+      entry.manualDiscount = { amount: previous + Number(item.discountAmount) };
+    }
+    merged.set(productId, entry);
+  }
+  return merged;
+};
+
+/**
+ * Check tenders against the server-computed total and work out change due.
+ * Only cash can be over-tendered, so change is always given back from cash.
+ */
+const allocatePayments = (payments, total) => {
+  const tenders = payments.map((p) => ({
+    type: p.type,
+    amount: roundMoney(p.amount),
+    change: 0,
+    reference: p.reference ? String(p.reference).trim() : undefined,
+  }));
+
+  const totalTendered = roundMoney(tenders.reduce((sum, t) => sum + t.amount, 0));
+  const cashTendered = roundMoney(tenders.filter((t) => t.type === "cash").reduce((sum, t) => sum + t.amount, 0));
+
+  if (totalTendered < roundMoney(total)) {
+    const err = new Error("Payments do not cover the total");
+    err.status = 400;
+    err.details = { total, totalTendered, shortBy: roundMoney(total - totalTendered) };
+    throw err;
+  }
+
+  const changeDue = roundMoney(totalTendered - total);
+  if (changeDue > cashTendered) {
+    const err = new Error("Non-cash payments exceed the total");
+    err.status = 400;
+    err.details = { total, totalTendered, nonCashTendered: roundMoney(totalTendered - cashTendered) };
+    throw err;
+  }
+
+  // Give change back from the last cash tender(s)
+  let remaining = changeDue;
+  for (const tender of [...tenders].reverse()) {
+    if (tender.type !== "cash" || remaining <= 0) continue;
+    tender.change = Math.min(tender.amount, remaining);
+    remaining = roundMoney(remaining - tender.change);
+  }
+
+  return { tenders, totalTendered, changeDue };
+};
+
+/**
+ * Resolve the checkout customer from `customer` (id), `memberCode` or `customerPhone`.
+ * An unknown phone number creates the customer inside the checkout session.
+ */
+const resolveCheckoutCustomer = async (req, input, session) => {
+  const { customer, memberCode, customerPhone, customerName } = input;
+
+  if (customer || memberCode) {
+    const query = customer
+      ? { _id: customer, store: req.storeId }
+      : { memberCode: String(memberCode).trim().toUpperCase(), store: req.storeId };
+
+    const existing = await Customer.findOne(query).session(session);
+    if (!existing) {
+      const err = new Error("Customer not found");
+      err.status = 404;
+      err.details = customer ? { customer: String(customer) } : { memberCode: String(memberCode) };
+      throw err;
+    }
+    return existing;
+  }
+
+  const phone = normalizePhone(customerPhone);
+  if (!phone) return null;
+
+  const onInsert = { store: req.storeId, phone, memberCode: generateMemberCode() };
+  if (customerName) onInsert.name = String(customerName).trim();
+
+  return Customer.findOneAndUpdate(
+    { store: req.storeId, phone },
+    { $setOnInsert: onInsert },
+    { new: true, upsert: true, session }
+  );
+};
+
+/**
+ * Run a checkout for the authenticated cashier.
+ *
+ * input: checkout body ({ items, payments, notes, customer | memberCode | customerPhone, redeemPoints, client })
+ * options.onCommit(session, { transactionId }): extra writes that must commit with the checkout
+ * options.offline: { clientId, createdAt, allowNegativeStock } for sales queued by a till while offline;
+ *   the sale keeps its original timestamp and, with allowNegativeStock, short stock is recorded
+ *   on the transaction (`stockShortages`, `needsReview`) instead of failing
+ *
+ * Returns the checkout response payload. Throws `err.errors` (400 validation errors) or
+ * `err.status` + `err.details` (stock, pricing, payment and loyalty failures).
+ */
+const runCheckout = async (req, input, { onCommit, offline } = {}) => {
+  const merged = mergeItems(Array.isArray(input.items) ? input.items : []);
+  if (merged.size === 0) {
+    throw validationError([{ msg: "items must include at least one valid product", path: "items" }]);
+  }
+
+  const customerKeys = ["customer", "memberCode", "customerPhone"].filter((key) => input[key]);
+  if (customerKeys.length > 1) {
+    throw validationError([{ msg: "Send only one of customer, memberCode or customerPhone", path: customerKeys[1] }]);
+  }
+
+  const redeemPoints = Number(input.redeemPoints || 0);
+  if (redeemPoints > 0 && customerKeys.length === 0) {
+    throw validationError([{ msg: "Identify the customer to redeem points", path: "redeemPoints" }]);
+  }
+
+  let staffId = null;
+  let cashierType = "user";
+  let cashierUser = null;
+  let cashierNameSnapshot = null;
+
+  // Staff users: always auto-assign
+  if (req.userType === "staff") {
+    staffId = req.user._id;
+    cashierType = "staff";
+    cashierUser = null;
+    cashierNameSnapshot = req.user?.name || null;
+  } else {
+    // Admin/manager: record as the logged-in user (no staff attribution)
+    if (input.staff) {
+      throw validationError([{ msg: "Do not provide staff when recording sales as admin/manager", path: "staff" }]);
+    }
+
+    cashierType = "user";
+    cashierUser = req.user?._id || null;
+    cashierNameSnapshot = req.user?.name || null;
+  }
+
+  const occurredAt = offline?.createdAt ? new Date(offline.createdAt) : undefined;
+  const promotions = await Promotion.findActive(req.storeId, occurredAt);
+  const settings = await StoreSettings.getForStore(req.storeId);
+  const loyalty = settings.loyalty?.enabled ? settings.loyalty : null;
+  if (redeemPoints > 0 && !loyalty) {
+    throw validationError([{ msg: "Loyalty program is not enabled", path: "redeemPoints" }]);
+  }
+  if (redeemPoints > 0 && redeemPoints < Number(loyalty.minRedeemPoints || 0)) {
+    throw validationError([{ msg: `At least ${loyalty.minRedeemPoints} points must be redeemed`, path: "redeemPoints" }]);
+  }
+
+  const manualDiscountLimitPercent = getManualDiscountLimitPercent(req.user.role);
+  const payments = Array.isArray(input.payments) ? input.payments : [];
+  const transactionId = new mongoose.Types.ObjectId();
+
+  let serverTotal = 0;
+  let createdSales = [];
+  let createdTransaction = null;
+  let loyaltyBalance = null;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const customerDoc = await resolveCheckoutCustomer(req, input, session);
+      const lines = [];
+      const stockShortages = [];
+
+      for (const [productId, { qty, manualDiscount }] of merged.entries()) {
+        // Atomically decrement stock if enough quantity exists (or regardless, when going negative is allowed)
+        const { product: productDoc } = (await changeStock({
+          productId,
+          storeId: req.storeId,
+          change: -qty,
+          type: "sale",
+          session,
+          req,
+          reason: offline ? "Offline sale" : "Checkout",
+          source: { model: "Transaction", id: transactionId },
+          requireStock: !offline?.allowNegativeStock,
+        })) || {};
+
+        if (!productDoc) {
+          const existing = await Product.findOne({ _id: productId, store: req.storeId })
+            .select("name quantity hasVariants")
+            .session(session);
+
+          if (!existing) {
+            const err = new Error("Product not found in this store");
+            err.status = 404;
+            err.details = { productId, storeId: String(req.storeId) };
+            throw err;
+          }
+          if (existing.hasVariants) throw chooseVariantError(existing);
+
+          const err = new Error("Insufficient stock");
+          err.status = 400;
+          err.reason = "insufficient_stock";
+          err.details = {
+            productId,
+            productName: existing.name,
+            available: existing.quantity,
+            requested: qty,
+          };
+          throw err;
+        }
+
+        const unitPrice = Number(productDoc.price);
+        if (!Number.isFinite(unitPrice)) {
+          const err = new Error("Invalid product pricing");
+          err.status = 400;
+          err.details = {
+            productId,
+            field: "price",
+            value: productDoc.price,
+            message: "Product price must be a valid number",
+          };
+          throw err;
+        }
+
+        if (productDoc.quantity < 0) {
+          stockShortages.push({
+            product: productDoc._id,
+            productName: productDoc.name,
+            requested: qty,
+            available: productDoc.quantity + qty,
+          });
+        }
+
+        const unitCostCandidate = Number(productDoc.costPrice);
+        const unitCostPrice = Number.isFinite(unitCostCandidate) ? unitCostCandidate : null;
+
+        lines.push({
+          productId: productDoc._id,
+          productName: productDoc.name,
+          category: productDoc.category,
+          taxClass: productDoc.taxClass,
+          unitPrice,
+          unitCostPrice,
+          quantity: qty,
+          manualDiscount,
+        });
+      }
+
+      // Promotions, manual discounts, redeemed points and tax are evaluated server-side;
+      // totalPrice is what the line is charged
+      await attachCategoryPaths(req.storeId, lines, session);
+      let discounted = priceLines(lines, promotions, { manualDiscountLimitPercent });
+
+      const redeemedAmount = roundMoney(redeemPoints * Number(loyalty?.redeemValue || 0));
+      if (redeemPoints > 0) {
+        if (redeemedAmount > discounted.total) {
+          const err = new Error("Redeemed points exceed the basket total");
+          err.status = 400;
+          err.details = {
+            redeemPoints,
+            redeemValue: redeemedAmount,
+            basketTotal: discounted.total,
+            maxPoints: Math.floor(discounted.total / Number(loyalty.redeemValue)),
+          };
+          throw err;
+        }
+        discounted = applyBasketDiscount(discounted, {
+          type: "loyalty",
+          name: `Loyalty points (${redeemPoints})`,
+          amount: redeemedAmount,
+        });
+      }
+
+      const pricing = applyTax(discounted, settings.tax);
+      serverTotal = pricing.total;
+
+      const saleInputs = pricing.lines.map((line) => ({
+        transactionId,
+        product: line.productId,
+        productNameSnapshot: line.productName,
+        unitPrice: line.unitPrice,
+        unitCostPrice: line.unitCostPrice,
+        staff: staffId,
+        cashierType,
+        cashierUser,
+        cashierNameSnapshot,
+        quantity: line.quantity,
+        grossPrice: line.gross,
+        discountAmount: line.discountAmount,
+        discounts: line.discounts,
+        taxClass: line.taxClass,
+        taxRate: line.taxRate,
+        taxInclusive: line.taxInclusive,
+        taxAmount: line.taxAmount,
+        totalPrice: line.total,
+        store: req.storeId,
+        createdAt: occurredAt,
+      }));
+
+      createdSales = await Sale.insertMany(saleInputs, { session });
+
+      const paymentSummary = payments.length > 0 ? allocatePayments(payments, serverTotal) : null;
+      const pointsEarned = customerDoc && loyalty ? pointsForAmount(loyalty, serverTotal) : 0;
+
+      [createdTransaction] = await Transaction.create(
+        [
+          {
+            _id: transactionId,
+            staff: staffId,
+            cashierType,
+            cashierUser,
+            cashierNameSnapshot,
+            customer: customerDoc?._id ?? null,
+            customerNameSnapshot: customerDoc ? customerDoc.name || customerDoc.phone : undefined,
+            itemsCount: saleInputs.length,
+            totalQuantity: saleInputs.reduce((sum, s) => sum + s.quantity, 0),
+            subtotal: pricing.subtotal,
+            discountTotal: pricing.discountTotal,
+            taxInclusive: pricing.taxInclusive,
+            taxTotal: pricing.taxTotal,
+            taxes: pricing.taxes,
+            total: serverTotal,
+            payments: paymentSummary?.tenders ?? [],
+            amountTendered: paymentSummary?.totalTendered ?? null,
+            changeDue: paymentSummary?.changeDue ?? null,
+            notes: input.notes,
+            loyalty: { pointsEarned, pointsRedeemed: redeemPoints, redeemedAmount },
+            clientId: offline?.clientId,
+            syncedAt: offline ? new Date() : null,
+            needsReview: stockShortages.length > 0,
+            stockShortages,
+            lastSaleAt: createdSales[0]?.createdAt,
+            createdAt: occurredAt,
+            store: req.storeId,
+          },
+        ],
+        { session }
+      );
+
+      // Points move in the same session as the stock, so a failed checkout leaves the ledger untouched
+      if (customerDoc && loyalty) {
+        loyaltyBalance = customerDoc.pointsBalance;
+
+        if (redeemPoints > 0) {
+          await expirePoints(customerDoc._id, req.storeId, session);
+          ({ balance: loyaltyBalance } = await postEntry({
+            customerId: customerDoc._id,
+            storeId: req.storeId,
+            type: "redeem",
+            points: -redeemPoints,
+            session,
+            req,
+            transactionId,
+            reason: "Redeemed at checkout",
+            requireBalance: true,
+          }));
+        }
+
+        if (pointsEarned > 0) {
+          ({ balance: loyaltyBalance } = await postEntry({
+            customerId: customerDoc._id,
+            storeId: req.storeId,
+            type: "earn",
+            points: pointsEarned,
+            session,
+            req,
+            transactionId,
+            reason: "Earned at checkout",
+            expiresAt: earnExpiryDate(loyalty),
+          }));
+        }
+      }
+
+      if (onCommit) await onCommit(session, { transactionId });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  // Products this sale took below their threshold are emailed once it has committed
+  scheduleLowStockAlerts(req.storeId);
+
+  const clientExpectedNumber = Number(input?.client?.expectedTotal);
+  const hasClientExpected = input?.client?.expectedTotal != null && Number.isFinite(clientExpectedNumber);
+
+  return {
+    transaction: buildTransactionSummary(createdTransaction),
+    sales: createdSales,
+    payments: createdTransaction.payments,
+    loyalty: createdTransaction.customer && loyalty
+      ? {
+          pointsEarned: createdTransaction.loyalty.pointsEarned,
+          pointsRedeemed: createdTransaction.loyalty.pointsRedeemed,
+          redeemedAmount: createdTransaction.loyalty.redeemedAmount,
+          balance: loyaltyBalance,
+        }
+      : null,
+    validation: {
+      clientExpectedTotal: hasClientExpected ? clientExpectedNumber : null,
+      serverTotal,
+      matches: hasClientExpected ? clientExpectedNumber === serverTotal : null,
+    },
+  };
+};
+
+module.exports = {
+  getManualDiscountLimitPercent,
+  checkoutValidators,
+  mergeItems,
+  runCheckout,
+};
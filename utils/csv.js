@@ -0,0 +1,86 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing. Reading handles quoted fields (with "" escapes and
+ * line breaks), CRLF/LF line endings and a UTF-8 BOM. The delimiter is `,` unless the header line
+ * only uses `;` (spreadsheet exports in some locales).
+ */
+
+const detectDelimiter = (text) => {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return header.includes(";") && !header.includes(",") ? ";" : ",";
+};
+
+/**
+ * Parse CSV text into rows of string cells. A blank line is a row with one empty cell, so row
+ * numbers match the spreadsheet the file came from.
+ * Throws an error with status 400 for an unterminated quoted field.
+ */
+const parseCsv = (input) => {
+  const text = String(input ?? "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(text);
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let i = 0;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    rows.push(row);
+    row = [];
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else cell += ch;
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) endCell();
+    else if (ch === "\n") endRow();
+    else if (ch !== "\r" || text[i + 1] !== "\n") cell += ch;
+    i += 1;
+  }
+
+  if (quoted) {
+    const err = new Error("CSV has an unterminated quoted field");
+    err.status = 400;
+    throw err;
+  }
+  if (cell !== "" || row.length) endRow();
+  return rows;
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV line (CRLF-terminated). Cells with commas, quotes or line breaks are quoted; text that a
+ * spreadsheet would evaluate as a formula is prefixed with `'`. Dates are written as ISO strings.
+ */
+const csvRow = (values) =>
+  `${values
+    .map((value) => {
+      if (value == null) return "";
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value !== "string") return String(value);
+
+      const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",")}\r\n`;
+
+module.exports = { parseCsv, csvRow };
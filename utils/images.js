@@ -0,0 +1,248 @@
+/**
+ * Store logos for printed receipts: fetched from `receipt.logoUrl`, cached in-process, and parsed
+ * just enough to print them. JPEGs are passed through to PDFs as they are; PNGs are decoded to
+ * pixels, so they also print on thermal printers.
+ *
+ * Logos are only fetched from Cloudinary image uploads (the store's own cloud when
+ * CLOUDINARY_CLOUD_NAME is set), never following redirects, so a logo URL cannot make the server
+ * request arbitrary hosts.
+ */
+const zlib = require("zlib");
+
+const LOGO_CACHE_TTL_MS = 10 * 60 * 1000;
+// A failed fetch is retried sooner
+const LOGO_FAILURE_TTL_MS = 60 * 1000;
+const MAX_CACHED_LOGOS = 20;
+const MAX_LOGO_BYTES = 1024 * 1024;
+const MAX_LOGO_PIXELS = 2000 * 2000;
+const LOGO_FETCH_TIMEOUT_MS = 5000;
+const LOGO_HOST = "res.cloudinary.com";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const unsupported = (reason) => {
+  const err = new Error(`Unsupported image: ${reason}`);
+  err.status = 400;
+  return err;
+};
+
+// Width, height and components from the first SOF marker
+const parseJpeg = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) throw unsupported("corrupt JPEG");
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = buffer[offset + 9];
+      if (![1, 3].includes(components)) throw unsupported("CMYK JPEG");
+      return {
+        format: "jpeg",
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+        channels: components,
+        data: buffer,
+      };
+    }
+    offset += 2 + length;
+  }
+  throw unsupported("corrupt JPEG");
+};
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+// Reverse the per-row PNG filters; returns the bare rows
+const unfilter = (data, height, rowBytes, bpp) => {
+  const out = Buffer.alloc(height * rowBytes);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (rowBytes + 1)];
+    const src = y * (rowBytes + 1) + 1;
+    const row = y * rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const left = x >= bpp ? out[row + x - bpp] : 0;
+      const up = y > 0 ? out[row - rowBytes + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[row - rowBytes + x - bpp] : 0;
+      const raw = data[src + x];
+      let value = raw;
+      if (filter === 1) value = raw + left;
+      else if (filter === 2) value = raw + up;
+      else if (filter === 3) value = raw + ((left + up) >> 1);
+      else if (filter === 4) value = raw + paeth(left, up, upLeft);
+      else if (filter !== 0) throw unsupported("corrupt PNG");
+      out[row + x] = value & 0xff;
+    }
+  }
+  return out;
+};
+
+/**
+ * 8-bit pixels of a non-interlaced PNG: { width, height, channels (1 gray or 3 RGB), pixels, alpha }
+ */
+const parsePng = (buffer) => {
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") palette = data;
+    else if (type === "tRNS") transparency = data;
+    else if (type === "IDAT") idat.push(data);
+    else if (type === "IEND") break;
+    offset += 12 + length;
+  }
+  if (!header || idat.length === 0) throw unsupported("corrupt PNG");
+
+  const { width, height, bitDepth, colorType } = header;
+  if (header.interlace) throw unsupported("interlaced PNG");
+  if (width * height > MAX_LOGO_PIXELS) throw unsupported("image too large");
+  const samples = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!samples || (colorType === 3 && !palette)) throw unsupported("corrupt PNG");
+
+  const rowBytes = Math.ceil((width * samples * bitDepth) / 8);
+  // Inflate no more than the rows can hold, so a small file cannot expand into a huge buffer
+  const inflated = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: height * (rowBytes + 1) });
+  const rows = unfilter(inflated, height, rowBytes, Math.max(1, (samples * bitDepth) / 8));
+
+  // Sample i of row y as 0-255 (palette indexes stay indexes)
+  const maxValue = 2 ** bitDepth - 1;
+  const sample = (y, i) => {
+    const row = y * rowBytes;
+    if (bitDepth === 8) return rows[row + i];
+    if (bitDepth === 16) return rows[row + i * 2];
+    const bit = i * bitDepth;
+    const value = (rows[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    return colorType === 3 ? value : Math.round((value * 255) / maxValue);
+  };
+
+  const channels = colorType === 0 || colorType === 4 ? 1 : 3;
+  const pixels = Buffer.alloc(width * height * channels);
+  const hasAlpha = colorType === 4 || colorType === 6 || (colorType === 3 && transparency);
+  const alpha = hasAlpha ? Buffer.alloc(width * height) : null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (colorType === 3) {
+        const index = sample(y, x);
+        palette.copy(pixels, p * 3, index * 3, index * 3 + 3);
+        if (alpha) alpha[p] = index < transparency.length ? transparency[index] : 255;
+      } else {
+        for (let c = 0; c < channels; c++) pixels[p * channels + c] = sample(y, x * samples + c);
+        if (alpha) alpha[p] = sample(y, x * samples + channels);
+      }
+    }
+  }
+  return { format: "png", width, height, channels, pixels, alpha };
+};
+
+/**
+ * Parse a JPEG or PNG. Throws a 400 error for other formats and unsupported variants.
+ */
+const parseImage = (buffer) => {
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return parsePng(buffer);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return parseJpeg(buffer);
+  throw unsupported("only PNG and JPEG logos can be printed");
+};
+
+/**
+ * 1-bit rows for a thermal printer, scaled down to fit `maxWidth` x `maxHeight` dots (rows padded to
+ * whole bytes): { width, height, bytesPerRow, data } with set bits printed black. Null for JPEGs.
+ */
+const toMonochrome = (image, maxWidth, maxHeight = Infinity) => {
+  if (image.format !== "png") return null;
+  const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+  const width = Math.max(1, Math.floor(image.width * scale));
+  const height = Math.max(1, Math.floor(image.height * scale));
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = Buffer.alloc(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(image.height - 1, Math.floor(y / scale));
+    for (let x = 0; x < width; x++) {
+      const p = sy * image.width + Math.min(image.width - 1, Math.floor(x / scale));
+      if (image.alpha && image.alpha[p] < 128) continue;
+      const px = image.pixels;
+      const luminance =
+        image.channels === 1 ? px[p] : 0.299 * px[p * 3] + 0.587 * px[p * 3 + 1] + 0.114 * px[p * 3 + 2];
+      if (luminance < 128) data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return { width, height, bytesPerRow, data };
+};
+
+/**
+ * Whether `url` may be used as a receipt logo: an https Cloudinary image upload, of the store's own
+ * cloud when CLOUDINARY_CLOUD_NAME is set
+ */
+const isAllowedLogoUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== "https:" || parsed.hostname !== LOGO_HOST || parsed.port || parsed.username) return false;
+  const [cloud, type, delivery] = parsed.pathname.split("/").slice(1);
+  const ownCloud = process.env.CLOUDINARY_CLOUD_NAME;
+  return Boolean(cloud) && (!ownCloud || cloud === ownCloud) && type === "image" && delivery === "upload";
+};
+
+const logos = new Map();
+
+const fetchLogo = async (url) => {
+  if (!isAllowedLogoUrl(url)) throw new Error("Logo is not a Cloudinary image upload");
+  const response = await fetch(url, { redirect: "error", signal: AbortSignal.timeout(LOGO_FETCH_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`Logo request failed with ${response.status}`);
+  if (Number(response.headers.get("content-length")) > MAX_LOGO_BYTES) throw new Error("Logo is larger than 1 MB");
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_LOGO_BYTES) throw new Error("Logo is larger than 1 MB");
+    chunks.push(chunk);
+  }
+  return parseImage(Buffer.concat(chunks));
+};
+
+/**
+ * The parsed logo at `url`, or null when there is none or it cannot be fetched or printed: a
+ * receipt is never refused over its logo, it is printed without one.
+ */
+const loadLogo = async (url) => {
+  if (!url) return null;
+  const cached = logos.get(url);
+  if (cached && cached.expiresAt > Date.now()) return cached.logo;
+
+  const entry = { logo: null, expiresAt: Date.now() + LOGO_CACHE_TTL_MS };
+  // Concurrent receipts share one fetch
+  entry.logo = fetchLogo(url).catch(() => {
+    entry.expiresAt = Date.now() + LOGO_FAILURE_TTL_MS;
+    return null;
+  });
+  logos.delete(url);
+  logos.set(url, entry);
+  while (logos.size > MAX_CACHED_LOGOS) logos.delete(logos.keys().next().value);
+  return entry.logo;
+};
+
+module.exports = { parseImage, toMonochrome, isAllowedLogoUrl, loadLogo };
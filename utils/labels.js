@@ -0,0 +1,133 @@
+/**
+ * Printable A4 label sheets: product name, variant options, price and barcode per label, in a grid
+ * matching common self-adhesive label stock or cut-out shelf tags.
+ */
+const { MM, createPdf, wrapText } = require("./pdf");
+
+const A4 = { width: 210 * MM, height: 297 * MM };
+
+// Labels per request, all copies counted
+const MAX_LABELS = 2000;
+
+// Grid per layout; label size follows from the page and margins
+const LABEL_LAYOUTS = {
+  // 3 x 8 labels of 70 x 37 mm (sheets like Avery 3474)
+  labels: { columns: 3, rows: 8, marginX: 0, marginY: 0.5 * MM, padding: 3 * MM, cutLines: false },
+  // 2 x 5 tags of 95 x 55 mm with dashed cut lines
+  "shelf-tags": { columns: 2, rows: 5, marginX: 10 * MM, marginY: 11 * MM, padding: 4 * MM, cutLines: true },
+};
+
+// Font sizes and barcode height per layout
+const LABEL_STYLES = {
+  labels: { name: 8, options: 7, price: 12, code: 7, barHeight: 12 * MM, nameLines: 2 },
+  "shelf-tags": { name: 12, options: 9, price: 26, code: 8, barHeight: 11 * MM, nameLines: 2 },
+};
+
+const formatPrice = (price) => (Number(price) || 0).toFixed(2);
+
+// Bars of `modules` scaled to `width`, centred in the box, with the code in text underneath
+const drawBarcode = (pdf, code, { x, y, width, height, fontSize }) => {
+  const quiet = 10; // quiet zone in modules on each side
+  const moduleWidth = Math.min(width / (code.modules.length + 2 * quiet), 0.5 * MM);
+  const left = x + (width - moduleWidth * code.modules.length) / 2;
+  const barHeight = height - fontSize - 1;
+
+  let start = -1;
+  for (let i = 0; i <= code.modules.length; i++) {
+    const bar = code.modules[i] === "1";
+    if (bar && start < 0) start = i;
+    if (!bar && start >= 0) {
+      pdf.rect(left + start * moduleWidth, y, (i - start) * moduleWidth, barHeight);
+      start = -1;
+    }
+  }
+  pdf.text(code.value, x, y + height, { size: fontSize, align: "center", width });
+};
+
+const drawLabel = (pdf, label, box, style) => {
+  const { x, y, width, height, padding } = box;
+  const inner = width - 2 * padding;
+  let top = y + padding;
+
+  const nameLines = wrapText(label.name, { size: style.name, bold: true, maxWidth: inner, maxLines: style.nameLines });
+  for (const line of nameLines) {
+    top += style.name;
+    pdf.text(line, x + padding, top, { size: style.name, bold: true });
+    top += 1;
+  }
+  if (label.options) {
+    const [line] = wrapText(label.options, { size: style.options, maxWidth: inner, maxLines: 1 });
+    top += style.options + 1;
+    pdf.text(line, x + padding, top, { size: style.options });
+  }
+
+  const bottom = y + height - padding;
+  if (label.price != null) {
+    // Price in the free space above the barcode, right-aligned
+    pdf.text(formatPrice(label.price), x + padding, bottom - style.barHeight - 3, {
+      size: style.price,
+      bold: true,
+      align: "right",
+      width: inner,
+    });
+  }
+
+  if (label.code) {
+    drawBarcode(pdf, label.code, {
+      x: x + padding,
+      y: bottom - style.barHeight,
+      width: inner,
+      height: style.barHeight,
+      fontSize: style.code,
+    });
+  }
+};
+
+// Dashed lines along the tag edges for cutting
+const drawCutLines = (pdf, grid, width, height) => {
+  const right = grid.marginX + grid.columns * width;
+  const bottom = grid.marginY + grid.rows * height;
+  for (let c = 0; c <= grid.columns; c++) {
+    const x = grid.marginX + c * width;
+    pdf.line(x, grid.marginY, x, bottom, { lineWidth: 0.3, dash: [3, 3] });
+  }
+  for (let r = 0; r <= grid.rows; r++) {
+    const y = grid.marginY + r * height;
+    pdf.line(grid.marginX, y, right, y, { lineWidth: 0.3, dash: [3, 3] });
+  }
+};
+
+/**
+ * A4 PDF of `labels` ([{ name, options, price, code }] with `code` from `barcodeFor`, one entry per
+ * printed copy) in `layout`. `skip` leaves that many positions empty on the first sheet, so a
+ * partly used sheet can go through the printer again.
+ */
+const renderLabelSheet = ({ labels, layout = "labels", skip = 0 }) => {
+  const grid = LABEL_LAYOUTS[layout];
+  const style = LABEL_STYLES[layout];
+  const width = (A4.width - 2 * grid.marginX) / grid.columns;
+  const height = (A4.height - 2 * grid.marginY) / grid.rows;
+  const perPage = grid.columns * grid.rows;
+
+  const pdf = createPdf({ title: layout === "labels" ? "Product labels" : "Shelf tags" });
+  labels.forEach((label, index) => {
+    const position = (index + skip) % perPage;
+    if (index === 0 || position === 0) {
+      pdf.addPage(A4.width, A4.height);
+      if (grid.cutLines) drawCutLines(pdf, grid, width, height);
+    }
+    const column = position % grid.columns;
+    const row = Math.floor(position / grid.columns);
+    const box = {
+      x: grid.marginX + column * width,
+      y: grid.marginY + row * height,
+      width,
+      height,
+      padding: grid.padding,
+    };
+    drawLabel(pdf, label, box, style);
+  });
+  return pdf.toBuffer();
+};
+
+module.exports = { MAX_LABELS, LABEL_LAYOUTS, renderLabelSheet };
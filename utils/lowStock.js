@@ -0,0 +1,74 @@
+/**
+ * Product.isLowStock upkeep: the flag is true while quantity <= lowStockThreshold (a product
+ * without a threshold is never low). Every crossing is recorded as a LowStockEvent.
+ */
+const Product = require("../models/Product");
+const LowStockEvent = require("../models/LowStockEvent");
+const { actorFields } = require("./actor");
+
+// Aggregation expression for the flag (pipeline updates and repairs)
+const LOW_STOCK_EXPR = { $lte: ["$quantity", "$lowStockThreshold"] };
+
+// Crossings out of low stock that count as a restock (returns and voids bouncing back do not)
+const RESTOCK_TRIGGERS = ["receipt", "adjustment", "count", "transfer"];
+
+const isLowStockLevel = (quantity, threshold) => threshold != null && Number(quantity) <= Number(threshold);
+
+/**
+ * Record a crossing. `product` is the product after the change.
+ * Drops below the threshold are queued for an alert email (utils/stockAlerts.js);
+ * a restock re-arms alerts for the product.
+ */
+const recordLowStockEvent = async ({ product, storeId, low, trigger, movement = null, session = null, req = null }) => {
+  const [event] = await LowStockEvent.create(
+    [
+      {
+        product: product._id,
+        productNameSnapshot: product.name,
+        type: low ? "entered" : "cleared",
+        quantity: product.quantity,
+        threshold: product.lowStockThreshold,
+        trigger,
+        movement: movement?._id,
+        alertStatus: low && trigger !== "created" ? "pending" : undefined,
+        ...actorFields(req),
+        store: storeId,
+      },
+    ],
+    { session }
+  );
+
+  if (!low && RESTOCK_TRIGGERS.includes(trigger)) {
+    await Product.updateOne({ _id: product._id }, { $set: { lowStockAlertedAt: null } }, { session });
+  }
+  return event;
+};
+
+/**
+ * Bring a product's flag in line with its current quantity/threshold (after edits that do not go
+ * through changeStock, e.g. a new lowStockThreshold). Records an event when the flag flips.
+ *
+ * Returns the product with the up-to-date flag.
+ */
+const syncLowStockFlag = async ({ product, storeId, trigger, session = null, req = null }) => {
+  const low = isLowStockLevel(product.quantity, product.lowStockThreshold);
+  if (Boolean(product.isLowStock) === low) return product;
+
+  // Only the request that actually flips the flag records the crossing
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, store: storeId, isLowStock: { $ne: low } },
+    { $set: { isLowStock: low } },
+    { new: true, session }
+  );
+  if (!updated) return product;
+
+  await recordLowStockEvent({ product: updated, storeId, low, trigger, session, req });
+  return updated;
+};
+
+module.exports = {
+  LOW_STOCK_EXPR,
+  isLowStockLevel,
+  recordLowStockEvent,
+  syncLowStockFlag,
+};
@@ -0,0 +1,230 @@
+/**
+ * Loyalty points ledger: every movement is a LoyaltyEntry and Customer.pointsBalance
+ * is updated in the same session. Positive entries track what is left of them so
+ * redemptions, clawbacks and expiry consume the oldest-expiring points first.
+ */
+const Customer = require("../models/Customer");
+const LoyaltyEntry = require("../models/LoyaltyEntry");
+const Transaction = require("../models/Transaction");
+const { actorFields } = require("./actor");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Points a checkout total earns (whole points only)
+ */
+const pointsForAmount = (loyalty, amount) => Math.max(Math.floor(Number(amount) * Number(loyalty?.earnRate || 0)), 0);
+
+const earnExpiryDate = (loyalty, from = new Date()) =>
+  loyalty?.expiryDays ? new Date(from.getTime() + Number(loyalty.expiryDays) * DAY_MS) : null;
+
+/**
+ * Take `points` out of the customer's positive entries, soonest expiry first (non-expiring last).
+ * `preferTransactionId` consumes that transaction's own entries first (used by clawbacks).
+ * Returns what was taken from each entry: [{ entry, points, expiresAt }].
+ */
+const consumePoints = async (customerId, points, session, { preferTransactionId = null } = {}) => {
+  const entries = await LoyaltyEntry.find({ customer: customerId, remaining: { $gt: 0 } }).session(session);
+
+  const rank = (entry) => {
+    const preferred = preferTransactionId && String(entry.transactionId) === String(preferTransactionId) ? 0 : 1;
+    const expiry = entry.expiresAt ? entry.expiresAt.getTime() : Number.MAX_SAFE_INTEGER;
+    return [preferred, expiry, entry.createdAt.getTime()];
+  };
+  entries.sort((a, b) => {
+    const [ra, rb] = [rank(a), rank(b)];
+    return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+  });
+
+  let left = points;
+  const consumed = [];
+  for (const entry of entries) {
+    if (left <= 0) break;
+    const take = Math.min(left, entry.remaining);
+    await LoyaltyEntry.updateOne({ _id: entry._id }, { $inc: { remaining: -take } }, { session });
+    consumed.push({ entry: entry._id, points: take, expiresAt: entry.expiresAt || null });
+    left -= take;
+  }
+  return consumed;
+};
+
+/**
+ * Record a ledger entry and move the customer's balance.
+ *
+ * Negative entries with `requireBalance` fail with a 400 when the balance is too low;
+ * without it (clawbacks) the balance may go negative.
+ */
+const postEntry = async ({
+  customerId,
+  storeId,
+  type,
+  points,
+  session,
+  req = null,
+  transactionId = null,
+  reason,
+  expiresAt = null,
+  requireBalance = false,
+  consume = true,
+}) => {
+  const filter = { _id: customerId, store: storeId };
+  if (requireBalance && points < 0) filter.pointsBalance = { $gte: -points };
+
+  const customer = await Customer.findOneAndUpdate(filter, { $inc: { pointsBalance: points } }, { new: true, session });
+  if (!customer) {
+    const exists = await Customer.exists({ _id: customerId, store: storeId }).session(session);
+    const err = new Error(exists ? "Insufficient loyalty points" : "Customer not found");
+    err.status = exists ? 400 : 404;
+    err.details = { customer: String(customerId), requested: Math.abs(points) };
+    throw err;
+  }
+
+  let consumed;
+  if (points < 0 && consume) {
+    consumed = await consumePoints(customerId, -points, session, { preferTransactionId: transactionId });
+  }
+
+  const [entry] = await LoyaltyEntry.create(
+    [
+      {
+        customer: customerId,
+        type,
+        points,
+        balanceAfter: customer.pointsBalance,
+        remaining: points > 0 ? points : 0,
+        expiresAt: points > 0 ? expiresAt : null,
+        consumed: type === "redeem" ? consumed : undefined,
+        transactionId,
+        reason,
+        ...actorFields(req),
+        store: storeId,
+      },
+    ],
+    { session }
+  );
+
+  return { entry, balance: customer.pointsBalance };
+};
+
+/**
+ * Expire what is left of the customer's points whose expiry has passed. Runs lazily
+ * whenever a balance is read or spent, so no scheduler is needed.
+ */
+const expirePoints = async (customerId, storeId, session, at = new Date()) => {
+  const due = await LoyaltyEntry.find({
+    customer: customerId,
+    store: storeId,
+    remaining: { $gt: 0 },
+    expiresAt: { $ne: null, $lte: at },
+  }).session(session);
+
+  let expired = 0;
+  for (const entry of due) {
+    // Claim the remainder so a concurrent expiry run cannot expire it twice
+    const claimed = await LoyaltyEntry.findOneAndUpdate(
+      { _id: entry._id, remaining: entry.remaining },
+      { $set: { remaining: 0 } },
+      { session }
+    );
+    if (!claimed) continue;
+
+    await postEntry({
+      customerId,
+      storeId,
+      type: "expire",
+      points: -entry.remaining,
+      session,
+      transactionId: entry.transactionId,
+      reason: "Points expired",
+      consume: false,
+    });
+    expired += entry.remaining;
+  }
+
+  return expired;
+};
+
+/**
+ * Take back points a transaction earned, up to `targetPoints` in total across calls
+ * (returns claw back in proportion to what was refunded, a void claws back everything).
+ */
+const clawBackPoints = async ({ transaction, targetPoints, reason, session, req }) => {
+  const earned = Number(transaction.loyalty?.pointsEarned || 0);
+  const already = Number(transaction.loyalty?.pointsClawedBack || 0);
+  const points = Math.min(earned, Math.max(targetPoints, 0)) - already;
+  if (!transaction.customer || points <= 0) return 0;
+
+  await postEntry({
+    customerId: transaction.customer,
+    storeId: transaction.store,
+    type: "adjust",
+    points: -points,
+    session,
+    req,
+    transactionId: transaction._id,
+    reason,
+  });
+  await Transaction.updateOne({ _id: transaction._id }, { $inc: { "loyalty.pointsClawedBack": points } }, { session });
+
+  return points;
+};
+
+/**
+ * Give back points a transaction redeemed, up to `targetPoints` in total across calls (returns give
+ * back the share of the redemption on what was refunded, a void gives back everything). Restored
+ * points come back as `redeem_reversal` entries with the expiry of the points the redemption used,
+ * in the order it used them; points already past that expiry are expired at the next balance read.
+ */
+const restoreRedeemedPoints = async ({ transaction, targetPoints, reason, session, req }) => {
+  const redeemed = Number(transaction.loyalty?.pointsRedeemed || 0);
+  const already = Number(transaction.loyalty?.pointsRestored || 0);
+  const points = Math.min(redeemed, Math.max(targetPoints, 0)) - already;
+  if (!transaction.customer || points <= 0) return 0;
+
+  const redemption = await LoyaltyEntry.findOne({
+    customer: transaction.customer,
+    transactionId: transaction._id,
+    type: "redeem",
+  }).session(session);
+
+  // Skip what earlier calls restored, then split the rest by the lots it came from. Redemptions
+  // recorded before lots were tracked (or beyond them) come back without an expiry.
+  const lots = [...(redemption?.consumed || [])];
+  const tracked = lots.reduce((sum, lot) => sum + lot.points, 0);
+  if (redeemed > tracked) lots.push({ points: redeemed - tracked, expiresAt: null });
+
+  let skip = already;
+  let left = points;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const available = lot.points - Math.min(skip, lot.points);
+    skip = Math.max(skip - lot.points, 0);
+    if (available <= 0) continue;
+
+    const give = Math.min(available, left);
+    await postEntry({
+      customerId: transaction.customer,
+      storeId: transaction.store,
+      type: "redeem_reversal",
+      points: give,
+      session,
+      req,
+      transactionId: transaction._id,
+      reason,
+      expiresAt: lot.expiresAt,
+    });
+    left -= give;
+  }
+  await Transaction.updateOne({ _id: transaction._id }, { $inc: { "loyalty.pointsRestored": points } }, { session });
+
+  return points;
+};
+
+module.exports = {
+  pointsForAmount,
+  earnExpiryDate,
+  postEntry,
+  expirePoints,
+  clawBackPoints,
+  restoreRedeemedPoints,
+};
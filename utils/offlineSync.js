@@ -0,0 +1,128 @@
+/**
+ * Offline sync: applies sales a till queued while it had no connection.
+ * Each queued sale goes through the regular checkout (stock, pricing, tax, loyalty)
+ * but keeps the till's timestamp and is deduplicated by its client UUID.
+ */
+const { body, validationResult } = require("express-validator");
+const Transaction = require("../models/Transaction");
+const StoreSettings = require("../models/StoreSettings");
+const { checkoutValidators, runCheckout } = require("./checkout");
+
+const MAX_SYNC_BATCH = 100;
+// Tolerated drift of the till clock when checking for future timestamps
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const queuedTransactionValidators = () => [
+  body("clientId").isUUID().withMessage("clientId must be a UUID"),
+  body("createdAt")
+    .isISO8601()
+    .withMessage("createdAt must be an ISO date-time")
+    .bail()
+    .custom((value) => new Date(value).getTime() <= Date.now() + CLOCK_SKEW_MS)
+    .withMessage("createdAt cannot be in the future"),
+  ...checkoutValidators(),
+];
+
+// Validation errors for one queued transaction, or null when it is valid
+const validateQueuedTransaction = async (tx) => {
+  if (!tx || typeof tx !== "object" || Array.isArray(tx)) {
+    return [{ msg: "Each transaction must be an object", path: "transactions" }];
+  }
+
+  const queuedReq = { body: tx };
+  for (const chain of queuedTransactionValidators()) {
+    await chain.run(queuedReq);
+  }
+
+  const result = validationResult(queuedReq);
+  return result.isEmpty() ? null : result.array().map((e) => ({ msg: e.msg, path: e.path || e.param }));
+};
+
+const duplicateResult = (clientId, transactionId) => ({
+  clientId,
+  status: "duplicate",
+  transactionId: String(transactionId),
+});
+
+const rejectedResult = (clientId, err) => {
+  if (err.errors) {
+    return { clientId, status: "rejected", reason: "validation", message: err.message, errors: err.errors };
+  }
+
+  const status = err.status || 500;
+  const reason = err.reason || (status === 404 ? "not_found" : status === 400 ? "invalid" : "error");
+  const result = { clientId, status: "rejected", reason, message: err.message };
+  if (err.details) result.details = err.details;
+  // Unexpected failures say nothing about the sale itself; the till should keep it queued
+  if (status >= 500) result.retryable = true;
+  return result;
+};
+
+const syncQueuedTransaction = async (req, tx, { allowNegativeStock }) => {
+  const clientId = typeof tx?.clientId === "string" ? tx.clientId : null;
+
+  const errors = await validateQueuedTransaction(tx);
+  if (errors) {
+    return rejectedResult(clientId, { message: "Validation error", errors });
+  }
+
+  const existing = await Transaction.findOne({ store: req.storeId, clientId }).select("_id");
+  if (existing) return duplicateResult(clientId, existing._id);
+
+  try {
+    const { transaction, validation } = await runCheckout(req, tx, {
+      offline: { clientId, createdAt: tx.createdAt, allowNegativeStock },
+    });
+
+    return {
+      clientId,
+      status: "accepted",
+      flagged: transaction.needsReview,
+      transaction,
+      validation,
+    };
+  } catch (err) {
+    // The same queue was uploaded twice concurrently and the other request won
+    if (err?.code === 11000 && err.keyPattern?.clientId) {
+      const winner = await Transaction.findOne({ store: req.storeId, clientId }).select("_id");
+      if (winner) return duplicateResult(clientId, winner._id);
+    }
+    return rejectedResult(clientId, err);
+  }
+};
+
+/**
+ * Apply queued offline transactions in the order given.
+ *
+ * Returns `{ results, summary }` with one result per input: `accepted` (with the
+ * transaction summary; `flagged` when stock went negative), `duplicate` (clientId
+ * already synced) or `rejected` (with `reason`, e.g. `insufficient_stock`).
+ */
+const syncOfflineTransactions = async (req, transactions) => {
+  const settings = await StoreSettings.getForStore(req.storeId);
+  const allowNegativeStock = settings.offline?.negativeStockPolicy === "allow_and_flag";
+
+  const results = [];
+  for (const tx of transactions) {
+    results.push(await syncQueuedTransaction(req, tx, { allowNegativeStock }));
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+
+  return {
+    negativeStockPolicy: settings.offline?.negativeStockPolicy || "reject",
+    results,
+    summary: {
+      received: results.length,
+      accepted: count("accepted"),
+      duplicate: count("duplicate"),
+      rejected: count("rejected"),
+      flagged: results.filter((r) => r.flagged).length,
+    },
+  };
+};
+
+module.exports = {
+  MAX_SYNC_BATCH,
+  syncOfflineTransactions,
+};
@@ -0,0 +1,245 @@
+/**
+ * Small PDF writer for labels and receipts: pages of text in the standard Helvetica fonts (no font
+ * embedding), filled or stroked rectangles and images. Coordinates are points from the top-left corner.
+ * Text is WinAnsi-encoded; characters outside it print as "?".
+ */
+const zlib = require("zlib");
+
+const MM = 72 / 25.4;
+
+// Advance widths (1/1000 em) of characters 32-126 in Helvetica and Helvetica-Bold
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+  556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+  260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611,
+  556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389,
+  280, 389, 584,
+];
+
+// Unicode characters with a WinAnsi code in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  "\u20AC": 0x80,
+  "\u201A": 0x82,
+  "\u201E": 0x84,
+  "\u2026": 0x85,
+  "\u2018": 0x91,
+  "\u2019": 0x92,
+  "\u201C": 0x93,
+  "\u201D": 0x94,
+  "\u2022": 0x95,
+  "\u2013": 0x96,
+  "\u2014": 0x97,
+  "\u2122": 0x99,
+};
+
+const ELLIPSIS = "\u2026";
+
+const FONTS = { regular: "F1", bold: "F2" };
+
+const encodeWinAnsi = (text) =>
+  Buffer.from(
+    Array.from(String(text ?? ""), (ch) => {
+      const code = ch.codePointAt(0);
+      if (WIN_ANSI_EXTRAS[ch]) return WIN_ANSI_EXTRAS[ch];
+      if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) return code;
+      return 63; // "?"
+    })
+  );
+
+const textWidth = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const code of encodeWinAnsi(text)) total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  return (total * size) / 1000;
+};
+
+/**
+ * Split `text` into lines no wider than `maxWidth`; the last allowed line ends in an ellipsis when cut
+ */
+const wrapText = (text, { size, bold = false, maxWidth, maxLines = Infinity }) => {
+  const words = String(text ?? "").split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (!line || textWidth(candidate, size, bold) <= maxWidth) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+
+  const fitted = lines.slice(0, maxLines);
+  const cut = lines.length > maxLines;
+  return fitted.map((l, i) => {
+    const last = i === fitted.length - 1;
+    if (textWidth(l, size, bold) <= maxWidth && !(last && cut)) return l;
+    let shortened = l;
+    while (shortened && textWidth(`${shortened}${ELLIPSIS}`, size, bold) > maxWidth) shortened = shortened.slice(0, -1);
+    return `${shortened.trimEnd()}${ELLIPSIS}`;
+  });
+};
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+// Image XObject dictionary and data for an image from `parseImage` (utils/images)
+const imageObject = (image, smaskRef) => {
+  const colorSpace = image.channels === 1 ? "/DeviceGray" : "/DeviceRGB";
+  const data = image.format === "jpeg" ? image.data : zlib.deflateSync(image.pixels);
+  const filter = image.format === "jpeg" ? "/DCTDecode" : "/FlateDecode";
+  const smask = smaskRef ? ` /SMask ${smaskRef} 0 R` : "";
+  return Buffer.concat([
+    Buffer.from(
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${colorSpace} ` +
+        `/BitsPerComponent 8 /Filter ${filter}${smask} /Length ${data.length} >>\nstream\n`
+    ),
+    data,
+    Buffer.from("\nendstream"),
+  ]);
+};
+
+const alphaObject = (image) => {
+  const data = zlib.deflateSync(image.alpha);
+  return Buffer.concat([
+    Buffer.from(
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray ` +
+        `/BitsPerComponent 8 /Filter /FlateDecode /Length ${data.length} >>\nstream\n`
+    ),
+    data,
+    Buffer.from("\nendstream"),
+  ]);
+};
+
+/**
+ * A PDF document. Draw on the current page (addPage first), then `toBuffer()`.
+ */
+const createPdf = ({ title } = {}) => {
+  const pages = [];
+  const images = [];
+  let page = null;
+
+  return {
+    addPage: (width, height) => {
+      page = { width, height, ops: [], images: new Set() };
+      pages.push(page);
+    },
+
+    /**
+     * Text with its baseline at `y`. `align` left/center/right within `width` from `x`.
+     */
+    text: (text, x, y, { size = 10, bold = false, align = "left", width = 0 } = {}) => {
+      let left = x;
+      if (align !== "left") {
+        const w = textWidth(text, size, bold);
+        left = align === "center" ? x + (width - w) / 2 : x + width - w;
+      }
+      const font = bold ? FONTS.bold : FONTS.regular;
+      const hex = encodeWinAnsi(text).toString("hex");
+      page.ops.push(`BT /${font} ${num(size)} Tf ${num(left)} ${num(page.height - y)} Td <${hex}> Tj ET`);
+    },
+
+    rect: (x, y, width, height, { fill = true, lineWidth = 0.5 } = {}) => {
+      const box = `${num(x)} ${num(page.height - y - height)} ${num(width)} ${num(height)} re`;
+      page.ops.push(fill ? `${box} f` : `${num(lineWidth)} w ${box} S`);
+    },
+
+    line: (x1, y1, x2, y2, { lineWidth = 0.5, dash = null } = {}) => {
+      const pattern = dash ? `[${dash.map(num).join(" ")}] 0 d` : "[] 0 d";
+      page.ops.push(
+        `${num(lineWidth)} w ${pattern} ${num(x1)} ${num(page.height - y1)} m ${num(x2)} ${num(page.height - y2)} l S`
+      );
+    },
+
+    /**
+     * Draw an image from `parseImage` scaled into the box; each image is stored once however often drawn
+     */
+    image: (image, x, y, width, height) => {
+      if (!images.includes(image)) images.push(image);
+      const name = `Im${images.indexOf(image) + 1}`;
+      page.images.add(name);
+      page.ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(page.height - y - height)} cm /${name} Do Q`);
+    },
+
+    toBuffer: () => {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalog = add(null);
+      const pagesRef = add(null);
+      const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      // Title as UTF-16BE so any name survives
+      const titleHex = title ? `FEFF${Buffer.from(String(title), "utf16le").swap16().toString("hex")}` : null;
+      const info = add(`<< /Producer (StoreTrack)${titleHex ? ` /Title <${titleHex}>` : ""} >>`);
+
+      const imageRefs = images.map((image) => {
+        const smask = image.alpha ? add(alphaObject(image)) : null;
+        return add(imageObject(image, smask));
+      });
+
+      const kids = pages.map((p) => {
+        const content = zlib.deflateSync(Buffer.from(p.ops.join("\n"), "latin1"));
+        const stream = add(
+          Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+            content,
+            Buffer.from("\nendstream"),
+          ])
+        );
+        const xobjects = [...p.images].map((name) => `/${name} ${imageRefs[Number(name.slice(2)) - 1]} 0 R`);
+        const xobject = xobjects.length ? ` /XObject << ${xobjects.join(" ")} >>` : "";
+        return add(
+          `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${num(p.width)} ${num(p.height)}] ` +
+            `/Resources << /Font << /${FONTS.regular} ${regular} 0 R /${FONTS.bold} ${bold} 0 R >>${xobject} >> ` +
+            `/Contents ${stream} 0 R >>`
+        );
+      });
+
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+      const kidRefs = kids.map((k) => `${k} 0 R`).join(" ");
+      objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kidRefs}] /Count ${kids.length} >>`;
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+      let length = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const offset = length;
+        const chunk = Buffer.concat([
+          Buffer.from(`${i + 1} 0 obj\n`),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+          Buffer.from("\nendobj\n"),
+        ]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+      });
+
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+        "startxref",
+        String(length),
+        "%%EOF\n",
+      ].join("\n");
+      chunks.push(Buffer.from(xref, "latin1"));
+      return Buffer.concat(chunks);
+    },
+  };
+};
+
+module.exports = { MM, createPdf, encodeWinAnsi, textWidth, wrapText };
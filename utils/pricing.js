@@ -0,0 +1,246 @@
+/**
+ * Checkout pricing: promotions, manual discounts and tax.
+ * Works on plain line objects so it can run before anything is written.
+ */
+
+const roundMoney = (n) => Math.round(Number(n) * 100) / 100;
+
+const isInScope = (promotion, line) => {
+  const products = promotion.products || [];
+  const categories = promotion.categories || [];
+
+  // No scope means store-wide
+  if (products.length === 0 && categories.length === 0) return true;
+
+  if (products.some((id) => String(id) === String(line.productId))) return true;
+
+  // The line's category and its ancestors (utils/categories.js attachCategoryPaths)
+  const lineCategories = line.categories || (line.category ? [line.category] : []);
+  return categories.some((id) => lineCategories.some((c) => String(c) === String(id)));
+};
+
+// A promotion joins already-applied ones only when every one of them (and itself) is stackable
+const canStack = (promotion, applied) =>
+  applied.length === 0 || (promotion.stackable && applied.every((a) => a.stackable));
+
+const lineDiscountFor = (promotion, line, remaining) => {
+  if (promotion.type === "percentage") {
+    return (remaining * Number(promotion.value)) / 100;
+  }
+
+  if (promotion.type === "buy_x_get_y") {
+    const buy = Number(promotion.buyQuantity || 0);
+    const get = Number(promotion.getQuantity || 0);
+    if (buy < 1 || get < 1) return 0;
+
+    const freeUnits = Math.floor(line.quantity / (buy + get)) * get;
+    const percentOff = Number(promotion.value ?? 100);
+    return (freeUnits * line.unitPrice * percentOff) / 100;
+  }
+
+  return 0;
+};
+
+const addDiscount = (line, entry) => {
+  const amount = roundMoney(Math.min(entry.amount, line.net));
+  if (amount <= 0) return false;
+
+  line.discounts.push({ ...entry, amount });
+  line.discountAmount = roundMoney(line.discountAmount + amount);
+  line.net = roundMoney(line.net - amount);
+  return true;
+};
+
+/**
+ * Price checkout lines.
+ *
+ * lines: [{ productId, category, categories?, unitPrice, quantity, manualDiscount?: { percent?, amount? } }]
+ * (`categories`: the product's category and its ancestors, for promotions scoped to a parent category)
+ * options.manualDiscountLimitPercent: max manual discount as a % of each line's gross amount
+ *
+ * Returns { lines, subtotal, discountTotal, total } where each line gains
+ * gross, discounts[], discountAmount and net. Throws a 400 error when a manual discount exceeds the limit.
+ */
+const priceLines = (lines, promotions = [], { manualDiscountLimitPercent = 0 } = {}) => {
+  const priced = lines.map((line) => {
+    const gross = roundMoney(line.unitPrice * line.quantity);
+    return { ...line, gross, discounts: [], discountAmount: 0, net: gross, applied: [] };
+  });
+
+  const linePromotions = promotions.filter((p) => p.type !== "basket_amount");
+  const basketPromotions = promotions.filter((p) => p.type === "basket_amount");
+
+  // 1) Line-level promotions, in priority order
+  for (const line of priced) {
+    for (const promotion of linePromotions) {
+      if (!isInScope(promotion, line) || !canStack(promotion, line.applied)) continue;
+
+      const applied = addDiscount(line, {
+        type: "promotion",
+        promotion: promotion._id,
+        name: promotion.name,
+        amount: lineDiscountFor(promotion, line, line.net),
+      });
+      if (applied) line.applied.push(promotion);
+    }
+  }
+
+  // 2) Basket-level promotions, split across in-scope lines in proportion to what they still cost
+  for (const promotion of basketPromotions) {
+    const eligible = priced.filter(
+      (line) => isInScope(promotion, line) && line.net > 0 && canStack(promotion, line.applied)
+    );
+    const eligibleNet = roundMoney(eligible.reduce((sum, line) => sum + line.net, 0));
+    if (eligible.length === 0 || eligibleNet < Number(promotion.minSubtotal || 0)) continue;
+
+    const discount = roundMoney(Math.min(Number(promotion.value), eligibleNet));
+    let allocated = 0;
+
+    eligible.forEach((line, index) => {
+      const isLast = index === eligible.length - 1;
+      const share = isLast ? roundMoney(discount - allocated) : roundMoney((discount * line.net) / eligibleNet);
+      allocated = roundMoney(allocated + share);
+
+      const applied = addDiscount(line, {
+        type: "promotion",
+        promotion: promotion._id,
+        name: promotion.name,
+        amount: share,
+      });
+      if (applied) line.applied.push(promotion);
+    });
+  }
+
+  // 3) Manual discounts on what is left, capped per role
+  for (const line of priced) {
+    const manual = line.manualDiscount;
+    if (!manual) continue;
+
+    const amount = manual.percent != null
+      ? (line.net * Number(manual.percent)) / 100
+      : Number(manual.amount || 0);
+
+    const limitAmount = roundMoney((line.gross * manualDiscountLimitPercent) / 100);
+    if (roundMoney(amount) > limitAmount) {
+      const err = new Error("Manual discount exceeds your limit");
+      err.status = 400;
+      err.details = {
+        productId: String(line.productId),
+        requested: roundMoney(amount),
+        maxAllowed: limitAmount,
+        limitPercent: manualDiscountLimitPercent,
+      };
+      throw err;
+    }
+
+    addDiscount(line, { type: "manual", promotion: null, name: "Manual discount", amount });
+  }
+
+  const result = priced.map(({ applied, ...line }) => line);
+
+  const subtotal = roundMoney(result.reduce((sum, line) => sum + line.gross, 0));
+  const discountTotal = roundMoney(result.reduce((sum, line) => sum + line.discountAmount, 0));
+
+  return {
+    lines: result,
+    subtotal,
+    discountTotal,
+    total: roundMoney(subtotal - discountTotal),
+  };
+};
+
+/**
+ * Apply a basket-level discount (e.g. a loyalty redemption) to the result of priceLines,
+ * split across lines in proportion to what they still cost. Run it before applyTax.
+ *
+ * discount: { type, name, amount }; amount must not exceed pricing.total
+ */
+const applyBasketDiscount = (pricing, { type, name, amount }) => {
+  const lines = pricing.lines.map((line) => ({ ...line, discounts: [...line.discounts] }));
+  const eligible = lines.filter((line) => line.net > 0);
+  const eligibleNet = roundMoney(eligible.reduce((sum, line) => sum + line.net, 0));
+  const discount = roundMoney(Math.min(Number(amount), eligibleNet));
+  let allocated = 0;
+
+  eligible.forEach((line, index) => {
+    const isLast = index === eligible.length - 1;
+    const share = isLast ? roundMoney(discount - allocated) : roundMoney((discount * line.net) / eligibleNet);
+    allocated = roundMoney(allocated + share);
+    addDiscount(line, { type, promotion: null, name, amount: share });
+  });
+
+  const discountTotal = roundMoney(lines.reduce((sum, line) => sum + line.discountAmount, 0));
+
+  return {
+    ...pricing,
+    lines,
+    discountTotal,
+    total: roundMoney(pricing.subtotal - discountTotal),
+  };
+};
+
+/**
+ * Add tax to the result of priceLines.
+ *
+ * tax: store tax settings { pricesIncludeTax, defaultClass, rates: [{ code, name, rate }] }
+ * Lines use their own taxClass, else the store default; unknown or missing classes are untaxed.
+ *
+ * Each line gains taxClass, taxRate, taxInclusive, taxAmount and total (amount charged).
+ * The result gains taxTotal, taxes (breakdown by class) and total becomes the grand total.
+ */
+const applyTax = (pricing, tax) => {
+  const rates = new Map((tax?.rates || []).map((r) => [r.code, r]));
+  const inclusive = Boolean(tax?.pricesIncludeTax);
+  const byClass = new Map();
+
+  const lines = pricing.lines.map((line) => {
+    const code = line.taxClass || tax?.defaultClass || null;
+    const rate = code ? rates.get(code) : null;
+    const percent = Number(rate?.rate || 0);
+
+    let taxAmount = 0;
+    let total = line.net;
+    if (percent > 0) {
+      if (inclusive) {
+        taxAmount = roundMoney(line.net - line.net / (1 + percent / 100));
+      } else {
+        taxAmount = roundMoney((line.net * percent) / 100);
+        total = roundMoney(line.net + taxAmount);
+      }
+    }
+
+    if (rate) {
+      const entry = byClass.get(code) || { code, name: rate.name, rate: percent, taxable: 0, tax: 0 };
+      entry.taxable = roundMoney(entry.taxable + total - taxAmount);
+      entry.tax = roundMoney(entry.tax + taxAmount);
+      byClass.set(code, entry);
+    }
+
+    return {
+      ...line,
+      taxClass: rate ? code : null,
+      taxRate: rate ? percent : null,
+      taxInclusive: inclusive,
+      taxAmount,
+      total,
+    };
+  });
+
+  const taxTotal = roundMoney(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+
+  return {
+    ...pricing,
+    lines,
+    taxInclusive: inclusive,
+    taxTotal,
+    taxes: [...byClass.values()],
+    total: roundMoney(lines.reduce((sum, line) => sum + line.total, 0)),
+  };
+};
+
+module.exports = {
+  roundMoney,
+  priceLines,
+  applyBasketDiscount,
+  applyTax,
+};
@@ -0,0 +1,143 @@
+/**
+ * Product catalogue export (CSV or XLSX), streamed from a cursor so large catalogues are never
+ * loaded at once. Column names match the CSV import, so an export can be edited and imported back.
+ */
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const { csvRow } = require("./csv");
+const { createXlsxWriter } = require("./xlsx");
+const { writeChunk } = require("./streams");
+const { sortCategoryTree } = require("./categories");
+
+// Column -> Product fields it reads and how the cell is built (`refs` holds category paths and supplier names)
+const EXPORT_COLUMNS = {
+  id: { select: "_id", value: (p) => String(p._id) },
+  name: { select: "name", value: (p) => p.name },
+  sku: { select: "sku", value: (p) => p.sku },
+  barcode: { select: "barcode", value: (p) => p.barcode },
+  price: { select: "price", value: (p) => p.price },
+  costPrice: { select: "costPrice", value: (p) => p.costPrice },
+  quantity: { select: "quantity", value: (p) => p.quantity },
+  lowStockThreshold: { select: "lowStockThreshold", value: (p) => p.lowStockThreshold },
+  isLowStock: { select: "isLowStock", value: (p) => Boolean(p.isLowStock) },
+  category: { select: "category", value: (p, refs) => (p.category ? refs.categories.get(String(p.category)) : null) },
+  taxClass: { select: "taxClass", value: (p) => p.taxClass },
+  supplier: {
+    select: "preferredSupplier",
+    value: (p, refs) => (p.preferredSupplier ? refs.suppliers.get(String(p.preferredSupplier)) : null),
+  },
+  leadTimeDays: { select: "leadTimeDays", value: (p) => p.leadTimeDays },
+  description: { select: "description", value: (p) => p.description },
+  options: {
+    select: "optionValues",
+    value: (p) => (p.optionValues || []).map((o) => `${o.name}: ${o.value}`).join(" / "),
+  },
+  createdAt: { select: "createdAt", value: (p) => p.createdAt },
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  "name",
+  "sku",
+  "barcode",
+  "price",
+  "costPrice",
+  "quantity",
+  "lowStockThreshold",
+  "category",
+  "taxClass",
+  "supplier",
+  "leadTimeDays",
+  "description",
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+};
+
+/**
+ * `?columns=name,sku,price` (any order, case-insensitive) or the defaults. Returns { columns } or { errors }.
+ */
+const parseExportColumns = (input) => {
+  const requested = String(input ?? "")
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean);
+  if (requested.length === 0) return { columns: DEFAULT_EXPORT_COLUMNS };
+
+  const byLower = new Map(Object.keys(EXPORT_COLUMNS).map((c) => [c.toLowerCase(), c]));
+  const unknown = requested.filter((c) => !byLower.has(c.toLowerCase()));
+  if (unknown.length) {
+    return {
+      errors: [
+        {
+          msg: `Unknown columns: ${unknown.join(", ")}. Available: ${Object.keys(EXPORT_COLUMNS).join(", ")}`,
+          path: "columns",
+        },
+      ],
+    };
+  }
+  return { columns: [...new Set(requested.map((c) => byLower.get(c.toLowerCase())))] };
+};
+
+// Category paths and supplier names, loaded only when those columns are exported
+const loadExportRefs = async (storeId, columns) => {
+  const refs = { categories: new Map(), suppliers: new Map() };
+  if (columns.includes("category")) {
+    const categories = await Category.find({ store: storeId }).select("name parent sortOrder");
+    for (const { category, path } of sortCategoryTree(categories)) refs.categories.set(String(category._id), path);
+  }
+  if (columns.includes("supplier")) {
+    for (const supplier of await Supplier.find({ store: storeId }).select("name")) {
+      refs.suppliers.set(String(supplier._id), supplier.name);
+    }
+  }
+  return refs;
+};
+
+/**
+ * Stream the store's products matching `filter` to `res` as a CSV or XLSX download, sorted by name.
+ * Headers are sent before the first row; a failure after that can only abort the response.
+ */
+const streamProductExport = async ({ res, storeId, filter = {}, columns, format = "csv" }) => {
+  const refs = await loadExportRefs(storeId, columns);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  const cursor = Product.find({ store: storeId, ...filter })
+    .select(columns.map((c) => EXPORT_COLUMNS[c].select).join(" "))
+    .sort({ name: 1, _id: 1 })
+    .allowDiskUse(true)
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  const rowOf = (product) => columns.map((c) => EXPORT_COLUMNS[c].value(product, refs) ?? null);
+
+  try {
+    if (format === "xlsx") {
+      const workbook = createXlsxWriter(res, { sheetName: "Products", header: columns });
+      for await (const product of cursor) await workbook.addRow(rowOf(product));
+      await workbook.end();
+    } else {
+      // BOM so spreadsheet apps read the file as UTF-8
+      await writeChunk(res, `\uFEFF${csvRow(columns)}`);
+      for await (const product of cursor) await writeChunk(res, csvRow(rowOf(product)));
+    }
+  } finally {
+    await cursor.close();
+  }
+  res.end();
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  parseExportColumns,
+  streamProductExport,
+};
@@ -0,0 +1,166 @@
+/**
+ * CSV product import: mapping spreadsheet columns to Product fields, resolving category and
+ * supplier names, and matching rows to existing products by sku or barcode (the upsert key).
+ * Validation and writes live with the product routes so imports follow the same rules as the API.
+ */
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const { parseCsv } = require("./csv");
+const { sortCategoryTree } = require("./categories");
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Normalized header (lowercase letters and digits only) -> Product field
+const COLUMN_ALIASES = {
+  name: "name",
+  productname: "name",
+  sku: "sku",
+  barcode: "barcode",
+  ean: "barcode",
+  upc: "barcode",
+  price: "price",
+  sellingprice: "price",
+  costprice: "costPrice",
+  cost: "costPrice",
+  quantity: "quantity",
+  qty: "quantity",
+  stock: "quantity",
+  lowstockthreshold: "lowStockThreshold",
+  description: "description",
+  category: "category",
+  taxclass: "taxClass",
+  supplier: "preferredSupplier",
+  preferredsupplier: "preferredSupplier",
+  leadtimedays: "leadTimeDays",
+  leadtime: "leadTimeDays",
+};
+
+const importError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * Parse an uploaded CSV into rows of Product input. Each row keeps its spreadsheet row number
+ * (the header is row 1) and only the non-empty cells of mapped columns.
+ * Returns { rows, ignoredColumns }; throws a 400 error for files that cannot be imported.
+ */
+const readProductCsv = (buffer) => {
+  const [header, ...records] = parseCsv(buffer.toString("utf8"));
+  if (!header) throw importError("CSV file is empty");
+
+  const fields = header.map((h) => COLUMN_ALIASES[String(h).toLowerCase().replace(/[^a-z0-9]/g, "")] || null);
+  const mapped = fields.filter(Boolean);
+  const duplicates = mapped.filter((f, i) => mapped.indexOf(f) !== i);
+  if (duplicates.length) throw importError(`CSV maps more than one column to: ${[...new Set(duplicates)].join(", ")}`);
+  if (!mapped.includes("sku") && !mapped.includes("barcode") && !mapped.includes("name")) {
+    throw importError("CSV needs a header row with at least name, sku or barcode columns");
+  }
+
+  const rows = [];
+  records.forEach((cells, index) => {
+    if (cells.every((c) => !c.trim())) return;
+    const input = {};
+    fields.forEach((field, col) => {
+      const value = String(cells[col] ?? "").trim();
+      if (field && value !== "") input[field] = value;
+    });
+    rows.push({ number: index + 2, input, errors: [] });
+  });
+
+  if (rows.length === 0) throw importError("CSV has no product rows");
+  if (rows.length > MAX_IMPORT_ROWS) throw importError(`CSV has more than ${MAX_IMPORT_ROWS} product rows`);
+
+  return { rows, ignoredColumns: header.filter((h, i) => !fields[i] && String(h).trim()) };
+};
+
+/**
+ * Replace category paths ("Food / Dairy" or a unique name) and supplier names with their ids.
+ * Unknown names become row errors; ids are left for the usual reference checks.
+ */
+const resolveImportReferences = async (storeId, rows) => {
+  const needs = (field) => rows.some((r) => r.input[field] && !mongoose.isValidObjectId(r.input[field]));
+
+  const categoryIds = new Map();
+  if (needs("category")) {
+    const tree = sortCategoryTree(await Category.find({ store: storeId }).select("name parent sortOrder"));
+    const names = new Map();
+    for (const { category, path } of tree) {
+      categoryIds.set(path.toLowerCase(), category._id);
+      const key = category.name.toLowerCase();
+      names.set(key, names.has(key) ? null : category._id);
+    }
+    for (const [name, id] of names) if (id && !categoryIds.has(name)) categoryIds.set(name, id);
+  }
+
+  const supplierIds = new Map();
+  if (needs("preferredSupplier")) {
+    for (const supplier of await Supplier.find({ store: storeId }).select("name")) {
+      const key = supplier.name.toLowerCase();
+      supplierIds.set(key, supplierIds.has(key) ? null : supplier._id);
+    }
+  }
+
+  const resolve = (row, field, ids, message) => {
+    const value = row.input[field];
+    if (!value || mongoose.isValidObjectId(value)) return;
+    const id = ids.get(value.toLowerCase().replace(/\s*\/\s*/g, " / "));
+    if (id) {
+      row.input[field] = String(id);
+    } else {
+      row.errors.push({ msg: message, path: field });
+      delete row.input[field];
+    }
+  };
+
+  for (const row of rows) {
+    resolve(row, "category", categoryIds, "category must be a category of this store (id, path or unique name)");
+    resolve(row, "preferredSupplier", supplierIds, "supplier must be a supplier of this store (id or unique name)");
+  }
+};
+
+/**
+ * Attach `row.existing` (the store's product with the row's sku or barcode) and report rows that
+ * point at two different products or repeat a code used earlier in the file.
+ */
+const matchImportRows = async (storeId, rows) => {
+  const skus = rows.map((r) => r.input.sku).filter(Boolean);
+  const barcodes = rows.map((r) => r.input.barcode).filter(Boolean);
+  const products = await Product.find({
+    store: storeId,
+    $or: [{ sku: { $in: skus } }, { barcode: { $in: barcodes } }],
+  }).select("name sku barcode quantity parent hasVariants");
+
+  const bySku = new Map(products.filter((p) => p.sku).map((p) => [p.sku, p]));
+  const byBarcode = new Map(products.filter((p) => p.barcode).map((p) => [p.barcode, p]));
+  const seen = { sku: new Map(), barcode: new Map() };
+
+  for (const row of rows) {
+    for (const field of ["sku", "barcode"]) {
+      const value = row.input[field];
+      if (!value) continue;
+      if (seen[field].has(value)) {
+        row.errors.push({ msg: `${field} ${value} is already used on row ${seen[field].get(value)}`, path: field });
+      } else {
+        seen[field].set(value, row.number);
+      }
+    }
+
+    const skuMatch = row.input.sku ? bySku.get(row.input.sku) : null;
+    const barcodeMatch = row.input.barcode ? byBarcode.get(row.input.barcode) : null;
+    if (skuMatch && barcodeMatch && !skuMatch._id.equals(barcodeMatch._id)) {
+      row.errors.push({ msg: "sku and barcode belong to different products", path: "barcode" });
+    }
+    row.existing = skuMatch || barcodeMatch || null;
+  }
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readProductCsv,
+  resolveImportReferences,
+  matchImportRows,
+};
@@ -0,0 +1,210 @@
+/**
+ * Product listing for `GET /api/products`: filters, sorting, sparse fields and page or cursor
+ * pagination with the same `{ data, meta }` shape as the sales list.
+ */
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+
+const SORT_FIELDS = ["name", "price", "quantity", "createdAt"];
+const DEFAULT_SORT = "name";
+
+// Never selectable: internal or tenant fields
+const HIDDEN_FIELDS = new Set(["store", "__v"]);
+
+const validationError = (errors) => {
+  const err = new Error("Validation error");
+  err.status = 400;
+  err.errors = errors;
+  return err;
+};
+
+const parseBoolean = (req, key, errors) => {
+  const raw = req.query[key];
+  if (raw === undefined || raw === "") return undefined;
+  const value = String(raw).toLowerCase();
+  if (value === "true") return true;
+  if (value === "false") return false;
+  errors.push({ msg: `${key} must be true or false`, path: key });
+  return undefined;
+};
+
+const parseNumber = (req, key, errors) => {
+  const raw = req.query[key];
+  if (raw === undefined || raw === "") return undefined;
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    errors.push({ msg: `${key} must be a number`, path: key });
+    return undefined;
+  }
+  return value;
+};
+
+const parseDate = (req, key, errors) => {
+  const raw = req.query[key];
+  if (raw === undefined || raw === "") return undefined;
+  const value = new Date(String(raw));
+  if (Number.isNaN(value.getTime())) {
+    errors.push({ msg: `${key} must be a valid date`, path: key });
+    return undefined;
+  }
+  return value;
+};
+
+// Set and non-empty (sku and barcode are optional strings)
+const presence = (field, present) =>
+  present ? { [field]: { $type: "string", $ne: "" } } : { [field]: { $in: [null, ""] } };
+
+/**
+ * Mongo filter from the list query params, on top of `baseQuery`. Throws `err.errors` on bad values.
+ */
+const buildProductListQuery = (req, baseQuery = {}) => {
+  const errors = [];
+  const lowStock = parseBoolean(req, "lowStock", errors);
+  const outOfStock = parseBoolean(req, "outOfStock", errors);
+  const hasSku = parseBoolean(req, "hasSku", errors);
+  const hasBarcode = parseBoolean(req, "hasBarcode", errors);
+  const minPrice = parseNumber(req, "minPrice", errors);
+  const maxPrice = parseNumber(req, "maxPrice", errors);
+  const startDate = parseDate(req, "startDate", errors);
+  const endDate = parseDate(req, "endDate", errors);
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push({ msg: "minPrice cannot be greater than maxPrice", path: "minPrice" });
+  }
+  if (errors.length) throw validationError(errors);
+
+  const query = { ...baseQuery, store: req.storeId };
+  const and = [];
+
+  if (lowStock !== undefined) query.isLowStock = lowStock ? true : { $ne: true };
+  // Variant parents hold no stock of their own, so they are never "out of stock"
+  if (outOfStock === true) Object.assign(query, { quantity: { $lte: 0 }, hasVariants: { $ne: true } });
+  if (outOfStock === false) query.quantity = { $gt: 0 };
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query.price = {};
+    if (minPrice !== undefined) query.price.$gte = minPrice;
+    if (maxPrice !== undefined) query.price.$lte = maxPrice;
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = startDate;
+    if (endDate) query.createdAt.$lte = endDate;
+  }
+
+  if (hasSku !== undefined) and.push(presence("sku", hasSku));
+  if (hasBarcode !== undefined) and.push(presence("barcode", hasBarcode));
+  if (and.length) query.$and = [...(query.$and || []), ...and];
+
+  return query;
+};
+
+/**
+ * `sort=price` / `sort=-createdAt` (prefix `-` for descending). Throws `err.errors` for other fields.
+ */
+const parseProductSort = (req) => {
+  const param = String(req.query.sort || DEFAULT_SORT);
+  const field = param.replace(/^-/, "");
+  if (!SORT_FIELDS.includes(field)) {
+    throw validationError([
+      { msg: `sort must be one of: ${SORT_FIELDS.join(", ")} (prefix - for descending)`, path: "sort" },
+    ]);
+  }
+  return { param, field, dir: param.startsWith("-") ? -1 : 1 };
+};
+
+/**
+ * `fields=name,price` -> projection string, or null for whole documents. `_id` and the sort field
+ * are always included (the cursor is built from them). Throws `err.errors` on unknown fields.
+ */
+const parseProductFields = (req, sortField) => {
+  const fields = String(req.query.fields ?? "")
+    .split(",")
+    .map((f) => f.trim())
+    .filter(Boolean);
+  if (fields.length === 0) return null;
+
+  const selectable = Object.keys(Product.schema.paths)
+    .map((path) => path.split(".")[0])
+    .filter((path) => !HIDDEN_FIELDS.has(path));
+  const unknown = fields.filter((f) => !selectable.includes(f));
+  if (unknown.length) {
+    throw validationError([{ msg: `Unknown fields: ${unknown.join(", ")}`, path: "fields" }]);
+  }
+  return [...new Set(["_id", sortField, ...fields])].join(" ");
+};
+
+// Opaque keyset cursor: the sort it belongs to plus the last row's sort value and id
+const encodeCursor = (sort, product) =>
+  Buffer.from(
+    JSON.stringify({
+      sort: sort.param,
+      value: product[sort.field] instanceof Date ? product[sort.field].toISOString() : product[sort.field],
+      id: String(product._id),
+    })
+  ).toString("base64url");
+
+const decodeCursor = (sort, cursor) => {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || parsed.sort !== sort.param || !mongoose.isValidObjectId(parsed.id)) {
+    throw validationError([{ msg: "cursor is invalid or belongs to a different sort", path: "cursor" }]);
+  }
+  const value = sort.field === "createdAt" ? new Date(parsed.value) : parsed.value;
+  return { value, id: new mongoose.Types.ObjectId(String(parsed.id)) };
+};
+
+/**
+ * One page of the store's products. With `cursor` (from a previous `meta.nextCursor`) it continues
+ * after that row and `page` is null; otherwise `page`/`limit` apply. `nextCursor` is null on the last page.
+ */
+const listProducts = async (req, baseQuery = {}) => {
+  const parsedLimit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10) || 50, 1), 200);
+  const parsedPage = Math.max(parseInt(req.query.page ?? "1", 10) || 1, 1);
+  const sort = parseProductSort(req);
+  const projection = parseProductFields(req, sort.field);
+  const query = buildProductListQuery(req, baseQuery);
+
+  let pageQuery = query;
+  const cursor = req.query.cursor ? decodeCursor(sort, req.query.cursor) : null;
+  if (cursor) {
+    const op = sort.dir === 1 ? "$gt" : "$lt";
+    pageQuery = {
+      $and: [
+        query,
+        { $or: [{ [sort.field]: { [op]: cursor.value } }, { [sort.field]: cursor.value, _id: { [op]: cursor.id } }] },
+      ],
+    };
+  }
+
+  let find = Product.find(pageQuery).sort({ [sort.field]: sort.dir, _id: sort.dir });
+  if (projection) find = find.select(projection);
+  if (!cursor) find = find.skip((parsedPage - 1) * parsedLimit);
+
+  const [total, results] = await Promise.all([Product.countDocuments(query), find.limit(parsedLimit + 1)]);
+
+  const data = results.slice(0, parsedLimit);
+  const hasMore = results.length > parsedLimit;
+
+  return {
+    data,
+    meta: {
+      total,
+      limit: parsedLimit,
+      page: cursor ? null : parsedPage,
+      nextCursor: hasMore ? encodeCursor(sort, data[data.length - 1]) : null,
+    },
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  buildProductListQuery,
+  parseProductSort,
+  parseProductFields,
+  listProducts,
+};
@@ -0,0 +1,217 @@
+/**
+ * Ranked product search over an in-process index kept per store.
+ *
+ * The index holds only what ranking needs (name tokens, sku, barcode) for every sellable product of
+ * a store. It is built on first use, dropped by `invalidateSearchIndex` when products change here
+ * and rebuilt after SEARCH_INDEX_TTL_MS anyway, so other instances pick up changes too. Results are
+ * re-read from Mongo, so prices and stock are always current; only the ranking can lag.
+ *
+ * Each instance scans a store's whole catalogue to build its index, once per TTL. That suits stores
+ * of up to a few tens of thousands of products (a few MB of index each); far larger catalogues need
+ * a database-side search instead.
+ *
+ * Ranking (score 0-100): exact sku/barcode, exact name, name prefix, sku/barcode prefix, all words
+ * matched (by word prefix), all words matched allowing typos, then plain substring matches.
+ */
+const Product = require("../models/Product");
+
+const SEARCH_INDEX_TTL_MS = 60 * 1000;
+const MAX_INDEXED_STORES = 50;
+// Ranked ids handed to Mongo per query for filtering (category, ...), until `limit` results pass
+const CANDIDATE_BATCH_SIZE = 500;
+
+const indexes = new Map();
+
+const normalize = (value) =>
+  String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+const tokenize = (value) => normalize(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Typos tolerated per word: none for short words, one from 4 letters, two from 8
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+/**
+ * Edit distance with adjacent transpositions ("mlik" -> "milk" is 1), or max + 1 once it exceeds `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+const buildIndex = async (storeId) => {
+  const products = await Product.find({ store: storeId, hasVariants: { $ne: true } })
+    .select("name sku barcode")
+    .lean();
+
+  return products.map((p) => ({
+    id: String(p._id),
+    name: normalize(p.name),
+    tokens: tokenize(p.name),
+    sku: normalize(p.sku),
+    barcode: normalize(p.barcode),
+  }));
+};
+
+const getIndex = async (storeId) => {
+  const key = String(storeId);
+  const cached = indexes.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.index;
+
+  // Concurrent searches share one build
+  const index = buildIndex(storeId);
+  indexes.delete(key);
+  indexes.set(key, { index, expiresAt: Date.now() + SEARCH_INDEX_TTL_MS });
+  while (indexes.size > MAX_INDEXED_STORES) indexes.delete(indexes.keys().next().value);
+
+  try {
+    return await index;
+  } catch (err) {
+    indexes.delete(key);
+    throw err;
+  }
+};
+
+/**
+ * Drop a store's search index after its products were created, renamed, recoded or deleted
+ */
+const invalidateSearchIndex = (storeId) => {
+  indexes.delete(String(storeId));
+};
+
+/**
+ * How well every query word matches the product's words: by word prefix (`token`), or allowing
+ * typos (`fuzzy`). Null unless every query word matches. `quality` is 0-1.
+ */
+const matchWords = (queryTokens, tokens) => {
+  let total = 0;
+  let fuzzy = false;
+
+  for (const q of queryTokens) {
+    let best = 0;
+    for (const t of tokens) {
+      if (t === q) best = 1;
+      else if (t.startsWith(q)) best = Math.max(best, 0.9);
+      else {
+        const typos = allowedTypos(q);
+        if (typos === 0 || best >= 0.9) continue;
+        // Compare against the word and against its start, so a typo in a partly typed word still matches
+        const distance = Math.min(
+          editDistance(q, t, typos),
+          t.length > q.length ? editDistance(q, t.slice(0, q.length), typos) : typos + 1
+        );
+        if (distance <= typos) best = Math.max(best, 0.6 - 0.2 * (distance - 1));
+      }
+      if (best === 1) break;
+    }
+    if (best === 0) return null;
+    if (best < 0.9) fuzzy = true;
+    total += best;
+  }
+  return { type: fuzzy ? "fuzzy" : "token", quality: total / queryTokens.length };
+};
+
+/**
+ * Best match of `entry` for the query, or null: { score, matchedField, matchType }
+ */
+const scoreEntry = (entry, q, queryTokens) => {
+  if (entry.barcode && entry.barcode === q) return { score: 100, matchedField: "barcode", matchType: "exact" };
+  if (entry.sku && entry.sku === q) return { score: 100, matchedField: "sku", matchType: "exact" };
+  if (entry.name === q) return { score: 95, matchedField: "name", matchType: "exact" };
+  if (entry.name.startsWith(q)) {
+    // Closer to the whole name ranks higher
+    return { score: 80 + Math.round((5 * q.length) / entry.name.length), matchedField: "name", matchType: "prefix" };
+  }
+  if (entry.barcode && entry.barcode.startsWith(q)) return { score: 75, matchedField: "barcode", matchType: "prefix" };
+  if (entry.sku && entry.sku.startsWith(q)) return { score: 75, matchedField: "sku", matchType: "prefix" };
+
+  const words = queryTokens.length ? matchWords(queryTokens, entry.tokens) : null;
+  if (words?.type === "token") {
+    return { score: 60 + Math.round(10 * words.quality), matchedField: "name", matchType: "token" };
+  }
+  if (words?.type === "fuzzy") {
+    return { score: 40 + Math.round(10 * words.quality), matchedField: "name", matchType: "fuzzy" };
+  }
+
+  if (entry.name.includes(q)) return { score: 20, matchedField: "name", matchType: "partial" };
+  if (entry.sku && entry.sku.includes(q)) return { score: 20, matchedField: "sku", matchType: "partial" };
+  if (entry.barcode && entry.barcode.includes(q)) return { score: 20, matchedField: "barcode", matchType: "partial" };
+  return null;
+};
+
+/**
+ * Search the store's products for `query`, best first. `filter` narrows the results further (as in
+ * `/search`); `select` is the projection. Each result is a plain product object with `score`,
+ * `matchedField` (name, sku or barcode) and `matchType` (exact, prefix, token, fuzzy or partial).
+ */
+const searchProducts = async ({ storeId, query, filter = {}, select, limit = 20 }) => {
+  const q = normalize(query);
+  const queryTokens = tokenize(query);
+  const entries = await getIndex(storeId);
+
+  const ranked = [];
+  for (const entry of entries) {
+    const match = scoreEntry(entry, q, queryTokens);
+    if (match) ranked.push({ entry, ...match });
+  }
+  ranked.sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name));
+
+  // Codes are unique per store: an exact sku/barcode is found even before the index catches up
+  const code = String(query).trim();
+  const exact = await Product.find({ ...filter, store: storeId, $or: [{ sku: code }, { barcode: code }] })
+    .select(select)
+    .lean();
+
+  const results = exact.map((p) => ({
+    ...p,
+    score: 100,
+    matchedField: p.barcode === code ? "barcode" : "sku",
+    matchType: "exact",
+  }));
+  const seen = new Set(results.map((p) => String(p._id)));
+
+  // The filter is applied in Mongo, so walk down the ranking until enough candidates pass it
+  for (let start = 0; start < ranked.length && results.length < limit; start += CANDIDATE_BATCH_SIZE) {
+    const candidates = ranked.slice(start, start + CANDIDATE_BATCH_SIZE);
+    const products = await Product.find({ ...filter, store: storeId, _id: { $in: candidates.map((c) => c.entry.id) } })
+      .select(select)
+      .lean();
+    const byId = new Map(products.map((p) => [String(p._id), p]));
+
+    for (const { entry, score, matchedField, matchType } of candidates) {
+      const product = byId.get(entry.id);
+      if (!product || seen.has(entry.id)) continue;
+      seen.add(entry.id);
+      results.push({ ...product, score, matchedField, matchType });
+    }
+  }
+  return results.slice(0, limit);
+};
+
+module.exports = {
+  SEARCH_INDEX_TTL_MS,
+  searchProducts,
+  invalidateSearchIndex,
+};
@@ -0,0 +1,215 @@
+/**
+ * Purchasing: purchase order lines and goods receiving. Receiving moves stock through
+ * the stock ledger and updates Product.costPrice per the store's cost policy, in one session.
+ */
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const { OPEN_PURCHASE_ORDER_STATUSES } = require("../models/PurchaseOrder");
+const StoreSettings = require("../models/StoreSettings");
+const { roundMoney } = require("./pricing");
+const { changeStock } = require("./stock");
+const { chooseVariantError } = require("./variants");
+
+const purchasingError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Resolve requested lines ({ product, quantity, unitCost }) against the store's products.
+ * Duplicate products are merged; `unitCost` defaults to the product's current costPrice.
+ */
+const buildPurchaseOrderLines = async (req, lines) => {
+  const merged = new Map();
+  for (const line of lines) {
+    const key = String(line.product);
+    const entry = merged.get(key) || { quantity: 0, unitCost: null };
+    entry.quantity += Number(line.quantity);
+    if (line.unitCost != null) entry.unitCost = Number(line.unitCost);
+    merged.set(key, entry);
+  }
+
+  const products = await Product.find({ _id: { $in: [...merged.keys()] }, store: req.storeId }).select(
+    "name costPrice hasVariants"
+  );
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  return [...merged.entries()].map(([productId, { quantity, unitCost }]) => {
+    const product = byId.get(productId);
+    if (!product) {
+      throw purchasingError("Product not found in this store", 404, { productId });
+    }
+    if (product.hasVariants) throw chooseVariantError(product);
+    return {
+      product: product._id,
+      productNameSnapshot: product.name,
+      quantityOrdered: quantity,
+      quantityReceived: 0,
+      unitCost: roundMoney(unitCost ?? (Number(product.costPrice) || 0)),
+    };
+  });
+};
+
+/**
+ * Product cost after receiving `quantity` units at `unitCost`.
+ * Weighted average ignores negative stock (offline sales) and unknown costs.
+ */
+const nextCostPrice = (policy, { onHand, currentCost, quantity, unitCost }) => {
+  if (policy !== "weighted_average") return roundMoney(unitCost);
+
+  const existing = Math.max(Number(onHand) || 0, 0);
+  const cost = Number(currentCost);
+  if (existing === 0 || !Number.isFinite(cost)) return roundMoney(unitCost);
+
+  return roundMoney((existing * cost + quantity * unitCost) / (existing + quantity));
+};
+
+/**
+ * Purchase order with outstanding quantities and values
+ */
+const buildPurchaseOrderView = (po) => {
+  const doc = typeof po.toObject === "function" ? po.toObject() : po;
+  const lines = (doc.lines || []).map((line) => ({
+    ...line,
+    quantityOutstanding: ["received", "cancelled"].includes(doc.status)
+      ? 0
+      : Math.max(line.quantityOrdered - line.quantityReceived, 0),
+  }));
+
+  return {
+    ...doc,
+    lines,
+    orderedValue: roundMoney(lines.reduce((sum, l) => sum + l.quantityOrdered * l.unitCost, 0)),
+    receivedValue: roundMoney(lines.reduce((sum, l) => sum + l.quantityReceived * l.unitCost, 0)),
+    outstandingQuantity: lines.reduce((sum, l) => sum + l.quantityOutstanding, 0),
+    outstandingValue: roundMoney(lines.reduce((sum, l) => sum + l.quantityOutstanding * l.unitCost, 0)),
+  };
+};
+
+/**
+ * Receive goods against a sent or partially received purchase order.
+ *
+ * lines: [{ product, quantity, unitCost }] to receive (unitCost defaults to the PO line cost);
+ * omit to receive everything outstanding.
+ *
+ * Returns { purchaseOrder, received, costPolicy }. Throws `err.status` + `err.details`
+ * (404 order/product, 409 wrong status, 400 lines not on the order or over-receiving).
+ */
+const receivePurchaseOrder = async (req, purchaseOrderId, { lines, note } = {}) => {
+  const settings = await StoreSettings.getForStore(req.storeId);
+  const costPolicy = settings.inventory?.costPolicy || "last_cost";
+
+  let purchaseOrder = null;
+  let received = [];
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      received = [];
+
+      purchaseOrder = await PurchaseOrder.findOne({ _id: purchaseOrderId, store: req.storeId }).session(session);
+      if (!purchaseOrder) throw purchasingError("Purchase order not found", 404);
+
+      if (!OPEN_PURCHASE_ORDER_STATUSES.includes(purchaseOrder.status)) {
+        throw purchasingError(`Purchase order is ${purchaseOrder.status}`, 409, {
+          status: purchaseOrder.status,
+          expected: OPEN_PURCHASE_ORDER_STATUSES,
+        });
+      }
+
+      const requested = new Map();
+      if (Array.isArray(lines) && lines.length > 0) {
+        for (const line of lines) {
+          const key = String(line.product);
+          const entry = requested.get(key) || { quantity: 0, unitCost: null };
+          entry.quantity += Number(line.quantity);
+          if (line.unitCost != null) entry.unitCost = Number(line.unitCost);
+          requested.set(key, entry);
+        }
+      } else {
+        for (const line of purchaseOrder.lines) {
+          const outstanding = line.quantityOrdered - line.quantityReceived;
+          if (outstanding > 0) requested.set(String(line.product), { quantity: outstanding, unitCost: null });
+        }
+      }
+
+      for (const [productId, { quantity, unitCost: unitCostOverride }] of requested.entries()) {
+        const line = purchaseOrder.lines.find((l) => String(l.product) === productId);
+        if (!line) {
+          throw purchasingError("Product is not on this purchase order", 400, { productId });
+        }
+
+        const outstanding = line.quantityOrdered - line.quantityReceived;
+        if (quantity > outstanding) {
+          throw purchasingError("Receiving more than is outstanding", 400, {
+            productId,
+            ordered: line.quantityOrdered,
+            alreadyReceived: line.quantityReceived,
+            requested: quantity,
+          });
+        }
+
+        const unitCost = roundMoney(unitCostOverride ?? line.unitCost);
+        const stocked = await changeStock({
+          productId,
+          storeId: req.storeId,
+          change: quantity,
+          type: "receipt",
+          session,
+          req,
+          reason: note ? `${purchaseOrder.poNumber}: ${note}` : purchaseOrder.poNumber,
+          unitCost,
+          source: { model: "PurchaseOrder", id: purchaseOrder._id },
+        });
+        if (!stocked) {
+          throw purchasingError("Product not found in this store", 404, { productId });
+        }
+
+        const { product } = stocked;
+        const costPriceBefore = Number(product.costPrice);
+        const costPriceAfter = nextCostPrice(costPolicy, {
+          onHand: product.quantity - quantity,
+          currentCost: costPriceBefore,
+          quantity,
+          unitCost,
+        });
+        if (costPriceAfter !== costPriceBefore) {
+          await Product.updateOne({ _id: product._id }, { $set: { costPrice: costPriceAfter } }, { session });
+        }
+
+        line.quantityReceived += quantity;
+        received.push({
+          product: String(product._id),
+          productName: product.name,
+          quantity,
+          unitCost,
+          quantityAfter: product.quantity,
+          costPriceBefore: Number.isFinite(costPriceBefore) ? costPriceBefore : null,
+          costPriceAfter,
+        });
+      }
+
+      const now = new Date();
+      const complete = purchaseOrder.lines.every((l) => l.quantityReceived >= l.quantityOrdered);
+      purchaseOrder.status = complete ? "received" : "partially_received";
+      purchaseOrder.lastReceivedAt = now;
+      if (complete) purchaseOrder.receivedAt = now;
+
+      await purchaseOrder.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return { purchaseOrder: buildPurchaseOrderView(purchaseOrder), received, costPolicy };
+};
+
+module.exports = {
+  purchasingError,
+  buildPurchaseOrderLines,
+  buildPurchaseOrderView,
+  receivePurchaseOrder,
+};
@@ -0,0 +1,346 @@
+/**
+ * Transaction receipts: the JSON payload (`TransactionReceiptResponse`) and its printed forms, a PDF
+ * (A4 or receipt roll) and raw ESC/POS bytes for thermal printers. Both are laid out from the same
+ * payload, so what is printed always matches the JSON; the header, footer and logo come from the
+ * store's `receipt` settings.
+ */
+const Sale = require("../models/Sale");
+const User = require("../models/User");
+const StoreSettings = require("../models/StoreSettings");
+const { buildTransactionSummary } = require("./transactions");
+const { MM, createPdf, encodeWinAnsi, textWidth, wrapText } = require("./pdf");
+const { toMonochrome } = require("./images");
+
+const RECEIPT_FORMATS = ["json", "pdf", "escpos"];
+const RECEIPT_PAPERS = ["80mm", "58mm", "a4"];
+
+const PAYMENT_LABELS = { cash: "Cash", card: "Card", mobile_money: "Mobile money", store_credit: "Store credit" };
+
+/**
+ * Receipt payload of a transaction: summary, ReceiptLineItem rows, taxes by rate and payments
+ */
+const buildReceipt = async (storeId, transaction) => {
+  const sales = await Sale.find({ store: storeId, transactionId: transaction._id })
+    .sort({ createdAt: 1 })
+    .populate("product");
+
+  const lineItems = sales.map((s) => {
+    const product = s.product;
+    const productId = product?._id ? String(product._id) : String(s.product);
+    const name = s.productNameSnapshot || product?.name;
+
+    const unitPrice = Number(s.unitPrice ?? product?.price ?? 0);
+    const qty = Number(s.quantity ?? 0);
+    const total = Number(s.totalPrice ?? unitPrice * qty);
+    const discountAmount = Number(s.discountAmount || 0);
+
+    return {
+      saleId: String(s._id),
+      productId,
+      name,
+      sku: product?.sku ?? null,
+      barcode: product?.barcode ?? null,
+      unitPrice,
+      quantity: qty,
+      grossTotal: Number(s.grossPrice ?? total + discountAmount),
+      discountAmount,
+      discounts: (s.discounts || []).map((d) => ({ type: d.type, name: d.name, amount: d.amount })),
+      taxClass: s.taxClass ?? null,
+      taxRate: s.taxRate ?? null,
+      taxAmount: Number(s.taxAmount || 0),
+      total,
+    };
+  });
+
+  const payments = transaction.payments.map((p) => ({
+    type: p.type,
+    amount: p.amount,
+    change: p.change || 0,
+    reference: p.reference ?? null,
+  }));
+
+  return {
+    transaction: buildTransactionSummary(transaction),
+    items: lineItems,
+    taxes: transaction.taxes.map((t) => ({
+      code: t.code,
+      name: t.name,
+      rate: t.rate,
+      taxable: t.taxable,
+      tax: t.tax,
+    })),
+    payments,
+  };
+};
+
+/**
+ * Header and footer of printed receipts; the store name defaults to the one the owner signed up with
+ */
+const loadReceiptBranding = async (storeId) => {
+  const settings = await StoreSettings.getForStore(storeId);
+  const receipt = settings.receipt || {};
+  let storeName = receipt.storeName;
+  if (!storeName) {
+    const owner = await User.findById(storeId).select("store name");
+    storeName = owner?.store || owner?.name || null;
+  }
+  return {
+    storeName,
+    address: receipt.address || null,
+    footer: receipt.footer || null,
+    logoUrl: receipt.logoUrl || null,
+  };
+};
+
+const money = (amount) => (Number(amount) || 0).toFixed(2);
+
+const formatDate = (date) => {
+  const iso = new Date(date).toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+};
+
+const textLines = (value) =>
+  String(value ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+/**
+ * The receipt as printable blocks, shared by the PDF and ESC/POS layouts:
+ * `text` (align, bold, large), `row` (left label, right amount; bold, large, indent), `rule` and `space`.
+ */
+const receiptBlocks = (receipt, branding) => {
+  const { transaction: tx, items, taxes, payments } = receipt;
+  const blocks = [];
+  const text = (value, options = {}) => blocks.push({ type: "text", text: value, align: "left", ...options });
+  const row = (left, right, options = {}) => blocks.push({ type: "row", left, right, ...options });
+  const rule = () => blocks.push({ type: "rule" });
+
+  if (branding.storeName) text(branding.storeName, { align: "center", bold: true, large: true });
+  for (const line of textLines(branding.address)) text(line, { align: "center" });
+  rule();
+
+  row("Date", formatDate(tx.createdAt));
+  row("Receipt", tx.id);
+  if (tx.cashierName) row("Cashier", tx.cashierName);
+  if (tx.customerName) row("Customer", tx.customerName);
+  if (tx.voided) text("*** VOIDED ***", { align: "center", bold: true, large: true });
+  rule();
+
+  for (const item of items) {
+    text(item.name || "Item", { bold: true });
+    row(`${item.quantity} x ${money(item.unitPrice)}`, money(item.grossTotal), { indent: true });
+    for (const discount of item.discounts) {
+      row(discount.name || "Discount", `-${money(discount.amount)}`, { indent: true });
+    }
+    if (item.discounts.length === 0 && item.discountAmount > 0) {
+      row("Discount", `-${money(item.discountAmount)}`, { indent: true });
+    }
+  }
+  rule();
+
+  row("Subtotal", money(tx.subtotal));
+  if (tx.discountTotal > 0) row("Discounts", `-${money(tx.discountTotal)}`);
+  for (const tax of taxes) row(tx.taxInclusive ? `${tax.name} (incl.)` : tax.name, money(tax.tax));
+  row("TOTAL", money(tx.total), { bold: true, large: true });
+  rule();
+
+  for (const payment of payments) {
+    const label = PAYMENT_LABELS[payment.type] || payment.type;
+    row(payment.reference ? `${label} (${payment.reference})` : label, money(payment.amount));
+  }
+  if (tx.changeDue > 0) row("Change", money(tx.changeDue));
+  if (tx.refundedTotal > 0) row("Refunded", `-${money(tx.refundedTotal)}`);
+  if (tx.loyalty.pointsRedeemed > 0) row("Points redeemed", String(tx.loyalty.pointsRedeemed));
+  if (tx.loyalty.pointsEarned > 0) row("Points earned", String(tx.loyalty.pointsEarned));
+
+  const footer = textLines(branding.footer);
+  if (footer.length) {
+    blocks.push({ type: "space" });
+    for (const line of footer) text(line, { align: "center" });
+  }
+  return blocks;
+};
+
+// Page width, margin and font sizes of the PDF per paper; rolls are one page as long as the receipt
+const PDF_PAPERS = {
+  "80mm": { width: 80 * MM, height: null, margin: 4 * MM, size: 8.5, large: 12, logoWidth: 40 * MM },
+  "58mm": { width: 58 * MM, height: null, margin: 3 * MM, size: 7, large: 10, logoWidth: 30 * MM },
+  a4: { width: 210 * MM, height: 297 * MM, margin: 20 * MM, size: 10, large: 14, logoWidth: 50 * MM },
+};
+
+/**
+ * PDF receipt on `paper` (80mm, 58mm or a4), with the parsed `logo` (from loadLogo) on top if any
+ */
+const renderReceiptPdf = (receipt, branding, { paper = "80mm", logo = null } = {}) => {
+  const spec = PDF_PAPERS[paper];
+  const inner = spec.width - 2 * spec.margin;
+  const blocks = receiptBlocks(receipt, branding);
+
+  // Lay out first (y from the top of an endless page), then cut into pages for A4
+  const ops = [];
+  let y = spec.margin;
+  if (logo) {
+    const scale = Math.min(spec.logoWidth / logo.width, (20 * MM) / logo.height);
+    const width = logo.width * scale;
+    const height = logo.height * scale;
+    const x = spec.margin + (inner - width) / 2;
+    ops.push({ y, height, draw: (pdf, top) => pdf.image(logo, x, top, width, height) });
+    y += height + 3 * MM;
+  }
+
+  for (const block of blocks) {
+    const size = block.large ? spec.large : spec.size;
+    const lineHeight = size * 1.3;
+    if (block.type === "space") {
+      y += spec.size;
+    } else if (block.type === "rule") {
+      const right = spec.width - spec.margin;
+      ops.push({
+        y,
+        height: spec.size,
+        draw: (pdf, top) => pdf.line(spec.margin, top + spec.size / 2, right, top + spec.size / 2, { dash: [2, 2] }),
+      });
+      y += spec.size;
+    } else if (block.type === "text") {
+      for (const line of wrapText(block.text, { size, bold: block.bold, maxWidth: inner })) {
+        ops.push({
+          y,
+          height: lineHeight,
+          draw: (pdf, top) =>
+            pdf.text(line, spec.margin, top + size, { size, bold: block.bold, align: block.align, width: inner }),
+        });
+        y += lineHeight;
+      }
+    } else {
+      const indent = block.indent ? size * 1.5 : 0;
+      const rightWidth = textWidth(block.right, size, block.bold);
+      const lines = wrapText(block.left, { size, bold: block.bold, maxWidth: inner - indent - rightWidth - size });
+      lines.forEach((line, index) => {
+        const last = index === lines.length - 1;
+        const font = { size, bold: block.bold };
+        ops.push({
+          y,
+          height: lineHeight,
+          draw: (pdf, top) => {
+            pdf.text(line, spec.margin + indent, top + size, font);
+            if (last) pdf.text(block.right, spec.margin, top + size, { ...font, align: "right", width: inner });
+          },
+        });
+        y += lineHeight;
+      });
+    }
+  }
+
+  const pdf = createPdf({ title: `Receipt ${receipt.transaction.id}` });
+  if (!spec.height) {
+    pdf.addPage(spec.width, y + spec.margin);
+    for (const op of ops) op.draw(pdf, op.y);
+    return pdf.toBuffer();
+  }
+
+  const usable = spec.height - 2 * spec.margin;
+  let offset = null;
+  for (const op of ops) {
+    if (offset === null || op.y + op.height - offset > usable) {
+      pdf.addPage(spec.width, spec.height);
+      offset = op.y;
+    }
+    op.draw(pdf, spec.margin + op.y - offset);
+  }
+  if (offset === null) pdf.addPage(spec.width, spec.height);
+  return pdf.toBuffer();
+};
+
+// Characters per line (font A) and logo width in dots per roll width
+const ESCPOS_PAPERS = { "80mm": { columns: 48, logoDots: 384 }, "58mm": { columns: 32, logoDots: 256 } };
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Word-wrap to `width` characters, breaking words longer than a line
+const wrapColumns = (value, width) => {
+  const lines = [];
+  let line = "";
+  for (const word of String(value ?? "").split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    while (rest.length > width) {
+      if (line) lines.push(line);
+      lines.push(rest.slice(0, width));
+      line = "";
+      rest = rest.slice(width);
+    }
+    if (!rest) continue;
+    if (!line) line = rest;
+    else if (line.length + 1 + rest.length <= width) line += ` ${rest}`;
+    else {
+      lines.push(line);
+      line = rest;
+    }
+  }
+  if (line || lines.length === 0) lines.push(line);
+  return lines;
+};
+
+/**
+ * ESC/POS bytes for an 80mm or 58mm thermal printer: code page WPC1252, the logo as a raster image
+ * (PNG logos only), the receipt, then feed and cut
+ */
+const renderReceiptEscPos = (receipt, branding, { paper = "80mm", logo = null } = {}) => {
+  const spec = ESCPOS_PAPERS[paper];
+  const chunks = [];
+  const command = (...bytes) => chunks.push(Buffer.from(bytes));
+  const print = (line) => chunks.push(encodeWinAnsi(line), Buffer.from([0x0a]));
+
+  command(ESC, 0x40); // initialize
+  command(ESC, 0x74, 16); // code page WPC1252
+
+  const bitmap = logo ? toMonochrome(logo, spec.logoDots, 192) : null;
+  if (bitmap) {
+    command(ESC, 0x61, 1);
+    // GS v 0: raster bit image, width in bytes and height in dots
+    const { bytesPerRow, height } = bitmap;
+    command(GS, 0x76, 0x30, 0, bytesPerRow & 0xff, bytesPerRow >> 8, height & 0xff, height >> 8);
+    chunks.push(bitmap.data);
+    command(0x0a);
+  }
+
+  for (const block of receiptBlocks(receipt, branding)) {
+    // Large text is double width and height, so half as many characters fit
+    const width = block.large ? Math.floor(spec.columns / 2) : spec.columns;
+    command(ESC, 0x61, block.align === "center" ? 1 : 0);
+    command(ESC, 0x45, block.bold ? 1 : 0);
+    command(GS, 0x21, block.large ? 0x11 : 0);
+
+    if (block.type === "space") print("");
+    else if (block.type === "rule") print("-".repeat(width));
+    else if (block.type === "text") wrapColumns(block.text, width).forEach(print);
+    else {
+      const indent = block.indent ? "  " : "";
+      const right = String(block.right);
+      const lines = wrapColumns(block.left, width - indent.length).map((line) => `${indent}${line}`);
+      const last = lines[lines.length - 1];
+      if (last.length + 1 + right.length <= width) {
+        lines[lines.length - 1] = `${last}${" ".repeat(width - last.length - right.length)}${right}`;
+      } else {
+        lines.push(right.padStart(width));
+      }
+      lines.forEach(print);
+    }
+  }
+
+  command(ESC, 0x45, 0);
+  command(GS, 0x21, 0);
+  command(ESC, 0x61, 0);
+  command(GS, 0x56, 66, 3); // feed 3 lines and cut
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  RECEIPT_FORMATS,
+  RECEIPT_PAPERS,
+  buildReceipt,
+  loadReceiptBranding,
+  renderReceiptPdf,
+  renderReceiptEscPos,
+};
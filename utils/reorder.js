@@ -0,0 +1,188 @@
+/**
+ * Reorder suggestions from sales velocity: average daily units sold over a lookback window,
+ * projected over each product's lead time plus the store's target days of cover.
+ */
+const Product = require("../models/Product");
+const Sale = require("../models/Sale");
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const { OPEN_PURCHASE_ORDER_STATUSES } = require("../models/PurchaseOrder");
+const StoreSettings = require("../models/StoreSettings");
+const { roundMoney } = require("./pricing");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REORDER_DAYS = 365;
+
+const validationError = (errors) => {
+  const err = new Error("Validation error");
+  err.status = 400;
+  err.errors = errors;
+  return err;
+};
+
+/**
+ * Lookback and cover from query/body overrides, else the store's inventory settings.
+ * Throws `err.errors` when an override is not a whole number of days (1-365).
+ */
+const resolveReorderParams = (settings, overrides = {}) => {
+  const inventory = settings.inventory || {};
+  const params = {
+    lookbackDays: inventory.reorderLookbackDays ?? 30,
+    targetDaysOfCover: inventory.targetDaysOfCover ?? 14,
+    defaultLeadTimeDays: inventory.defaultLeadTimeDays ?? 7,
+  };
+
+  const errors = [];
+  for (const key of ["lookbackDays", "targetDaysOfCover"]) {
+    const raw = overrides[key];
+    if (raw === undefined || raw === null || raw === "") continue;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_REORDER_DAYS) {
+      errors.push({ msg: `${key} must be a whole number of days between 1 and ${MAX_REORDER_DAYS}`, path: key });
+    } else {
+      params[key] = value;
+    }
+  }
+  if (errors.length) throw validationError(errors);
+
+  return params;
+};
+
+// Units sold per product since `since` (voided sales and returned units excluded)
+const unitsSoldSince = async (storeId, since) => {
+  const rows = await Sale.aggregate([
+    { $match: { store: storeId, voidedAt: null, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: "$product",
+        sold: { $sum: { $subtract: ["$quantity", { $ifNull: ["$returnedQuantity", 0] }] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), Math.max(r.sold, 0)]));
+};
+
+// Units still outstanding on sent/partially received purchase orders, per product
+const unitsIncoming = async (storeId) => {
+  const orders = await PurchaseOrder.find({ store: storeId, status: { $in: OPEN_PURCHASE_ORDER_STATUSES } }).select(
+    "lines"
+  );
+  const incoming = new Map();
+  for (const po of orders) {
+    for (const line of po.lines) {
+      const outstanding = Math.max(line.quantityOrdered - line.quantityReceived, 0);
+      if (outstanding > 0) {
+        const key = String(line.product);
+        incoming.set(key, (incoming.get(key) || 0) + outstanding);
+      }
+    }
+  }
+  return incoming;
+};
+
+/**
+ * Suggested reorders for the request's store, grouped by preferred supplier.
+ *
+ * A product is suggested when its stock position (on hand + incoming on open POs) is at or below
+ * its reorder point: expected sales over the lead time plus `lowStockThreshold` as safety stock.
+ * The quantity tops the position up to the lead time + target days of cover (+ safety stock).
+ *
+ * options: { lookbackDays, targetDaysOfCover } overrides, `supplier` to keep one group,
+ * `products` (ids) to limit the products considered.
+ *
+ * Returns { lookbackDays, targetDaysOfCover, since, groups: [{ supplier, lines, ... }], totals }.
+ */
+const buildReorderSuggestions = async (req, options = {}) => {
+  const settings = await StoreSettings.getForStore(req.storeId);
+  const params = resolveReorderParams(settings, options);
+
+  const since = new Date(Date.now() - params.lookbackDays * DAY_MS);
+
+  const productQuery = { store: req.storeId };
+  if (Array.isArray(options.products)) productQuery._id = { $in: options.products };
+
+  const [products, sold, incoming, suppliers] = await Promise.all([
+    Product.find(productQuery).select(
+      "name sku quantity lowStockThreshold costPrice preferredSupplier leadTimeDays"
+    ),
+    unitsSoldSince(req.storeId, since),
+    unitsIncoming(req.storeId),
+    Supplier.find({ store: req.storeId }).select("name leadTimeDays isActive"),
+  ]);
+  const supplierById = new Map(suppliers.map((s) => [String(s._id), s]));
+
+  const groups = new Map();
+  for (const product of products) {
+    const productId = String(product._id);
+    const supplier = product.preferredSupplier ? supplierById.get(String(product.preferredSupplier)) : null;
+
+    const unitsSold = sold.get(productId) || 0;
+    const averageDailySales = unitsSold / params.lookbackDays;
+    const leadTimeDays = product.leadTimeDays ?? supplier?.leadTimeDays ?? params.defaultLeadTimeDays;
+    const safetyStock = Math.max(Number(product.lowStockThreshold) || 0, 0);
+
+    const onHand = product.quantity;
+    const onOrder = incoming.get(productId) || 0;
+    const position = onHand + onOrder;
+
+    const reorderPoint = Math.ceil(averageDailySales * leadTimeDays) + safetyStock;
+    if (position > reorderPoint) continue;
+
+    const targetStock = Math.ceil(averageDailySales * (leadTimeDays + params.targetDaysOfCover)) + safetyStock;
+    const suggestedQuantity = targetStock - position;
+    if (suggestedQuantity <= 0) continue;
+
+    const unitCost = Number(product.costPrice) || 0;
+    const groupKey = supplier ? String(supplier._id) : "none";
+    const group = groups.get(groupKey) || {
+      supplier: supplier ? { id: String(supplier._id), name: supplier.name, isActive: supplier.isActive } : null,
+      lines: [],
+    };
+    group.lines.push({
+      product: productId,
+      productName: product.name,
+      sku: product.sku || null,
+      onHand,
+      incoming: onOrder,
+      unitsSold,
+      averageDailySales: Math.round(averageDailySales * 100) / 100,
+      daysOfCover: averageDailySales > 0 ? Math.floor(Math.max(position, 0) / averageDailySales) : null,
+      leadTimeDays,
+      reorderPoint,
+      targetStock,
+      suggestedQuantity,
+      unitCost,
+      estimatedCost: roundMoney(suggestedQuantity * unitCost),
+    });
+    groups.set(groupKey, group);
+  }
+
+  let result = [...groups.values()].map((group) => ({
+    ...group,
+    lines: group.lines.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)),
+    totalQuantity: group.lines.reduce((sum, l) => sum + l.suggestedQuantity, 0),
+    estimatedCost: roundMoney(group.lines.reduce((sum, l) => sum + l.estimatedCost, 0)),
+  }));
+  if (options.supplier) {
+    result = result.filter((group) => group.supplier?.id === String(options.supplier));
+  }
+  // Named suppliers first (alphabetically), products without one last
+  result.sort((a, b) => {
+    if (!a.supplier) return 1;
+    if (!b.supplier) return -1;
+    return a.supplier.name.localeCompare(b.supplier.name);
+  });
+
+  return {
+    lookbackDays: params.lookbackDays,
+    targetDaysOfCover: params.targetDaysOfCover,
+    since,
+    groups: result,
+    totalQuantity: result.reduce((sum, g) => sum + g.totalQuantity, 0),
+    estimatedCost: roundMoney(result.reduce((sum, g) => sum + g.estimatedCost, 0)),
+  };
+};
+
+module.exports = {
+  buildReorderSuggestions,
+};
@@ -0,0 +1,243 @@
+/**
+ * Stock ledger: every change to Product.quantity goes through these helpers so it is
+ * recorded as a StockMovement in the same session as the change itself.
+ */
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { STOCK_MOVEMENT_TYPES } = require("../models/StockMovement");
+const { actorFields } = require("./actor");
+const { LOW_STOCK_EXPR, isLowStockLevel, recordLowStockEvent } = require("./lowStock");
+
+const recordMovement = async ({
+  product,
+  storeId,
+  type,
+  quantityBefore,
+  quantityAfter,
+  session,
+  req,
+  reason,
+  reasonCode,
+  unitCost: unitCostOverride,
+  source,
+}) => {
+  const unitCost = Number(unitCostOverride ?? product.costPrice);
+
+  const [movement] = await StockMovement.create(
+    [
+      {
+        product: product._id,
+        productNameSnapshot: product.name,
+        type,
+        quantityChange: quantityAfter - quantityBefore,
+        quantityBefore,
+        quantityAfter,
+        reason,
+        reasonCode,
+        unitCostSnapshot: Number.isFinite(unitCost) ? unitCost : undefined,
+        sourceModel: source?.model,
+        sourceId: source?.id,
+        ...actorFields(req),
+        store: storeId,
+      },
+    ],
+    { session }
+  );
+  return movement;
+};
+
+/**
+ * Move a product's stock by `change` (signed) and log it.
+ *
+ * source: { model, id } of the document behind the change (e.g. { model: "Transaction", id })
+ * reasonCode: ADJUSTMENT_REASONS code for manual adjustments
+ * unitCost: value the movement at this cost instead of the product's current costPrice (receipts)
+ * requireStock: a decrement only applies when enough is on hand
+ * lowStockEvents: record a LowStockEvent when the change crosses the product's threshold
+ *   (the isLowStock flag is kept in sync either way)
+ *
+ * Returns { product, movement, lowStockEvent }, or null when the product does not exist in the
+ * store (or, with `requireStock`, when stock is short).
+ */
+const changeStock = async ({
+  productId,
+  storeId,
+  change,
+  type,
+  session = null,
+  req = null,
+  reason,
+  reasonCode,
+  unitCost,
+  source = null,
+  requireStock = false,
+  lowStockEvents = true,
+}) => {
+  // Parents of variants hold no stock (utils/variants.js)
+  const filter = { _id: productId, store: storeId, hasVariants: { $ne: true } };
+  if (requireStock && change < 0) filter.quantity = { $gte: -change };
+
+  // Quantity and flag in one atomic update
+  const product = await Product.findOneAndUpdate(
+    filter,
+    [{ $set: { quantity: { $add: ["$quantity", change] } } }, { $set: { isLowStock: LOW_STOCK_EXPR } }],
+    { new: true, session, updatePipeline: true }
+  );
+  if (!product) return null;
+
+  const movement = await recordMovement({
+    product,
+    storeId,
+    type,
+    quantityBefore: product.quantity - change,
+    quantityAfter: product.quantity,
+    session,
+    req,
+    reason,
+    reasonCode,
+    unitCost,
+    source,
+  });
+
+  const wasLow = isLowStockLevel(product.quantity - change, product.lowStockThreshold);
+  let lowStockEvent = null;
+  if (lowStockEvents && wasLow !== product.isLowStock) {
+    lowStockEvent = await recordLowStockEvent({
+      product,
+      storeId,
+      low: product.isLowStock,
+      trigger: type,
+      movement,
+      session,
+      req,
+    });
+  }
+
+  return { product, movement, lowStockEvent };
+};
+
+const buildMovementSummary = (m) => ({
+  id: String(m._id),
+  createdAt: m.createdAt,
+  product: m.product?._id ? String(m.product._id) : String(m.product),
+  productName: m.productNameSnapshot || m.product?.name || null,
+  type: m.type,
+  quantityChange: m.quantityChange,
+  quantityBefore: m.quantityBefore,
+  quantityAfter: m.quantityAfter,
+  reason: m.reason ?? null,
+  reasonCode: m.reasonCode || null,
+  unitCost: m.unitCostSnapshot ?? null,
+  source: m.sourceModel ? { model: m.sourceModel, id: m.sourceId ? String(m.sourceId) : null } : null,
+  actorType: m.createdByType || null,
+  actorName: m.createdByNameSnapshot || null,
+});
+
+const validationError = (errors) => {
+  const err = new Error("Validation error");
+  err.status = 400;
+  err.errors = errors;
+  return err;
+};
+
+/**
+ * Filter for movements of the request's store from `type` (comma-separated), `startDate`
+ * and `endDate` query params on top of `baseQuery`. Throws `err.errors` on bad input.
+ */
+const buildMovementQuery = (req, baseQuery = {}) => {
+  const { type, startDate, endDate } = req.query;
+  const query = { ...baseQuery, store: req.storeId };
+
+  if (type) {
+    const types = String(type)
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+    const unknown = types.filter((t) => !STOCK_MOVEMENT_TYPES.includes(t));
+    if (unknown.length) {
+      throw validationError([{ msg: `type must be one of: ${STOCK_MOVEMENT_TYPES.join(", ")}`, path: "type" }]);
+    }
+    query.type = { $in: types };
+  }
+
+  const dateErrors = [];
+  if (startDate || endDate) {
+    query.createdAt = {};
+    for (const [key, op] of [
+      ["startDate", "$gte"],
+      ["endDate", "$lte"],
+    ]) {
+      if (!req.query[key]) continue;
+      const date = new Date(String(req.query[key]));
+      if (Number.isNaN(date.getTime())) dateErrors.push({ msg: `${key} must be a valid date`, path: key });
+      else query.createdAt[op] = date;
+    }
+  }
+  if (dateErrors.length) throw validationError(dateErrors);
+
+  return query;
+};
+
+/**
+ * Paginated movements (newest first) for the request's store; see buildMovementQuery for filters.
+ */
+const listStockMovements = async (req, baseQuery = {}) => {
+  const parsedLimit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10) || 50, 1), 200);
+  const parsedPage = Math.max(parseInt(req.query.page ?? "1", 10) || 1, 1);
+  const query = buildMovementQuery(req, baseQuery);
+
+  const [total, movements] = await Promise.all([
+    StockMovement.countDocuments(query),
+    StockMovement.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((parsedPage - 1) * parsedLimit)
+      .limit(parsedLimit),
+  ]);
+
+  return {
+    data: movements.map(buildMovementSummary),
+    meta: {
+      total,
+      limit: parsedLimit,
+      page: parsedPage,
+    },
+  };
+};
+
+/**
+ * Units in/out per movement type for the same filters
+ */
+const summarizeStockMovements = async (req, baseQuery = {}) => {
+  const query = buildMovementQuery(req, baseQuery);
+  if (query.product) query.product = new mongoose.Types.ObjectId(String(query.product));
+
+  const rows = await StockMovement.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: "$type",
+        movements: { $sum: 1 },
+        quantityIn: { $sum: { $cond: [{ $gt: ["$quantityChange", 0] }, "$quantityChange", 0] } },
+        quantityOut: { $sum: { $cond: [{ $lt: ["$quantityChange", 0] }, { $abs: "$quantityChange" }, 0] } },
+        net: { $sum: "$quantityChange" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map((r) => ({
+    type: r._id,
+    movements: r.movements,
+    quantityIn: r.quantityIn,
+    quantityOut: r.quantityOut,
+    net: r.net,
+  }));
+};
+
+module.exports = {
+  changeStock,
+  buildMovementSummary,
+  listStockMovements,
+  summarizeStockMovements,
+};
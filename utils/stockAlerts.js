@@ -0,0 +1,256 @@
+/**
+ * Low-stock emails. `entered` LowStockEvents are an outbox: they are dispatched right after a sale
+ * commits and swept by the cron endpoint (for serverless hosts that stop work once the response is sent).
+ * A product is alerted once, then suppressed until it is restocked (Product.lowStockAlertedAt).
+ */
+const Product = require("../models/Product");
+const LowStockEvent = require("../models/LowStockEvent");
+const StoreSettings = require("../models/StoreSettings");
+const Staff = require("../models/Staff");
+const User = require("../models/User");
+const { ensureEmailConfigured, sendLowStockAlertEmail, sendLowStockDigestEmail } = require("../config/email");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Give up on an alert after this many failed sends
+const MAX_ALERT_ATTEMPTS = 3;
+// A dispatcher that died mid-send leaves events `processing`; retake them after this long
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+const DISPATCH_BATCH = 200;
+
+const isEmailConfigured = () => {
+  try {
+    ensureEmailConfigured();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Store name and alert recipients: the configured list, else the owner and admin staff
+ */
+const resolveRecipients = async (storeId, settings) => {
+  const owner = await User.findById(storeId).select("name email store");
+  const storeName = owner?.store || owner?.name || "your store";
+
+  const configured = (settings.alerts?.recipients || []).filter(Boolean);
+  if (configured.length) return { storeName, recipients: [...new Set(configured)] };
+
+  const admins = await Staff.find({ store: storeId, role: "admin" }).select("email");
+  const recipients = [owner?.email, ...admins.map((s) => s.email)].filter(Boolean);
+  return { storeName, recipients: [...new Set(recipients.map((e) => e.toLowerCase()))] };
+};
+
+const markEvents = (ids, update) =>
+  ids.length ? LowStockEvent.updateMany({ _id: { $in: ids } }, update) : Promise.resolve();
+
+// Claim one event for this dispatcher (another may be sending the same batch)
+const claimEvent = (event, now) =>
+  LowStockEvent.findOneAndUpdate(
+    {
+      _id: event._id,
+      $or: [
+        { alertStatus: "pending" },
+        { alertStatus: "processing", updatedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    { $set: { alertStatus: "processing" }, $inc: { alertAttempts: 1 } },
+    { new: true }
+  );
+
+const dispatchStoreAlerts = async (storeId, events, now, stats) => {
+  const claimed = (await Promise.all(events.map((e) => claimEvent(e, now)))).filter(Boolean);
+  if (claimed.length === 0) return;
+
+  const settings = await StoreSettings.getForStore(storeId);
+  if (settings.alerts?.lowStockEmails === false) {
+    await markEvents(
+      claimed.map((e) => e._id),
+      { $set: { alertStatus: "skipped", alertError: "Low-stock emails are turned off" } }
+    );
+    stats.skipped += claimed.length;
+    return;
+  }
+
+  // One alert per product until it is restocked; products back above the threshold need none
+  const alerted = [];
+  const suppressed = [];
+  for (const event of claimed) {
+    const product = await Product.findOneAndUpdate(
+      { _id: event.product, store: storeId, isLowStock: true, lowStockAlertedAt: null },
+      { $set: { lowStockAlertedAt: now } },
+      { new: true }
+    );
+    if (product) alerted.push({ event, product });
+    else suppressed.push(event._id);
+  }
+  await markEvents(suppressed, { $set: { alertStatus: "suppressed" } });
+  stats.suppressed += suppressed.length;
+  if (alerted.length === 0) return;
+
+  const { storeName, recipients } = await resolveRecipients(storeId, settings);
+  const alertedIds = alerted.map((a) => a.event._id);
+  if (recipients.length === 0) {
+    await markEvents(alertedIds, { $set: { alertStatus: "skipped", alertError: "No recipients" } });
+    stats.skipped += alertedIds.length;
+    return;
+  }
+
+  try {
+    await sendLowStockAlertEmail({
+      to: recipients.join(", "),
+      storeName,
+      products: alerted.map((a) => a.product),
+    });
+    await markEvents(alertedIds, { $set: { alertStatus: "sent", alertedAt: new Date() }, $unset: { alertError: 1 } });
+    stats.sent += alertedIds.length;
+    stats.emails += 1;
+  } catch (err) {
+    // Re-arm the products and retry later (or give up after MAX_ALERT_ATTEMPTS)
+    await Product.updateMany(
+      { _id: { $in: alerted.map((a) => a.product._id) }, lowStockAlertedAt: now },
+      { $set: { lowStockAlertedAt: null } }
+    );
+    const retry = alerted.filter((a) => a.event.alertAttempts < MAX_ALERT_ATTEMPTS).map((a) => a.event._id);
+    const failed = alertedIds.filter((id) => !retry.some((r) => r.equals(id)));
+    await markEvents(retry, { $set: { alertStatus: "pending", alertError: err.message } });
+    await markEvents(failed, { $set: { alertStatus: "failed", alertError: err.message } });
+    stats.retrying += retry.length;
+    stats.failed += failed.length;
+  }
+};
+
+/**
+ * Send pending low-stock alerts, one email per store. Limit to one store with `storeId`.
+ *
+ * Returns counts: { emailConfigured, events, emails, sent, suppressed, skipped, retrying, failed }.
+ * Without SMTP settings nothing is claimed, so alerts go out once email is configured.
+ */
+const dispatchLowStockAlerts = async ({ storeId = null, now = new Date() } = {}) => {
+  const stats = {
+    emailConfigured: isEmailConfigured(),
+    events: 0,
+    emails: 0,
+    sent: 0,
+    suppressed: 0,
+    skipped: 0,
+    retrying: 0,
+    failed: 0,
+  };
+  if (!stats.emailConfigured) return stats;
+
+  const query = {
+    $or: [
+      { alertStatus: "pending" },
+      { alertStatus: "processing", updatedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+    ],
+  };
+  if (storeId) query.store = storeId;
+
+  const events = await LowStockEvent.find(query).sort({ createdAt: 1 }).limit(DISPATCH_BATCH);
+  stats.events = events.length;
+
+  const byStore = new Map();
+  for (const event of events) {
+    const key = String(event.store);
+    byStore.set(key, [...(byStore.get(key) || []), event]);
+  }
+  for (const [store, storeEvents] of byStore.entries()) {
+    await dispatchStoreAlerts(store, storeEvents, now, stats);
+  }
+
+  return stats;
+};
+
+/**
+ * Dispatch a store's alerts without holding up the response (after a sale has committed).
+ * Failures are left pending for the cron sweep.
+ */
+const scheduleLowStockAlerts = (storeId) => {
+  setImmediate(() => {
+    dispatchLowStockAlerts({ storeId }).catch((err) => console.error("Low-stock alert dispatch failed:", err));
+  });
+};
+
+// Most recent scheduled digest time at or before `now` (weekly digests go out on Mondays)
+const lastDigestSlot = (alerts, now) => {
+  const slot = new Date(now);
+  slot.setUTCHours(alerts.digestHourUtc ?? 7, 0, 0, 0);
+  if (alerts.digestFrequency === "weekly") {
+    const daysSinceMonday = (slot.getUTCDay() + 6) % 7;
+    slot.setTime(slot.getTime() - daysSinceMonday * DAY_MS);
+    if (slot > now) slot.setTime(slot.getTime() - 7 * DAY_MS);
+  } else if (slot > now) {
+    slot.setTime(slot.getTime() - DAY_MS);
+  }
+  return slot;
+};
+
+/**
+ * Send every store's digest that is due: all low-stock items, out-of-stock ones listed separately.
+ * Stores with nothing low are marked as sent without an email.
+ *
+ * Returns counts: { emailConfigured, due, emails, empty, failed }.
+ */
+const sendDueDigests = async ({ now = new Date() } = {}) => {
+  const stats = { emailConfigured: isEmailConfigured(), due: 0, emails: 0, empty: 0, failed: 0 };
+  if (!stats.emailConfigured) return stats;
+
+  const candidates = await StoreSettings.find({ "alerts.digestFrequency": { $in: ["daily", "weekly"] } });
+  for (const settings of candidates) {
+    const slot = lastDigestSlot(settings.alerts, now);
+    const previous = settings.alerts.digestLastSentAt;
+    if (previous && previous >= slot) continue;
+
+    // Claim the slot so overlapping cron runs send it once
+    const claimed = await StoreSettings.findOneAndUpdate(
+      {
+        _id: settings._id,
+        $or: [{ "alerts.digestLastSentAt": null }, { "alerts.digestLastSentAt": { $lt: slot } }],
+      },
+      { $set: { "alerts.digestLastSentAt": now } }
+    );
+    if (!claimed) continue;
+    stats.due += 1;
+
+    const products = await Product.find({ store: settings.store, isLowStock: true })
+      .sort({ quantity: 1, name: 1 })
+      .select("name sku quantity lowStockThreshold");
+    if (products.length === 0) {
+      stats.empty += 1;
+      continue;
+    }
+
+    try {
+      const { storeName, recipients } = await resolveRecipients(settings.store, settings);
+      if (recipients.length === 0) {
+        stats.empty += 1;
+        continue;
+      }
+      await sendLowStockDigestEmail({
+        to: recipients.join(", "),
+        storeName,
+        frequency: settings.alerts.digestFrequency,
+        outOfStock: products.filter((p) => p.quantity <= 0),
+        lowStock: products.filter((p) => p.quantity > 0),
+      });
+      stats.emails += 1;
+    } catch (err) {
+      // Release the slot so the next run retries
+      await StoreSettings.updateOne(
+        { _id: settings._id, "alerts.digestLastSentAt": now },
+        { $set: { "alerts.digestLastSentAt": previous ?? null } }
+      );
+      console.error("Low-stock digest failed:", err);
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  dispatchLowStockAlerts,
+  scheduleLowStockAlerts,
+  sendDueDigests,
+};
@@ -0,0 +1,22 @@
+/**
+ * Write to a response (or any writable) with backpressure: waits for `drain` when the buffer is
+ * full, and fails instead of waiting forever when the client goes away.
+ */
+const writeChunk = (stream, chunk) =>
+  new Promise((resolve, reject) => {
+    if (stream.destroyed) return reject(new Error("Stream closed"));
+    if (stream.write(chunk)) return resolve();
+
+    const done = (err) => {
+      stream.off("drain", onDrain);
+      stream.off("close", onClose);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error("Stream closed"));
+    stream.on("drain", onDrain);
+    stream.on("close", onClose);
+  });
+
+module.exports = { writeChunk };
@@ -0,0 +1,138 @@
+/**
+ * Transaction summaries shared by the sales and customer routes.
+ */
+const mongoose = require("mongoose");
+const Transaction = require("../models/Transaction");
+
+const buildVoidSummary = (doc) => ({
+  voided: Boolean(doc?.voidedAt),
+  voidedAt: doc?.voidedAt || null,
+  voidedByType: doc?.voidedByType || null,
+  voidedByName: doc?.voidedByNameSnapshot || null,
+  voidReason: doc?.voidReason || null,
+});
+
+/**
+ * Shape a Transaction document as a TransactionSummary
+ */
+const buildTransactionSummary = (tx) => {
+  const staff = tx.staff;
+  const cashierName = tx.cashierNameSnapshot || staff?.name || null;
+  const customer = tx.customer;
+
+  return {
+    id: String(tx._id),
+    createdAt: tx.createdAt,
+    lastCreatedAt: tx.lastSaleAt || tx.createdAt,
+    staff: staff?._id ? String(staff._id) : staff ? String(staff) : null,
+    staffName: cashierName,
+    cashierType: tx.cashierType || (staff ? "staff" : "user"),
+    cashierUser: tx.cashierUser ? String(tx.cashierUser) : null,
+    cashierName,
+    customer: customer?._id ? String(customer._id) : customer ? String(customer) : null,
+    customerName: tx.customerNameSnapshot || customer?.name || null,
+    itemsCount: tx.itemsCount,
+    totalQuantity: tx.totalQuantity,
+    subtotal: tx.subtotal ?? tx.total,
+    discountTotal: tx.discountTotal || 0,
+    taxInclusive: Boolean(tx.taxInclusive),
+    taxTotal: tx.taxTotal || 0,
+    total: tx.total,
+    amountTendered: tx.amountTendered ?? null,
+    changeDue: tx.changeDue ?? null,
+    refundedTotal: tx.refundedTotal || 0,
+    loyalty: {
+      pointsEarned: tx.loyalty?.pointsEarned || 0,
+      pointsRedeemed: tx.loyalty?.pointsRedeemed || 0,
+      redeemedAmount: tx.loyalty?.redeemedAmount || 0,
+      pointsClawedBack: tx.loyalty?.pointsClawedBack || 0,
+      pointsRestored: tx.loyalty?.pointsRestored || 0,
+    },
+    notes: tx.notes ?? null,
+    clientId: tx.clientId || null,
+    syncedAt: tx.syncedAt || null,
+    needsReview: Boolean(tx.needsReview),
+    stockShortages: (tx.stockShortages || []).map((s) => ({
+      product: s.product ? String(s.product) : null,
+      productName: s.productName || null,
+      requested: s.requested,
+      available: s.available,
+    })),
+    reviewedAt: tx.reviewedAt || null,
+    reviewedByName: tx.reviewedByNameSnapshot || null,
+    reviewNote: tx.reviewNote ?? null,
+    ...buildVoidSummary(tx),
+  };
+};
+
+/**
+ * Paginated transaction summaries for the request's store.
+ *
+ * Staff only see their own transactions; admin/manager may filter by `staff`.
+ * Supports `startDate`, `endDate`, `needsReview`, `page` and `limit` query params on top of `baseQuery`.
+ * Throws a 400 error (with `errors` as validation errors) on a bad staff id.
+ */
+const listTransactionSummaries = async (req, baseQuery = {}) => {
+  const { staff, startDate, endDate, needsReview, page, limit } = req.query;
+
+  const parsedLimit = Math.min(Math.max(parseInt(limit ?? "50", 10) || 50, 1), 200);
+  const parsedPage = Math.max(parseInt(page ?? "1", 10) || 1, 1);
+
+  const query = { ...baseQuery, store: req.storeId };
+
+  if (req.userType === "staff") {
+    query.staff = req.user._id;
+  } else if (["admin", "manager"].includes(req.user.role) && staff) {
+    if (!mongoose.isValidObjectId(String(staff))) {
+      const err = new Error("Validation error");
+      err.status = 400;
+      err.errors = [{ msg: "staff must be a valid id", path: "staff" }];
+      throw err;
+    }
+    query.staff = new mongoose.Types.ObjectId(String(staff));
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(String(startDate));
+    if (endDate) query.createdAt.$lte = new Date(String(endDate));
+  }
+
+  if (needsReview !== undefined) {
+    query.needsReview = String(needsReview) === "true" ? true : { $ne: true };
+  }
+
+  const [total, transactions] = await Promise.all([
+    Transaction.countDocuments(query),
+    Transaction.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((parsedPage - 1) * parsedLimit)
+      .limit(parsedLimit)
+      .populate("staff", "name"),
+  ]);
+
+  const data = transactions.map((tx) => {
+    const summary = buildTransactionSummary(tx);
+    // Voided transactions stay listed but do not count towards totals
+    if (summary.voided) {
+      summary.total = 0;
+      summary.totalQuantity = 0;
+    }
+    return summary;
+  });
+
+  return {
+    data,
+    meta: {
+      total,
+      limit: parsedLimit,
+      page: parsedPage,
+    },
+  };
+};
+
+module.exports = {
+  buildVoidSummary,
+  buildTransactionSummary,
+  listTransactionSummaries,
+};
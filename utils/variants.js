@@ -0,0 +1,252 @@
+/**
+ * Product variants. A parent product (`hasVariants`) lists option axes such as Size and Colour and is
+ * never stocked or sold itself; each variant is a Product with `parent` set and its own sku, barcode,
+ * stock and price. The name and shared fields come from the parent and are kept in sync with it.
+ */
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+
+// Copied from the parent when a variant is created and whenever they change on the parent
+const VARIANT_SHARED_FIELDS = ["category", "taxClass", "description"];
+
+// Fields only this module sets
+const VARIANT_MANAGED_FIELDS = ["hasVariants", "parent", "priceOverride"];
+
+const MAX_OPTION_AXES = 3;
+
+const validationError = (errors) => {
+  const err = new Error("Validation error");
+  err.status = 400;
+  err.errors = errors;
+  return err;
+};
+
+const variantError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Clean option axes ([{ name, values }]): trimmed, with unique names and values.
+ * Throws `err.errors` when the shape is wrong.
+ */
+const normalizeOptions = (input) => {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_OPTION_AXES) {
+    throw validationError([{ msg: `options must list 1-${MAX_OPTION_AXES} option axes`, path: "options" }]);
+  }
+
+  const errors = [];
+  const options = input.map((axis, index) => {
+    const name = String(axis?.name ?? "").trim();
+    const values = Array.isArray(axis?.values)
+      ? [...new Set(axis.values.map((v) => String(v ?? "").trim()).filter(Boolean))]
+      : [];
+    if (!name) errors.push({ msg: "Each option needs a name", path: `options[${index}].name` });
+    if (values.length === 0) errors.push({ msg: "Each option needs values", path: `options[${index}].values` });
+    return { name, values };
+  });
+
+  const names = options.map((o) => o.name.toLowerCase());
+  if (new Set(names).size !== names.length) errors.push({ msg: "Option names must be unique", path: "options" });
+  if (errors.length) throw validationError(errors);
+
+  return options;
+};
+
+/**
+ * A variant's option values against its parent's axes: one allowed value per axis, returned as
+ * [{ name, value }] in axis order. Accepts `{ Size: "M" }` or `[{ name, value }]`. Throws `err.errors`.
+ */
+const normalizeOptionValues = (parent, input) => {
+  const entries = (Array.isArray(input) ? input.map((o) => [o?.name, o?.value]) : Object.entries(input || {})).map(
+    ([name, value]) => [String(name ?? "").trim(), String(value ?? "").trim()]
+  );
+  const given = new Map(entries.map(([name, value]) => [name.toLowerCase(), value]));
+
+  const errors = [];
+  const optionValues = (parent.options || []).map((axis) => {
+    const value = given.get(axis.name.toLowerCase());
+    const allowed = axis.values.find((v) => v.toLowerCase() === String(value ?? "").toLowerCase());
+    if (!allowed) {
+      errors.push({ msg: `${axis.name} must be one of: ${axis.values.join(", ")}`, path: `optionValues.${axis.name}` });
+    }
+    return { name: axis.name, value: allowed };
+  });
+
+  const axes = new Set((parent.options || []).map((axis) => axis.name.toLowerCase()));
+  for (const [name] of entries) {
+    if (!axes.has(name.toLowerCase())) errors.push({ msg: `Unknown option: ${name}`, path: "optionValues" });
+  }
+  if (errors.length) throw validationError(errors);
+
+  return optionValues;
+};
+
+const sameOptionValues = (a, b) =>
+  a.length === b.length && a.every((o, i) => o.name === b[i].name && o.value === b[i].value);
+
+// "T-Shirt (M / Red)"
+const variantName = (parentName, optionValues) =>
+  `${parentName} (${optionValues.map((o) => o.value).join(" / ")})`;
+
+// Selling, stocking or ordering a parent product
+const chooseVariantError = (product) =>
+  variantError("Choose a variant of this product", 400, {
+    productId: String(product._id),
+    productName: product.name,
+    reason: "variant_required",
+  });
+
+/**
+ * Refuse a second variant with the same option values under one parent
+ */
+const assertUniqueVariant = async (parent, optionValues, { exclude = null, session = null } = {}) => {
+  const siblings = await Product.find({ store: parent.store, parent: parent._id, _id: { $ne: exclude } })
+    .select("optionValues")
+    .session(session);
+  const duplicate = siblings.find((s) => sameOptionValues(s.optionValues, optionValues));
+  if (duplicate) {
+    throw variantError("A variant with these options already exists", 409, { variantId: String(duplicate._id) });
+  }
+};
+
+/**
+ * Changes to `product` implied by setting its option axes (PUT with `options`).
+ * A product becomes a parent only before it has any stock history; clearing the options of a
+ * parent without variants turns it back into a plain product.
+ */
+const optionUpdates = async (product, input, session = null) => {
+  if (product.parent) {
+    throw validationError([{ msg: "A variant cannot have options of its own", path: "options" }]);
+  }
+
+  const variants = product.hasVariants
+    ? await Product.find({ store: product.store, parent: product._id }).select("name optionValues").session(session)
+    : [];
+
+  if (input == null || (Array.isArray(input) && input.length === 0)) {
+    if (variants.length) throw variantError("Delete the product's variants first", 409, { variants: variants.length });
+    return { options: [], hasVariants: false };
+  }
+
+  const options = normalizeOptions(input);
+
+  if (!product.hasVariants) {
+    const history = Number(product.quantity) !== 0 || (await StockMovement.exists({ product: product._id }));
+    if (history) {
+      throw variantError("Products with stock history cannot get variants; create a new product for them", 409, {
+        productId: String(product._id),
+        quantity: product.quantity,
+      });
+    }
+  }
+
+  // Existing variants must still fit
+  const invalid = variants.filter((v) => {
+    try {
+      return !sameOptionValues(normalizeOptionValues({ options }, v.optionValues), v.optionValues);
+    } catch {
+      return true;
+    }
+  });
+  if (invalid.length) {
+    throw validationError([
+      {
+        msg: `options no longer fit these variants: ${invalid.map((v) => v.name).join(", ")}`,
+        path: "options",
+      },
+    ]);
+  }
+
+  // Parents carry no stock, so they are never low
+  return { options, hasVariants: true, lowStockThreshold: null };
+};
+
+/**
+ * Fields for a new variant of `parent` from the request body
+ */
+const buildVariantFields = (parent, input, optionValues) => {
+  const fields = {
+    name: variantName(parent.name, optionValues),
+    parent: parent._id,
+    optionValues,
+    price: input.price != null ? Number(input.price) : parent.price,
+    priceOverride: input.price != null,
+    costPrice: input.costPrice != null ? Number(input.costPrice) : parent.costPrice,
+    ...Object.fromEntries(VARIANT_SHARED_FIELDS.map((f) => [f, parent[f] ?? null])),
+  };
+  for (const key of ["sku", "barcode", "lowStockThreshold", "preferredSupplier", "leadTimeDays"]) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  return fields;
+};
+
+/**
+ * Changes to a variant from a product update: option values (renaming it) and price, where
+ * `price: null` goes back to following the parent. Shared fields stay with the parent.
+ */
+const variantUpdates = async (variant, updates, session = null) => {
+  const next = { ...updates };
+  for (const field of VARIANT_SHARED_FIELDS) delete next[field];
+  delete next.name;
+  delete next.options;
+
+  const parent = await Product.findOne({ _id: variant.parent, store: variant.store }).session(session);
+  if (!parent) return next;
+
+  if (updates.optionValues !== undefined) {
+    next.optionValues = normalizeOptionValues(parent, updates.optionValues);
+    await assertUniqueVariant(parent, next.optionValues, { exclude: variant._id, session });
+    next.name = variantName(parent.name, next.optionValues);
+  }
+
+  if (updates.price !== undefined) {
+    next.priceOverride = updates.price !== null;
+    next.price = updates.price !== null ? updates.price : parent.price;
+  }
+  return next;
+};
+
+/**
+ * Push the parent's name, shared fields and price (to variants without a price of their own) to its variants
+ */
+const syncVariantsFromParent = async (parent, session = null) => {
+  const variants = await Product.find({ store: parent.store, parent: parent._id })
+    .select("optionValues priceOverride")
+    .session(session);
+  if (variants.length === 0) return;
+
+  const shared = Object.fromEntries(VARIANT_SHARED_FIELDS.map((f) => [f, parent[f] ?? null]));
+  await Product.bulkWrite(
+    variants.map((v) => ({
+      updateOne: {
+        filter: { _id: v._id },
+        update: {
+          $set: {
+            ...shared,
+            name: variantName(parent.name, v.optionValues),
+            ...(v.priceOverride ? {} : { price: parent.price }),
+          },
+        },
+      },
+    })),
+    { session }
+  );
+};
+
+module.exports = {
+  VARIANT_SHARED_FIELDS,
+  VARIANT_MANAGED_FIELDS,
+  variantError,
+  normalizeOptions,
+  normalizeOptionValues,
+  variantName,
+  chooseVariantError,
+  assertUniqueVariant,
+  optionUpdates,
+  buildVariantFields,
+  variantUpdates,
+  syncVariantsFromParent,
+};
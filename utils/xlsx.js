@@ -0,0 +1,215 @@
+/**
+ * Streaming single-sheet XLSX writer. A workbook is a ZIP of SpreadsheetML parts; the sheet is
+ * deflated as rows arrive (sizes and CRCs go in data descriptors after each part), so a large
+ * export never sits in memory. Strings are inline, the header row is bold.
+ */
+const zlib = require("zlib");
+const { once } = require("events");
+const { writeChunk } = require("./streams");
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PKG_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const XML_DECL = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Flush sheet XML to the deflater in chunks of about this size
+const SHEET_BUFFER_BYTES = 64 * 1024;
+
+// Characters XML 1.0 cannot carry are dropped
+const escapeXml = (value) =>
+  String(value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const staticParts = (sheetName) => ({
+  "[Content_Types].xml":
+    `${XML_DECL}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    `${XML_DECL}<Relationships xmlns="${PKG_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    "</Relationships>",
+  "xl/workbook.xml":
+    `${XML_DECL}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  "xl/_rels/workbook.xml.rels":
+    `${XML_DECL}<Relationships xmlns="${PKG_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    "</Relationships>",
+  "xl/styles.xml":
+    `${XML_DECL}<styleSheet xmlns="${MAIN_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    "</styleSheet>",
+});
+
+const cellXml = (value, style) => {
+  const s = style ? ` s="${style}"` : "";
+  if (value == null || value === "") return `<c${s}/>`;
+  if (typeof value === "number" && Number.isFinite(value)) return `<c${s}><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (value instanceof Date) value = value.toISOString();
+  return `<c${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const rowXml = (values, style = 0) => `<row>${values.map((v) => cellXml(v, style)).join("")}</row>`;
+
+// MS-DOS date/time fields of ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// General purpose flags: sizes follow the data (bit 3), UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+/**
+ * Write an XLSX workbook to `out`. Returns { addRow(values), end() }; both must be awaited in turn.
+ * `header` becomes the first (bold) row.
+ */
+const createXlsxWriter = (out, { sheetName = "Sheet1", header = [] } = {}) => {
+  const { time, date } = dosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+
+  const write = async (chunk) => {
+    offset += chunk.length;
+    await writeChunk(out, chunk);
+  };
+
+  // One deflated ZIP part; returns { write(data), end() }
+  const openEntry = async (name) => {
+    const entry = { name: Buffer.from(name, "utf8"), offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(ZIP_FLAGS, 6);
+    local.writeUInt16LE(DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt16LE(entry.name.length, 26);
+    await write(Buffer.concat([local, entry.name]));
+
+    const deflate = zlib.createDeflateRaw();
+    const pump = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await write(chunk);
+      }
+    })().catch((err) => {
+      deflate.destroy(err);
+      throw err;
+    });
+    // Surfaced by end(); keeps an early failure from being an unhandled rejection meanwhile
+    pump.catch(() => {});
+
+    return {
+      write: async (data) => {
+        const buf = Buffer.from(data, "utf8");
+        entry.crc = zlib.crc32(buf, entry.crc);
+        entry.size += buf.length;
+        if (!deflate.write(buf)) await once(deflate, "drain");
+      },
+      end: async () => {
+        deflate.end();
+        await pump;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await write(descriptor);
+        entries.push(entry);
+      },
+    };
+  };
+
+  const writeCentralDirectory = async () => {
+    const start = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(DEFLATE, 10);
+      record.writeUInt16LE(time, 12);
+      record.writeUInt16LE(date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([record, entry.name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await write(end);
+  };
+
+  let sheet = null;
+  let pending = "";
+
+  // Package parts first (content types leading, as spreadsheet apps expect), then the sheet
+  const startSheet = async () => {
+    if (sheet) return;
+    for (const [name, xml] of Object.entries(staticParts(sheetName))) {
+      const part = await openEntry(name);
+      await part.write(xml);
+      await part.end();
+    }
+    sheet = await openEntry("xl/worksheets/sheet1.xml");
+    pending = `${XML_DECL}<worksheet xmlns="${MAIN_NS}"><sheetData>`;
+    if (header.length) pending += rowXml(header, 1);
+  };
+
+  const flush = async () => {
+    if (!pending) return;
+    const chunk = pending;
+    pending = "";
+    await sheet.write(chunk);
+  };
+
+  return {
+    addRow: async (values) => {
+      await startSheet();
+      pending += rowXml(values);
+      if (pending.length >= SHEET_BUFFER_BYTES) await flush();
+    },
+    end: async () => {
+      await startSheet();
+      pending += "</sheetData></worksheet>";
+      await flush();
+      await sheet.end();
+      await writeCentralDirectory();
+    },
+  };
+};
+
+module.exports = { createXlsxWriter };